@@ -4,6 +4,10 @@ import { BootScene } from './src/scenes/BootScene.js';
 import { MenuScene } from './src/scenes/MenuScene.js';
 import { GameScene } from './src/scenes/GameScene.js';
 import { HeroSelectScene } from './src/scenes/HeroSelectScene.js';
+import { MapSelectScene } from './src/scenes/MapSelectScene.js';
+import { MetaShopScene } from './src/scenes/MetaShopScene.js';
+import { RecordsScene } from './src/scenes/RecordsScene.js';
+import { FixedStepClock } from './src/core/FixedStepClock.js';
 
 // Register the PWA service worker once the window finishes loading.
 // Registration is guarded so local dev without HTTPS (or older browsers)
@@ -29,7 +33,7 @@ if ('serviceWorker' in navigator) {
   - physics: using Arcade Physics with no gravity (top-down style).
   - scene: ordered list of scenes that Phaser loads/initializes.
 */
-new Phaser.Game({
+const game = new Phaser.Game({
   type: Phaser.AUTO,
   parent: 'app',
   width: 960,  // Base resolution width
@@ -47,11 +51,17 @@ new Phaser.Game({
     } 
   },
 
+  // Gamepad plugin backs input/GamepadInput (menus + hero movement).
+  input: { gamepad: true },
+
   scale: {
     mode: Phaser.Scale.FIT,
     autoCenter: Phaser.Scale.CENTER_BOTH
   },
 
   // BootScene typically loads assets → GameScene runs the actual gameplay
-  scene: [BootScene, MenuScene, HeroSelectScene, GameScene]
+  scene: [BootScene, MenuScene, HeroSelectScene, MapSelectScene, MetaShopScene, RecordsScene, GameScene]
 });
+
+// Step gameplay in fixed 60 Hz frames whatever the display rate, so seeds and replays reproduce.
+new FixedStepClock(game).attach();
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * Headless balance simulator.
+ *
+ *   npm run sim -- --hero sirsmite --seeds 20 --minutes 15 --bot kite
+ *
+ * Runs GameScene's gameplay systems under a Phaser HEADLESS game in Node,
+ * with a scripted bot playing, and prints per-minute kills, damage per weapon,
+ * level reached and time of death across seeds. `--out file.json` also writes
+ * the per-seed results for diffing before/after a registry change.
+ *
+ * Phaser expects a browser, so this script first builds one: jsdom for the
+ * DOM, @napi-rs/canvas for 2D contexts and image decoding. Game modules are
+ * then loaded through Vite's SSR loader so `import.meta.env` and the repo's
+ * bare imports resolve the same way they do in `npm run dev`.
+ */
+import { writeFile } from 'node:fs/promises';
+import { register } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { JSDOM } from 'jsdom';
+import { createCanvas, Image as NativeImage } from '@napi-rs/canvas';
+import { createServer } from 'vite';
+
+const USAGE = `Usage: npm run sim -- [options]
+
+  --hero <key>         hero to play (default: first in HeroRegistry)
+  --map <key>          infinite map key (default: endless_default)
+  --difficulty <key>   difficulty preset (default: normal)
+  --bot <key>          kite | flee | idle (default: kite)
+  --picker <key>       level-up picker: first | random | weapons (default: first)
+  --seeds <n>          number of seeds to run (default: 10)
+  --seed-start <n>     first numeric seed (default: 1)
+  --seed <text>        explicit seed, repeatable (overrides --seeds)
+  --minutes <n>        run-time cap per seed (default: 15)
+  --out <file>         write per-seed results + summary as JSON
+  --check              rerun the seeds in reverse order; exit 1 unless results match
+  --quiet              skip the per-seed lines
+  --help`;
+
+const { values: args } = parseArgs({
+  options: {
+    hero: { type: 'string' },
+    map: { type: 'string' },
+    difficulty: { type: 'string' },
+    bot: { type: 'string' },
+    picker: { type: 'string' },
+    seeds: { type: 'string' },
+    'seed-start': { type: 'string' },
+    seed: { type: 'string', multiple: true },
+    minutes: { type: 'string' },
+    out: { type: 'string' },
+    check: { type: 'boolean', default: false },
+    quiet: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false }
+  }
+});
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+// Phaser's package entry points at its webpack sources; Node needs the prebuilt bundle.
+const phaserHook = `export async function resolve(specifier, context, next) {
+  const result = await next(specifier, context);
+  if (result.url.endsWith('/node_modules/phaser/src/phaser.js')) {
+    return { ...result, url: result.url.replace(/src\\/phaser\\.js$/, 'dist/phaser.js'), format: 'commonjs' };
+  }
+  return result;
+}`;
+register(`data:text/javascript,${encodeURIComponent(phaserHook)}`, import.meta.url);
+
+installBrowserGlobals();
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const server = await createServer({
+  root,
+  configFile: false,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false },
+  optimizeDeps: { noDiscovery: true, include: [] }
+});
+
+let exitCode = 0;
+try {
+  const { resolveSimOptions, runBalanceSim, summarizeSimResults } = await server.ssrLoadModule('/src/sim/runBalanceSim.js');
+
+  const options = resolveSimOptions({
+    heroKey: args.hero,
+    mapKey: args.map,
+    difficultyKey: args.difficulty,
+    bot: args.bot,
+    picker: args.picker,
+    seeds: args.seed,
+    count: args.seeds,
+    seedStart: args['seed-start'],
+    maxMinutes: args.minutes
+  });
+
+  console.log(
+    `Simulating ${options.seeds.length} seed(s): hero=${options.heroKey} map=${options.mapKey} `
+    + `difficulty=${options.difficultyKey} bot=${options.bot} picker=${options.picker} cap=${options.maxMinutes}m`
+  );
+
+  // --check queues every seed a second time in reverse order, so each one also runs after a different predecessor.
+  const count = options.seeds.length;
+  const seeds = args.check ? [...options.seeds, ...[...options.seeds].reverse()] : options.seeds;
+
+  const startedAt = Date.now();
+  const runs = await runBalanceSim({
+    ...options,
+    seeds,
+    onRun: (result, index) => {
+      if (args.quiet || index >= count) return;
+      console.log(
+        `  [${index + 1}/${count}] seed ${result.seed.padEnd(7)} `
+        + `${result.outcome === 'loss' ? 'died' : result.outcome} at ${formatTime(result.timeMs)}  `
+        + `lvl ${result.level}  kills ${result.kills}`
+      );
+    }
+  });
+
+  const results = runs.slice(0, count);
+  const summary = summarizeSimResults(results);
+  printSummary(summary, Date.now() - startedAt);
+
+  if (args.check) {
+    const mismatches = findMismatches(results, runs.slice(count).reverse(), summary, summarizeSimResults);
+    if (mismatches.length) {
+      console.error('\nDeterminism check failed:');
+      mismatches.forEach((line) => console.error(`  ${line}`));
+      exitCode = 1;
+    } else {
+      console.log(`\nDeterminism check: ${count} seed(s) reproduced identically.`);
+    }
+  }
+
+  if (args.out) {
+    await writeFile(args.out, `${JSON.stringify({ options, summary, results }, null, 2)}\n`);
+    console.log(`\nWrote ${args.out}`);
+  }
+} catch (err) {
+  console.error(err?.message ?? err);
+  exitCode = 1;
+} finally {
+  await server.close();
+}
+
+// Phaser and jsdom leave timers behind; exit explicitly once the report is out.
+process.exit(exitCode);
+
+function installBrowserGlobals() {
+  const dom = new JSDOM('<!doctype html><html><body></body></html>', {
+    pretendToBeVisual: true,
+    url: 'http://localhost/'
+  });
+  const { window } = dom;
+
+  // jsdom canvases have no rendering backend; delegate 2D contexts to a native
+  // canvas kept the same size (Phaser reads pixels back for feature checks).
+  const proto = window.HTMLCanvasElement.prototype;
+  ['width', 'height'].forEach((dim) => {
+    const desc = Object.getOwnPropertyDescriptor(proto, dim);
+    Object.defineProperty(proto, dim, {
+      configurable: true,
+      enumerable: true,
+      get() {
+        return desc.get.call(this);
+      },
+      set(value) {
+        desc.set.call(this, value);
+        if (this._nativeCanvas) this._nativeCanvas[dim] = Math.max(1, desc.get.call(this));
+      }
+    });
+  });
+  proto.getContext = function getContext(type) {
+    if (type !== '2d') return null;
+    this._nativeCanvas ??= createCanvas(Math.max(1, this.width), Math.max(1, this.height));
+    return this._nativeCanvas.getContext('2d');
+  };
+
+  // Phaser's default textures are data-URI images; jsdom never fires their onload.
+  window.Image = NativeImage;
+
+  globalThis.window = window;
+  globalThis.document = window.document;
+  [
+    'navigator',
+    'Image',
+    'HTMLCanvasElement',
+    'HTMLElement',
+    'HTMLVideoElement',
+    'Element',
+    'screen',
+    'requestAnimationFrame',
+    'cancelAnimationFrame',
+    'XMLHttpRequest',
+    'localStorage'
+  ].forEach((name) => {
+    if (globalThis[name] === undefined) globalThis[name] = window[name];
+  });
+}
+
+function formatTime(ms) {
+  const totalSeconds = Math.floor((ms ?? 0) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/** Describe every seed (and the summary) whose second pass differs from the first. */
+function findMismatches(first, second, summary, summarize) {
+  const lines = [];
+  first.forEach((result, i) => {
+    if (JSON.stringify(result) !== JSON.stringify(second[i])) {
+      lines.push(`seed ${result.seed}: kills ${result.kills} vs ${second[i]?.kills}, `
+        + `time ${result.timeMs} vs ${second[i]?.timeMs} ms`);
+    }
+  });
+  if (JSON.stringify(summary) !== JSON.stringify(summarize(second))) {
+    lines.push('summaries differ');
+  }
+  return lines;
+}
+
+function printSummary(summary, wallMs) {
+  console.log(`\nRuns ${summary.runs}  died ${summary.deaths}  survived ${summary.survived}  (${(wallMs / 1000).toFixed(1)}s wall)`);
+  console.log(`Mean time ${formatTime(summary.meanTimeMs)}  median death ${summary.medianDeathMs == null ? '-' : formatTime(summary.medianDeathMs)}`);
+  console.log(`Level mean ${summary.meanLevel.toFixed(1)}  max ${summary.maxLevel}  kills mean ${summary.meanKills.toFixed(0)}`);
+
+  console.log('\nKills per minute (seeds alive)');
+  summary.killsPerMinute.forEach(({ minute, runs, meanKills }) => {
+    console.log(`  ${String(minute).padStart(3)}  ${meanKills.toFixed(1).padStart(8)}  (${runs})`);
+  });
+
+  console.log('\nDamage per weapon (mean per run, share)');
+  summary.damageByWeapon.forEach(({ key, meanDamage, share }) => {
+    console.log(`  ${key.padEnd(20)} ${meanDamage.toFixed(0).padStart(10)}  ${(share * 100).toFixed(1).padStart(5)}%`);
+  });
+}
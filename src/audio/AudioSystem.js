@@ -1,6 +1,7 @@
 import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
 import { MobRegistry } from '../mob/MobRegistry.js';
 import { DropRegistry } from '../drops/DropRegistry.js';
+import { StatusEffectRegistry } from '../status/StatusEffectRegistry.js';
 
 /**
  * Audio System
@@ -87,9 +88,12 @@ export function setupAudioSystem(scene, soundManager) {
     soundManager.playSfx(fireConfig.key, fireConfig);
   });
 
-  scene.events.on('combat:hit', ({ weaponKey }) => {
+  scene.events.on('combat:hit', ({ weaponKey, statusKey }) => {
     if (!weaponKey) return;
 
+    // Damage-over-time ticks would spam the weapon's hit SFX.
+    if (statusKey) return;
+
     const weapon = WeaponRegistry[weaponKey];
     if (!weapon) return;
 
@@ -112,6 +116,16 @@ export function setupAudioSystem(scene, soundManager) {
     soundManager.playSfx(fireConfig.key, fireConfig);
   });
 
+  scene.events.on('status:applied', ({ key, refreshed }) => {
+    if (!key || refreshed) return;
+
+    const status = StatusEffectRegistry[key];
+    const appliedConfig = status?.audio?.applied;
+    if (!appliedConfig?.key) return;
+
+    soundManager.playSfx(appliedConfig.key, appliedConfig);
+  });
+
   scene.events.on('enemy:died', ({ mobKey }) => {
     if (!mobKey) return;
 
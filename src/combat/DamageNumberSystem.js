@@ -1,8 +1,16 @@
+import { getRng } from '../run/RunRng.js';
+import { shouldShowDamageNumber } from '../ui/AccessibilitySettings.js';
+import { formatNumber, localeFontFamily } from '../i18n/Localization.js';
+
 /**
  * DamageNumberSystem
  *
  * Displays floating damage/heal numbers using a BitmapFont. Uses a small pool
  * so we avoid constantly creating/destroying BitmapText objects during combat.
+ * The accessibility density setting (all / crits only / off) filters pops.
+ * Numbers are formatted for the active locale; any string with a glyph the
+ * bitmap font lacks (non-Latin digits or labels) is drawn with a pooled Text
+ * object in the locale's font stack instead.
  * 
  * Important: This system is designed to be *shutdown-safe*. It will gracefully
  * no-op if the scene is already shutting down, avoiding Phaser tween crashes.
@@ -24,6 +32,8 @@ export class DamageNumberSystem {
 
     // Object pool of BitmapText objects (no classType → we control creation).
     this.pool = scene.add.group({ maxSize: 128, runChildUpdate: false });
+    // Text objects for strings the bitmap font can't draw; rarely used.
+    this.fallbackPool = scene.add.group({ maxSize: 32, runChildUpdate: false });
 
     // Warn in dev if the font isn't present (helps catch BootScene load issues).
     if (!scene.cache.bitmapFont.exists(this.fontKey)) {
@@ -31,29 +41,53 @@ export class DamageNumberSystem {
     }
   }
 
+  /** True when every character of `text` has a glyph in the bitmap font. */
+  _fontCovers(text) {
+    const chars = this.scene.cache.bitmapFont.get(this.fontKey)?.data?.chars;
+    if (!chars) return false;
+    for (let i = 0; i < text.length; i += 1) {
+      if (!chars[text.charCodeAt(i)]) return false;
+    }
+    return true;
+  }
+
   /**
-   * Internal helper to fetch or create a BitmapText object.
+   * Internal helper to fetch or create a BitmapText object, or a Text object
+   * from the fallback pool when `fallback` is set.
    * Automatically handles scene-shutdown safety conditions.
    */
-  _acquire() {
+  _acquire(fallback = false) {
     // If the scene is shutting down or we've been destroyed, don't create text.
     if (this._destroyed || !this.scene?.sys || this.scene.sys.isDestroyed) return null;
 
+    const pool = fallback ? this.fallbackPool : this.pool;
+
     // Attempt to reuse an inactive pooled text instance.
-    let txt = this.pool?.getFirstDead?.(false);
+    let txt = pool?.getFirstDead?.(false);
 
     // If none are available, create one and register it in the pool.
     if (!txt) {
-      txt = this.scene.add.bitmapText(0, 0, this.fontKey, '', this.size).setDepth(this.depth);
-      this.pool?.add?.(txt);
+      txt = fallback
+        ? this.scene.add.text(0, 0, '', {
+          fontSize: `${this.size}px`,
+          color: '#ffffff',
+          stroke: '#000000',
+          strokeThickness: 3
+        })
+        : this.scene.add.bitmapText(0, 0, this.fontKey, '', this.size);
+      txt.setDepth(this.depth);
+      pool?.add?.(txt);
     }
 
+    // The language can change mid-run (pause → settings).
+    if (fallback) txt.setFontFamily(localeFontFamily('monospace'));
+
     // Reset display properties so reused text looks fresh.
     txt.setActive(true)
        .setVisible(true)
        .setAlpha(1)
        .setScale(1)
-       .setAngle(Phaser.Math.Between(-8, 8)); // slight random tilt → organic feel
+       .setAngle(getRng(this.scene, 'cosmetic').between(-8, 8)); // slight random tilt → organic feel
 
     return txt;
   }
@@ -63,14 +97,20 @@ export class DamageNumberSystem {
    * Handles tinting, crit scaling, upward float animation, and fade-out.
    */
   pop(x, y, value, { tint = null, crit = false, vy = -22, duration = 600 } = {}) {
-    const txt = this._acquire();
+    if (!shouldShowDamageNumber({ crit })) return;
+
+    if (this._destroyed || !this.scene) return;
+    const label = Number.isFinite(value) ? formatNumber(value, { useGrouping: false }) : String(value);
+
+    const txt = this._acquire(!this._fontCovers(label));
     if (!txt) return; // Scene may be shutting down → safe exit.
 
     // Apply text and small jitter to avoid perfectly aligned spam.
-    txt.setText(String(value))
+    const rng = getRng(this.scene, 'cosmetic');
+    txt.setText(label)
        .setPosition(
-         x + Phaser.Math.Between(-4, 4),
-         y + Phaser.Math.Between(-6, 2)
+         x + rng.between(-4, 4),
+         y + rng.between(-6, 2)
        );
 
     // Color (damage = red-ish, heal = green-ish, crit = gold-ish).
@@ -129,6 +169,7 @@ export class DamageNumberSystem {
     if (this._destroyed) return;
     this._destroyed = true;
     this.pool = null;
+    this.fallbackPool = null;
     this.scene = null;
   }
 }
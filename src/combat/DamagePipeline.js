@@ -1,4 +1,27 @@
 import { resolveMobConfig } from '../mob/MobRegistry.js';
+import { StatusEffectRegistry } from '../status/StatusEffectRegistry.js';
+import { flashHit } from '../ui/AccessibilitySettings.js';
+
+// Damage-number colour for hits that a shield partly or fully soaked.
+const SHIELDED_HIT_TINT = 0x6fc3ff;
+
+/**
+ * Drain the target's ally shield (see supportAllies in MobAI) by up to
+ * `damage`, dropping it once expired. Returns the amount absorbed.
+ */
+function absorbShield(target, damage, now) {
+  const shield = target._shieldHp ?? 0;
+  if (!(shield > 0) || damage <= 0) return 0;
+
+  if (Number.isFinite(target._shieldExpiresAt) && now >= target._shieldExpiresAt) {
+    target._shieldHp = 0;
+    return 0;
+  }
+
+  const absorbed = Math.min(shield, damage);
+  target._shieldHp = shield - absorbed;
+  return absorbed;
+}
 
 /**
  * DamagePipeline manages all combat damage logic against enemies:
@@ -26,6 +49,16 @@ export class DamagePipeline {
 
     // FX system handles hit pop, particles, bursts
     this.fxSystem = options.fxSystem;
+
+    // Status effects (burn, chill, ...) carried by weapon payloads
+    this.statusEffects = options.statusEffects ?? null;
+  }
+
+  /**
+   * Allows late binding the status effect system.
+   */
+  setStatusEffects(statusEffects) {
+    this.statusEffects = statusEffects ?? null;
   }
 
   /**
@@ -40,31 +73,42 @@ export class DamagePipeline {
    *
    * @param {Phaser.GameObjects.Sprite} target - The enemy being hit.
    * @param {Object} payload - Damage metadata. Expected: { damage: number }.
+   *   Optional `status` array rolls status effects on surviving targets;
+   *   `isStatusTick` + `statusKey` mark damage-over-time ticks from StatusEffectSystem.
    */
   applyHit(target, payload = {}) {
     if (!target || !target.active) return; // Ignore missing or recycled objects
 
+    const isStatusTick = payload?.isStatusTick === true;
+
+    // DoT ticks were tuned as final values; passives already scaled the hit that applied them.
     const passiveManager = this.scene.passiveManager;
-    if (passiveManager?.applyDamageModifiers) {
+    if (!isStatusTick && passiveManager?.applyDamageModifiers) {
       payload = passiveManager.applyDamageModifiers(payload, { target, source: 'weapon' });
     }
 
     const enemyHpBefore = target?.hp ?? target?.health?.hp ?? null;
 
-    const raw = payload?.damage ?? 0;
+    const vulnerabilityMult = this.statusEffects?.getDamageTakenMultiplier?.(target) ?? 1;
+    // Armored elites (EliteAffixSystem) take reduced damage.
+    const armorMult = target._elite?.damageTakenMult ?? 1;
+    const raw = (payload?.damage ?? 0) * vulnerabilityMult * armorMult;
     // integer snap with epsilon (fast, predictable)
-    const damage = raw > 0 ? (Math.round(raw + 1e-6) | 0) : 0;
+    const rounded = raw > 0 ? (Math.round(raw + 1e-6) | 0) : 0;
+    const absorbed = absorbShield(target, rounded, this.scene?.time?.now ?? 0);
+    const damage = rounded - absorbed;
     target.hp -= damage;
 
+    const statusTint = isStatusTick ? StatusEffectRegistry[payload?.statusKey]?.tint : null;
     this.scene.damageNumbers?.hitEntity(target, damage, {
-      tint: payload?.crit ? 0xffd54a : 0xff4d4d,
+      tint: statusTint ?? (absorbed > 0 ? SHIELDED_HIT_TINT : payload?.crit ? 0xffd54a : 0xff4d4d),
       crit: !!payload?.crit
     });
 
-
-    // Visual feedback: brief white flash
-    target.setTintFill(0xffffff);
-    this.scene.time.delayedCall(40, () => target.clearTint());
+    // Visual feedback: brief white flash (skipped for DoT ticks so status tints stay readable)
+    if (!isStatusTick) {
+      flashHit(this.scene, target, 40, () => this._restoreTint(target));
+    }
 
     const enemyHpAfter = target?.hp ?? target?.health?.hp ?? null;
 
@@ -85,13 +129,22 @@ export class DamagePipeline {
         mobKey,
         enemy: target,
         damage: effectiveDamage,
-        wasCrit: !!payload?.crit
+        wasCrit: !!payload?.crit,
+        statusKey: isStatusTick ? (payload?.statusKey ?? null) : null
       });
 
     }
 
+    // Roll weapon-declared status effects on survivors
+    if (target.hp > 0 && !isStatusTick && payload?.status?.length) {
+      this.statusEffects?.applyFromPayload?.(target, payload.status, {
+        sourceKey: payload?.sourceKey ?? null
+      });
+    }
+
     // If enemy still has HP, optionally play a hit reaction animation
-    if (target.hp > 0) {
+    // (DoT ticks would stun-lock the animation, so they skip it)
+    if (target.hp > 0 && !isStatusTick) {
       const config = resolveMobConfig(target.mobKey);
       const animSet = config?.animationKeys ?? {};
       const hitAnim = animSet.hit;
@@ -114,10 +167,23 @@ export class DamagePipeline {
 
     // If HP <= 0, handle full death flow
     if (target.hp <= 0) {
-      this._handleDeath(target);
+      this._handleDeath(target, payload?.sourceKey ?? null);
     }
   }
 
+  /**
+   * Clear the hit flash, restoring any active status tint.
+   */
+  _restoreTint(target) {
+    if (!target?.active) return;
+    if (this.statusEffects?.refreshTint) {
+      this.statusEffects.refreshTint(target);
+      return;
+    }
+    if (Number.isFinite(target._baseTint)) target.setTint(target._baseTint);
+    else target.clearTint();
+  }
+
   /**
    * Handles full enemy death behavior:
    *  - Plays death animation (if available)
@@ -129,8 +195,9 @@ export class DamagePipeline {
    * manually override XP in here.
    *
    * @param {Phaser.GameObjects.Sprite} enemy
+   * @param {string|null} [weaponKey] - source of the killing blow (credited in run stats)
    */
-  _handleDeath(enemy) {
+  _handleDeath(enemy, weaponKey = null) {
     if (!enemy || enemy._deathHandled) return; // Prevent double-processing
     enemy._deathHandled = true;
 
@@ -139,7 +206,9 @@ export class DamagePipeline {
     const deathAnim = animSet.death;
 
     this.scene.events.emit('enemy:died', {
+      enemy,
       mobKey: enemy.mobKey,
+      weaponKey,
       x: enemy.x,
       y: enemy.y
     });
@@ -147,6 +216,9 @@ export class DamagePipeline {
     // Mark dying state to prevent animation conflicts
     enemy._isDying = true;
 
+    // Lingering DoTs must not tick on a corpse (also unpauses frozen animations)
+    this.statusEffects?.clear?.(enemy, { reason: 'died' });
+
     // Stop enemy motion + disable collisions
     enemy.body?.setVelocity(0, 0);
     enemy.body?.setEnable(false);
@@ -168,14 +240,21 @@ export class DamagePipeline {
       // Explosion-style visual effect at death location (optional)
       this.fxSystem?.explode?.(enemy.x, enemy.y, 14);
 
-      // Determine drop table entry — may include different XP gem tiers
+      // Determine drop table entry — may include different XP gem tiers.
+      // Elites roll the table extra times and drop richer XP gems.
       const xpType = enemy.rewards?.xpType ?? null;
+      const eliteDrops = enemy._elite?.drops;
       if (xpType) {
         // Explicit XP type from mob entry
-        this.dropSpawner?.spawnFromTable?.(enemy.mobKey, enemy.x, enemy.y, { type: xpType });
+        this.dropSpawner?.spawnFromTable?.(enemy.mobKey, enemy.x, enemy.y, { type: xpType }, eliteDrops);
       } else {
         // Standard drop table behavior
-        this.dropSpawner?.spawnFromTable?.(enemy.mobKey, enemy.x, enemy.y);
+        this.dropSpawner?.spawnFromTable?.(enemy.mobKey, enemy.x, enemy.y, {}, eliteDrops);
+      }
+
+      // Elites/bosses can guarantee chests on top of their table rolls
+      if (enemy.rewards?.treasure) {
+        this.dropSpawner?.spawnGuaranteed?.(enemy.rewards.treasure, enemy.x, enemy.y);
       }
 
       // Return enemy object to pool so it can be reused
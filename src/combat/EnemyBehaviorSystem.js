@@ -1,9 +1,14 @@
 import { ENEMY_BEHAVIORS, resolveBoundedNavPair } from '../mob/MobAI.js';
+import { CrowdSteering } from '../mob/CrowdSteering.js';
+import { AiLodScheduler } from '../mob/AiLodScheduler.js';
+import { SpatialHash } from '../core/SpatialHash.js';
 
 /**
  * EnemyBehaviorSystem keeps the per-frame AI loop out of GameScene. The runner
  * simply iterates the active enemy pool and invokes the appropriate behaviour
- * function defined in `MobAI`.
+ * function defined in `MobAI`, then layers crowd separation (CrowdSteering)
+ * on top so swarms don't collapse into one blob. Enemies far outside the view
+ * run at a reduced rate (AiLodScheduler).
  */
 export class EnemyBehaviorSystem {
   /**
@@ -26,8 +31,17 @@ export class EnemyBehaviorSystem {
       seekAndFire: 'seekAndFireBounded',
       circlePlayer: 'circlePlayerBounded',
       legionMember: 'legionMemberBounded',
+      kiteAndFire: 'kiteAndFireBounded',
+      chargeAtPlayer: 'chargeAtPlayerBounded',
+      summonMinions: 'summonMinionsBounded',
+      supportAllies: 'supportAlliesBounded',
     };
 
+    // Neighbour repulsion applied after each behaviour.
+    this.crowd = new CrowdSteering();
+    // Distance-based update throttling; bucket sizes feed the debug overlay.
+    this.lod = new AiLodScheduler();
+
     // Debug toggles
     this.debugStuckMobs = false;
     this.debugStuckThrottleMs = 1000; // per-mob throttle
@@ -72,6 +86,18 @@ export class EnemyBehaviorSystem {
     return behaviors[resolvedKey] ?? behaviors[this._defaultSeekKey];
   }
 
+  /**
+   * Run one enemy's configured behaviour for a single frame. Boss controllers
+   * use this to hand movement back to MobAI between scripted attacks.
+   */
+  runBehavior(enemy, dt) {
+    const scene = this.scene;
+    const heroSprite = this.hero ?? scene?.player ?? scene?.hero?.sprite;
+    if (!enemy?.active || !heroSprite || !scene) return;
+
+    this._resolveBehavior(enemy)(enemy, heroSprite, scene, dt);
+  }
+
   /** Iterate every active enemy and run its configured AI behaviour. */
   update(dt) {
     const group = this.enemyGroup;
@@ -84,14 +110,37 @@ export class EnemyBehaviorSystem {
     const dtMs = Number(dt);
     const nowMs = scene?.time?.now ?? 0;
 
+    // stepSimulation rebuilt the enemy index at the top of this tick.
+    this.crowd.useIndex(SpatialHash.forGroup(group));
+    this.lod.beginTick(scene, heroSprite);
+
     group.children?.iterate?.((enemy) => {
       if (!enemy || !enemy.active || enemy._isDying) return;
       if (enemy._bossController) return;
 
+      // Frozen/stunned enemies hold position until StatusEffectSystem releases them.
+      const statusEffects = scene.statusEffects;
+      if (statusEffects?.isStunned?.(enemy)) {
+        this.crowd.restore(enemy);
+        enemy.body?.setVelocity?.(0, 0);
+        return;
+      }
+
+      // Off-screen buckets sit most ticks out, coasting on last velocity.
+      const stepDt = this.lod.schedule(enemy, dt);
+      if (stepDt == null) return;
+
       const behavior = this._resolveBehavior(enemy);
 
-      // Run AI
-      behavior(enemy, heroSprite, scene, dt);
+      // Run AI (separation, then slows, are applied on top of whatever velocity
+      // the behaviour chose; both are undone in reverse order first)
+      statusEffects?.restoreBaseVelocity?.(enemy);
+      this.crowd.restore(enemy);
+      behavior(enemy, heroSprite, scene, stepDt);
+      if (enemy.active) {
+        this.crowd.apply(enemy);
+        statusEffects?.applyVelocityModifiers?.(enemy);
+      }
 
       // -----------------------------
       // Debug: log only enemies that are stuck
@@ -117,6 +166,10 @@ export class EnemyBehaviorSystem {
 
   /** Clear references so the garbage collector can reclaim the runner during scene shutdown. */
   destroy() {
+    this.crowd?.destroy();
+    this.crowd = null;
+    this.lod?.destroy();
+    this.lod = null;
     this.scene = null;
     this.enemyGroup = null;
     this.hero = null;
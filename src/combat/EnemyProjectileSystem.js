@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { shakeCamera } from '../ui/AccessibilitySettings.js';
 
 /**
  * EnemyProjectileSystem
@@ -262,7 +263,7 @@ export class EnemyProjectileSystem {
           const explosionDamage = Math.max(1, Math.round(baseDamage * damageMult));
           const tookDamage = heroHealth?.damage?.(explosionDamage, { ignoreIFrames: this.ignoreHeroIFrames });
           if (tookDamage) {
-            this.scene.cameras?.main?.shake?.(150, 0.004);
+            shakeCamera(this.scene.cameras?.main, 150, 0.004);
           }
         }
       }
@@ -409,7 +410,7 @@ export class EnemyProjectileSystem {
     }
 
     if (tookDamage) {
-      this.scene.cameras?.main?.shake?.(150, 0.004);
+      shakeCamera(this.scene.cameras?.main, 150, 0.004);
     }
 
     if (explosionCfg) {
@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { flashHit } from '../ui/AccessibilitySettings.js';
 
 /**
  * Tracks and mutates the hit points for a single entity while handling
@@ -26,6 +27,7 @@ export class HealthSystem {
     this.iFrameDuration = iFrameDuration;
     this.invincibleUntil = 0;
     this.dead = false;
+    this.damageTakenMult = 1;
 
     this._onShutdown = () => this.destroy();
     scene.events.once(Phaser.Scenes.Events.SHUTDOWN, this._onShutdown);
@@ -57,6 +59,31 @@ export class HealthSystem {
     this.iFrameDuration = Math.max(0, next);
   }
 
+  /**
+   * Scale every incoming hit (difficulty presets). Values <= 0 are ignored.
+   */
+  setDamageTakenMult(mult = 1) {
+    const next = Number(mult);
+    if (!Number.isFinite(next) || next <= 0) return;
+    this.damageTakenMult = next;
+  }
+
+  /**
+   * Change the maximum without a full reset. Raising it grants the added
+   * hit points; lowering it clamps current health.
+   */
+  setMaxHealth(maxHealth) {
+    const next = Number(maxHealth);
+    if (!Number.isFinite(next) || next <= 0 || next === this.maxHealth) return;
+
+    const gained = next - this.maxHealth;
+    this.maxHealth = next;
+    if (!this.dead) {
+      this.health = Phaser.Math.Clamp(this.health + Math.max(0, gained), 0, next);
+    }
+    this._emitHealthChanged();
+  }
+
   /**
    * Restores the entity to full health and clears invincibility timers.
    * Used when the scene restarts or if the player obtains a full heal power-up.
@@ -69,6 +96,18 @@ export class HealthSystem {
     this._emitHealthChanged();
   }
 
+  /**
+   * Set current health directly (resuming a suspended run), clamped to
+   * 1..max so a restore can never kill the entity.
+   */
+  setHealth(value) {
+    const next = Number(value);
+    if (this.dead || !Number.isFinite(next)) return;
+
+    this.health = Phaser.Math.Clamp(next, 1, this.maxHealth);
+    this._emitHealthChanged();
+  }
+
   /**
    * Adds the given amount of health, clamped to the configured maximum.
    * Returns `true` if the value changed, allowing callers to gate SFX/FX.
@@ -100,15 +139,16 @@ export class HealthSystem {
 
     this.invincibleUntil = now + this.iFrameDuration;
 
-    // Hurt flash
-    if (this.entity?.setTintFill) {
-      this.entity.setTintFill(0xffffff);
-      this.scene.time.delayedCall(80, () => this.entity?.clearTint());
-    }
+    // Hurt flash (off when the player disables hit flashes)
+    flashHit(this.scene, this.entity, 80, () => this.entity?.clearTint());
 
-    this.health = Math.max(0, this.health - amount);
+    // Keep whole-number HP when a multiplier is active so UI numbers stay clean.
+    const dealt = this.damageTakenMult === 1
+      ? amount
+      : Math.max(1, Math.round(amount * this.damageTakenMult));
+    this.health = Math.max(0, this.health - dealt);
     this._emitHealthChanged();
-    this.scene.damageNumbers?.hitEntity(this.entity, amount, { tint: 0xffffff });
+    this.scene.damageNumbers?.hitEntity(this.entity, dealt, { tint: 0xffffff });
 
     if (this.health <= 0) {
       this.dead = true;
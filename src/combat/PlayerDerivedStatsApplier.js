@@ -21,13 +21,19 @@ export class PlayerDerivedStatsApplier {
 
   applyAggregate(aggregate = {}) {
     const health = this.hero?.health;
-    if (!health?.setIFrameDurationMs) return;
+    if (!health) return;
 
     const baseIFrame = this.heroEntry?.stats?.iframeMs ?? 0;
     const bonus = aggregate?.iframeMsBonus ?? 0;
-    if (!Number.isFinite(baseIFrame) || !Number.isFinite(bonus)) return;
+    if (health.setIFrameDurationMs && Number.isFinite(baseIFrame) && Number.isFinite(bonus)) {
+      health.setIFrameDurationMs(baseIFrame + bonus);
+    }
 
-    health.setIFrameDurationMs(baseIFrame + bonus);
+    const baseMaxHealth = this.heroEntry?.stats?.maxHealth;
+    const maxHealthBonus = aggregate?.maxHealthFlat ?? 0;
+    if (health.setMaxHealth && Number.isFinite(baseMaxHealth) && Number.isFinite(maxHealthBonus)) {
+      health.setMaxHealth(baseMaxHealth + maxHealthBonus);
+    }
   }
 
   applyNow() {
@@ -17,6 +17,8 @@ export const CONFIG = {
     DROP_TTL_MS: 25000,
     // Optional culling distance from the player (px). Set to 0 to disable.
     MAX_KEEP_DISTANCE: 1600,
+    // How often (ms) MagnetSystem sweeps every drop for the two culls above.
+    EXPIRY_CHECK_MS: 250,
     // Delay after spawn before the magnet force activates (lets death sprays
     // breathe for a brief moment).
     MAGNET_DELAY_MS: 250,
@@ -57,13 +59,21 @@ export const CONFIG = {
         damagePctPerLevel: 0.2,
         cooldownPctPerLevel: 0
       }
+    },
+    // Recipes live in weapons/WeaponEvolutionRegistry.js.
+    EVOLUTION: {
+      offerOnLevelUp: true,
+      grantFromTreasure: true
     }
   },
 
+  // Global baseline; run presets in run/DifficultyRegistry.js multiply on top.
   DIFFICULTY: {
     playerDamageMult: 1.0,
     enemyHealthMult: 1.0,
-    xpRateMult: 1.0
+    enemyDamageMult: 1.0,
+    xpRateMult: 1.0,
+    spawnPressureMult: 1.0
   },
 
   COMBAT: {
@@ -109,7 +119,165 @@ export const LEVEL_UP = Object.freeze({
 
   // Defensive runtime enforcement in PassiveManager.addPassive.
   // Keep enabled for gameplay, disable temporarily for debug tooling if needed.
-  enforcePassiveStackLevelGate: true
+  enforcePassiveStackLevelGate: true,
+
+  // --- Modal actions (R reroll / X skip / B banish) ---
+
+  // Charges per run. Heroes override any of these via `levelUpActions` in
+  // HeroRegistry; the Fateweaver meta upgrade adds reroll charges on top.
+  actionCharges: {
+    reroll: 1,
+    skip: 1,
+    banish: 1
+  },
+
+  // Skipping converts the level-up into XP (share of the next level's
+  // requirement) plus run gold, which is banked as meta currency.
+  skipReward: {
+    xpPctOfNext: 0.2,
+    gold: 2
+  }
+});
+
+// Shared tuning for treasure chest rewards (see progression/TreasureRewards.js).
+export const TREASURE = Object.freeze({
+  // How many rewards each chest tier grants. Keys match DropRegistry treasure types.
+  rewardsByTier: {
+    treasure_1: 1,
+    treasure_2: 2,
+    treasure_3: 3,
+    treasure_4: 4,
+    treasure_5: 5
+  },
+
+  // Relative odds per grant. Upgrades are favoured so chests feel like "power spikes"
+  // rather than a second level-up screen.
+  rewardWeights: {
+    upgrade: 3,
+    newWeapon: 1,
+    passive: 1
+  },
+
+  // Granted when nothing else is eligible (everything maxed / no slots left).
+  fallbackRestoreAmount: 'percent:25'
+});
+
+// Persistent meta-progression (see meta/MetaUpgradeRegistry.js for the shop).
+// Currency is banked when a run ends: kills + minutes survived + gold picked up.
+export const META = Object.freeze({
+  currencyNameKey: 'meta.currencyName',
+  perKill: 0.02,
+  perMinuteSurvived: 4,
+  perGold: 1,
+  winBonus: 25
+});
+
+// Run history (see run/RunHistory.js and the Records scene). Personal records
+// are kept separately, so they survive old runs rolling off the list.
+export const HISTORY = Object.freeze({
+  maxRuns: 50,
+  // Weapons kept per run in the stored damage breakdown (highest damage first).
+  maxWeaponsPerRun: 10
+});
+
+// Suspended runs (see run/SuspendedRun.js and scenes/game/runSnapshot.js).
+// Live enemies and drops beyond these caps are not saved; the spawner refills.
+export const SUSPEND = Object.freeze({
+  maxEnemies: 300,
+  maxDrops: 400
+});
+
+// Uniform-grid broadphase over live enemies and drops (see core/SpatialHash.js),
+// rebuilt at the start of every simulation tick.
+export const SPATIAL = Object.freeze({
+  // Cell size (px); close to the common query radius keeps lookups to a few cells.
+  cellSize: 64,
+  // Extra reach (px) for anything that moved after the rebuild (timer callbacks
+  // fire before the next tick's rebuild).
+  slack: 16
+});
+
+// Crowd separation layered on every enemy behaviour (see mob/CrowdSteering.js).
+// Mobs tune or opt out through `aiParams.separation` in MobRegistry.
+export const CROWD = Object.freeze({
+  enabled: true,
+  // Gap kept between body edges (px).
+  padding: 4,
+  // Strongest push, as a share of the mob's own speed.
+  strength: 0.9,
+  // Overlapping neighbours counted per enemy; caps the cost inside dense blobs.
+  maxNeighbors: 8,
+  // Share of the neighbours' average velocity blended in (flyers opt in per mob).
+  alignment: 0,
+  // Behaviours that already hold their own spacing (formation slots).
+  skipBehaviors: ['legionMember']
+});
+
+// Enemy AI level of detail (see mob/AiLodScheduler.js). Buckets are matched in
+// order by distance (px) outside the view; a bucket runs each enemy's behaviour
+// every `interval` ticks, staggered round-robin, holding velocity in between.
+export const AI_LOD = Object.freeze({
+  enabled: true,
+  buckets: [
+    // On screen plus a margin: every tick, with facing/animation updates.
+    { within: 96, interval: 1 },
+    { within: 640, interval: 3 },
+    { within: Infinity, interval: 6 }
+  ]
+});
+
+// Elite affixes rolled onto spawning enemies (see elite/EliteAffixSystem.js;
+// the affixes themselves live in elite/EliteAffixRegistry.js).
+export const ELITE_AFFIXES = Object.freeze({
+  enabled: true,
+  // Run-time steps: the last one whose `fromMs` has passed sets the odds that
+  // a spawn turns elite and how many affixes it can carry.
+  schedule: [
+    { fromMs: 0, chance: 0, maxAffixes: 0 },
+    { fromMs: 60_000, chance: 0.01, maxAffixes: 1 },
+    { fromMs: 180_000, chance: 0.02, maxAffixes: 1 },
+    { fromMs: 360_000, chance: 0.035, maxAffixes: 2 },
+    { fromMs: 600_000, chance: 0.05, maxAffixes: 3 }
+  ],
+  // Registry elites (cocodemon_elite, ...) roll at this chance once unlocked.
+  eliteTierChance: 0.4,
+  // Bosses keep their scripted fights.
+  excludeTiers: ['boss'],
+  // Per affix carried: extra HP, extra drop-table rolls and XP gem value.
+  hpMultPerAffix: 0.5,
+  extraRollsPerAffix: 1,
+  xpMultPerAffix: 0.5,
+  // Glow outline in the lead affix's colour (WebGL only).
+  outlineStrength: 2
+});
+
+// Opt-in endless continuation after the werewolf finale (see
+// spawn/EndlessDirector.js). Each cycle replays a rotation of the default
+// timeline's spawn events on top of weighted spawns, with enemies that spawn
+// during it growing tougher.
+export const ENDLESS = Object.freeze({
+  cycleSeconds: 120,
+  // Breather between the boss falling and the first cycle.
+  startDelaySeconds: 8,
+  eventsPerCycle: 4,
+  // Compounding enemy multipliers per cycle, on top of the difficulty preset.
+  hpGrowthPerCycle: 0.25,
+  damageGrowthPerCycle: 0.12,
+  // Every Nth cycle opens with a timeline boss.
+  bossEveryCycles: 2
+});
+
+// Controller tuning (see input/GamepadInput.js).
+export const INPUT = Object.freeze({
+  gamepad: {
+    // Radial left-stick deadzone (0..1); input past it is rescaled to 0..1.
+    deadzone: 0.2,
+    // Stick deflection that counts as a menu direction press.
+    navThreshold: 0.55,
+    // Held direction auto-repeat in menus.
+    navRepeatDelayMs: 350,
+    navRepeatMs: 140
+  }
 });
 
 // Dev-only helpers for fast-forwarding runs and booting with predefined loadouts.
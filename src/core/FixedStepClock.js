@@ -0,0 +1,120 @@
+import Phaser from 'phaser';
+
+/** Length of one simulated frame in ms. */
+export const FIXED_STEP_MS = 1000 / 60;
+
+// After a stall (background tab, debugger) drop the backlog instead of fast-forwarding through it.
+const MAX_STEPS_PER_FRAME = 4;
+
+// Game → its clock, so scenes can rewind it without holding a reference.
+const CLOCK_BY_GAME = new WeakMap();
+
+/**
+ * FixedStepClock
+ *
+ * Steps a Phaser game in equal frames on a clock of its own. Each step
+ * rewrites the loop's `time`/`now`/`delta` before running the frame, because
+ * scene clocks copy `game.loop.time` when a scene boots or starts and input
+ * reads `game.loop.now`; left alone those hold wall-clock values, so two runs
+ * of one seed would start their cooldowns and timers from different times.
+ *
+ * The frame time is `frame * stepMs` rather than a running sum, so a given
+ * frame always lands on the same timestamp.
+ *
+ * In the browser `attach()` takes over the game loop: real elapsed time fills
+ * an accumulator that is spent in whole steps, so physics, cooldowns and
+ * timers integrate the same dt whatever the display's frame pacing. That is
+ * what lets a RunRecorder replay land every input on the frame it was
+ * recorded on. The balance sim calls `step()` directly.
+ *
+ * GameScene calls `restart()` from create(), so every run starts on frame 0
+ * like a balance-sim seed does; a seed then sees the same timestamps however
+ * long the game had been open. Scene starts queued by other scenes are run
+ * before the frame advances, so that rewind lands before the frame's time is
+ * handed out.
+ */
+export class FixedStepClock {
+  /**
+   * @param {Phaser.Game} game
+   * @param {number} [stepMs=FIXED_STEP_MS]
+   */
+  constructor(game, stepMs = FIXED_STEP_MS) {
+    this.game = game;
+    this.stepMs = stepMs;
+    this.frame = 0;
+    this._pendingMs = 0;
+    CLOCK_BY_GAME.set(game, this);
+  }
+
+  /**
+   * The clock stepping `game`, or null (e.g. a game that runs on Phaser's own loop).
+   * @param {Phaser.Game} game
+   * @returns {FixedStepClock|null}
+   */
+  static forGame(game) {
+    return (game && CLOCK_BY_GAME.get(game)) ?? null;
+  }
+
+  /** Timestamp of the last stepped frame. */
+  get now() {
+    return this.frame * this.stepMs;
+  }
+
+  /** Rewind to frame 0 so the next scene started sees the same times as the last one. */
+  restart() {
+    this.frame = 0;
+    this._pendingMs = 0;
+    this._syncLoop(0);
+  }
+
+  /**
+   * Drive the game from its RAF loop. Call before the game boots: Game.start()
+   * binds `game.step` as the loop callback.
+   * @returns {FixedStepClock}
+   */
+  attach() {
+    this.game.step = (time, delta) => this.advance(delta);
+    return this;
+  }
+
+  /**
+   * Spend real elapsed time in whole steps; only the last step of a catch-up
+   * burst is drawn. A display faster than the step rate simply skips frames.
+   * @param {number} elapsedMs
+   */
+  advance(elapsedMs) {
+    const cap = this.stepMs * MAX_STEPS_PER_FRAME;
+    this._pendingMs = Math.min(this._pendingMs + Math.max(0, Number(elapsedMs) || 0), cap);
+
+    while (this._pendingMs >= this.stepMs) {
+      this._pendingMs -= this.stepMs;
+      this.step({ render: this._pendingMs < this.stepMs });
+    }
+  }
+
+  /**
+   * Advance one frame.
+   * @param {{ render?: boolean }} [options] - false runs Game.headlessStep (no drawing)
+   */
+  step({ render = true } = {}) {
+    // Phaser would start queued scenes inside the step, after this frame's time is set.
+    this.game.scene?.processQueue?.();
+
+    this.frame += 1;
+    const time = this.now;
+    this._syncLoop(time);
+
+    // The prototype methods, since attach() replaces game.step.
+    const draw = render && this.game.renderer;
+    const run = draw ? Phaser.Game.prototype.step : Phaser.Game.prototype.headlessStep;
+    run.call(this.game, time, this.stepMs);
+  }
+
+  _syncLoop(time) {
+    const loop = this.game.loop;
+    loop.time = time;
+    loop.now = time;
+    loop.delta = this.stepMs;
+    loop.rawDelta = this.stepMs;
+  }
+}
@@ -0,0 +1,357 @@
+import { SPATIAL } from '../config/gameConfig.js';
+
+// Keeps the grid key numeric: fine for maps up to ±2M px at the default cell size.
+const CELL_OFFSET = 32768;
+const cellKey = (cx, cy) => (cx + CELL_OFFSET) * 65536 + (cy + CELL_OFFSET);
+
+// Group → the index that last rebuilt from it, so shared helpers can find it.
+const INDEX_BY_GROUP = new WeakMap();
+
+function clockMs() {
+  if (typeof performance !== 'undefined' && typeof performance.now === 'function') {
+    return performance.now();
+  }
+  return Date.now();
+}
+
+/** Half-width of the item's physics body (or sprite), used for `maxExtent`. */
+function extentOf(item) {
+  return Number(item?.body?.halfWidth) || Number(item?.displayWidth) / 2 || 0;
+}
+
+const byDistance = (a, b) => a.d2 - b.d2;
+
+/**
+ * SpatialHash
+ *
+ * Uniform-grid broadphase over the active children of a Phaser group.
+ * GameScene keeps one for enemies and one for drops and rebuilds both at the
+ * start of every stepSimulation tick; targeting, AoE, chain hops, pickups and
+ * crowd steering query it instead of scanning the whole pool.
+ *
+ * Items are bucketed by the position they had at rebuild time, while every
+ * query tests the item's current position. Cell lookups reach SPATIAL.slack
+ * further to cover anything that moved since. Items spawned after the rebuild
+ * show up on the next tick; released ones are skipped through `active`.
+ *
+ * Use `SpatialHash.forGroup(group)` to find the index for a group, and fall
+ * back to a linear scan when it returns null (nothing indexed it yet).
+ */
+export class SpatialHash {
+  /**
+   * @param {{ cellSize?: number, slack?: number }} [options]
+   */
+  constructor({ cellSize = SPATIAL.cellSize, slack = SPATIAL.slack } = {}) {
+    this.cellSize = Math.max(8, cellSize);
+    this.slack = Math.max(0, slack);
+    this.group = null;
+    this.count = 0;
+    // Widest item half-width seen on the last rebuild.
+    this.maxExtent = 0;
+
+    this._cells = new Map();
+    this._spareBuckets = [];
+    this._bounds = { minCx: 0, maxCx: -1, minCy: 0, maxCy: -1 };
+    this._scratch = [];
+
+    // Counters for the tick in progress; `stats` holds the last finished tick.
+    this._queries = 0;
+    this._tested = 0;
+    this.stats = { items: 0, cells: 0, queries: 0, tested: 0, rebuildMs: 0 };
+  }
+
+  /**
+   * The index that last rebuilt from `group`, or null.
+   * @param {Phaser.GameObjects.Group} group
+   * @returns {SpatialHash|null}
+   */
+  static forGroup(group) {
+    return (group && INDEX_BY_GROUP.get(group)) ?? null;
+  }
+
+  /** Re-bucket every active child of `group` at its current position. */
+  rebuild(group) {
+    const started = clockMs();
+    this._reset();
+
+    if (group && this.group !== group) {
+      if (this.group) INDEX_BY_GROUP.delete(this.group);
+      INDEX_BY_GROUP.set(group, this);
+    }
+    this.group = group ?? null;
+
+    const size = this.cellSize;
+    const bounds = this._bounds;
+    group?.children?.iterate?.((item) => {
+      if (!item?.active) return;
+
+      const cx = Math.floor(item.x / size);
+      const cy = Math.floor(item.y / size);
+      const key = cellKey(cx, cy);
+      let bucket = this._cells.get(key);
+      if (!bucket) {
+        bucket = this._spareBuckets.pop() ?? [];
+        this._cells.set(key, bucket);
+      }
+      bucket.push(item);
+
+      if (this.count === 0) {
+        bounds.minCx = bounds.maxCx = cx;
+        bounds.minCy = bounds.maxCy = cy;
+      } else {
+        if (cx < bounds.minCx) bounds.minCx = cx;
+        if (cx > bounds.maxCx) bounds.maxCx = cx;
+        if (cy < bounds.minCy) bounds.minCy = cy;
+        if (cy > bounds.maxCy) bounds.maxCy = cy;
+      }
+      this.count += 1;
+      this.maxExtent = Math.max(this.maxExtent, extentOf(item));
+    });
+
+    this.stats.items = this.count;
+    this.stats.cells = this._cells.size;
+    this.stats.rebuildMs = clockMs() - started;
+  }
+
+  /**
+   * Active items within `radius` of (x, y).
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @param {Array} [out] - Appended to and returned, so hot paths can reuse one array.
+   * @param {(item:any) => boolean} [filter]
+   * @returns {Array}
+   */
+  queryRadius(x, y, radius, out = [], filter = null) {
+    this._queries += 1;
+    const r = Math.max(0, radius);
+    const rSq = r * r;
+    this._visit(x - r, y - r, x + r, y + r, (item) => {
+      const dx = item.x - x;
+      const dy = item.y - y;
+      if (dx * dx + dy * dy <= rSq && (!filter || filter(item))) out.push(item);
+    });
+    return out;
+  }
+
+  /**
+   * Active items inside the axis-aligned rectangle.
+   * @param {number} x - Left edge.
+   * @param {number} y - Top edge.
+   * @param {number} width
+   * @param {number} height
+   * @param {Array} [out]
+   * @param {(item:any) => boolean} [filter]
+   * @returns {Array}
+   */
+  queryRect(x, y, width, height, out = [], filter = null) {
+    this._queries += 1;
+    const right = x + width;
+    const bottom = y + height;
+    this._visit(x, y, right, bottom, (item) => {
+      if (item.x < x || item.x > right || item.y < y || item.y > bottom) return;
+      if (!filter || filter(item)) out.push(item);
+    });
+    return out;
+  }
+
+  /**
+   * Active items within `radius` whose direction from (x, y) is at most
+   * `halfAngle` radians off `facing`. A non-finite facing matches every direction.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} facing - Cone direction in radians.
+   * @param {number} halfAngle - Half the cone's opening, in radians.
+   * @param {number} radius
+   * @param {Array} [out]
+   * @param {(item:any) => boolean} [filter]
+   * @returns {Array}
+   */
+  queryCone(x, y, facing, halfAngle, radius, out = [], filter = null) {
+    this._queries += 1;
+    const r = Math.max(0, radius);
+    const rSq = r * r;
+    const directional = Number.isFinite(facing) && halfAngle < Math.PI;
+    const dirX = directional ? Math.cos(facing) : 0;
+    const dirY = directional ? Math.sin(facing) : 0;
+    const minDot = Math.cos(Math.max(0, halfAngle));
+
+    this._visit(x - r, y - r, x + r, y + r, (item) => {
+      const dx = item.x - x;
+      const dy = item.y - y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq > rSq) return;
+      if (directional && distSq > 0) {
+        const dist = Math.sqrt(distSq);
+        if ((dx * dirX + dy * dirY) / dist < minDot) return;
+      }
+      if (!filter || filter(item)) out.push(item);
+    });
+    return out;
+  }
+
+  /**
+   * Closest active item to (x, y), optionally within `range`.
+   * Searches outward ring by ring and stops once no closer cell remains.
+   * @returns {any|null}
+   */
+  nearest(x, y, range = Infinity, filter = null) {
+    this._queries += 1;
+    const maxRangeSq = Number.isFinite(range) ? range * range : Infinity;
+    let best = null;
+    let bestSq = Infinity;
+
+    this._rings(x, y, range, (ring) => {
+      this._scanRing(x, y, ring, (item) => {
+        const dx = item.x - x;
+        const dy = item.y - y;
+        const d2 = dx * dx + dy * dy;
+        if (d2 < bestSq && d2 <= maxRangeSq && (!filter || filter(item))) {
+          bestSq = d2;
+          best = item;
+        }
+      });
+      return best != null && this._ringClearSq(ring) > bestSq;
+    });
+
+    return best;
+  }
+
+  /**
+   * Up to `count` active items closest to (x, y), nearest first.
+   * @returns {Array<{ item: any, d2: number }>} Entries with squared distance.
+   */
+  nearestN(x, y, count, range = Infinity, filter = null) {
+    this._queries += 1;
+    const found = this._scratch;
+    found.length = 0;
+    if (!(count > 0)) return [];
+
+    const maxRangeSq = Number.isFinite(range) ? range * range : Infinity;
+    this._rings(x, y, range, (ring) => {
+      this._scanRing(x, y, ring, (item) => {
+        const dx = item.x - x;
+        const dy = item.y - y;
+        const d2 = dx * dx + dy * dy;
+        if (d2 <= maxRangeSq && (!filter || filter(item))) found.push({ item, d2 });
+      });
+      if (found.length < count) return false;
+      found.sort(byDistance);
+      return this._ringClearSq(ring) > found[count - 1].d2;
+    });
+
+    found.sort(byDistance);
+    const result = found.slice(0, count);
+    found.length = 0;
+    return result;
+  }
+
+  /** Per-tick perf counters from the last finished tick. */
+  getStats() {
+    return this.stats;
+  }
+
+  destroy() {
+    this._reset();
+    if (this.group) INDEX_BY_GROUP.delete(this.group);
+    this.group = null;
+    this._spareBuckets.length = 0;
+  }
+
+  _reset() {
+    this._cells.forEach((bucket) => {
+      bucket.length = 0;
+      this._spareBuckets.push(bucket);
+    });
+    this._cells.clear();
+    this.count = 0;
+    this.maxExtent = 0;
+    this._bounds.maxCx = this._bounds.minCx - 1;
+    this._bounds.maxCy = this._bounds.minCy - 1;
+
+    this.stats.queries = this._queries;
+    this.stats.tested = this._tested;
+    this._queries = 0;
+    this._tested = 0;
+  }
+
+  /** Call fn for every active item bucketed in cells overlapping the (slack-padded) box. */
+  _visit(left, top, right, bottom, fn) {
+    if (this.count === 0) return;
+    const size = this.cellSize;
+    const pad = this.slack;
+    const bounds = this._bounds;
+    const minCx = Math.max(bounds.minCx, Math.floor((left - pad) / size));
+    const maxCx = Math.min(bounds.maxCx, Math.floor((right + pad) / size));
+    const minCy = Math.max(bounds.minCy, Math.floor((top - pad) / size));
+    const maxCy = Math.min(bounds.maxCy, Math.floor((bottom + pad) / size));
+
+    for (let cx = minCx; cx <= maxCx; cx += 1) {
+      for (let cy = minCy; cy <= maxCy; cy += 1) {
+        this._visitCell(cx, cy, fn);
+      }
+    }
+  }
+
+  _visitCell(cx, cy, fn) {
+    const bucket = this._cells.get(cellKey(cx, cy));
+    if (!bucket) return;
+    for (let i = 0; i < bucket.length; i += 1) {
+      const item = bucket[i];
+      if (!item.active) continue;
+      this._tested += 1;
+      fn(item);
+    }
+  }
+
+  /**
+   * Walk rings 0..N around the query cell until `step(ring)` returns true, the
+   * range (plus slack) is covered, or every occupied cell has been visited.
+   */
+  _rings(x, y, range, step) {
+    if (this.count === 0) return;
+    const size = this.cellSize;
+    const cx = Math.floor(x / size);
+    const cy = Math.floor(y / size);
+    const bounds = this._bounds;
+    const toBounds = Math.max(
+      Math.abs(cx - bounds.minCx),
+      Math.abs(cx - bounds.maxCx),
+      Math.abs(cy - bounds.minCy),
+      Math.abs(cy - bounds.maxCy)
+    );
+    const toRange = Number.isFinite(range)
+      ? Math.ceil((Math.max(0, range) + this.slack) / size)
+      : Infinity;
+    const last = Math.min(toBounds, toRange);
+
+    for (let ring = 0; ring <= last; ring += 1) {
+      if (step(ring)) return;
+    }
+  }
+
+  /** Visit the cells on the square ring `ring` cells away from the cell holding (x, y). */
+  _scanRing(x, y, ring, fn) {
+    const cx = Math.floor(x / this.cellSize);
+    const cy = Math.floor(y / this.cellSize);
+    if (ring === 0) {
+      this._visitCell(cx, cy, fn);
+      return;
+    }
+
+    for (let dx = -ring; dx <= ring; dx += 1) {
+      this._visitCell(cx + dx, cy - ring, fn);
+      this._visitCell(cx + dx, cy + ring, fn);
+    }
+    for (let dy = -ring + 1; dy <= ring - 1; dy += 1) {
+      this._visitCell(cx - ring, cy + dy, fn);
+      this._visitCell(cx + ring, cy + dy, fn);
+    }
+  }
+
+  /** Squared distance nothing beyond `ring` can be closer than (after slack). */
+  _ringClearSq(ring) {
+    const clear = ring * this.cellSize - this.slack;
+    return clear > 0 ? clear * clear : 0;
+  }
+}
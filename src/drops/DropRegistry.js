@@ -1,4 +1,4 @@
-import { CONFIG } from '../config/gameConfig.js';
+import { CONFIG, TREASURE } from '../config/gameConfig.js';
 
 // Default drop type used when one is not explicitly specified.
 export const DEFAULT_DROP_TYPE = 'xp_small';
@@ -25,7 +25,11 @@ const TREASURE_DROP_BEHAVIOR = {
   },
 };
 
-const TREASURE_VALUE = { currency: 'treasure', amount: 0 };
+// Treasure `amount` is the number of rewards the chest grants when opened.
+const makeTreasureValue = (type) => ({
+  currency: 'treasure',
+  amount: TREASURE.rewardsByTier?.[type] ?? 1
+});
 
 const makeTreasureDrop = (type, closedFrame, openFrame) => ({
   texture: 'treasures_sheet',
@@ -38,7 +42,7 @@ const makeTreasureDrop = (type, closedFrame, openFrame) => ({
   scale: CONFIG.XP.SCALE,
   depth: CONFIG.XP.DEPTH,
 
-  value: TREASURE_VALUE,
+  value: makeTreasureValue(type),
   body: { type: 'circle', r: CONFIG.XP.BODY_RADIUS },
   ...TREASURE_DROP_BEHAVIOR,
   audio: null,
@@ -185,6 +189,30 @@ export const DropRegistry = {
     // Time-to-live before the drop despawns (ms)
     lifetimeMs: CONFIG.XP.DROP_TTL_MS
   },
+  // Gold coin: banked as meta currency when the run ends (see META.perGold).
+  gold_coin: {
+    texture: 'gold_coin',
+    frame: 0,
+
+    scale: CONFIG.XP.SCALE,
+    depth: CONFIG.XP.DEPTH,
+
+    value: { currency: 'gold', amount: 1 },
+
+    body: { type: 'circle', r: CONFIG.XP.BODY_RADIUS },
+
+    magnet: {
+      delayMs: CONFIG.XP.MAGNET_DELAY_MS,
+      radius: CONFIG.XP.MAGNET_RADIUS,
+      snapRadius: CONFIG.XP.SNAP_RADIUS,
+      maxSpeed: CONFIG.XP.MAX_SPEED,
+      accel: CONFIG.XP.ACCEL
+    },
+
+    audio: XP_PICKUP_AUDIO,
+
+    lifetimeMs: CONFIG.XP.DROP_TTL_MS
+  },
   treasure_1: makeTreasureDrop('treasure_1', 0, 4),
   treasure_2: makeTreasureDrop('treasure_2', 1, 5),
   treasure_3: makeTreasureDrop('treasure_3', 2, 6),
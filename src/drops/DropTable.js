@@ -28,7 +28,8 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 94 },
       { type: 'xp_large', weight: 5 },
-      { type: 'health_minor', weight: 5 }
+      { type: 'health_minor', weight: 5 },
+      { type: 'gold_coin', weight: 2 }
     ]
   },
 
@@ -38,7 +39,8 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 94 },
       { type: 'xp_large', weight: 5 },
-      { type: 'health_minor', weight: 5 }
+      { type: 'health_minor', weight: 5 },
+      { type: 'gold_coin', weight: 2 }
     ]
   },
 
@@ -51,7 +53,8 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 96 },
       { type: 'xp_large', weight: 3 },
-      { type: 'health_minor', weight: 5 }
+      { type: 'health_minor', weight: 5 },
+      { type: 'gold_coin', weight: 1 }
     ]
   },
 
@@ -64,7 +67,8 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 89 },
       { type: 'xp_large', weight: 10 },
-      { type: 'health_minor', weight: 5 }
+      { type: 'health_minor', weight: 5 },
+      { type: 'gold_coin', weight: 3 }
     ]
   },
 
@@ -78,7 +82,8 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 72 },
       { type: 'xp_large', weight: 25 },
-      { type: 'health_minor', weight: 8 }
+      { type: 'health_minor', weight: 8 },
+      { type: 'gold_coin', weight: 12 }
     ]
   },
 
@@ -88,14 +93,17 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 68 },
       { type: 'xp_large', weight: 30 },
-      { type: 'health_minor', weight: 8 }
+      { type: 'health_minor', weight: 8 },
+      { type: 'gold_coin', weight: 12 }
     ]
   },
 
   /**
    * Bosses: multiple rolls, strong bias toward large XP.
    * Include minor heals, and reserve major heals for the toughest bosses.
-   * Treasure is wired in but disabled in PROD via weight 0 entries.
+   * Gold coins (meta currency) are far likelier here than on regular mobs.
+   * Random treasure is wired in but disabled in PROD via weight 0 entries;
+   * guaranteed chests come from MobRegistry `rewards.treasure` instead.
    */
   evilwizard_boss: {
     selectionMode: 'weighted',
@@ -104,6 +112,7 @@ export const DropTables = {
       { type: 'xp_small', weight: 38 },
       { type: 'xp_large', weight: 60 },
       { type: 'health_minor', weight: 8 },
+      { type: 'gold_coin', weight: 20 },
       ...TREASURE_PROD_DISABLED_ENTRIES,
     ]
   },
@@ -115,6 +124,7 @@ export const DropTables = {
       { type: 'xp_small', weight: 38 },
       { type: 'xp_large', weight: 60 },
       { type: 'health_minor', weight: 8 },
+      { type: 'gold_coin', weight: 20 },
       ...TREASURE_PROD_DISABLED_ENTRIES,
     ]
   },
@@ -127,6 +137,7 @@ export const DropTables = {
       { type: 'xp_large', weight: 64 },
       { type: 'health_minor', weight: 2 },
       { type: 'health_major', weight: 8 },
+      { type: 'gold_coin', weight: 25 },
       ...TREASURE_PROD_DISABLED_ENTRIES,
     ]
   },
@@ -139,6 +150,7 @@ export const DropTables = {
       { type: 'xp_large', weight: 64 },
       { type: 'health_minor', weight: 2 },
       { type: 'health_major', weight: 8 },
+      { type: 'gold_coin', weight: 25 },
       ...TREASURE_PROD_DISABLED_ENTRIES,
     ]
   },
@@ -151,6 +163,7 @@ export const DropTables = {
       { type: 'xp_large', weight: 69 },
       { type: 'health_minor', weight: 2 },
       { type: 'health_major', weight: 8 },
+      { type: 'gold_coin', weight: 30 },
       ...TREASURE_PROD_DISABLED_ENTRIES,
     ]
   },
@@ -164,7 +177,8 @@ export const DropTables = {
     rolls: 1,
     entries: [
       { type: 'xp_small', weight: 99 },
-      { type: 'health_minor', weight: 10 }
+      { type: 'health_minor', weight: 10 },
+      { type: 'gold_coin', weight: 1 }
     ]
   }
 };
@@ -1,4 +1,5 @@
 import { TreasurePickupModal } from '../../ui/TreasurePickupModal.js';
+import { rollTreasureRewards } from '../../progression/TreasureRewards.js';
 import { CollectSystem } from '../systems/CollectSystem.js';
 import { MagnetSystem } from '../systems/MagnetSystem.js';
 
@@ -18,6 +19,7 @@ export class PickupController {
     this.levelFlow = levelFlow;
     this.treasureModal = null;
     this._treasurePauseHeld = false;
+    this._treasuresOpened = 0;
 
     const group = dropManager?.getGroup?.();
     const passiveManager = scene.passiveManager ?? null;
@@ -60,20 +62,26 @@ export class PickupController {
         if (healed) {
           this.scene.events?.emit('player:healed', { amount, source: drop.type });
         }
+      } else if (value?.currency === 'gold') {
+        // Banked as meta currency by GameScene.endRun.
+        this.scene.runGold = Number(this.scene.runGold ?? 0) + amount;
+        this.scene.events?.emit('gold:collected', { amount, total: this.scene.runGold });
       } else {
-        this.levelFlow?.addXP?.(amount);
-        this.scene.playerXP = Number(this.scene.playerXP ?? 0) + amount;
+        const xp = amount * (this.scene.difficulty?.xpRateMult ?? 1);
+        this.levelFlow?.addXP?.(xp);
+        this.scene.playerXP = Number(this.scene.playerXP ?? 0) + xp;
       }
     }
   }
 
-  _showTreasureModal(drop) {
+  _showTreasureModal(drop, rewards = []) {
     if (!drop?.active) return;
 
     this._acquireTreasurePause();
 
     this.treasureModal?.destroy?.();
     this.treasureModal = new TreasurePickupModal(this.scene, {
+      rewards,
       depthBase: this.scene.mapRender?.uiBaseDepth ?? 0,
       onClose: () => {
         if (drop?.active) {
@@ -97,6 +105,27 @@ export class PickupController {
     this._treasurePauseHeld = false;
   }
 
+  /**
+   * Grant the chest's rewards up front so the modal only has to present them.
+   */
+  _openTreasure(drop) {
+    const rewards = rollTreasureRewards(this.scene, {
+      count: drop.value?.amount ?? 1,
+      openIndex: this._treasuresOpened,
+      source: drop.type
+    });
+    this._treasuresOpened += 1;
+
+    this.scene.events?.emit('treasure:opened', {
+      drop,
+      type: drop.type,
+      value: drop.value,
+      rewards
+    });
+
+    this._showTreasureModal(drop, rewards);
+  }
+
   _collectTreasure(drop) {
     drop._pickupLocked = true;
     drop.body?.stop?.();
@@ -108,22 +137,11 @@ export class PickupController {
         return;
       }
 
-      this.scene.events?.emit('treasure:opened', {
-        drop,
-        type: drop.type,
-        value: drop.value
-      });
-
-      this._showTreasureModal(drop);
+      this._openTreasure(drop);
     });
 
     if (!didStartOpen) {
-      this.scene.events?.emit('treasure:opened', {
-        drop,
-        type: drop.type,
-        value: drop.value
-      });
-      this._showTreasureModal(drop);
+      this._openTreasure(drop);
     }
   }
 
@@ -1,3 +1,6 @@
+import { SpatialHash } from '../../core/SpatialHash.js';
+import { largestMagnetRadius } from './MagnetSystem.js';
+
 export class CollectSystem {
   /**
    * Handles detecting when drops should be collected by the player.
@@ -11,6 +14,10 @@ export class CollectSystem {
     this.group = group;   // arcade group containing drop instances (XP, items, etc)
     this.player = player; // the hero/player sprite to attract to / collect around
     this.passiveManager = passiveManager ?? scene.passiveManager ?? null;
+
+    // Broadphase query bound and scratch list for update().
+    this._maxSnapRadius = largestMagnetRadius('snapRadius');
+    this._nearby = [];
   }
 
   /**
@@ -56,7 +63,7 @@ export class CollectSystem {
       snapMult = m.snapMult ?? 1;
     }
 
-    group.children.iterate((drop) => {
+    const snap = (drop) => {
       if (!drop || !drop.active || !drop.body) return;
 
       const dX = drop.body?.center?.x ?? drop.x ?? 0;
@@ -75,7 +82,17 @@ export class CollectSystem {
       if (distSq <= effectiveSnapSq) {
         this._collect(drop);
       }
-    });
+    };
+
+    // Only drops within the widest snap radius can qualify.
+    const index = SpatialHash.forGroup(group);
+    if (!index) {
+      group.children.iterate(snap);
+      return;
+    }
+    const nearby = index.queryRadius(pX, pY, this._maxSnapRadius * snapMult, this._nearby);
+    nearby.forEach(snap);
+    nearby.length = 0;
   }
 
 
@@ -1,9 +1,9 @@
-import Phaser from 'phaser';
 import { CONFIG } from '../../config/gameConfig.js';
 import { Pool } from '../../core/Pool.js';
 import { DropFactory } from '../DropFactory.js';
 import { BaseDrop } from '../entities/BaseDrop.js';
 import { DEFAULT_DROP_TYPE } from '../DropRegistry.js';
+import { getRng } from '../../run/RunRng.js';
 
 /**
  * DropManager
@@ -91,8 +91,9 @@ export class DropManager {
     }
 
     // Pick a random direction and a random speed between MIN → MAX.
-    const angle = Phaser.Math.FloatBetween(0, Math.PI * 2);
-    const speed = Phaser.Math.FloatBetween(min, max);
+    const rng = getRng(this.scene, 'drops');
+    const angle = rng.float(0, Math.PI * 2);
+    const speed = rng.float(min, max);
 
     // Apply as initial velocity.
     body.setVelocity(Math.cos(angle) * speed, Math.sin(angle) * speed);
@@ -1,5 +1,6 @@
 import { DEFAULT_DROP_TYPE } from '../DropRegistry.js';
 import { weightedPick } from '../utils/WeightedTable.js';
+import { getRng } from '../../run/RunRng.js';
 
 /**
  * DropSpawner
@@ -18,9 +19,6 @@ export class DropSpawner {
     this.scene = scene;
     this.dropManager = dropManager;
     this.tables = tables;
-
-    // Optional: let callers inject a seeded RNG for deterministic tests
-    // this.rng = Math.random;
   }
 
   /**
@@ -30,14 +28,20 @@ export class DropSpawner {
    *  1) Try weightedPick(entries)  ← ensures weights are actually used
    *  2) Fallback to entries[i]     ← supports fixed/sequential scripting if desired
    *  3) Fallback to entries[0]     ← last resort
+   *
+   * `bonus` lets elites (EliteAffixSystem) roll the table `extraRolls` more
+   * times and multiply the amount of any XP gem they drop by `xpMult`.
+   * Tables with no rolls stay empty.
    */
-  spawnFromTable(mobKey, x, y, overrides = {}) {
+  spawnFromTable(mobKey, x, y, overrides = {}, { extraRolls = 0, xpMult = 1 } = {}) {
     const table = this.tables?.[mobKey] ?? this.tables?.default;
-    const rolls = Number(table?.rolls ?? 1) | 0;
-    const entries = table?.entries ?? [];
+    const baseRolls = Number(table?.rolls ?? 1) | 0;
+    const rolls = baseRolls > 0 ? baseRolls + Math.max(0, extraRolls | 0) : baseRolls;
+    const entries = this._applyDifficultyWeights(table?.entries ?? []);
     if (!entries.length || rolls <= 0) return;
 
     const selectionMode = table?.selectionMode ?? 'weighted';
+    const rng = getRng(this.scene, 'drops');
 
     for (let i = 0; i < rolls; i++) {
       let entry = null;
@@ -46,7 +50,7 @@ export class DropSpawner {
         entry = entries[i] || entries[0] || null;
       } else {
         // Weighted mode: if all weights are <= 0, skip this roll.
-        entry = weightedPick(entries /*, this.rng */);
+        entry = weightedPick(entries, rng);
       }
 
       if (!entry) continue;
@@ -64,10 +68,42 @@ export class DropSpawner {
       };
 
       const spawnPoint = this._resolveSpawnPoint(x, y);
-      this.dropManager?.spawn(spawnPoint.x, spawnPoint.y, type, mergedOverrides);
+      const drop = this.dropManager?.spawn(spawnPoint.x, spawnPoint.y, type, mergedOverrides);
+      if (drop?.value?.currency === 'xp' && xpMult !== 1) {
+        drop.value.amount = Math.round(drop.value.amount * xpMult);
+      }
     }
   }
 
+  /**
+   * Scale entry weights by the run difficulty's `dropWeightMults` (keyed by drop type).
+   * Returns the original array untouched when no multiplier applies.
+   */
+  _applyDifficultyWeights(entries) {
+    const mults = this.scene?.difficulty?.dropWeightMults;
+    if (!mults || !entries.some((entry) => mults[entry?.type] != null)) return entries;
+
+    return entries.map((entry) => {
+      const mult = Number(mults[entry?.type]);
+      if (!Number.isFinite(mult)) return entry;
+      return { ...entry, weight: Math.max(0, Number(entry.weight ?? 0) * mult) };
+    });
+  }
+
+  /**
+   * Spawn explicit drop types regardless of the mob's table (e.g. guaranteed
+   * treasure declared via MobRegistry `rewards.treasure`). Accepts a single
+   * type or an array; unknown types are left to DropManager to reject.
+   */
+  spawnGuaranteed(types, x, y, overrides = {}) {
+    const list = Array.isArray(types) ? types : [types];
+    list.forEach((type) => {
+      if (typeof type !== 'string' || !type) return;
+      const spawnPoint = this._resolveSpawnPoint(x, y);
+      this.dropManager?.spawn(spawnPoint.x, spawnPoint.y, type, overrides);
+    });
+  }
+
   _resolveSpawnPoint(x, y) {
     const runtime = this.scene?.mapRuntime;
     // Infinite maps can spawn drops at the exact kill location.
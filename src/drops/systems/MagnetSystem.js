@@ -1,4 +1,14 @@
 import { CONFIG } from '../../config/gameConfig.js';
+import { SpatialHash } from '../../core/SpatialHash.js';
+import { DropRegistry } from '../DropRegistry.js';
+
+/** Largest `magnet[field]` across registered drop types (px). */
+export function largestMagnetRadius(field) {
+  return Object.values(DropRegistry).reduce(
+    (max, row) => Math.max(max, Number(row?.magnet?.[field]) || 0),
+    0
+  );
+}
 
 export class MagnetSystem {
   /**
@@ -28,6 +38,11 @@ export class MagnetSystem {
 
     // Drop manager used for despawn/recycle events.
     this.dropManager = dropManager ?? scene.dropManager ?? null;
+
+    // Broadphase query bound and scratch list (see update()).
+    this._maxRadius = largestMagnetRadius('radius');
+    this._nearby = [];
+    this._nextExpiryCheckAt = 0;
   }
 
   /**
@@ -69,7 +84,8 @@ export class MagnetSystem {
 
   /**
    * Called every frame.
-   * For each drop:
+   * Every CONFIG.XP.EXPIRY_CHECK_MS, release drops past their lifetime or too
+   * far away. Then, for each drop the drop index finds near the player:
    *  - If magnet delay period has passed,
    *  - And player is within magnet radius,
    *  - Apply velocity toward player.
@@ -102,29 +118,43 @@ export class MagnetSystem {
     const pCenterX = player.body?.center?.x ?? player.x ?? 0;
     const pCenterY = player.body?.center?.y ?? player.y ?? 0;
 
-    group.children.iterate((drop) => {
+    // Lifetime/distance culling has to look at every drop, so it runs on a
+    // slower cadence; the pull itself only needs drops near the player.
+    const index = SpatialHash.forGroup(group);
+    if (!index || now >= this._nextExpiryCheckAt) {
+      this._nextExpiryCheckAt = now + Math.max(0, CONFIG.XP.EXPIRY_CHECK_MS ?? 0);
+      group.children.iterate((drop) => {
+        if (!drop || !drop.active || !drop.body) return;
+
+        const expiredByTime = (drop.expiresAt ?? 0) > 0 && now >= drop.expiresAt;
+        const dCenterX = drop.body?.center?.x ?? drop.x ?? 0;
+        const dCenterY = drop.body?.center?.y ?? drop.y ?? 0;
+
+        const dx = pCenterX - dCenterX;
+        const dy = pCenterY - dCenterY;
+        const distSq = dx * dx + dy * dy;
+
+        const expiredByDistance = !bounds && maxKeepDistanceSq > 0 && distSq > maxKeepDistanceSq;
+        const expiredByBounds = bounds
+          ? (dCenterX < bounds.left || dCenterX > bounds.right || dCenterY < bounds.top || dCenterY > bounds.bottom)
+          : false;
+
+        if (expiredByTime || expiredByDistance || expiredByBounds) {
+          dropManager?.release?.(drop);
+        }
+      });
+    }
+
+    const pull = (drop) => {
       if (!drop || !drop.active || !drop.body) return;
+      if (now < (drop.magnetReadyAt ?? 0)) return;
 
-      const expiredByTime = (drop.expiresAt ?? 0) > 0 && now >= drop.expiresAt;
       const dCenterX = drop.body?.center?.x ?? drop.x ?? 0;
       const dCenterY = drop.body?.center?.y ?? drop.y ?? 0;
-
       const dx = pCenterX - dCenterX;
       const dy = pCenterY - dCenterY;
       const distSq = dx * dx + dy * dy;
 
-      const expiredByDistance = !bounds && maxKeepDistanceSq > 0 && distSq > maxKeepDistanceSq;
-      const expiredByBounds = bounds
-        ? (dCenterX < bounds.left || dCenterX > bounds.right || dCenterY < bounds.top || dCenterY > bounds.bottom)
-        : false;
-
-      if (expiredByTime || expiredByDistance || expiredByBounds) {
-        dropManager?.release?.(drop);
-        return;
-      }
-
-      if (now < (drop.magnetReadyAt ?? 0)) return;
-
       const baseRadiusSq = drop.magnetRadiusSq ?? 0;
       if (baseRadiusSq <= 0 || distSq === 0) return;
 
@@ -141,6 +171,16 @@ export class MagnetSystem {
       const dirY = dy * invDist;
 
       drop.body.setVelocity(dirX * maxSpeed, dirY * maxSpeed);
-    });
+    };
+
+    if (!index) {
+      group.children.iterate(pull);
+      return;
+    }
+
+    // Widest registry magnet radius bounds the query; each drop still checks its own.
+    const nearby = index.queryRadius(pCenterX, pCenterY, this._maxRadius * radiusMult, this._nearby);
+    nearby.forEach(pull);
+    nearby.length = 0;
   }
 }
@@ -0,0 +1,119 @@
+/**
+ * EliteAffixRegistry
+ *
+ * Declarative definitions for the affixes EliteAffixSystem can roll onto a
+ * spawning enemy. How often a spawn turns elite, and how many affixes it may
+ * carry, comes from ELITE_AFFIXES.schedule in gameConfig; this table decides
+ * which affixes are picked.
+ *
+ * Each entry describes:
+ *  - `weight`: relative pick weight among unlocked affixes
+ *  - `minRunMs`: run time before the affix can roll (later affixes are nastier)
+ *  - `kind`: what the affix does
+ *      - `'haste'`:     multiplies move speed (and the body's speed cap) by `speedMult`
+ *      - `'armor'`:     multiplies incoming hit damage by `damageTakenMult`
+ *      - `'shield'`:    starts with a non-expiring shield of `shieldPct` x maxHp
+ *      - `'vampiric'`:  heals `healPct` x maxHp whenever its contact hit lands on the hero
+ *      - `'explosive'`: on death, arms a `radius` blast that hits the hero for
+ *                       `damage` after `fuseMs`
+ *      - `'splitting'`: on death, splits into `count` affix-free copies with
+ *                       `hpMult` of its base HP, drawn at `scaleMult`
+ *      - `'reflect'`:   each hero projectile has `chance` to bounce back as an
+ *                       enemy shot (`damage`, `speed`) instead of hitting
+ *  - `tint`: sprite tint and outline colour; `priority` picks between affixes
+ *  - `excludeTiers`: mob tiers (MobRegistry `tier`) that never roll the affix
+ */
+export const EliteAffixRegistry = {
+  hasted: {
+    key: 'hasted',
+    kind: 'haste',
+    weight: 10,
+    minRunMs: 0,
+    speedMult: 1.4,
+    tint: 0xffd84a,
+    priority: 1,
+    ui: { name: 'Hasted' }
+  },
+
+  armored: {
+    key: 'armored',
+    kind: 'armor',
+    weight: 10,
+    minRunMs: 0,
+    damageTakenMult: 0.6,
+    tint: 0x9fb3c8,
+    priority: 2,
+    ui: { name: 'Armored' }
+  },
+
+  shielded: {
+    key: 'shielded',
+    kind: 'shield',
+    weight: 8,
+    minRunMs: 120_000,
+    shieldPct: 0.6,
+    tint: 0x6fc3ff,
+    priority: 3,
+    ui: { name: 'Shielded' }
+  },
+
+  vampiric: {
+    key: 'vampiric',
+    kind: 'vampiric',
+    weight: 6,
+    minRunMs: 180_000,
+    healPct: 0.25,
+    tint: 0xc2185b,
+    priority: 4,
+    ui: { name: 'Vampiric' }
+  },
+
+  explosive: {
+    key: 'explosive',
+    kind: 'explosive',
+    weight: 6,
+    minRunMs: 240_000,
+    radius: 80,
+    damage: 20,
+    fuseMs: 700,
+    tint: 0xff7a2e,
+    priority: 5,
+    ui: { name: 'Explosive' }
+  },
+
+  splitting: {
+    key: 'splitting',
+    kind: 'splitting',
+    weight: 5,
+    minRunMs: 300_000,
+    count: 2,
+    hpMult: 0.35,
+    scaleMult: 0.75,
+    // Splitting a registry elite would double its guaranteed treasure.
+    excludeTiers: ['elite'],
+    tint: 0x8bd94f,
+    priority: 6,
+    ui: { name: 'Splitting' }
+  },
+
+  reflecting: {
+    key: 'reflecting',
+    kind: 'reflect',
+    weight: 4,
+    minRunMs: 420_000,
+    chance: 0.35,
+    damage: 10,
+    speed: 220,
+    tint: 0xd6a8ff,
+    priority: 7,
+    ui: { name: 'Reflecting' }
+  }
+};
+
+/**
+ * Guard helper to confirm an affix key exists in the registry.
+ */
+export function isValidEliteAffix(key) {
+  if (typeof key !== 'string') return false;
+  return Object.prototype.hasOwnProperty.call(EliteAffixRegistry, key);
+}
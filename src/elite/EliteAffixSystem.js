@@ -0,0 +1,354 @@
+import { ELITE_AFFIXES } from '../config/gameConfig.js';
+import { weightedPick } from '../drops/utils/WeightedTable.js';
+import { getRng } from '../run/RunRng.js';
+import { shakeCamera } from '../ui/AccessibilitySettings.js';
+import { EliteAffixRegistry, isValidEliteAffix } from './EliteAffixRegistry.js';
+
+/** Last schedule step whose `fromMs` has passed. */
+function currentStep(schedule, runMs) {
+  let step = null;
+  for (const entry of schedule ?? []) {
+    if (runMs >= (entry.fromMs ?? 0)) step = entry;
+  }
+  return step;
+}
+
+/**
+ * EliteAffixSystem rolls elite affixes onto enemies as they spawn and runs
+ * the affixes that react to later events (contact hits, projectile hits,
+ * death).
+ *
+ * State lives on the enemy (`enemy._elite`) so DamagePipeline and the
+ * projectile pools can read it without a lookup. Stat changes (speed,
+ * HP) are re-derived by Enemy.reset on the next spawn; everything else the
+ * affixes own (tint, outline, shield, `_elite`) is removed on `enemy:released`.
+ *
+ * Spawns can pin their affixes instead of rolling through the `affixes` reset
+ * override (an empty array means none): run snapshots restore elites that way,
+ * and split copies are spawned affix-free.
+ *
+ * Explosive fuses tick on the simulation `dt`, so they freeze with the pause.
+ *
+ * Events:
+ *  - `elite:spawned`  { enemy, affixes }
+ *  - `elite:exploded` { x, y, radius, hitHero }
+ *  - `elite:split`    { mobKey, x, y, count }
+ *  - `elite:reflected` { enemy }
+ */
+export class EliteAffixSystem {
+  /**
+   * @param {Phaser.Scene} scene - Owning scene (run clock, pools, hero).
+   * @param {object} [options]
+   * @param {Phaser.Events.EventEmitter} [options.events] - Shared event bus.
+   * @param {object} [options.config] - Defaults to ELITE_AFFIXES.
+   */
+  constructor(scene, { events, config = ELITE_AFFIXES } = {}) {
+    this.scene = scene;
+    this.events = events ?? scene?.events ?? null;
+    this.config = config;
+
+    // Enemies currently carrying affixes.
+    this._elites = new Set();
+    // Armed explosive blasts waiting on their fuse.
+    this._fuses = [];
+
+    this._onEnemySpawned = ({ enemy } = {}) => this._handleSpawned(enemy);
+    this._onEnemyDied = ({ enemy, x, y } = {}) => this._handleDied(enemy, x, y);
+    this._onEnemyReleased = ({ enemy } = {}) => this.clear(enemy);
+    this._onContactHit = ({ enemy } = {}) => this._handleContactHit(enemy);
+
+    this.events?.on?.('enemy:spawned', this._onEnemySpawned);
+    this.events?.on?.('enemy:died', this._onEnemyDied);
+    this.events?.on?.('enemy:released', this._onEnemyReleased);
+    this.events?.on?.('enemy:contact:hit', this._onContactHit);
+  }
+
+  /**
+   * Roll affix keys for a spawning enemy: the run-time schedule sets the odds
+   * and the affix cap, then affixes are drawn by weight without repeats.
+   * @returns {string[]}
+   */
+  roll(enemy) {
+    const cfg = this.config;
+    if (!cfg?.enabled || !enemy) return [];
+    if (cfg.excludeTiers?.includes(enemy.tier)) return [];
+
+    const runMs = this.scene?.getRunElapsedMs?.() ?? 0;
+    const step = currentStep(cfg.schedule, runMs);
+    if (!(step?.maxAffixes > 0)) return [];
+
+    const rng = getRng(this.scene, 'elites');
+    const chance = enemy.tier === 'elite' ? cfg.eliteTierChance : step.chance;
+    if (!rng.chance(chance ?? 0)) return [];
+
+    const candidates = Object.values(EliteAffixRegistry).filter(
+      (def) => runMs >= (def.minRunMs ?? 0) && !def.excludeTiers?.includes(enemy.tier)
+    );
+
+    const keys = [];
+    const count = rng.between(1, step.maxAffixes);
+    while (keys.length < count) {
+      const def = weightedPick(candidates, rng);
+      if (!def) break;
+      keys.push(def.key);
+      candidates.splice(candidates.indexOf(def), 1);
+    }
+    return keys;
+  }
+
+  /**
+   * Turn an enemy into an elite carrying the given affixes. Unknown keys are
+   * skipped; returns false when nothing was applied.
+   */
+  apply(enemy, keys = []) {
+    if (!enemy?.active || enemy._elite) return false;
+
+    const defs = keys.filter(isValidEliteAffix).map((key) => EliteAffixRegistry[key]);
+    if (!defs.length) return false;
+
+    const cfg = this.config;
+    const count = defs.length;
+    const state = {
+      keys: defs.map((def) => def.key),
+      defs,
+      baseMaxHp: enemy.maxHp,
+      damageTakenMult: 1,
+      // Read by DamagePipeline when it rolls the death drops.
+      drops: {
+        extraRolls: Math.round(count * (cfg.extraRollsPerAffix ?? 0)),
+        xpMult: 1 + count * (cfg.xpMultPerAffix ?? 0)
+      },
+      glow: null
+    };
+
+    // HP first, so shields scale off the elite's pool.
+    enemy.maxHp = Math.max(1, Math.round(enemy.maxHp * (1 + count * (cfg.hpMultPerAffix ?? 0))));
+    enemy.hp = enemy.maxHp;
+
+    for (const def of defs) {
+      switch (def.kind) {
+        case 'haste': {
+          enemy.speed *= def.speedMult;
+          const body = enemy.body;
+          if (Number.isFinite(body?.maxSpeed)) body.setMaxSpeed(body.maxSpeed * def.speedMult);
+          break;
+        }
+        case 'armor':
+          state.damageTakenMult *= def.damageTakenMult;
+          break;
+        case 'shield':
+          enemy._shieldHp = Math.max(enemy._shieldHp ?? 0, Math.round(enemy.maxHp * def.shieldPct));
+          enemy._shieldExpiresAt = null;
+          break;
+        default:
+          // Vampiric, explosive, splitting and reflect react to later events.
+          break;
+      }
+    }
+
+    // The highest-priority affix owns the colour.
+    const lead = defs.reduce((best, def) => ((def.priority ?? 0) > (best.priority ?? 0) ? def : best));
+    enemy._baseTint = lead.tint;
+    enemy.setTint?.(lead.tint);
+    if (cfg.outlineStrength > 0 && enemy.preFX) {
+      enemy.preFX.setPadding?.(4);
+      state.glow = enemy.preFX.addGlow?.(lead.tint, cfg.outlineStrength, 0) ?? null;
+    }
+
+    enemy._elite = state;
+    this._elites.add(enemy);
+    this.events?.emit?.('elite:spawned', { enemy, affixes: state.keys });
+    return true;
+  }
+
+  /** The affix of the given kind the enemy carries, or null. */
+  getAffix(enemy, kind) {
+    return enemy?._elite?.defs?.find((def) => def.kind === kind) ?? null;
+  }
+
+  /**
+   * Reflecting elites may bounce a hero projectile back at the hero. Called by
+   * ProjectilePool before the impact is handed to the weapon controller; on
+   * true the caller drops the projectile without dealing damage. A projectile
+   * that passes through (pierce) does not roll again against the same enemy.
+   */
+  tryReflect(enemy, projectile) {
+    const def = this.getAffix(enemy, 'reflect');
+    if (!def || enemy._isDying) return false;
+
+    // Already resolved against this enemy (the controller records every hit).
+    if (projectile?._weaponData?.hitSet?.has?.(enemy)) return false;
+
+    if (!getRng(this.scene, 'elites').chance(def.chance)) return false;
+
+    const hero = this.scene?.hero?.sprite;
+    if (hero && this.scene.enemyProjectiles) {
+      this.scene.enemyProjectiles.fire({
+        x: enemy.x,
+        y: enemy.y,
+        angle: Math.atan2(hero.y - enemy.y, hero.x - enemy.x),
+        speed: def.speed,
+        damage: def.damage
+      });
+    }
+    this.events?.emit?.('elite:reflected', { enemy });
+    return true;
+  }
+
+  /** Advance explosive fuses. Called once per simulation step. */
+  update(dt) {
+    if (!this._fuses.length) return;
+    const stepMs = Math.max(0, Number(dt) || 0);
+
+    for (let i = this._fuses.length - 1; i >= 0; i -= 1) {
+      const fuse = this._fuses[i];
+      fuse.remainingMs -= stepMs;
+      if (fuse.remainingMs > 0) {
+        this._drawFuse(fuse);
+        continue;
+      }
+
+      this._fuses.splice(i, 1);
+      this._detonate(fuse);
+    }
+  }
+
+  /** Strip every affix-owned field from an enemy (pool release, scripted cleanse). */
+  clear(enemy) {
+    const state = enemy?._elite;
+    if (!state) return;
+
+    if (state.glow) enemy.preFX?.remove?.(state.glow);
+    if (enemy.preFX) enemy.preFX.setPadding?.(0);
+    if (this.getAffix(enemy, 'shield')) {
+      enemy._shieldHp = 0;
+      enemy._shieldExpiresAt = null;
+    }
+
+    enemy._elite = null;
+    enemy._baseTint = null;
+    if (enemy.active && !enemy._isDying) this.scene?.statusEffects?.refreshTint?.(enemy);
+    else enemy.clearTint?.();
+
+    this._elites.delete(enemy);
+  }
+
+  /** Drop listeners, fuses and references during scene shutdown. */
+  destroy() {
+    this.events?.off?.('enemy:spawned', this._onEnemySpawned);
+    this.events?.off?.('enemy:died', this._onEnemyDied);
+    this.events?.off?.('enemy:released', this._onEnemyReleased);
+    this.events?.off?.('enemy:contact:hit', this._onContactHit);
+
+    this._fuses.forEach((fuse) => fuse.zone?.destroy?.());
+    this._fuses.length = 0;
+    Array.from(this._elites).forEach((enemy) => this.clear(enemy));
+    this._elites.clear();
+
+    this.scene = null;
+    this.events = null;
+  }
+
+  _handleSpawned(enemy) {
+    // Pooling can re-emit spawn events for the same life.
+    if (!enemy || enemy._elite) return;
+
+    const keys = Array.isArray(enemy.affixOverride) ? enemy.affixOverride : this.roll(enemy);
+    if (keys.length) this.apply(enemy, keys);
+  }
+
+  _handleContactHit(enemy) {
+    const def = this.getAffix(enemy, 'vampiric');
+    if (!def || !enemy.active || enemy._isDying) return;
+
+    const healed = Math.min(Math.round(enemy.maxHp * def.healPct), enemy.maxHp - enemy.hp);
+    if (healed <= 0) return;
+
+    enemy.hp += healed;
+    this.scene?.damageNumbers?.hitEntity(enemy, healed, { tint: def.tint });
+    this.events?.emit?.('enemy:healed', { enemy, source: enemy, amount: healed });
+  }
+
+  _handleDied(enemy, x, y) {
+    if (!enemy?._elite) return;
+    const px = Number.isFinite(x) ? x : enemy.x;
+    const py = Number.isFinite(y) ? y : enemy.y;
+
+    const explosive = this.getAffix(enemy, 'explosive');
+    if (explosive) {
+      const fuse = { x: px, y: py, def: explosive, remainingMs: explosive.fuseMs, zone: null };
+      this._fuses.push(fuse);
+      this._drawFuse(fuse);
+    }
+
+    const splitting = this.getAffix(enemy, 'splitting');
+    if (splitting) this._split(enemy, splitting, px, py);
+  }
+
+  /** Spawn affix-free, smaller copies of a splitting elite around its corpse. */
+  _split(enemy, def, x, y) {
+    const pools = this.scene?.enemyPools;
+    const mobKey = enemy.mobKey;
+    const pool = mobKey ? pools?.getPool?.(mobKey) : null;
+    if (!pool) return;
+
+    const hp = Math.max(1, Math.round(enemy._elite.baseMaxHp * def.hpMult));
+    let spawned = 0;
+    for (let i = 0; i < def.count; i += 1) {
+      if (!pools.canSpawn?.(mobKey)) break;
+
+      const angle = (i / def.count) * Math.PI * 2;
+      const sx = x + Math.cos(angle) * 12;
+      const sy = y + Math.sin(angle) * 12;
+      const copy = pool.get(sx, sy);
+      if (!copy) break;
+
+      copy.reset(sx, sy, mobKey, { affixes: [] });
+      copy.maxHp = hp;
+      copy.hp = hp;
+      copy.setScale(copy.scaleX * def.scaleMult);
+      spawned += 1;
+    }
+
+    if (spawned > 0) this.events?.emit?.('elite:split', { mobKey, x, y, count: spawned });
+  }
+
+  _drawFuse(fuse) {
+    const { x, y, def } = fuse;
+    if (!fuse.zone) {
+      if (!this.scene?.add) return;
+      fuse.zone = this.scene.add.graphics();
+      fuse.zone.setDepth(1);
+    }
+
+    const progress = 1 - Math.max(0, fuse.remainingMs) / Math.max(1, def.fuseMs);
+    const g = fuse.zone;
+    g.clear();
+    g.lineStyle(2, def.tint, 0.85);
+    g.strokeCircle(x, y, def.radius);
+    g.fillStyle(def.tint, 0.25);
+    g.fillCircle(x, y, def.radius * progress);
+  }
+
+  _detonate(fuse) {
+    fuse.zone?.destroy?.();
+    fuse.zone = null;
+
+    const { x, y, def } = fuse;
+    this.scene?.fx?.explode?.(x, y, 20);
+
+    const hero = this.scene?.hero;
+    const sprite = hero?.sprite;
+    let hitHero = false;
+    if (sprite?.active) {
+      const dx = sprite.x - x;
+      const dy = sprite.y - y;
+      if (dx * dx + dy * dy <= def.radius * def.radius) {
+        hitHero = Boolean(hero.health?.damage?.(def.damage));
+        if (hitHero) shakeCamera(this.scene.cameras?.main, 160, 0.006);
+      }
+    }
+
+    this.events?.emit?.('elite:exploded', { x, y, radius: def.radius, hitHero });
+  }
+}
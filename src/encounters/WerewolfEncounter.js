@@ -1,5 +1,6 @@
 // src/encounters/WerewolfEncounter.js
 import Phaser from 'phaser';
+import { getRng } from '../run/RunRng.js';
 
 export class WerewolfEncounter {
   constructor(scene, {
@@ -17,18 +18,23 @@ export class WerewolfEncounter {
 
     // Optional win/kill stinger SFX when boss dies (before endRun).
     winSfx = null,
+
+    // Called once the death cinematic is over; defaults to ending the run in a win.
+    onDefeated = null,
   } = {}) {
     this.scene = scene;
     this.mobKey = mobKey;
     this.telegraphSfx = telegraphSfx;
     this.deathSfx = deathSfx;
     this.winSfx = winSfx;
+    this.onDefeated = onDefeated;
 
     this.defaultLeadInMs = defaultLeadInMs;
     this.defaultLeadOutMs = defaultLeadOutMs;
 
     this._started = false;
     this._finishing = false;
+    this._defeated = false;
 
     this._boss = null;
     this._spawnTimer = null;
@@ -54,7 +60,9 @@ export class WerewolfEncounter {
     this._boss = null;
     this._started = false;
     this._finishing = false;
+    this._defeated = false;
     this._control = null;
+    this.onDefeated = null;
   }
 
   start(control = {}) {
@@ -109,7 +117,7 @@ export class WerewolfEncounter {
     } else {
       // Fall back to the legacy ring spawn for infinite/bounded maps without a boss key.
       // pick a point around the hero
-      const ang = Phaser.Math.FloatBetween(0, Math.PI * 2);
+      const ang = getRng(this.scene, 'spawn').float(0, Math.PI * 2);
       x = hero.x + Math.cos(ang) * radius;
       y = hero.y + Math.sin(ang) * radius;
     }
@@ -123,12 +131,18 @@ export class WerewolfEncounter {
       ...(control?.mobOverrides ?? {}),
     });
 
+    // A resumed run brings the boss back with the health it was suspended at.
+    const resumeHp = Number(control?.resumeHp);
+    if (resumeHp > 0) {
+      enemy.hp = Math.min(enemy.maxHp, resumeHp);
+    }
+
     // ensure it’s active in physics
     enemy.setActive?.(true);
     enemy.setVisible?.(true);
     enemy.enableBody?.(true, x, y, true, true);
 
-    // let the rest of the game know a boss spawned (so your WerewolfBossController attaches)
+    // let the rest of the game know a boss spawned (so its BossController attaches)
     this.scene.events.emit('enemy:spawned', { enemy });
 
     this._boss = enemy;
@@ -236,14 +250,27 @@ export class WerewolfEncounter {
       this.scene._releaseSimulationPause?.('bossDeath');
 
       // Finally trigger the win flow
-      this.scene.endRun('win', { reason: 'bossKilled' });
+      this._defeat();
     }, leadOutMs);
   }
 
   _finishWin() {
     // If something went wrong mid-cinematic, try to unpause defensively.
     this.scene?._releaseSimulationPause?.('bossDeath');
-    this.scene?.endRun?.('win', { reason: 'bossKilled' });
+    this._defeat();
+  }
+
+  _defeat() {
+    if (!this.scene || this._defeated) return;
+    this._defeated = true;
+
+    this.scene.events?.emit('encounter:defeated', { encounter: 'werewolf', mobKey: this.mobKey });
+
+    if (this.onDefeated) {
+      this.onDefeated();
+      return;
+    }
+    this.scene.endRun?.('win', { reason: 'bossKilled' });
   }
 
   _clearSpawnTimer() {
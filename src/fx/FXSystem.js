@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { getRng } from '../run/RunRng.js';
 
 export class FXSystem {
   constructor(scene) {
@@ -55,14 +56,15 @@ export class FXSystem {
   */
   explode(x, y, count = 12) {
     const { tweens } = this.scene;
+    const rng = getRng(this.scene, 'cosmetic');
 
     for (let i = 0; i < count; i++) {
       const s = this._getSpark(x, y);
       if (!s) continue;
 
       // Choose a random direction + distance
-      const ang  = Math.random() * Math.PI * 2;
-      const dist = 40 + Math.random() * 120;
+      const ang  = rng() * Math.PI * 2;
+      const dist = 40 + rng() * 120;
       const tx   = x + Math.cos(ang) * dist;
       const ty   = y + Math.sin(ang) * dist;
 
@@ -73,7 +75,7 @@ export class FXSystem {
         y: ty,
         alpha: 0,
         scale: 0,
-        duration: 250 + Math.random() * 200,
+        duration: 250 + rng() * 200,
         ease: 'Cubic.easeOut',
         onComplete: () => this._release(s)
       });
@@ -60,9 +60,10 @@ export class HeroController {
     this.onFacingChange = onFacingChange;
 
     this.enabled = true;
-    this.inputSources = { cursors: null, wasd: null };
+    this.inputSources = { moveKeys: null };
     this.deathController = null;
     this._moveVectorProvider = null;
+    this.lastMoveInput = { x: 0, y: 0 }; // resolved axes from the latest update (read by RunRecorder)
 
     this._bodyInit = false;             // lazily configure Arcade body once
     this._onShutdown = () => this.destroy();
@@ -70,12 +71,12 @@ export class HeroController {
   }
 
   /**
-   * Connect Phaser input sources. Call once in your Scene after creating cursors/WASD.
-   * @param {{cursors?: Phaser.Types.Input.Keyboard.CursorKeys, wasd?: Record<string, Phaser.Input.Keyboard.Key>}} param0
+   * Connect Phaser input sources: the Key objects bound to each move action
+   * (ControlBindings.createActionKeys). Call again after a rebind.
+   * @param {{moveKeys?: {moveUp?: Phaser.Input.Keyboard.Key[], moveDown?: Phaser.Input.Keyboard.Key[], moveLeft?: Phaser.Input.Keyboard.Key[], moveRight?: Phaser.Input.Keyboard.Key[]}}} param0
    */
-  setInputSources({ cursors = null, wasd = null } = {}) {
-    this.inputSources.cursors = cursors;
-    this.inputSources.wasd = wasd;
+  setInputSources({ moveKeys = null } = {}) {
+    this.inputSources.moveKeys = moveKeys;
     return this;
   }
 
@@ -136,6 +137,8 @@ export class HeroController {
 
     // If control is disabled (dead/menu/etc.), stop the hero and keep cosmetics in sync.
     if (!this.enabled || sceneDisabled || dead) {
+      this.lastMoveInput.x = 0;
+      this.lastMoveInput.y = 0;
       if (!deathSequenceActive) {
         this.sprite.setVelocity(0, 0);
         this.sprite.anims.timeScale = 1; // normalize anim tempo while frozen
@@ -155,7 +158,8 @@ export class HeroController {
     // Final effective speed
     const speed = baseSpeed * moveSpeedMult;
 
-    const { cursors, wasd } = this.inputSources;
+    const { moveKeys } = this.inputSources;
+    const held = (keys) => (keys?.some((key) => key.isDown) ? 1 : 0);
     const joystickVec = this._moveVectorProvider ? this._moveVectorProvider() : null;
     const jx = joystickVec?.x ?? 0;
     const jy = joystickVec?.y ?? 0;
@@ -169,15 +173,18 @@ export class HeroController {
       yAxis = Phaser.Math.Clamp(jy, -1, 1);
     } else {
       // Convert keys to a simple axis representation: -1, 0, +1 per axis.
-      const left  = (cursors?.left?.isDown  || wasd?.A?.isDown) ? 1 : 0;
-      const right = (cursors?.right?.isDown || wasd?.D?.isDown) ? 1 : 0;
-      const up    = (cursors?.up?.isDown    || wasd?.W?.isDown) ? 1 : 0;
-      const down  = (cursors?.down?.isDown  || wasd?.S?.isDown) ? 1 : 0;
+      const left  = held(moveKeys?.moveLeft);
+      const right = held(moveKeys?.moveRight);
+      const up    = held(moveKeys?.moveUp);
+      const down  = held(moveKeys?.moveDown);
 
       xAxis = -left + right; // left=−1, right=+1, neutral=0
       yAxis = -up + down;    // up=−1,  down=+1, neutral=0
     }
 
+    this.lastMoveInput.x = xAxis;
+    this.lastMoveInput.y = yAxis;
+
     const axisMagnitude = Phaser.Math.Clamp(Math.hypot(xAxis, yAxis), 0, 1);
     const dirXAxis = (Math.abs(xAxis) > 0.01) ? Math.sign(xAxis) : 0;
     const dirYAxis = (Math.abs(yAxis) > 0.01) ? Math.sign(yAxis) : 0;
@@ -2,6 +2,7 @@ import Phaser from 'phaser';
 import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
 import { PassiveRegistry } from '../passives/PassiveRegistry.js';
 import { buildHeroSheetKey } from './HeroAtlasConfig.js';
+import { LEVEL_UP } from '../config/gameConfig.js';
 
 /**
  * Default hero selection when no explicit choice is provided (e.g., brand new game).
@@ -78,6 +79,20 @@ function resolveStarterPassives(entry, allowedKeys, allowlistExplicit) {
   });
 }
 
+/**
+ * Merge per-hero level-up action charges over the LEVEL_UP defaults.
+ */
+function resolveLevelUpActions(entry) {
+  const defaults = LEVEL_UP.actionCharges ?? {};
+  const overrides = entry?.levelUpActions ?? {};
+  return Object.fromEntries(
+    Object.keys(defaults).map((action) => {
+      const value = Number(overrides[action] ?? defaults[action]);
+      return [action, Number.isFinite(value) ? Math.max(0, Math.floor(value)) : 0];
+    })
+  );
+}
+
 /**
  * Fill in missing sheet keys so asset and animation helpers can rely on them.
  */
@@ -119,6 +134,7 @@ function applyHeroDefaults(entry) {
       allowed: passiveAllowed.allowed,
       starter: passiveStarter
     },
+    levelUpActions: resolveLevelUpActions(entry),
     sheets,
     ui
   };
@@ -156,9 +172,14 @@ const HEROES = {
       allowed: ['might', 'vampiresKiss', 'multiShot', 'bloodrush', 'bloodwindtreads', 'reapersReach', 'shield'],
       //starter: ['might']
     },
+    levelUpActions: {
+      reroll: 1,
+      skip: 2,
+      banish: 1
+    },
     ui: {
-      name: 'Sir Smite',
-      blurb: 'King of the North.'
+      nameKey: 'hero.sirsmite.name',
+      blurbKey: 'hero.sirsmite.blurb'
     },
     sheets: {
       idle: {
@@ -248,9 +269,14 @@ const HEROES = {
       allowed: ['might', 'vampiresKiss', 'multiShot', 'bloodrush', 'bloodwindtreads', 'reapersReach', 'shield'],
       starter: []
     },
+    levelUpActions: {
+      reroll: 1,
+      skip: 1,
+      banish: 2
+    },
     ui: {
-      name: 'Viking',
-      blurb: 'Ruthless warlord. Descendent of Odin.'
+      nameKey: 'hero.viking.name',
+      blurbKey: 'hero.viking.blurb'
     },
     sheets: {
       idle: {
@@ -340,9 +366,14 @@ const HEROES = {
       allowed: ['might', 'vampiresKiss', 'multiShot', 'bloodrush', 'bloodwindtreads', 'reapersReach', 'shield'],
       starter: []
     },
+    levelUpActions: {
+      reroll: 0,
+      skip: 3,
+      banish: 1
+    },
     ui: {
-      name: 'Hunk',
-      blurb: 'Conventional weapons. Heavy explosions. Unknown motives.'
+      nameKey: 'hero.hunk.name',
+      blurbKey: 'hero.hunk.blurb'
     },
     sheets: {
       idle: {
@@ -432,9 +463,14 @@ const HEROES = {
       allowed: ['might', 'vampiresKiss', 'multiShot', 'bloodrush', 'bloodwindtreads', 'reapersReach', 'shield'],
       starter: []
     },
+    levelUpActions: {
+      reroll: 2,
+      skip: 1,
+      banish: 1
+    },
     ui: {
-      name: 'Lady Dame',
-      blurb: 'Queen of the North.'
+      nameKey: 'hero.ladydame.name',
+      blurbKey: 'hero.ladydame.blurb'
     },
     sheets: {
       idle: {
@@ -524,9 +560,14 @@ const HEROES = {
       allowed: ['might', 'vampiresKiss', 'multiShot', 'bloodrush', 'bloodwindtreads', 'reapersReach', 'shield'],
       starter: []
     },
+    levelUpActions: {
+      reroll: 2,
+      skip: 1,
+      banish: 2
+    },
     ui: {
-      name: 'Huntress',
-      blurb: 'Goddess of the wood.'
+      nameKey: 'hero.huntress.name',
+      blurbKey: 'hero.huntress.blurb'
     },
     sheets: {
       idle: {
@@ -587,6 +628,8 @@ const HEROES = {
   },
   wizard: {
     key: 'wizard',
+    // Revealed by the `moonbreaker` achievement (AchievementRegistry).
+    hidden: true,
     defaultFacing: 'right',
     progression: {
       3: ['fireblast'],
@@ -611,9 +654,14 @@ const HEROES = {
       allowed: ['might', 'vampiresKiss', 'multiShot', 'bloodrush', 'bloodwindtreads', 'reapersReach', 'shield'],
       starter: []
     },
+    levelUpActions: {
+      reroll: 3,
+      skip: 0,
+      banish: 1
+    },
     ui: {
-      name: 'Wizard',
-      blurb: 'Glass cannon the Grey.'
+      nameKey: 'hero.wizard.name',
+      blurbKey: 'hero.wizard.blurb'
     },
     sheets: {
       idle: {
@@ -0,0 +1,191 @@
+import en from './locales/en.json';
+import es from './locales/es.json';
+import ja from './locales/ja.json';
+
+// Key used to store/retrieve the player's language in localStorage
+const STORAGE_KEY = 'NOTBM:locale';
+
+const LOCALE_EVENT = 'i18n:locale:changed';
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Shipped locales in picker order. `name` is the language's own name so the
+ * picker stays readable whatever is selected; `fontFamily` is the CSS stack
+ * for Text objects in scripts the bundled fonts don't cover.
+ */
+export const LOCALES = Object.freeze([
+  { code: 'en', name: 'English', table: en },
+  { code: 'es', name: 'Español', table: es },
+  {
+    code: 'ja',
+    name: '日本語',
+    table: ja,
+    fontFamily: 'monospace, "Noto Sans JP", "Hiragino Sans", "Yu Gothic", "Meiryo", sans-serif'
+  }
+]);
+
+const LOCALES_BY_CODE = new Map(LOCALES.map((locale) => [locale.code, locale]));
+
+let activeLocale = null;
+const pluralRules = new Map();
+
+function resolveCode(code) {
+  if (typeof code !== 'string') return null;
+  const lower = code.toLowerCase();
+  if (LOCALES_BY_CODE.has(lower)) return lower;
+  const base = lower.split('-')[0];
+  return LOCALES_BY_CODE.has(base) ? base : null;
+}
+
+/** Stored choice, else the browser language when we ship it, else English. */
+function loadLocale() {
+  if (typeof window === 'undefined') return DEFAULT_LOCALE;
+
+  try {
+    const stored = resolveCode(window.localStorage?.getItem(STORAGE_KEY));
+    if (stored) return stored;
+  } catch (err) {
+    console.warn('[Localization] Failed to read stored locale', err);
+  }
+  return resolveCode(window.navigator?.language) ?? DEFAULT_LOCALE;
+}
+
+function current() {
+  if (!activeLocale) activeLocale = loadLocale();
+  return activeLocale;
+}
+
+/** Walk a dotted key ("menu.start") through a nested string table. */
+function lookup(table, key) {
+  let node = table;
+  for (const part of key.split('.')) {
+    if (node == null || typeof node !== 'object') return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+function selectPlural(entry, count, code) {
+  if (!pluralRules.has(code)) pluralRules.set(code, new Intl.PluralRules(code));
+  const category = pluralRules.get(code).select(count);
+  if (count === 0 && entry.zero != null) return entry.zero;
+  return entry[category] ?? entry.other;
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+}
+
+/**
+ * Translate `key` for the active locale. Missing keys fall back to English,
+ * then to `params.default`, then to the key itself. Plural entries are
+ * objects keyed by Intl.PluralRules category (`one`, `few`, `other`, plus an
+ * optional `zero`) and pick by `params.count`. `{name}` placeholders are
+ * filled from `params`.
+ *
+ * @param {string} key
+ * @param {Record<string, any>} [params]
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  const code = current();
+  let entry = lookup(LOCALES_BY_CODE.get(code)?.table, key);
+  let entryCode = code;
+
+  if (entry == null && code !== DEFAULT_LOCALE) {
+    entry = lookup(en, key);
+    entryCode = DEFAULT_LOCALE;
+  }
+
+  if (entry != null && typeof entry === 'object') {
+    entry = Number.isFinite(params.count) ? selectPlural(entry, params.count, entryCode) : entry.other;
+  }
+
+  if (typeof entry !== 'string') {
+    return params.default != null ? String(params.default) : key;
+  }
+  return interpolate(entry, params);
+}
+
+/**
+ * Display text for a registry entry's `ui.<field>Key` (e.g. `nameKey`).
+ * Entries without a key keep their literal `ui.<field>`, then `fallback`.
+ */
+export function uiText(entry, field, fallback = '') {
+  const key = entry?.ui?.[`${field}Key`];
+  const literal = entry?.ui?.[field];
+  if (key) return t(key, { default: literal ?? fallback });
+  return literal ?? fallback;
+}
+
+/** Locale-aware number formatting (thousands separators, digits). */
+export function formatNumber(value, options) {
+  try {
+    return new Intl.NumberFormat(current(), options).format(value);
+  } catch (err) {
+    return String(value);
+  }
+}
+
+/** Locale-aware date formatting (`value` is a timestamp or Date). */
+export function formatDate(value, options) {
+  try {
+    return new Intl.DateTimeFormat(current(), options).format(value);
+  } catch (err) {
+    return new Date(value).toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Font family for Text objects in the active locale: `base` for scripts the
+ * default monospace covers, otherwise the locale's fallback stack.
+ */
+export function localeFontFamily(base = 'monospace') {
+  return LOCALES_BY_CODE.get(current())?.fontFamily ?? base;
+}
+
+/** Active locale entry ({ code, name, fontFamily? }). */
+export function getLocale() {
+  const { code, name, fontFamily } = LOCALES_BY_CODE.get(current());
+  return { code, name, fontFamily };
+}
+
+/**
+ * Switch language, persist it and announce `i18n:locale:changed` on
+ * `game.events`. Unknown codes are ignored.
+ */
+export function setLocale(code, game = null) {
+  const next = resolveCode(code);
+  if (!next || next === current()) return false;
+
+  activeLocale = next;
+  if (typeof window !== 'undefined') {
+    try {
+      window.localStorage?.setItem(STORAGE_KEY, next);
+    } catch (err) {
+      console.warn('[Localization] Failed to persist locale', err);
+    }
+  }
+
+  if (typeof document !== 'undefined') document.documentElement.lang = next;
+  game?.events?.emit?.(LOCALE_EVENT, getLocale());
+  return true;
+}
+
+/**
+ * Call `fn` whenever the language changes until the scene shuts down or the
+ * returned disposer runs.
+ */
+export function onLocaleChanged(scene, fn) {
+  const events = scene?.game?.events;
+  if (!events || typeof fn !== 'function') return () => {};
+
+  const dispose = () => {
+    events.off(LOCALE_EVENT, fn);
+    scene.events?.off?.('shutdown', dispose);
+  };
+  events.on(LOCALE_EVENT, fn);
+  scene.events?.once?.('shutdown', dispose);
+  return dispose;
+}
@@ -0,0 +1,56 @@
+/**
+ * ButtonFocus
+ *
+ * Controller focus over a vertical list of pointer-driven button containers.
+ * Focusing a button replays its own hover styling (`pointerover` /
+ * `pointerout`) and activating it replays `pointerup`, so existing menu
+ * buttons work with a gamepad without any per-button changes.
+ *
+ * Nothing is highlighted until the first direction press; confirming before
+ * that activates `defaultIndex`.
+ */
+export class ButtonFocus {
+  /**
+   * @param {Phaser.GameObjects.Container[]} buttons - in navigation order (nulls skipped)
+   * @param {{ defaultIndex?: number }} [options]
+   */
+  constructor(buttons = [], { defaultIndex = 0 } = {}) {
+    this.buttons = buttons.filter(Boolean);
+    this.defaultIndex = Math.max(0, Math.min(defaultIndex, this.buttons.length - 1));
+    this.index = null;
+  }
+
+  /** Move focus by `delta` (wraps); the first move lands on the default button. */
+  move(delta) {
+    if (!this.buttons.length) return;
+    const count = this.buttons.length;
+    const next = this.index == null
+      ? this.defaultIndex
+      : (this.index + delta + count) % count;
+    this.focus(next);
+  }
+
+  /** Highlight one button and clear the previous highlight. */
+  focus(index) {
+    const previous = this.buttons[this.index];
+    const next = this.buttons[index];
+    if (!next) return;
+    if (previous && previous !== next) previous.emit('pointerout');
+    this.index = index;
+    next.emit('pointerover');
+  }
+
+  /** Press the focused (or default) button. */
+  activate() {
+    const button = this.buttons[this.index ?? this.defaultIndex];
+    if (!button?.active) return false;
+    button.emit('pointerup');
+    return true;
+  }
+
+  /** Drop the highlight without pressing anything. */
+  clear() {
+    this.buttons[this.index]?.emit('pointerout');
+    this.index = null;
+  }
+}
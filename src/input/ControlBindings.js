@@ -0,0 +1,369 @@
+import Phaser from 'phaser';
+import { t } from '../i18n/Localization.js';
+
+const { KeyCodes } = Phaser.Input.Keyboard;
+
+// Key used to store/retrieve the player's control bindings in localStorage
+const STORAGE_KEY = 'NOTBM:controls';
+
+const BINDINGS_EVENT = 'input:bindings:changed';
+
+/** Keyboard slots per action (primary + alternate). */
+export const KEY_SLOTS = 2;
+
+/** Standard-mapping buttons a pad binding may use (face, shoulders, triggers, select/start, sticks). */
+export const PAD_BUTTON_COUNT = 12;
+
+/**
+ * Every rebindable action, in Controls page order. Display names live in the
+ * string table under `controls.action.<name>` / `controls.group.<group>`.
+ *
+ * - `keys`: Phaser KeyCodes names, one per slot (null = empty slot)
+ * - `pad`: standard-mapping button index, or null; `padBindable: false`
+ *   marks actions driven by the stick/d-pad instead
+ * - `scopes`: where the action is live. Two actions only conflict when they
+ *   share a scope, so Esc can be both Pause (in a run) and Back (in menus).
+ *   `debug` actions act only while the run is unpaused, which is why they
+ *   may reuse level-up keys (B, 1-3) without counting as conflicts.
+ */
+export const CONTROL_ACTIONS = Object.freeze({
+  moveUp: { group: 'movement', keys: ['W', 'UP'], pad: null, padBindable: false, scopes: ['game', 'menu', 'levelUp'] },
+  moveDown: { group: 'movement', keys: ['S', 'DOWN'], pad: null, padBindable: false, scopes: ['game', 'menu', 'levelUp'] },
+  moveLeft: { group: 'movement', keys: ['A', 'LEFT'], pad: null, padBindable: false, scopes: ['game', 'menu', 'levelUp'] },
+  moveRight: { group: 'movement', keys: ['D', 'RIGHT'], pad: null, padBindable: false, scopes: ['game', 'menu', 'levelUp'] },
+
+  pause: { group: 'run', keys: ['ESC', 'P'], pad: 9, scopes: ['game'] },
+  saveReplay: { group: 'run', keys: ['F8', 'V'], pad: 2, scopes: ['game', 'menu'] },
+
+  confirm: { group: 'menus', keys: ['ENTER', 'SPACE'], pad: 0, scopes: ['menu', 'mainMenu', 'levelUp'] },
+  back: { group: 'menus', keys: ['ESC', null], pad: 1, scopes: ['menu', 'mainMenu'] },
+  difficultyPrev: { group: 'menus', keys: ['Q', null], pad: 4, scopes: ['menu'] },
+  difficultyNext: { group: 'menus', keys: ['E', null], pad: 5, scopes: ['menu'] },
+  toggleEndless: { group: 'menus', keys: ['N', null], pad: 8, scopes: ['menu'] },
+  retry: { group: 'menus', keys: ['R', null], pad: null, scopes: ['menu'] },
+  quitToMenu: { group: 'menus', keys: ['M', null], pad: null, scopes: ['menu'] },
+  runDetails: { group: 'menus', keys: ['TAB', 'I'], pad: 3, scopes: ['menu'] },
+
+  openShop: { group: 'mainMenu', keys: ['U', null], pad: null, scopes: ['mainMenu'] },
+  openRecords: { group: 'mainMenu', keys: ['C', null], pad: null, scopes: ['mainMenu'] },
+  openAchievements: { group: 'mainMenu', keys: ['T', null], pad: null, scopes: ['mainMenu'] },
+  openHowTo: { group: 'mainMenu', keys: ['H', null], pad: null, scopes: ['mainMenu'] },
+  openAbout: { group: 'mainMenu', keys: ['A', null], pad: null, scopes: ['mainMenu'] },
+  openSeed: { group: 'mainMenu', keys: ['S', null], pad: null, scopes: ['mainMenu'] },
+  loadReplay: { group: 'mainMenu', keys: ['R', null], pad: null, scopes: ['mainMenu'] },
+
+  choice1: { group: 'levelUp', keys: ['ONE', 'NUMPAD_ONE'], pad: null, scopes: ['levelUp'] },
+  choice2: { group: 'levelUp', keys: ['TWO', 'NUMPAD_TWO'], pad: null, scopes: ['levelUp'] },
+  choice3: { group: 'levelUp', keys: ['THREE', 'NUMPAD_THREE'], pad: null, scopes: ['levelUp'] },
+  choice4: { group: 'levelUp', keys: ['FOUR', 'NUMPAD_FOUR'], pad: null, scopes: ['levelUp'] },
+  reroll: { group: 'levelUp', keys: ['R', null], pad: 3, scopes: ['levelUp'] },
+  skip: { group: 'levelUp', keys: ['X', null], pad: 2, scopes: ['levelUp'] },
+  banish: { group: 'levelUp', keys: ['B', null], pad: 5, scopes: ['levelUp'] },
+
+  debugHud: { group: 'debug', keys: ['F3', 'BACKTICK'], pad: null, scopes: ['debug'] },
+  debugMapOverlay: { group: 'debug', keys: ['B', null], pad: null, scopes: ['debug'] },
+  debugAddBolt: { group: 'debug', keys: ['ONE', null], pad: null, scopes: ['debug'] },
+  debugRemoveBolt: { group: 'debug', keys: ['TWO', null], pad: null, scopes: ['debug'] },
+  debugBuffBolt: { group: 'debug', keys: ['THREE', null], pad: null, scopes: ['debug'] }
+});
+
+/** Localized display name of a CONTROL_ACTIONS entry. */
+export function actionLabel(action) {
+  return t(`controls.action.${action}`, { default: action });
+}
+
+/** The four movement actions, in up/down/left/right order. */
+export const MOVE_ACTIONS = Object.freeze(['moveUp', 'moveDown', 'moveLeft', 'moveRight']);
+
+// Display names for keys whose KeyCodes name reads poorly.
+const KEY_LABELS = {
+  ESC: 'Esc', ENTER: 'Enter', SPACE: 'Space', BACKSPACE: 'Bksp', TAB: 'Tab',
+  SHIFT: 'Shift', CTRL: 'Ctrl', ALT: 'Alt', DELETE: 'Del', INSERT: 'Ins',
+  UP: '↑', DOWN: '↓', LEFT: '←', RIGHT: '→', BACKTICK: '`',
+  ZERO: '0', ONE: '1', TWO: '2', THREE: '3', FOUR: '4',
+  FIVE: '5', SIX: '6', SEVEN: '7', EIGHT: '8', NINE: '9',
+  NUMPAD_ADD: 'Num+', NUMPAD_SUBTRACT: 'Num−',
+  SEMICOLON: ';', PLUS: '=', COMMA: ',', MINUS: '-', PERIOD: '.',
+  FORWARD_SLASH: '/', BACK_SLASH: '\\', QUOTES: "'", OPEN_BRACKET: '[', CLOSED_BRACKET: ']'
+};
+
+const KEY_NAMES_BY_CODE = new Map(Object.entries(KeyCodes).map(([name, code]) => [code, name]));
+
+let cache = null;
+
+function defaultBindings() {
+  const bindings = {};
+  Object.entries(CONTROL_ACTIONS).forEach(([action, entry]) => {
+    bindings[action] = { keys: [...entry.keys], pad: entry.pad };
+  });
+  return bindings;
+}
+
+function normalizeKey(name) {
+  return typeof name === 'string' && KeyCodes[name] != null ? name : null;
+}
+
+function normalizePad(index) {
+  if (index == null || index === '') return null;
+  const value = Number(index);
+  return Number.isInteger(value) && value >= 0 && value < PAD_BUTTON_COUNT ? value : null;
+}
+
+/**
+ * Lay stored overrides over the defaults. Unknown actions are dropped and new
+ * actions fall back to their defaults, so old saves survive registry changes.
+ */
+function normalize(data) {
+  const bindings = defaultBindings();
+  Object.entries(data?.actions ?? {}).forEach(([action, stored]) => {
+    const entry = CONTROL_ACTIONS[action];
+    if (!entry || !stored) return;
+
+    const keys = Array.from({ length: KEY_SLOTS }, (_, slot) => normalizeKey(stored.keys?.[slot]));
+    // An action always keeps at least one key; a save that lost them all is ignored.
+    if (keys.some(Boolean)) bindings[action].keys = keys;
+    if (entry.padBindable !== false && 'pad' in stored) bindings[action].pad = normalizePad(stored.pad);
+  });
+  return bindings;
+}
+
+function cloneBindings(bindings) {
+  const copy = {};
+  Object.entries(bindings).forEach(([action, binding]) => {
+    copy[action] = { keys: [...binding.keys], pad: binding.pad };
+  });
+  return copy;
+}
+
+function current() {
+  if (!cache) cache = ControlBindings.load();
+  return cache;
+}
+
+/** True when two actions are ever live at the same time. */
+function sharesScope(a, b) {
+  const scopes = CONTROL_ACTIONS[a]?.scopes ?? [];
+  return (CONTROL_ACTIONS[b]?.scopes ?? []).some((scope) => scopes.includes(scope));
+}
+
+/**
+ * Player control bindings, persisted like MetaStore (missing or corrupt saves
+ * read as defaults). Reads go through a module cache so input handlers can
+ * resolve actions on every press; writes announce `input:bindings:changed` on
+ * `game.events` so scenes holding Key objects can rebuild them.
+ */
+export class ControlBindings {
+  /** Load the stored bindings merged over the defaults (never null). */
+  static load() {
+    if (typeof window === 'undefined' || !window.localStorage) return normalize(null);
+
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      return normalize(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+      console.warn('[ControlBindings] Failed to parse stored controls', err);
+      return normalize(null);
+    }
+  }
+
+  /** Persist bindings, refresh the cache and notify listeners. */
+  static save(bindings, game = null) {
+    cache = normalize({ actions: bindings });
+
+    if (typeof window !== 'undefined' && window.localStorage) {
+      try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ actions: cache }));
+      } catch (err) {
+        console.warn('[ControlBindings] Failed to persist controls', err);
+      }
+    }
+
+    game?.events?.emit?.(BINDINGS_EVENT, ControlBindings.getAll());
+  }
+
+  /** Snapshot of every binding (action → { keys, pad }). */
+  static getAll() {
+    return cloneBindings(current());
+  }
+
+  /** Binding for one action, or null for unknown actions. */
+  static get(action) {
+    const binding = current()[action];
+    return binding ? { keys: [...binding.keys], pad: binding.pad } : null;
+  }
+
+  /**
+   * Actions sharing a scope with `action` that already use this key / pad
+   * button (`kind` is 'key' or 'pad').
+   */
+  static findConflicts(action, kind, value, bindings = current()) {
+    if (value == null) return [];
+    return Object.keys(bindings).filter((other) => {
+      if (other === action || !sharesScope(action, other)) return false;
+      const binding = bindings[other];
+      return kind === 'pad' ? binding.pad === value : binding.keys.includes(value);
+    });
+  }
+
+  /**
+   * Assign a key (`kind` 'key', `slot` 0/1) or pad button (`kind` 'pad') to an
+   * action. A conflicting action takes over the replaced value (a swap), so
+   * nothing silently ends up unbound; if the swap would leave it with no
+   * binding on that device the change is refused.
+   *
+   * @returns {{ ok: boolean, swapped?: string[], blockedBy?: string }}
+   */
+  static rebind(action, { kind, slot = 0, value }, game = null) {
+    const bindings = ControlBindings.getAll();
+    const binding = bindings[action];
+    if (!binding) return { ok: false };
+    if (kind === 'pad' && CONTROL_ACTIONS[action].padBindable === false) return { ok: false };
+
+    const next = kind === 'pad' ? normalizePad(value) : normalizeKey(value);
+    if (next == null) return { ok: false };
+
+    const previous = kind === 'pad' ? binding.pad : binding.keys[slot];
+    if (previous === next) return { ok: true, swapped: [] };
+
+    const conflicts = ControlBindings.findConflicts(action, kind, next, bindings);
+    for (const other of conflicts) {
+      const target = bindings[other];
+      if (kind === 'pad') {
+        if (previous == null) return { ok: false, blockedBy: other };
+        target.pad = previous;
+      } else {
+        const index = target.keys.indexOf(next);
+        target.keys[index] = previous ?? null;
+        if (!target.keys.some(Boolean)) return { ok: false, blockedBy: other };
+      }
+    }
+
+    // A key bound in the other slot of the same action simply moves.
+    if (kind === 'pad') {
+      binding.pad = next;
+    } else {
+      const duplicate = binding.keys.indexOf(next);
+      if (duplicate !== -1) binding.keys[duplicate] = previous ?? null;
+      binding.keys[slot] = next;
+    }
+
+    ControlBindings.save(bindings, game);
+    return { ok: true, swapped: conflicts };
+  }
+
+  /**
+   * Empty one keyboard slot or the pad binding. The last key of an action
+   * cannot be cleared.
+   */
+  static clear(action, { kind, slot = 0 }, game = null) {
+    const bindings = ControlBindings.getAll();
+    const binding = bindings[action];
+    if (!binding) return false;
+
+    if (kind === 'pad') {
+      if (binding.pad == null) return false;
+      binding.pad = null;
+    } else {
+      if (!binding.keys[slot] || binding.keys.filter(Boolean).length <= 1) return false;
+      binding.keys[slot] = null;
+    }
+
+    ControlBindings.save(bindings, game);
+    return true;
+  }
+
+  /** Restore every default binding. */
+  static reset(game = null) {
+    ControlBindings.save(defaultBindings(), game);
+  }
+}
+
+/** KeyCodes name for a DOM key event, or null for keys Phaser does not name. */
+export function keyNameFromEvent(event) {
+  return KEY_NAMES_BY_CODE.get(event?.keyCode) ?? null;
+}
+
+/** True when the key event hits one of the action's bound keys. */
+export function isActionKey(action, event) {
+  const name = keyNameFromEvent(event);
+  return Boolean(name) && Boolean(current()[action]?.keys.includes(name));
+}
+
+/** KeyCodes values bound to an action (for addCapture / addKey). */
+export function getActionKeyCodes(action) {
+  return (current()[action]?.keys ?? []).filter(Boolean).map((name) => KeyCodes[name]);
+}
+
+/** Actions bound to a pad button index. */
+export function getPadActions(index) {
+  const bindings = current();
+  return Object.keys(bindings).filter((action) => bindings[action].pad === index);
+}
+
+/** Human-readable name for a KeyCodes name. */
+export function keyLabel(name) {
+  if (!name) return '';
+  if (KEY_LABELS[name]) return KEY_LABELS[name];
+  if (name.startsWith('NUMPAD_')) return `Num${KEY_LABELS[name.slice(7)] ?? name.slice(7)}`;
+  if (name.length === 1 || /^F\d+$/.test(name)) return name;
+  return name.split('_').map((part) => part[0] + part.slice(1).toLowerCase()).join(' ');
+}
+
+/** Bound keys of an action as display text, e.g. "Enter/Space" (or just the first). */
+export function actionKeysLabel(action, { all = true } = {}) {
+  const keys = (current()[action]?.keys ?? []).filter(Boolean).map(keyLabel);
+  return all ? keys.join('/') : (keys[0] ?? '');
+}
+
+/**
+ * Phaser Key objects for each action's bound keys (action → Key[]), for
+ * systems that poll `isDown` instead of listening to events. Rebuild them on
+ * `onBindingsChanged`, releasing the old set with `removeActionKeys`.
+ */
+export function createActionKeys(keyboard, actions) {
+  const keys = {};
+  actions.forEach((action) => {
+    keys[action] = keyboard ? getActionKeyCodes(action).map((code) => keyboard.addKey(code)) : [];
+  });
+  return keys;
+}
+
+/** Release Key objects made by createActionKeys. */
+export function removeActionKeys(keyboard, keys) {
+  if (!keyboard || !keys) return;
+  Object.values(keys).flat().forEach((key) => keyboard.removeKey(key, true));
+}
+
+/**
+ * Listen for bound actions on a keyboard plugin. `handlers` maps action →
+ * fn(event); the first matching action (in object order) wins, and bindings
+ * are resolved per press so rebinding applies immediately. Returns a disposer.
+ */
+export function onActionKeys(keyboard, handlers) {
+  if (!keyboard) return () => {};
+
+  const entries = Object.entries(handlers);
+  const listener = (event) => {
+    const match = entries.find(([action]) => isActionKey(action, event));
+    match?.[1](event);
+  };
+  keyboard.on('keydown', listener);
+  return () => keyboard.off('keydown', listener);
+}
+
+/**
+ * Call `fn` whenever bindings are saved until the scene shuts down or the
+ * returned disposer runs.
+ */
+export function onBindingsChanged(scene, fn) {
+  const events = scene?.game?.events;
+  if (!events || typeof fn !== 'function') return () => {};
+
+  const dispose = () => {
+    events.off(BINDINGS_EVENT, fn);
+    scene.events?.off?.('shutdown', dispose);
+  };
+  events.on(BINDINGS_EVENT, fn);
+  scene.events?.once?.('shutdown', dispose);
+  return dispose;
+}
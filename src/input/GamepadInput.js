@@ -0,0 +1,196 @@
+import Phaser from 'phaser';
+import { INPUT } from '../config/gameConfig.js';
+import { getPadActions, PAD_BUTTON_COUNT } from './ControlBindings.js';
+import { setActiveDevice } from './InputPrompts.js';
+
+const DPAD = Object.freeze({ up: 12, down: 13, left: 14, right: 15 });
+
+/**
+ * GamepadInput
+ *
+ * Per-scene wrapper over Phaser's gamepad plugin (enabled in main.js). It
+ * polls the first connected pad every frame on `preupdate`, before the scene
+ * clock advances, which is also where keyboard and pointer events land; that
+ * way replays see pad presses at the same point of the frame. It emits:
+ *  - on a button press, every ControlBindings action bound to it (`confirm`,
+ *    `back`, `pause`, `reroll`, ...) followed by `button` (index) for the
+ *    Controls page
+ *  - menu directions `up` / `down` / `left` / `right` from the d-pad or the
+ *    left stick, with hold-to-repeat
+ *  - `connected` / `disconnected` (pad) when the pad in use is plugged in or lost
+ *
+ * `getMoveVector()` feeds HeroController's move-vector provider. Scenes
+ * expose their instance as `scene.gamepad` so overlays (LevelUpModal,
+ * PauseMenu, SettingsMenu, EndRunMenu) can subscribe without owning one.
+ *
+ * Scenes without the plugin (headless simulator) get an inert instance.
+ */
+export class GamepadInput extends Phaser.Events.EventEmitter {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {{ deadzone?: number }} [options] - overrides INPUT.gamepad.deadzone
+   */
+  constructor(scene, { deadzone } = {}) {
+    super();
+    this.scene = scene;
+    this.plugin = scene.input?.gamepad ?? null;
+    this.pad = null;
+
+    const tuning = INPUT.gamepad ?? {};
+    this.deadzone = Phaser.Math.Clamp(Number(deadzone ?? tuning.deadzone ?? 0.2), 0, 0.95);
+    this.navThreshold = Number(tuning.navThreshold ?? 0.55);
+    this.navRepeatDelayMs = Number(tuning.navRepeatDelayMs ?? 350);
+    this.navRepeatMs = Number(tuning.navRepeatMs ?? 140);
+
+    this._pressed = new Map();
+    this._navDir = null;
+    this._navNextAt = 0;
+    this._destroyed = false;
+
+    this._onPreUpdate = (time) => this._poll(time);
+    this._onConnected = (pad) => this._adoptPad(pad);
+    this._onDisconnected = (pad) => {
+      if (pad !== this.pad) return;
+      this.pad = null;
+      this._pressed.clear();
+      this._navDir = null;
+      setActiveDevice(this.scene?.game, 'keyboard');
+      this.emit('disconnected', pad);
+    };
+    this._onKeyboard = () => setActiveDevice(this.scene?.game, 'keyboard');
+
+    scene.events.on(Phaser.Scenes.Events.PRE_UPDATE, this._onPreUpdate);
+    scene.events.once(Phaser.Scenes.Events.SHUTDOWN, () => this.destroy());
+    scene.input?.keyboard?.on('keydown', this._onKeyboard);
+    this.plugin?.on('connected', this._onConnected);
+    this.plugin?.on('disconnected', this._onDisconnected);
+  }
+
+  /** True while a pad is attached. */
+  isConnected() {
+    return Boolean(this.pad?.connected);
+  }
+
+  /**
+   * Left stick with a radial deadzone, rescaled so output starts at 0 just
+   * past the deadzone and reaches 1 at full tilt. Falls back to the d-pad.
+   */
+  getMoveVector() {
+    const pad = this.pad;
+    if (!pad?.connected) return { x: 0, y: 0 };
+
+    const x = Number(pad.axes?.[0]?.value ?? 0);
+    const y = Number(pad.axes?.[1]?.value ?? 0);
+    const magnitude = Math.hypot(x, y);
+
+    if (magnitude > this.deadzone) {
+      const scaled = Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone));
+      return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+    }
+
+    const dx = (this._isDown(DPAD.right) ? 1 : 0) - (this._isDown(DPAD.left) ? 1 : 0);
+    const dy = (this._isDown(DPAD.down) ? 1 : 0) - (this._isDown(DPAD.up) ? 1 : 0);
+    return { x: dx, y: dy };
+  }
+
+  /** Detach from the scene and plugin; safe to call twice. */
+  destroy() {
+    if (this._destroyed) return;
+    this._destroyed = true;
+
+    this.scene?.events?.off(Phaser.Scenes.Events.PRE_UPDATE, this._onPreUpdate);
+    this.scene?.input?.keyboard?.off('keydown', this._onKeyboard);
+    this.plugin?.off('connected', this._onConnected);
+    this.plugin?.off('disconnected', this._onDisconnected);
+    this.removeAllListeners();
+
+    this.pad = null;
+    this.plugin = null;
+    this.scene = null;
+  }
+
+  _adoptPad(pad) {
+    if (!pad || this.pad === pad) return;
+    if (this.pad?.connected) return;
+
+    this.pad = pad;
+    this._pressed.clear();
+    // Buttons held while plugging in should not fire as fresh presses.
+    for (let index = 0; index < PAD_BUTTON_COUNT; index++) {
+      this._pressed.set(index, this._isDown(index));
+    }
+    this._navDir = this._readDirection();
+    this.emit('connected', pad);
+  }
+
+  /**
+   * Pads already connected before the scene started never raise `connected`
+   * on this scene's plugin, so pick them up while polling.
+   */
+  _refreshPad() {
+    if (this.pad?.connected || !this.plugin) return;
+    const next = this.plugin.getAll?.().find((pad) => pad?.connected) ?? null;
+    if (next) this._adoptPad(next);
+  }
+
+  _poll(time) {
+    this._refreshPad();
+    if (!this.pad?.connected) return;
+
+    let used = false;
+
+    for (let index = 0; index < PAD_BUTTON_COUNT; index++) {
+      const down = this._isDown(index);
+      const wasDown = this._pressed.get(index) ?? false;
+      this._pressed.set(index, down);
+      if (down && !wasDown) {
+        used = true;
+        this._markUsed();
+        // Bindings are read per press so a rebind applies immediately.
+        getPadActions(index).forEach((action) => this.emit(action));
+        this.emit('button', index);
+      }
+    }
+
+    const dir = this._readDirection();
+    if (dir !== this._navDir) {
+      this._navDir = dir;
+      if (dir) {
+        used = true;
+        this._navNextAt = time + this.navRepeatDelayMs;
+        this._markUsed();
+        this.emit(dir);
+      }
+    } else if (dir && time >= this._navNextAt) {
+      this._navNextAt = time + this.navRepeatMs;
+      this.emit(dir);
+    }
+
+    if (!used) {
+      const { x, y } = this.getMoveVector();
+      if (x !== 0 || y !== 0) this._markUsed();
+    }
+  }
+
+  /** Dominant menu direction from the d-pad, else the stick past navThreshold. */
+  _readDirection() {
+    if (this._isDown(DPAD.up)) return 'up';
+    if (this._isDown(DPAD.down)) return 'down';
+    if (this._isDown(DPAD.left)) return 'left';
+    if (this._isDown(DPAD.right)) return 'right';
+
+    const x = Number(this.pad?.axes?.[0]?.value ?? 0);
+    const y = Number(this.pad?.axes?.[1]?.value ?? 0);
+    if (Math.max(Math.abs(x), Math.abs(y)) < this.navThreshold) return null;
+    if (Math.abs(x) > Math.abs(y)) return x < 0 ? 'left' : 'right';
+    return y < 0 ? 'up' : 'down';
+  }
+
+  _isDown(index) {
+    return Boolean(this.pad?.buttons?.[index]?.pressed);
+  }
+
+  _markUsed() {
+    setActiveDevice(this.scene?.game, 'gamepad', this.pad?.id ?? null);
+  }
+}
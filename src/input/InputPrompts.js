@@ -0,0 +1,110 @@
+import { actionKeysLabel, ControlBindings, keyLabel, onBindingsChanged } from './ControlBindings.js';
+import { t } from '../i18n/Localization.js';
+
+/**
+ * InputPrompts
+ *
+ * Tracks which device the player used last (keyboard/mouse or a gamepad, and
+ * which pad family) so on-screen prompts can show matching labels: "Enter"
+ * on keyboard, "A" on an Xbox pad, "✕" on a PlayStation pad.
+ *
+ * State is module-wide because it outlives scenes; changes are announced on
+ * `game.events` as `input:device:changed` ({ device, family }).
+ */
+
+// Labels per pad family, indexed by standard-mapping button (see ControlBindings.PAD_BUTTON_COUNT).
+const PAD_GLYPHS = {
+  xbox: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'View', 'Menu', 'LS', 'RS'],
+  playstation: ['✕', '○', '□', '△', 'L1', 'R1', 'L2', 'R2', 'Share', 'Options', 'L3', 'R3'],
+  nintendo: ['B', 'A', 'Y', 'X', 'L', 'R', 'ZL', 'ZR', '−', '+', 'LS', 'RS'],
+  generic: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start', 'LS', 'RS']
+};
+
+// String-table keys; every other family names the left stick.
+const MOVE_GLYPH = { generic: 'input.stick' };
+
+const DEVICE_EVENT = 'input:device:changed';
+
+let activeDevice = 'keyboard';
+let activeFamily = 'generic';
+
+/**
+ * Guess the pad family from the Gamepad API id string (vendor ids included).
+ */
+export function resolvePadFamily(id = '') {
+  const text = String(id).toLowerCase();
+  if (/054c|playstation|dualshock|dualsense|wireless controller/.test(text)) return 'playstation';
+  if (/057e|nintendo|switch|joy-con|pro controller/.test(text)) return 'nintendo';
+  if (/045e|xbox|xinput/.test(text)) return 'xbox';
+  return 'generic';
+}
+
+/** Current device + pad family. */
+export function getActiveDevice() {
+  return { device: activeDevice, family: activeFamily };
+}
+
+/**
+ * Record the device the player just used. Emits only on an actual change so
+ * callers can report every press cheaply.
+ */
+export function setActiveDevice(game, device, padId = null) {
+  const nextDevice = device === 'gamepad' ? 'gamepad' : 'keyboard';
+  const nextFamily = nextDevice === 'gamepad' && padId != null ? resolvePadFamily(padId) : activeFamily;
+  if (nextDevice === activeDevice && nextFamily === activeFamily) return;
+
+  activeDevice = nextDevice;
+  activeFamily = nextFamily;
+  game?.events?.emit?.(DEVICE_EVENT, getActiveDevice());
+}
+
+/** Label for a pad button index on the active (or given) family. */
+export function padGlyph(index, family = activeFamily) {
+  return PAD_GLYPHS[family]?.[index] ?? PAD_GLYPHS.generic[index] ?? t('input.button', { index });
+}
+
+/** Label for the movement stick. */
+export function padMoveGlyph(family = activeFamily) {
+  return t(MOVE_GLYPH[family] ?? 'input.leftStick');
+}
+
+/**
+ * Prompt for an action on the device in use: its bound keys ("Enter/Space",
+ * or the first key with `all: false`) or the glyph of its pad button. Actions
+ * without a pad binding keep the keyboard label.
+ */
+export function actionPrompt(action, { all = true } = {}) {
+  const pad = ControlBindings.get(action)?.pad;
+  if (activeDevice === 'gamepad' && pad != null) return padGlyph(pad);
+  return actionKeysLabel(action, { all });
+}
+
+/** Movement prompt: "WASD / ↑←↓→" on keyboard, "D-Pad / L-Stick" on a pad. */
+export function movePrompt() {
+  if (activeDevice === 'gamepad') return t('input.dpadOrStick', { stick: padMoveGlyph() });
+  const directions = ['moveUp', 'moveLeft', 'moveDown', 'moveRight'].map((action) => ControlBindings.get(action)?.keys ?? []);
+  return [0, 1]
+    .map((slot) => directions.map((keys) => keyLabel(keys[slot])).join(''))
+    .filter(Boolean)
+    .join(' / ');
+}
+
+/**
+ * Call `fn` whenever prompts may read differently: the active device changed
+ * or the bindings were edited. Stops when the scene shuts down or the returned
+ * disposer runs.
+ */
+export function onPromptsChanged(scene, fn) {
+  const events = scene?.game?.events;
+  if (!events || typeof fn !== 'function') return () => {};
+
+  const disposeBindings = onBindingsChanged(scene, fn);
+  const dispose = () => {
+    events.off(DEVICE_EVENT, fn);
+    disposeBindings();
+    scene.events?.off?.('shutdown', dispose);
+  };
+  events.on(DEVICE_EVENT, fn);
+  scene.events?.once?.('shutdown', dispose);
+  return dispose;
+}
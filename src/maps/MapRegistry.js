@@ -1,3 +1,5 @@
+import { t, uiText } from '../i18n/Localization.js';
+
 export const DEFAULT_MAP_KEY = 'endless_default';
 
 /**
@@ -22,11 +24,11 @@ export const MapRegistry = {
       textureKey: 'ground',
     },
     ui: {
-      name: 'Blood Mire',
-      blurb: 'A familiar endless stretch of grass. Survive the night.',
+      nameKey: 'map.endless_default.name',
+      blurbKey: 'map.endless_default.blurb',
       thumbnailKey: 'map.preview.endless_default',
       thumbnailPath: '/assets/tiles/icons/bloodmire_icon.png',
-      typeLabel: 'Endless',
+      typeLabelKey: 'map.endless_default.typeLabel',
     },
     props: {
       mode: 'procedural',
@@ -45,11 +47,11 @@ export const MapRegistry = {
       textureKey: 'ground',
     },
     ui: {
-      name: 'Blood Mire',
-      blurb: 'A corrupted field stained crimson. Endless waves await.',
+      nameKey: 'map.endless_blood.name',
+      blurbKey: 'map.endless_blood.blurb',
       thumbnailKey: 'map.preview.endless_blood',
       thumbnailPath: '/assets/tiles/darkgrass.png',
-      typeLabel: 'Endless',
+      typeLabelKey: 'map.endless_blood.typeLabel',
     },
     props: {
       mode: 'procedural',
@@ -68,11 +70,11 @@ export const MapRegistry = {
       textureKey: 'ground',
     },
     ui: {
-      name: 'Graveyard Drift',
-      blurb: 'An endless drift among the resting dead.',
+      nameKey: 'map.endless_grave.name',
+      blurbKey: 'map.endless_grave.blurb',
       thumbnailKey: 'map.preview.endless_grave',
       thumbnailPath: '/assets/tiles/graveyard/TX_Tileset_Grass.png',
-      typeLabel: 'Endless',
+      typeLabelKey: 'map.endless_grave.typeLabel',
     },
     props: {
       mode: 'procedural',
@@ -89,11 +91,11 @@ export const MapRegistry = {
     hidden: false,
     spawnTimelineKey: 'bounded_graveyard',
     ui: {
-      name: 'Graveyard',
-      blurb: 'A fixed graveyard with winding paths and tight corners.',
+      nameKey: 'map.bounded_graveyard.name',
+      blurbKey: 'map.bounded_graveyard.blurb',
       thumbnailKey: 'map.preview.bounded_graveyard',
       thumbnailPath: '/assets/tiles/icons/graveyard_icon.png',
-      typeLabel: 'Bounded',
+      typeLabelKey: 'map.bounded_graveyard.typeLabel',
     },
     // tilemap config drives preloading + map creation in BootScene/BoundedMapLoader.
     tilemap: {
@@ -162,16 +164,17 @@ export const MapRegistry = {
 };
 
 /**
- * Normalize map entries so UI consumers have a consistent shape.
+ * Normalize map entries so UI consumers have a consistent shape. Display
+ * strings are resolved from the string table for the active locale.
  */
 function applyMapDefaults(key, entry) {
   const order = entry?.order ?? 0;
   const ui = {
-    name: entry?.ui?.name ?? formatMapName(key),
-    blurb: entry?.ui?.blurb ?? 'Survive the night.',
+    name: uiText(entry, 'name', formatMapName(key)),
+    blurb: uiText(entry, 'blurb', t('map.defaultBlurb')),
     thumbnailKey: entry?.ui?.thumbnailKey ?? null,
     thumbnailPath: entry?.ui?.thumbnailPath ?? null,
-    typeLabel: entry?.ui?.typeLabel ?? (entry?.type === 'bounded' ? 'Bounded' : 'Endless'),
+    typeLabel: uiText(entry, 'typeLabel', t(entry?.type === 'bounded' ? 'map.type.bounded' : 'map.type.endless')),
   };
 
   return {
@@ -0,0 +1,97 @@
+/**
+ * AchievementRegistry
+ *
+ * Achievements are earned from GameScene events and persist in
+ * AchievementStore. AchievementTracker listens for each entry's `condition`
+ * during a run; the MenuScene list and HUD toast read `ui` and `reward`.
+ *
+ * Entry fields:
+ *  - condition.event: scene event that advances progress (`enemy:died`,
+ *    `level:up`, `passive:applied`, `treasure:opened`, `encounter:defeated`, `run:ended`, ...)
+ *  - condition.where: optional payload fields that must match exactly
+ *  - condition.measure: optional payload field whose value is the progress
+ *    (best seen in a run) instead of counting matching events
+ *  - condition.scope: 'lifetime' (default) adds every run's count together;
+ *    'run' needs the whole target inside a single run
+ *  - condition.target: progress needed to unlock
+ *  - reward: optional { hero } or { map } — reveals a `hidden` registry entry
+ *    in HeroSelectScene / MapSelectScene once unlocked
+ *  - ui: nameKey / descriptionKey (string table; `{target}` is filled in)
+ */
+export const AchievementRegistry = {
+  firstBlood: {
+    key: 'firstBlood',
+    condition: { event: 'enemy:died', target: 1 },
+    ui: {
+      nameKey: 'achievement.firstBlood.name',
+      descriptionKey: 'achievement.firstBlood.description'
+    }
+  },
+
+  bloodSoaked: {
+    key: 'bloodSoaked',
+    condition: { event: 'enemy:died', target: 2500 },
+    reward: { map: 'endless_blood' },
+    ui: {
+      nameKey: 'achievement.bloodSoaked.name',
+      descriptionKey: 'achievement.bloodSoaked.description'
+    }
+  },
+
+  ascendant: {
+    key: 'ascendant',
+    condition: { event: 'level:up', measure: 'level', target: 25 },
+    ui: {
+      nameKey: 'achievement.ascendant.name',
+      descriptionKey: 'achievement.ascendant.description'
+    }
+  },
+
+  collector: {
+    key: 'collector',
+    condition: { event: 'passive:applied', scope: 'run', target: 15 },
+    ui: {
+      nameKey: 'achievement.collector.name',
+      descriptionKey: 'achievement.collector.description'
+    }
+  },
+
+  graveRobber: {
+    key: 'graveRobber',
+    condition: { event: 'treasure:opened', target: 10 },
+    reward: { map: 'endless_grave' },
+    ui: {
+      nameKey: 'achievement.graveRobber.name',
+      descriptionKey: 'achievement.graveRobber.description'
+    }
+  },
+
+  moonbreaker: {
+    key: 'moonbreaker',
+    // Emitted when the finale boss falls, whether the run then ends or goes endless.
+    condition: { event: 'encounter:defeated', where: { encounter: 'werewolf' }, target: 1 },
+    reward: { hero: 'wizard' },
+    ui: {
+      nameKey: 'achievement.moonbreaker.name',
+      descriptionKey: 'achievement.moonbreaker.description'
+    }
+  }
+};
+
+/** Progress needed to unlock an achievement (at least 1). */
+export function getAchievementTarget(entry) {
+  return Math.max(1, Math.floor(Number(entry?.condition?.target) || 1));
+}
+
+/**
+ * Whether an achievement's progress is confined to one run: measured values
+ * (e.g. level reached) and `scope: 'run'` counters start over every run.
+ */
+export function isRunScoped(entry) {
+  return entry?.condition?.measure != null || entry?.condition?.scope === 'run';
+}
+
+/** Registry entries in display order. */
+export function listAchievements() {
+  return Object.values(AchievementRegistry);
+}
@@ -0,0 +1,111 @@
+import { AchievementRegistry, getAchievementTarget } from './AchievementRegistry.js';
+
+// Key used to store/retrieve achievement progress and unlocks in localStorage
+const STORAGE_KEY = 'NOTBM:achievements';
+
+/**
+ * Shape every stored payload is normalised to: progress clamped to each
+ * achievement's target, unlock timestamps for earned ones. Keys that are no
+ * longer registered are dropped.
+ */
+function normalize(data) {
+  const progress = {};
+  const unlocked = {};
+
+  Object.entries(AchievementRegistry).forEach(([key, entry]) => {
+    const target = getAchievementTarget(entry);
+    const value = Math.min(target, Math.max(0, Math.floor(Number(data?.progress?.[key]) || 0)));
+    const unlockedAt = Math.max(0, Math.floor(Number(data?.unlocked?.[key]) || 0));
+
+    if (value > 0) progress[key] = value;
+    if (unlockedAt > 0) {
+      unlocked[key] = unlockedAt;
+      progress[key] = target;
+    }
+  });
+
+  return { progress, unlocked };
+}
+
+/**
+ * Persistent achievement progress and the hidden heroes/maps their rewards
+ * reveal. Same storage conventions as MetaStore; a missing or corrupt save
+ * reads as nothing earned yet.
+ */
+export class AchievementStore {
+  /**
+   * Load the stored progress (never null).
+   */
+  static load() {
+    if (typeof window === 'undefined' || !window.localStorage) return normalize(null);
+
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      return normalize(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+      console.warn('[AchievementStore] Failed to parse stored achievements', err);
+      return normalize(null);
+    }
+  }
+
+  /**
+   * Persist progress. Storage failures are logged, never thrown.
+   */
+  static save(data) {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(normalize(data)));
+    } catch (err) {
+      console.warn('[AchievementStore] Failed to persist achievements', err);
+    }
+  }
+
+  /**
+   * Raise stored progress to `values` (achievement key → progress; lower
+   * values are ignored) and unlock every achievement that reaches its target.
+   * @returns {string[]} keys unlocked by this call
+   */
+  static updateProgress(values = {}) {
+    const data = AchievementStore.load();
+    const newlyUnlocked = [];
+    let changed = false;
+
+    Object.entries(values).forEach(([key, raw]) => {
+      const entry = AchievementRegistry[key];
+      if (!entry || data.unlocked[key]) return;
+
+      const target = getAchievementTarget(entry);
+      const value = Math.min(target, Math.max(0, Math.floor(Number(raw) || 0)));
+      if (value <= (data.progress[key] ?? 0)) return;
+
+      data.progress[key] = value;
+      changed = true;
+      if (value >= target) {
+        data.unlocked[key] = Date.now();
+        newlyUnlocked.push(key);
+      }
+    });
+
+    if (changed) AchievementStore.save(data);
+    return newlyUnlocked;
+  }
+
+  /**
+   * Hero and map keys revealed by unlocked achievement rewards.
+   * @returns {{ heroes: Set<string>, maps: Set<string> }}
+   */
+  static getRevealed() {
+    const { unlocked } = AchievementStore.load();
+    const heroes = new Set();
+    const maps = new Set();
+
+    Object.keys(unlocked).forEach((key) => {
+      const reward = AchievementRegistry[key]?.reward;
+      if (reward?.hero) heroes.add(reward.hero);
+      if (reward?.map) maps.add(reward.map);
+    });
+
+    return { heroes, maps };
+  }
+}
@@ -0,0 +1,106 @@
+import { AchievementRegistry, getAchievementTarget, isRunScoped, listAchievements } from './AchievementRegistry.js';
+import { AchievementStore } from './AchievementStore.js';
+
+/** True when every `where` field equals the payload's. */
+function matchesWhere(where, payload) {
+  if (!where) return true;
+  return Object.entries(where).every(([field, value]) => payload?.[field] === value);
+}
+
+/**
+ * AchievementTracker
+ * Advances AchievementRegistry conditions from one run's scene events.
+ *
+ * Notes:
+ *  - Progress is kept in memory and written to AchievementStore only when an
+ *    achievement completes, on `run:ended`, and on destroy, so a kill-heavy
+ *    run doesn't touch localStorage every frame.
+ *  - Lifetime counters resume from the stored progress loaded at run start.
+ *  - Emits `achievement:unlocked` { key, entry } for the HUD toast.
+ */
+export class AchievementTracker {
+  constructor(scene, { events } = {}) {
+    this.scene = scene;
+    this.events = events ?? scene?.events ?? null;
+
+    const stored = AchievementStore.load();
+    this.unlocked = new Set(Object.keys(stored.unlocked));
+    this.baseProgress = { ...stored.progress };
+    this.runProgress = {};   // achievementKey -> count or best measured value this run
+    this._dirty = false;
+
+    // One handler per event name, each checking the achievements that listen to it.
+    this.handlers = new Map();
+    listAchievements().forEach((entry) => {
+      const event = entry.condition?.event;
+      if (!event || this.unlocked.has(entry.key)) return;
+      if (!this.handlers.has(event)) {
+        this.handlers.set(event, { entries: [], fn: (payload) => this._onEvent(event, payload) });
+      }
+      this.handlers.get(event).entries.push(entry);
+    });
+
+    this._onRunEnded = () => this.flush();
+
+    this.handlers.forEach(({ fn }, event) => this.events?.on?.(event, fn));
+    this.events?.on?.('run:ended', this._onRunEnded);
+  }
+
+  _onEvent(event, payload = {}) {
+    let completed = false;
+
+    this.handlers.get(event)?.entries.forEach((entry) => {
+      if (this.unlocked.has(entry.key) || !matchesWhere(entry.condition.where, payload)) return;
+
+      const { measure } = entry.condition;
+      const previous = this.runProgress[entry.key] ?? 0;
+      const next = measure != null ? Math.max(previous, Number(payload?.[measure]) || 0) : previous + 1;
+      if (next === previous) return;
+
+      this.runProgress[entry.key] = next;
+      this._dirty = true;
+      if (this.getProgress(entry.key) >= getAchievementTarget(entry)) completed = true;
+    });
+
+    if (completed) this.flush();
+  }
+
+  /** Current progress toward an achievement, including this run. */
+  getProgress(key) {
+    const entry = AchievementRegistry[key];
+    if (!entry) return 0;
+    const run = this.runProgress[key] ?? 0;
+    return isRunScoped(entry) ? run : (this.baseProgress[key] ?? 0) + run;
+  }
+
+  /**
+   * Write pending progress to AchievementStore and announce anything it
+   * unlocked.
+   */
+  flush() {
+    if (!this._dirty) return;
+    this._dirty = false;
+
+    const values = {};
+    Object.keys(this.runProgress).forEach((key) => {
+      if (!this.unlocked.has(key)) values[key] = this.getProgress(key);
+    });
+
+    AchievementStore.updateProgress(values).forEach((key) => {
+      this.unlocked.add(key);
+      this.events?.emit?.('achievement:unlocked', { key, entry: AchievementRegistry[key] });
+    });
+  }
+
+  destroy() {
+    this.flush();
+
+    this.handlers.forEach(({ fn }, event) => this.events?.off?.(event, fn));
+    this.handlers.clear();
+    this.events?.off?.('run:ended', this._onRunEnded);
+    this._onRunEnded = null;
+
+    this.scene = null;
+    this.events = null;
+  }
+}
@@ -0,0 +1,119 @@
+import { META } from '../config/gameConfig.js';
+import { getMetaUpgradeCost, MetaUpgradeRegistry } from './MetaUpgradeRegistry.js';
+
+// Key used to store/retrieve meta-progression (currency + upgrade ranks) in localStorage
+const STORAGE_KEY = 'NOTBM:meta';
+
+/**
+ * Shape every stored payload is normalised to, so callers never have to
+ * null-check individual fields.
+ */
+function normalize(data) {
+  const upgrades = {};
+  Object.entries(data?.upgrades ?? {}).forEach(([key, rank]) => {
+    const entry = MetaUpgradeRegistry[key];
+    const value = Math.floor(Number(rank) || 0);
+    if (entry && value > 0) {
+      upgrades[key] = Math.min(entry.maxRank, value);
+    }
+  });
+
+  return {
+    currency: Math.max(0, Math.floor(Number(data?.currency) || 0)),
+    lifetimeEarned: Math.max(0, Math.floor(Number(data?.lifetimeEarned) || 0)),
+    upgrades
+  };
+}
+
+/**
+ * Currency a finished run is worth (META tuning): kills, whole minutes
+ * survived, gold picked up, plus a flat bonus for a win.
+ */
+export function computeRunCurrency({ kills = 0, timeSurvivedSeconds = 0, gold = 0, outcome = null } = {}) {
+  const minutes = Math.floor(Math.max(0, Number(timeSurvivedSeconds) || 0) / 60);
+  const total =
+    Math.max(0, Number(kills) || 0) * META.perKill +
+    minutes * META.perMinuteSurvived +
+    Math.max(0, Number(gold) || 0) * META.perGold +
+    (outcome === 'win' ? META.winBonus : 0);
+  return Math.max(0, Math.floor(total));
+}
+
+/**
+ * Persistent meta-progression: the currency banked across runs and the ranks
+ * bought in MetaShopScene. Same storage conventions as LoadoutStore; a missing
+ * or corrupt save reads as a fresh profile.
+ */
+export class MetaStore {
+  /**
+   * Load the stored profile (never null).
+   */
+  static load() {
+    if (typeof window === 'undefined' || !window.localStorage) return normalize(null);
+
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      return normalize(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+      console.warn('[MetaStore] Failed to parse stored meta progression', err);
+      return normalize(null);
+    }
+  }
+
+  /**
+   * Persist a profile. Storage failures are logged, never thrown.
+   */
+  static save(profile) {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(normalize(profile)));
+    } catch (err) {
+      console.warn('[MetaStore] Failed to persist meta progression', err);
+    }
+  }
+
+  /**
+   * Owned upgrade ranks (upgrade key → rank).
+   */
+  static getUpgradeRanks() {
+    return { ...MetaStore.load().upgrades };
+  }
+
+  /**
+   * Bank currency earned by a run.
+   * @returns {object} the updated profile
+   */
+  static awardCurrency(amount) {
+    const gained = Math.max(0, Math.floor(Number(amount) || 0));
+    const profile = MetaStore.load();
+    if (gained <= 0) return profile;
+
+    profile.currency += gained;
+    profile.lifetimeEarned += gained;
+    MetaStore.save(profile);
+    return profile;
+  }
+
+  /**
+   * Buy the next rank of an upgrade if it is affordable and not maxed.
+   * @returns {{ ok: boolean, reason?: string, profile: object }}
+   */
+  static purchase(key) {
+    const profile = MetaStore.load();
+    const rank = profile.upgrades[key] ?? 0;
+    const cost = getMetaUpgradeCost(key, rank);
+
+    if (cost == null) {
+      return { ok: false, reason: MetaUpgradeRegistry[key] ? 'maxed' : 'unknown', profile };
+    }
+    if (profile.currency < cost) {
+      return { ok: false, reason: 'insufficient', profile };
+    }
+
+    profile.currency -= cost;
+    profile.upgrades[key] = rank + 1;
+    MetaStore.save(profile);
+    return { ok: true, profile };
+  }
+}
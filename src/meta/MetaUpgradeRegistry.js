@@ -0,0 +1,128 @@
+/**
+ * MetaUpgradeRegistry
+ *
+ * Permanent upgrades bought in MetaShopScene with the currency banked at the
+ * end of each run (CONFIG META). Each rank adds `effects` once; the summed
+ * effects are layered under the run's passive stacks via
+ * PassiveManager.setBaseEffects, so they reach the same consumers passives do
+ * (HeroController move speed, MagnetSystem radius, PlayerDerivedStatsApplier
+ * max health).
+ *
+ * Entry fields:
+ *  - maxRank: how many times it can be bought
+ *  - cost: { base, growth } → price of rank N+1 is round(base * growth^N)
+ *  - effects: aggregate keys added per rank
+ *  - ui: nameKey / descriptionKey (string table) / optional icon (atlas + frame)
+ *
+ * Effect keys without a passive equivalent:
+ *  - maxHealthFlat: added to the hero's registry maxHealth
+ *  - rerollCharges: level-up rerolls available per run
+ *  - startingLevels: levels granted (with their picks) when the run starts
+ */
+export const MetaUpgradeRegistry = {
+  maxHealth: {
+    key: 'maxHealth',
+    maxRank: 5,
+    cost: { base: 40, growth: 1.45 },
+    effects: { maxHealthFlat: 15 },
+    ui: {
+      nameKey: 'metaUpgrade.maxHealth.name',
+      descriptionKey: 'metaUpgrade.maxHealth.description',
+      icon: { atlas: 'passives_atlas', frame: 'shield.png' }
+    }
+  },
+
+  moveSpeed: {
+    key: 'moveSpeed',
+    maxRank: 5,
+    cost: { base: 50, growth: 1.5 },
+    effects: { moveSpeedPct: 0.04 },
+    ui: {
+      nameKey: 'metaUpgrade.moveSpeed.name',
+      descriptionKey: 'metaUpgrade.moveSpeed.description',
+      icon: { atlas: 'passives_atlas', frame: 'bloodwindtreads.png' }
+    }
+  },
+
+  magnetRadius: {
+    key: 'magnetRadius',
+    maxRank: 5,
+    cost: { base: 30, growth: 1.4 },
+    effects: { xpMagnetRadiusPct: 0.1 },
+    ui: {
+      nameKey: 'metaUpgrade.magnetRadius.name',
+      descriptionKey: 'metaUpgrade.magnetRadius.description',
+      icon: { atlas: 'passives_atlas', frame: 'reapersreach.png' }
+    }
+  },
+
+  rerollCharges: {
+    key: 'rerollCharges',
+    maxRank: 3,
+    cost: { base: 80, growth: 1.8 },
+    effects: { rerollCharges: 1 },
+    ui: {
+      nameKey: 'metaUpgrade.rerollCharges.name',
+      descriptionKey: 'metaUpgrade.rerollCharges.description',
+      icon: { atlas: 'passives_atlas', frame: 'multishot.png' }
+    }
+  },
+
+  startingLevel: {
+    key: 'startingLevel',
+    maxRank: 3,
+    cost: { base: 120, growth: 2 },
+    effects: { startingLevels: 1 },
+    ui: {
+      nameKey: 'metaUpgrade.startingLevel.name',
+      descriptionKey: 'metaUpgrade.startingLevel.description',
+      icon: { atlas: 'passives_atlas', frame: 'might.png' }
+    }
+  }
+};
+
+export function listMetaUpgrades() {
+  return Object.values(MetaUpgradeRegistry);
+}
+
+/**
+ * Price of the next rank, or null when the upgrade is maxed / unknown.
+ */
+export function getMetaUpgradeCost(key, currentRank = 0) {
+  const entry = MetaUpgradeRegistry[key];
+  if (!entry) return null;
+
+  const rank = Math.max(0, Math.floor(Number(currentRank) || 0));
+  if (rank >= entry.maxRank) return null;
+
+  const base = Number(entry.cost?.base ?? 0);
+  const growth = Number(entry.cost?.growth ?? 1);
+  return Math.max(0, Math.round(base * growth ** rank));
+}
+
+/**
+ * Sum every owned rank's effects into one aggregate-shaped map.
+ * Unknown keys and out-of-range ranks are ignored/clamped so stale saves
+ * (or hand-edited replays) never break a run.
+ *
+ * @param {Object<string, number>} ranks - upgrade key → owned rank
+ * @returns {Object<string, number>}
+ */
+export function resolveMetaEffects(ranks = {}) {
+  const effects = {};
+
+  Object.entries(ranks ?? {}).forEach(([key, value]) => {
+    const entry = MetaUpgradeRegistry[key];
+    if (!entry) return;
+
+    const rank = Math.min(entry.maxRank, Math.max(0, Math.floor(Number(value) || 0)));
+    if (rank <= 0) return;
+
+    Object.entries(entry.effects ?? {}).forEach(([effectKey, amount]) => {
+      if (!Number.isFinite(amount)) return;
+      effects[effectKey] = (effects[effectKey] ?? 0) + amount * rank;
+    });
+  });
+
+  return effects;
+}
@@ -0,0 +1,107 @@
+import { AI_LOD } from '../config/gameConfig.js';
+
+/**
+ * AiLodScheduler
+ *
+ * Decides which enemies run their MobAI behaviour this tick. Each enemy is
+ * bucketed by its distance outside the camera view (AI_LOD.buckets); bucket
+ * N updates an enemy every `interval` ticks. Enemies get a fixed round-robin
+ * slot on first sight, so a reduced bucket spreads its members evenly across
+ * ticks instead of updating them all on the same one.
+ *
+ * Skipped enemies keep the velocity their last update chose, and the frame
+ * time they sat out is handed to their next update, so dt-driven behaviours
+ * (sine flyers, orbiters, phase timers) keep their pace.
+ *
+ * The view is a camera-sized rectangle centred on the hero rather than the
+ * camera's rendered worldView: the camera follows the hero, and this keeps
+ * the schedule independent of render frames (replays, the headless sim).
+ */
+export class AiLodScheduler {
+  constructor(config = AI_LOD) {
+    this.config = config;
+    this._buckets = (config.buckets ?? []).filter((bucket) => bucket && bucket.interval >= 1);
+    this._tick = 0;
+    this._nextSlot = 0;
+    this._view = { left: 0, top: 0, right: 0, bottom: 0 };
+
+    // Members per bucket: the tick in progress, then the last finished one.
+    this._counts = this._buckets.map(() => 0);
+    this.bucketSizes = this._buckets.map(() => 0);
+  }
+
+  /**
+   * Start a tick around the hero's position.
+   * @param {Phaser.Scene} scene
+   * @param {{ x: number, y: number }} hero
+   */
+  beginTick(scene, hero) {
+    this._tick += 1;
+    for (let i = 0; i < this._counts.length; i += 1) {
+      this.bucketSizes[i] = this._counts[i];
+      this._counts[i] = 0;
+    }
+
+    const camera = scene?.cameras?.main;
+    const zoom = camera?.zoom || 1;
+    const halfW = (camera?.width ?? scene?.scale?.width ?? 0) / zoom / 2;
+    const halfH = (camera?.height ?? scene?.scale?.height ?? 0) / zoom / 2;
+    this._view.left = hero.x - halfW;
+    this._view.right = hero.x + halfW;
+    this._view.top = hero.y - halfH;
+    this._view.bottom = hero.y + halfH;
+  }
+
+  /**
+   * Bucket the enemy and decide whether its behaviour runs this tick.
+   * Sets `enemy._aiOffscreen` for anything past the first bucket.
+   * @returns {number|null} Frame time (ms) to run the behaviour with, or null to skip it.
+   */
+  schedule(enemy, dt) {
+    const elapsed = (enemy._aiLodDtMs ?? 0) + (Number(dt) || 0);
+    if (!this.config.enabled || this._buckets.length === 0) {
+      enemy._aiOffscreen = false;
+      enemy._aiLodDtMs = 0;
+      return elapsed;
+    }
+
+    const bucket = this._bucketIndex(enemy);
+    this._counts[bucket] += 1;
+    enemy._aiOffscreen = bucket > 0;
+
+    enemy._aiLodSlot ??= this._nextSlot++;
+    const { interval } = this._buckets[bucket];
+    if (interval > 1 && (enemy._aiLodSlot + this._tick) % interval !== 0) {
+      enemy._aiLodDtMs = elapsed;
+      return null;
+    }
+
+    enemy._aiLodDtMs = 0;
+    return elapsed;
+  }
+
+  /** Members per bucket on the last finished tick (nearest bucket first). */
+  getBucketSizes() {
+    return this.bucketSizes;
+  }
+
+  destroy() {
+    this._buckets = [];
+    this._counts = [];
+    this.bucketSizes = [];
+  }
+
+  _bucketIndex(enemy) {
+    const view = this._view;
+    const dx = Math.max(view.left - enemy.x, 0, enemy.x - view.right);
+    const dy = Math.max(view.top - enemy.y, 0, enemy.y - view.bottom);
+    const distSq = dx * dx + dy * dy;
+
+    const last = this._buckets.length - 1;
+    for (let i = 0; i < last; i += 1) {
+      const within = this._buckets[i].within;
+      if (distSq <= within * within) return i;
+    }
+    return last;
+  }
+}
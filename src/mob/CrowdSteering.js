@@ -0,0 +1,143 @@
+import { CROWD } from '../config/gameConfig.js';
+
+// Coincident enemies get pushed apart along golden-angle spokes.
+const GOLDEN_ANGLE = 2.399963;
+
+function bodyRadius(enemy) {
+  const body = enemy?.body;
+  const half = Number(body?.halfWidth) || Number(enemy?.displayWidth) / 2 || 8;
+  return Math.max(4, half);
+}
+
+/**
+ * CrowdSteering
+ *
+ * Neighbour repulsion (and optional alignment) that EnemyBehaviorSystem
+ * layers on top of whatever velocity a MobAI behaviour chose, so dense swarms
+ * settle into rings and conga lines around the hero instead of one stacked
+ * blob, without Arcade body-vs-body collisions.
+ *
+ * Neighbours come from the scene's enemy SpatialHash (`useIndex`). The
+ * push added to an enemy is remembered and taken back out (`restore`) before
+ * its behaviour runs again, so behaviours that keep last frame's velocity
+ * (lunges, knockback) never accumulate it.
+ *
+ * Per-mob tuning lives in MobRegistry `aiParams.separation`:
+ *  - false: opt out entirely (the mob still pushes others)
+ *  - { strength, padding, alignment, maxNeighbors }: override CROWD defaults
+ */
+export class CrowdSteering {
+  constructor(config = CROWD) {
+    this.config = config;
+    this._index = null;
+    this._neighbours = [];
+    this._skip = new Set(config.skipBehaviors ?? []);
+    this._defaults = {
+      strength: config.strength,
+      padding: config.padding,
+      alignment: config.alignment,
+      maxNeighbors: config.maxNeighbors
+    };
+  }
+
+  /** Point at this tick's enemy index; null turns steering off until one exists. */
+  useIndex(index) {
+    this._index = index ?? null;
+  }
+
+  /** Take back the push added last frame. Call before the behaviour runs. */
+  restore(enemy) {
+    const pushX = enemy?._crowdPushX ?? 0;
+    const pushY = enemy?._crowdPushY ?? 0;
+    if (!pushX && !pushY) return;
+
+    const vel = enemy.body?.velocity;
+    if (vel) enemy.body.setVelocity(vel.x - pushX, vel.y - pushY);
+    enemy._crowdPushX = 0;
+    enemy._crowdPushY = 0;
+  }
+
+  /** Add this frame's separation/alignment on top of the behaviour's velocity. */
+  apply(enemy) {
+    const settings = this._settingsFor(enemy);
+    const vel = enemy?.body?.velocity;
+    if (!settings || !vel) return;
+
+    const index = this._index;
+    if (!index) return;
+
+    const radius = bodyRadius(enemy);
+    const reach = radius + Math.max(8, index.maxExtent) + settings.padding;
+    const nearby = index.queryRadius(enemy.x, enemy.y, reach, this._neighbours);
+
+    let pushX = 0;
+    let pushY = 0;
+    let sumVx = 0;
+    let sumVy = 0;
+    let neighbours = 0;
+
+    for (let i = 0; i < nearby.length && neighbours < settings.maxNeighbors; i += 1) {
+      const other = nearby[i];
+      if (other === enemy || other._isDying || !other.body) continue;
+
+      const spacing = radius + bodyRadius(other) + settings.padding;
+      let dx = enemy.x - other.x;
+      let dy = enemy.y - other.y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq >= spacing * spacing) continue;
+
+      let dist = Math.sqrt(distSq);
+      if (dist < 0.001) {
+        const angle = (neighbours + i + 1) * GOLDEN_ANGLE;
+        dx = Math.cos(angle);
+        dy = Math.sin(angle);
+        dist = 1;
+      }
+
+      // Linear falloff: overlapping bodies push hardest.
+      const weight = 1 - dist / spacing;
+      pushX += (dx / dist) * weight;
+      pushY += (dy / dist) * weight;
+
+      const otherVel = other.body.velocity;
+      sumVx += otherVel?.x ?? 0;
+      sumVy += otherVel?.y ?? 0;
+      neighbours += 1;
+    }
+    nearby.length = 0;
+
+    if (neighbours === 0) return;
+
+    const pushLen = Math.hypot(pushX, pushY);
+    const scale = pushLen > 1 ? 1 / pushLen : 1;
+    const maxPush = (enemy.speed || 60) * settings.strength;
+    let addX = pushX * scale * maxPush;
+    let addY = pushY * scale * maxPush;
+
+    if (settings.alignment > 0) {
+      addX += (sumVx / neighbours - vel.x) * settings.alignment;
+      addY += (sumVy / neighbours - vel.y) * settings.alignment;
+    }
+
+    enemy.body.setVelocity(vel.x + addX, vel.y + addY);
+    enemy._crowdPushX = addX;
+    enemy._crowdPushY = addY;
+  }
+
+  destroy() {
+    this._index = null;
+    this._neighbours.length = 0;
+  }
+
+  /** CROWD defaults merged with the mob's `aiParams.separation`, or null to skip it. */
+  _settingsFor(enemy) {
+    if (!this.config.enabled || !enemy?.active || this._skip.has(enemy.aiBehavior)) return null;
+
+    const override = enemy.aiParams?.separation;
+    if (override === false) return null;
+
+    return override && typeof override === 'object'
+      ? { ...this._defaults, ...override }
+      : this._defaults;
+  }
+}
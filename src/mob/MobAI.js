@@ -10,7 +10,29 @@
  */
 
 import { resolveMobConfig } from './MobRegistry.js';
+import { shakeCamera } from '../ui/AccessibilitySettings.js';
 import { EnemyProjectileWeaponController } from '../weapons/controllers/enemy/EnemyProjectileWeaponController.js';
+import { TargetingService } from '../weapons/TargetingService.js';
+
+// Floating-number colours for supportAllies casts.
+const HEAL_NUMBER_TINT = 0x6dff7a;
+const SHIELD_NUMBER_TINT = 0x6fc3ff;
+
+/**
+ * Facing flips and looping move/idle animation swaps only matter on screen.
+ * EnemyBehaviorSystem sets `_aiOffscreen` on enemies outside its nearest LOD
+ * bucket; they skip both, and the first update back in view catches up.
+ * One-shot attack animations always play (their completion drives AI state).
+ */
+function setFacing(enemy, flipX) {
+  if (!enemy._aiOffscreen) enemy.setFlipX(flipX);
+}
+
+function playLoopAnim(enemy, key) {
+  if (!key || enemy._aiOffscreen) return;
+  if (enemy.anims?.currentAnim?.key === key || !enemy.anims?.animationManager?.exists?.(key)) return;
+  enemy.play(key, true);
+}
 
 /**
  * Ensures that every enemy has a stable "base velocity" to reference.
@@ -196,7 +218,7 @@ function steerToWorldPointBounded(enemy, scene, targetX, targetY, opts = {}) {
       const d = Math.hypot(dx, dy) || 1;
 
       enemy.setVelocity((dx / d) * speed, (dy / d) * speed);
-      enemy.setFlipX(dx < 0);
+      setFacing(enemy, dx < 0);
       return true;
     }
 
@@ -237,7 +259,7 @@ function steerToWorldPointBounded(enemy, scene, targetX, targetY, opts = {}) {
 
     if (vx !== 0 || vy !== 0) {
       enemy.setVelocity(vx, vy);
-      enemy.setFlipX(vx < 0);
+      setFacing(enemy, vx < 0);
       return true;
     }
   }
@@ -356,7 +378,7 @@ function steerToWorldPointBounded(enemy, scene, targetX, targetY, opts = {}) {
   }
 
   enemy.setVelocity(vx, vy);
-  enemy.setFlipX(vx < 0);
+  setFacing(enemy, vx < 0);
   return true;
 }
 
@@ -368,10 +390,230 @@ function steerToPlayerBounded(enemy, player, scene, opts = {}) {
 function updateFlipFromVelocity(enemy) {
   const vx = enemy?.body?.velocity?.x;
   if (!Number.isFinite(vx) || vx === 0) return false;
-  enemy.setFlipX(vx < 0);
+  setFacing(enemy, vx < 0);
   return true;
 }
 
+/**
+ * Build the enemy's projectile weapon from its aiParams on first use.
+ * `defaultCooldownMs` applies when the mob sets no `attackCooldownMs`.
+ */
+function ensureRangedWeapon(enemy, scene, params, defaultCooldownMs) {
+  if (!enemy._rangedWeapon && scene?.enemyProjectiles) {
+    enemy._rangedWeapon = new EnemyProjectileWeaponController(scene, enemy, {
+      weaponKey: params.projectileWeaponKey ?? null,
+      overrides: params.projectileOverrides ?? null,
+      cooldownMs: Number.isFinite(params.attackCooldownMs) ? params.attackCooldownMs : defaultCooldownMs,
+      initialDelayMs: Number.isFinite(params.initialAttackDelayMs) ? params.initialAttackDelayMs : undefined,
+      range: Number.isFinite(params.attackRange) ? params.attackRange : Infinity,
+      salvo: Number.isFinite(params.salvo) ? params.salvo : 1,
+      spreadDeg: Number.isFinite(params.spreadDeg) ? params.spreadDeg : 0,
+      aimMode: 'atTarget'
+    });
+  }
+  return enemy._rangedWeapon ?? null;
+}
+
+/**
+ * Play a one-shot attack animation (if the mob has one) and call `onComplete`
+ * once it finishes, unless the enemy started dying in the meantime.
+ */
+function playAttackAnim(enemy, attackAnim, onComplete) {
+  if (!attackAnim || !enemy.anims?.animationManager?.exists?.(attackAnim)) return false;
+
+  enemy._isAttacking = true;
+  enemy.play(attackAnim, true);
+  enemy.once(`animationcomplete-${attackAnim}`, () => {
+    enemy._isAttacking = false;
+    if (!enemy._isDying) onComplete?.();
+  });
+  return true;
+}
+
+/**
+ * Spawn points for summons: anywhere on open maps, clamped and walkable on
+ * bounded ones (null when the spot is inside a wall).
+ */
+function resolveOpenPoint(scene, x, y) {
+  const runtime = scene?.mapRuntime;
+  if (!runtime?.isBounded?.()) return { x, y };
+
+  const clamped = runtime.clampPoint?.({ x, y }) ?? { x, y };
+  const mapQuery = scene.mapQuery;
+  if (!mapQuery?.isWalkableWorldXY || mapQuery.isWalkableWorldXY(clamped.x, clamped.y)) {
+    return clamped;
+  }
+  return null;
+}
+
+const NEIGHBOR_STEPS = [
+  [0, -1], [1, 0], [0, 1], [-1, 0],
+  [1, -1], [1, 1], [-1, 1], [-1, -1],
+];
+
+/**
+ * Bounded retreat. The hero flow field stores each tile's path distance to
+ * the hero, so stepping to the neighbour with the largest distance backs away
+ * around walls instead of into them. Returns false when cornered.
+ */
+function retreatFromPlayerBounded(enemy, scene, speed) {
+  const { nav, flow } = resolveBoundedNavPair(scene, enemy);
+  const distArr = flow?.dist;
+  if (!nav || !distArr) return false;
+
+  const ex = enemy.body?.center?.x ?? enemy.x;
+  const ey = enemy.body?.center?.y ?? enemy.y;
+  const tile = nav.worldToTile(ex, ey);
+  if (!nav.inBounds(tile.tx, tile.ty)) return false;
+
+  const here = distArr[nav.idx(tile.tx, tile.ty)];
+  if (here < 0) return false;
+
+  let best = null;
+  let bestDist = here;
+  for (const [dx, dy] of NEIGHBOR_STEPS) {
+    const nx = tile.tx + dx;
+    const ny = tile.ty + dy;
+    if (!nav.inBounds(nx, ny) || !nav.isWalkable(nx, ny)) continue;
+    // Diagonal steps may not clip a wall corner.
+    if (dx && dy && (!nav.isWalkable(tile.tx + dx, tile.ty) || !nav.isWalkable(tile.tx, tile.ty + dy))) continue;
+
+    const nd = distArr[nav.idx(nx, ny)];
+    if (nd > bestDist) {
+      bestDist = nd;
+      best = { tx: nx, ty: ny };
+    }
+  }
+  if (!best) return false;
+
+  const target = nav.tileToWorldCenter(best.tx, best.ty);
+  const vx = target.x - ex;
+  const vy = target.y - ey;
+  const d = Math.hypot(vx, vy) || 1;
+  enemy.setVelocity((vx / d) * speed, (vy / d) * speed);
+  return true;
+}
+
+/**
+ * Keep the enemy inside a distance band around the player: back off when
+ * closer than `minRange`, close in past `maxRange`, strafe in between.
+ * The strafe direction flips when the body bumps into something.
+ * Always faces the player. Returns true while the enemy is moving.
+ */
+function keepBandDistance(enemy, player, scene, { minRange, maxRange, speed, retreatSpeed, strafeSpeed }) {
+  const dx = player.x - enemy.x;
+  const dy = player.y - enemy.y;
+  const dist = Math.hypot(dx, dy) || 1;
+  const bounded = enemy._useBoundedMovement && isBoundedNavReady(scene, enemy);
+
+  const strafe = () => {
+    if (!(strafeSpeed > 0)) {
+      enemy.setVelocity(0, 0);
+      return false;
+    }
+    // Start on the side the enemy arrived from; reverse off walls and props.
+    enemy._strafeDir ??= dx > 0 ? 1 : -1;
+    if (enemy.body?.blocked && !enemy.body.blocked.none) enemy._strafeDir *= -1;
+
+    const dir = enemy._strafeDir;
+    enemy.setVelocity((-dy / dist) * strafeSpeed * dir, (dx / dist) * strafeSpeed * dir);
+    return true;
+  };
+
+  let moving = true;
+  if (dist < minRange && retreatSpeed > 0) {
+    if (!bounded) enemy.setVelocity((-dx / dist) * retreatSpeed, (-dy / dist) * retreatSpeed);
+    else if (!retreatFromPlayerBounded(enemy, scene, retreatSpeed)) moving = strafe();
+  } else if (dist > maxRange && speed > 0) {
+    if (bounded) {
+      steerToPlayerBounded(enemy, player, scene, { speed, stopDist: maxRange, arriveDist: 6, directSight: true });
+    } else {
+      enemy.setVelocity((dx / dist) * speed, (dy / dist) * speed);
+    }
+  } else {
+    moving = strafe();
+  }
+
+  setFacing(enemy, dx < 0);
+  return moving;
+}
+
+/**
+ * Spawn up to `count` minions of `mobKey` in a fan between the summoner and
+ * the player, keeping the summoner's own live minions at or under `maxMinions`.
+ * Pool caps (EnemyPools.canSpawn) still apply. Returns how many spawned.
+ */
+function summonAround(enemy, player, scene, { mobKey, count, radius, maxMinions }) {
+  const pools = scene?.enemyPools;
+  const pool = mobKey ? pools?.getPool?.(mobKey) : null;
+  if (!pool) return 0;
+
+  // Pooled minions that died (or were reused by another spawn) no longer count.
+  const minions = enemy._minions ?? (enemy._minions = new Set());
+  for (const minion of minions) {
+    if (!minion.active || minion._summonedBy !== enemy) minions.delete(minion);
+  }
+
+  const wanted = Math.min(Math.max(0, Math.floor(count)), Math.max(0, maxMinions - minions.size));
+  const facing = Math.atan2(player.y - enemy.y, player.x - enemy.x);
+  let spawned = 0;
+
+  for (let i = 0; i < wanted; i += 1) {
+    if (!pools.canSpawn?.(mobKey)) break;
+
+    const angle = facing + ((i + 0.5) / wanted - 0.5) * Math.PI;
+    const point = resolveOpenPoint(
+      scene,
+      enemy.x + Math.cos(angle) * radius,
+      enemy.y + Math.sin(angle) * radius
+    );
+    if (!point) continue;
+
+    const minion = pool.get(point.x, point.y);
+    if (!minion) break;
+    minion.reset(point.x, point.y, mobKey);
+    minion._summonedBy = enemy;
+    minions.add(minion);
+    scene.fx?.explode?.(point.x, point.y, 8);
+    spawned += 1;
+  }
+
+  return spawned;
+}
+
+/** Whether `ally` would benefit from a heal or a fresh shield right now. */
+function needsSupport(ally, mode, now) {
+  if (mode === 'shield') {
+    return !(ally._shieldHp > 0) || (Number.isFinite(ally._shieldExpiresAt) && now >= ally._shieldExpiresAt);
+  }
+  return ally.hp < ally.maxHp;
+}
+
+/**
+ * Heal (or shield) one ally and announce it. Heals never exceed maxHp;
+ * shields replace a weaker one and expire after `shieldDurationMs`.
+ */
+function applySupport(ally, source, scene, mode, params, now) {
+  if (mode === 'shield') {
+    const amount = Number.isFinite(params.shieldAmount) ? params.shieldAmount : 20;
+    ally._shieldHp = Math.max(ally._shieldHp ?? 0, amount);
+    ally._shieldExpiresAt = Number.isFinite(params.shieldDurationMs) ? now + params.shieldDurationMs : null;
+    scene?.damageNumbers?.hitEntity(ally, amount, { tint: SHIELD_NUMBER_TINT });
+    scene?.events?.emit?.('enemy:shielded', { enemy: ally, source, amount });
+    return;
+  }
+
+  const amount = Number.isFinite(params.healAmount)
+    ? params.healAmount
+    : Math.round((ally.maxHp || 0) * (Number.isFinite(params.healPct) ? params.healPct : 0.2));
+  const healed = Math.min(Math.max(0, amount), ally.maxHp - ally.hp);
+  if (healed <= 0) return;
+
+  ally.hp += healed;
+  scene?.damageNumbers?.hitEntity(ally, healed, { tint: HEAL_NUMBER_TINT });
+  scene?.events?.emit?.('enemy:healed', { enemy: ally, source, amount: healed });
+}
+
 
 /**
  * Behavior dispatcher: each entry is a function applied once per frame to
@@ -419,7 +661,7 @@ export const ENEMY_BEHAVIORS = {
 
     const speed = enemy.speed || 60;
     enemy.setVelocity((dx / dist) * speed, (dy / dist) * speed);
-    enemy.setFlipX(dx < 0); // left/right for single-direction sheets
+    setFacing(enemy, dx < 0); // left/right for single-direction sheets
   },
 
   /**
@@ -569,10 +811,10 @@ export const ENEMY_BEHAVIORS = {
     } else if (dirMag > 0.001) {
       const scale = speed / dirMag;
       enemy.setVelocity(dirX * scale, dirY * scale);
-      enemy.setFlipX(dirX < 0);
+      setFacing(enemy, dirX < 0);
     } else {
       enemy.setVelocity(0, 0);
-      enemy.setFlipX(false);
+      setFacing(enemy, false);
     }
   },
 
@@ -665,24 +907,11 @@ export const ENEMY_BEHAVIORS = {
     // Maintain movement animation except during attack.
     const animSet = mobConfig?.animationKeys ?? {};
     const moveAnim = animSet.move ?? animSet.idle ?? mobConfig?.defaultAnim;
-    if (!enemy._isAttacking && moveAnim && enemy.anims?.animationManager?.exists?.(moveAnim)) {
-      if (enemy.anims?.currentAnim?.key !== moveAnim) enemy.play(moveAnim, true);
-    }
+    if (!enemy._isAttacking) playLoopAnim(enemy, moveAnim);
 
     const now = scene?.time?.now ?? 0;
 
-    if (!enemy._rangedWeapon && scene?.enemyProjectiles) {
-      enemy._rangedWeapon = new EnemyProjectileWeaponController(scene, enemy, {
-        weaponKey: params.projectileWeaponKey ?? null,
-        overrides: params.projectileOverrides ?? null,
-        cooldownMs: Number.isFinite(params.attackCooldownMs) ? params.attackCooldownMs : 3000,
-        initialDelayMs: Number.isFinite(params.initialAttackDelayMs) ? params.initialAttackDelayMs : undefined,
-        range: Number.isFinite(params.attackRange) ? params.attackRange : Infinity,
-        salvo: Number.isFinite(params.salvo) ? params.salvo : 1,
-        spreadDeg: Number.isFinite(params.spreadDeg) ? params.spreadDeg : 0,
-        aimMode: 'atTarget'
-      });
-    }
+    ensureRangedWeapon(enemy, scene, params, 3000);
 
     if (enemy._rangedWeapon) {
       const fired = enemy._rangedWeapon.tryFireAt(player, now);
@@ -743,18 +972,14 @@ export const ENEMY_BEHAVIORS = {
      * Restore the movement animation if the boss is not attacking.
      */
     const ensureMoveAnim = () => {
-      if (moveAnim && enemy.anims?.animationManager?.exists?.(moveAnim) && enemy.anims?.currentAnim?.key !== moveAnim) {
-        enemy.play(moveAnim, true);
-      }
+      playLoopAnim(enemy, moveAnim);
     };
 
     /**
      * Snap back to idle animation while in melee range or waiting to attack.
      */
     const ensureIdleAnim = () => {
-      if (idleAnim && enemy.anims?.animationManager?.exists?.(idleAnim) && enemy.anims?.currentAnim?.key !== idleAnim) {
-        enemy.play(idleAnim, true);
-      }
+      playLoopAnim(enemy, idleAnim);
     };
 
     // If already mid-attack, do nothing until the attack resolves.
@@ -773,7 +998,7 @@ export const ENEMY_BEHAVIORS = {
         updateFlipFromVelocity(enemy);
       } else {
         enemy.setVelocity((dx / denom) * speed, (dy / denom) * speed);
-        enemy.setFlipX(dx < 0);
+        setFacing(enemy, dx < 0);
       }
       ensureMoveAnim();
       return;
@@ -782,7 +1007,7 @@ export const ENEMY_BEHAVIORS = {
     // In melee range → stop + stand idle.
     enemy.setVelocity(0, 0);
     if (!enemy._useBoundedMovement) {
-      enemy.setFlipX(dx < 0);
+      setFacing(enemy, dx < 0);
     }
     ensureIdleAnim();
 
@@ -838,7 +1063,7 @@ export const ENEMY_BEHAVIORS = {
       enemy._attackDealt = true;
 
       const tookDamage = scene?.hero?.health?.damage?.(meleeDamage);
-      if (tookDamage) scene.cameras?.main?.shake?.(120, 0.006);
+      if (tookDamage) shakeCamera(scene.cameras?.main, 120, 0.006);
     };
 
     if (windupMs > 0) scene?.time?.delayedCall?.(windupMs, applyDamage);
@@ -911,9 +1136,7 @@ export const ENEMY_BEHAVIORS = {
      */
     const ensureMoveAnim = () => {
       if (enemy._isAttacking) return;
-      if (moveAnim && enemy.anims?.animationManager?.exists?.(moveAnim) && enemy.anims?.currentAnim?.key !== moveAnim) {
-        enemy.play(moveAnim, true);
-      }
+      playLoopAnim(enemy, moveAnim);
     };
 
     /**
@@ -921,9 +1144,7 @@ export const ENEMY_BEHAVIORS = {
      */
     const ensureIdleAnim = () => {
       if (enemy._isAttacking) return;
-      if (idleAnim && enemy.anims?.animationManager?.exists?.(idleAnim) && enemy.anims?.currentAnim?.key !== idleAnim) {
-        enemy.play(idleAnim, true);
-      }
+      playLoopAnim(enemy, idleAnim);
     };
 
     if (phase === 'approach' && dist > holdDistance && speed > 0) {
@@ -933,33 +1154,20 @@ export const ENEMY_BEHAVIORS = {
         updateFlipFromVelocity(enemy);
       } else {
         enemy.setVelocity((dx / denom) * speed, (dy / denom) * speed);
-        enemy.setFlipX(dx < 0);
+        setFacing(enemy, dx < 0);
       }
       ensureMoveAnim();
     } else {
       // Either in "hold" phase or already within comfort radius
       enemy.setVelocity(0, 0);
       if (!enemy._useBoundedMovement) {
-        enemy.setFlipX(dx < 0);
+        setFacing(enemy, dx < 0);
       }
       ensureIdleAnim();
     }
 
     // --------- Ranged weapon setup + firing ----------
-    if (!enemy._rangedWeapon && scene?.enemyProjectiles) {
-      enemy._rangedWeapon = new EnemyProjectileWeaponController(scene, enemy, {
-        weaponKey: params.projectileWeaponKey ?? null,
-        overrides: params.projectileOverrides ?? null,
-        cooldownMs: Number.isFinite(params.attackCooldownMs) ? params.attackCooldownMs : 2200,
-        initialDelayMs: Number.isFinite(params.initialAttackDelayMs) ? params.initialAttackDelayMs : undefined,
-        range: Number.isFinite(params.attackRange) ? params.attackRange : Infinity,
-        salvo: Number.isFinite(params.salvo) ? params.salvo : 1,
-        spreadDeg: Number.isFinite(params.spreadDeg) ? params.spreadDeg : 0,
-        aimMode: 'atTarget'
-      });
-    }
-
-    if (!enemy._rangedWeapon) return;
+    if (!ensureRangedWeapon(enemy, scene, params, 2200)) return;
 
     const fired = enemy._rangedWeapon.tryFireAt(player, now);
 
@@ -980,6 +1188,310 @@ export const ENEMY_BEHAVIORS = {
     }
   },
 
+  /**
+   * Ranged kiter: keeps to a distance band around the player, backing off
+   * when crowded, closing in when left behind and strafing in between, and
+   * fires through EnemyProjectileWeaponController whenever it is off cooldown.
+   *
+   * aiParams knobs:
+   *  - minRange / maxRange: the band to hold (default 160 / 260)
+   *  - retreatSpeedMult / strafeSpeedMult: fractions of stats.speed (default 1 / 0.5)
+   *  - attackCooldownMs (default 2000), initialAttackDelayMs, salvo, spreadDeg
+   *  - attackRange (default maxRange + 120), projectileWeaponKey, projectileOverrides
+   */
+  kiteAndFire: (enemy, player, scene, _dt = 0) => {
+    if (!enemy || !player || enemy._isDying) return;
+
+    const mobConfig = resolveMobConfig(enemy.mobKey);
+    const params = resolveEnemyAiParams(enemy);
+
+    const animSet = mobConfig?.animationKeys ?? {};
+    const moveAnim = animSet.move ?? animSet.idle ?? mobConfig?.defaultAnim;
+    const idleAnim = animSet.idle ?? moveAnim ?? mobConfig?.defaultAnim;
+
+    const speed = enemy.speed ?? mobConfig?.stats?.speed ?? 0;
+    const minRange = Number.isFinite(params.minRange) ? params.minRange : 160;
+    const maxRange = Math.max(minRange, Number.isFinite(params.maxRange) ? params.maxRange : 260);
+    const retreatSpeedMult = Number.isFinite(params.retreatSpeedMult) ? params.retreatSpeedMult : 1;
+    const strafeSpeedMult = Number.isFinite(params.strafeSpeedMult) ? params.strafeSpeedMult : 0.5;
+
+    const moving = keepBandDistance(enemy, player, scene, {
+      minRange,
+      maxRange,
+      speed,
+      retreatSpeed: speed * retreatSpeedMult,
+      strafeSpeed: speed * strafeSpeedMult,
+    });
+    if (!enemy._isAttacking) playLoopAnim(enemy, moving ? moveAnim : idleAnim);
+
+    const weapon = ensureRangedWeapon(enemy, scene, { attackRange: maxRange + 120, ...params }, 2000);
+    if (weapon?.tryFireAt(player, scene?.time?.now ?? 0)) {
+      playAttackAnim(enemy, animSet.attack, () => playLoopAnim(enemy, moveAnim));
+    }
+  },
+
+  /**
+   * Telegraphed charger. Walks in until the player is within `chargeRange`,
+   * then stops and winds up (tinted, attack anim) with its direction locked,
+   * dashes along that line, and stands recovering before it can charge again.
+   * The dash deals contact damage only; it ends early when the body hits a wall.
+   *
+   * aiParams knobs:
+   *  - chargeRange: distance that triggers a wind-up (default 220)
+   *  - windupMs (default 600), chargeDurationMs (default 450), recoverMs (default 700)
+   *  - chargeSpeed: dash speed in px/s (default 4x stats.speed)
+   *  - chargeCooldownMs: walk time after recovering before the next wind-up (default 1200)
+   *  - telegraphTint: wind-up tint (default 0xff5a5a)
+   */
+  chargeAtPlayer: (enemy, player, scene, dt = 0) => {
+    if (!enemy || !player || enemy._isDying) return;
+
+    const mobConfig = resolveMobConfig(enemy.mobKey);
+    const params = resolveEnemyAiParams(enemy);
+
+    const animSet = mobConfig?.animationKeys ?? {};
+    const moveAnim = animSet.move ?? animSet.idle ?? mobConfig?.defaultAnim;
+    const idleAnim = animSet.idle ?? moveAnim ?? mobConfig?.defaultAnim;
+
+    const speed = enemy.speed ?? mobConfig?.stats?.speed ?? 0;
+    const chargeRange = Number.isFinite(params.chargeRange) ? params.chargeRange : 220;
+    const windupMs = Number.isFinite(params.windupMs) ? params.windupMs : 600;
+    const chargeDurationMs = Number.isFinite(params.chargeDurationMs) ? params.chargeDurationMs : 450;
+    const recoverMs = Number.isFinite(params.recoverMs) ? params.recoverMs : 700;
+    const chargeSpeed = Number.isFinite(params.chargeSpeed) ? params.chargeSpeed : speed * 4;
+    const cooldownMs = Number.isFinite(params.chargeCooldownMs) ? params.chargeCooldownMs : 1200;
+    const telegraphTint = Number.isFinite(params.telegraphTint) ? params.telegraphTint : 0xff5a5a;
+
+    const charge = enemy._charge ?? (enemy._charge = { state: 'approach', elapsedMs: 0, cooldownMs: 0, dirX: 0, dirY: 0 });
+    charge.elapsedMs += dt || 0;
+
+    const enterState = (state) => {
+      charge.state = state;
+      charge.elapsedMs = 0;
+    };
+
+    // Hand the tint back to status effects (or clear it) after the wind-up.
+    const clearTelegraph = () => {
+      if (scene?.statusEffects?.refreshTint) scene.statusEffects.refreshTint(enemy);
+      else enemy.clearTint?.();
+    };
+
+    const dx = player.x - enemy.x;
+    const dy = player.y - enemy.y;
+    const dist = Math.hypot(dx, dy);
+
+    if (charge.state === 'approach') {
+      if (dist <= chargeRange && charge.elapsedMs >= charge.cooldownMs && chargeSpeed > 0) {
+        const denom = dist || 1;
+        charge.dirX = dx / denom;
+        charge.dirY = dy / denom;
+        enterState('windup');
+        enemy.setVelocity(0, 0);
+        setFacing(enemy, dx < 0);
+        playAttackAnim(enemy, animSet.attack, null);
+        return;
+      }
+
+      if (enemy._useBoundedMovement && isBoundedNavReady(scene, enemy)) {
+        steerToPlayerBounded(enemy, player, scene, { speed, stopDist: 18, arriveDist: 6, directSight: true });
+        updateFlipFromVelocity(enemy);
+      } else if (dist > 18) {
+        enemy.setVelocity((dx / dist) * speed, (dy / dist) * speed);
+        setFacing(enemy, dx < 0);
+      } else {
+        enemy.setVelocity(0, 0);
+      }
+      if (!enemy._isAttacking) playLoopAnim(enemy, moveAnim);
+      return;
+    }
+
+    if (charge.state === 'windup') {
+      enemy.setVelocity(0, 0);
+      enemy.setTint?.(telegraphTint);
+      if (charge.elapsedMs < windupMs) return;
+
+      clearTelegraph();
+      enterState('dash');
+      charge.baseMaxSpeed = enemy.body?.maxSpeed;
+      // Lift the body's speed cap for the dash; recovery restores it.
+      enemy.body?.setMaxSpeed?.(Math.max(chargeSpeed, charge.baseMaxSpeed ?? 0));
+    }
+
+    if (charge.state === 'dash') {
+      const blocked = enemy.body?.blocked;
+      const hitWall =
+        !!blocked &&
+        ((charge.dirX < 0 && blocked.left) ||
+          (charge.dirX > 0 && blocked.right) ||
+          (charge.dirY < 0 && blocked.up) ||
+          (charge.dirY > 0 && blocked.down));
+
+      if (charge.elapsedMs < chargeDurationMs && !hitWall) {
+        enemy.setVelocity(charge.dirX * chargeSpeed, charge.dirY * chargeSpeed);
+        setFacing(enemy, charge.dirX < 0);
+        if (!enemy._isAttacking) playLoopAnim(enemy, moveAnim);
+        return;
+      }
+
+      if (Number.isFinite(charge.baseMaxSpeed)) enemy.body?.setMaxSpeed?.(charge.baseMaxSpeed);
+      enterState('recover');
+    }
+
+    // Recovering: stand still, open to punishment.
+    enemy.setVelocity(0, 0);
+    if (!enemy._isAttacking) playLoopAnim(enemy, idleAnim);
+    if (charge.elapsedMs >= recoverMs) {
+      enterState('approach');
+      charge.cooldownMs = cooldownMs;
+    }
+  },
+
+  /**
+   * Summoner: hangs back at a distance band (like kiteAndFire, without the
+   * shooting) and periodically calls in minions through EnemyPools. Each
+   * summoner tracks its own live minions and never keeps more than
+   * `maxMinions`; the pool's per-mob caps still apply on top.
+   *
+   * aiParams knobs:
+   *  - summonMobKey: MobRegistry key to spawn (required; without it the mob only moves)
+   *  - summonCount (default 2), maxMinions (default 6), summonRadius (default 48)
+   *  - summonCooldownMs (default 5000), initialSummonDelayMs (default 1500)
+   *  - minRange / maxRange (default 200 / 320), strafeSpeedMult (default 0.35)
+   */
+  summonMinions: (enemy, player, scene, dt = 0) => {
+    if (!enemy || !player || enemy._isDying) return;
+
+    const mobConfig = resolveMobConfig(enemy.mobKey);
+    const params = resolveEnemyAiParams(enemy);
+
+    const animSet = mobConfig?.animationKeys ?? {};
+    const moveAnim = animSet.move ?? animSet.idle ?? mobConfig?.defaultAnim;
+    const idleAnim = animSet.idle ?? moveAnim ?? mobConfig?.defaultAnim;
+
+    const speed = enemy.speed ?? mobConfig?.stats?.speed ?? 0;
+    const minRange = Number.isFinite(params.minRange) ? params.minRange : 200;
+    const maxRange = Math.max(minRange, Number.isFinite(params.maxRange) ? params.maxRange : 320);
+    const strafeSpeedMult = Number.isFinite(params.strafeSpeedMult) ? params.strafeSpeedMult : 0.35;
+
+    const moving = keepBandDistance(enemy, player, scene, {
+      minRange,
+      maxRange,
+      speed,
+      retreatSpeed: speed,
+      strafeSpeed: speed * strafeSpeedMult,
+    });
+    if (!enemy._isAttacking) playLoopAnim(enemy, moving ? moveAnim : idleAnim);
+
+    if (!params.summonMobKey) return;
+
+    if (!Number.isFinite(enemy._summonCooldownMs)) {
+      enemy._summonCooldownMs = Number.isFinite(params.initialSummonDelayMs) ? params.initialSummonDelayMs : 1500;
+    }
+    enemy._summonCooldownMs -= dt || 0;
+    if (enemy._summonCooldownMs > 0) return;
+
+    enemy._summonCooldownMs = Number.isFinite(params.summonCooldownMs) ? params.summonCooldownMs : 5000;
+    const spawned = summonAround(enemy, player, scene, {
+      mobKey: params.summonMobKey,
+      count: Number.isFinite(params.summonCount) ? params.summonCount : 2,
+      radius: Number.isFinite(params.summonRadius) ? params.summonRadius : 48,
+      maxMinions: Number.isFinite(params.maxMinions) ? params.maxMinions : 6,
+    });
+    if (spawned > 0) playAttackAnim(enemy, animSet.attack, () => playLoopAnim(enemy, idleAnim));
+  },
+
+  /**
+   * Support caster: every `supportCooldownMs` it heals (or shields) up to
+   * `maxTargets` nearby allies that need it, most wounded first. Between casts
+   * it walks toward the nearest ally in need, or holds a band behind the
+   * player when nobody does. Shields soak damage in DamagePipeline before HP.
+   *
+   * aiParams knobs:
+   *  - support: 'heal' (default) or 'shield'
+   *  - supportRange: cast radius (default 160); allies are sought within twice that
+   *  - supportCooldownMs (default 3000), maxTargets (default 3)
+   *  - healPct (default 0.2 of the ally's maxHp) or a flat healAmount
+   *  - shieldAmount (default 20), shieldDurationMs (default 5000)
+   *  - supportSelf: include itself as a target (default false)
+   *  - supportBosses: allow boss-tier targets (default false)
+   *  - minRange / maxRange: band held with nobody to tend (default 220 / 340)
+   */
+  supportAllies: (enemy, player, scene, dt = 0) => {
+    if (!enemy || !player || enemy._isDying) return;
+
+    const mobConfig = resolveMobConfig(enemy.mobKey);
+    const params = resolveEnemyAiParams(enemy);
+
+    const animSet = mobConfig?.animationKeys ?? {};
+    const moveAnim = animSet.move ?? animSet.idle ?? mobConfig?.defaultAnim;
+    const idleAnim = animSet.idle ?? moveAnim ?? mobConfig?.defaultAnim;
+
+    const speed = enemy.speed ?? mobConfig?.stats?.speed ?? 0;
+    const mode = params.support === 'shield' ? 'shield' : 'heal';
+    const supportRange = Number.isFinite(params.supportRange) ? params.supportRange : 160;
+    const now = scene?.time?.now ?? 0;
+
+    const allies = TargetingService.enemiesInRadius(scene?.enemyGroup, enemy, supportRange * 2).filter(
+      (ally) =>
+        !ally._isDying &&
+        (ally !== enemy || params.supportSelf === true) &&
+        (ally.tier !== 'boss' || params.supportBosses === true) &&
+        needsSupport(ally, mode, now)
+    );
+
+    // Move toward the closest ally in need; with nobody to tend, hang back.
+    let moving = false;
+    let nearest = null;
+    let nearestSq = Infinity;
+    for (const ally of allies) {
+      if (ally === enemy) continue;
+      const d2 = (ally.x - enemy.x) ** 2 + (ally.y - enemy.y) ** 2;
+      if (d2 < nearestSq) {
+        nearestSq = d2;
+        nearest = ally;
+      }
+    }
+
+    const stopDist = supportRange * 0.5;
+    if (nearest && nearestSq > stopDist * stopDist && speed > 0) {
+      moving = true;
+      if (enemy._useBoundedMovement && isBoundedNavReady(scene, enemy)) {
+        steerToWorldPointBounded(enemy, scene, nearest.x, nearest.y, { speed, stopDist, arriveDist: 6, directSight: true });
+        updateFlipFromVelocity(enemy);
+      } else {
+        const dist = Math.sqrt(nearestSq);
+        enemy.setVelocity(((nearest.x - enemy.x) / dist) * speed, ((nearest.y - enemy.y) / dist) * speed);
+        setFacing(enemy, nearest.x < enemy.x);
+      }
+    } else if (nearest) {
+      enemy.setVelocity(0, 0);
+    } else {
+      moving = keepBandDistance(enemy, player, scene, {
+        minRange: Number.isFinite(params.minRange) ? params.minRange : 220,
+        maxRange: Number.isFinite(params.maxRange) ? params.maxRange : 340,
+        speed,
+        retreatSpeed: speed,
+        strafeSpeed: 0,
+      });
+    }
+    if (!enemy._isAttacking) playLoopAnim(enemy, moving ? moveAnim : idleAnim);
+
+    if (!Number.isFinite(enemy._supportCooldownMs)) enemy._supportCooldownMs = 0;
+    enemy._supportCooldownMs -= dt || 0;
+    if (enemy._supportCooldownMs > 0) return;
+
+    const rangeSq = supportRange * supportRange;
+    const targets = allies
+      .filter((ally) => (ally.x - enemy.x) ** 2 + (ally.y - enemy.y) ** 2 <= rangeSq)
+      .sort((a, b) => a.hp / (a.maxHp || 1) - b.hp / (b.maxHp || 1))
+      .slice(0, Number.isFinite(params.maxTargets) ? params.maxTargets : 3);
+    if (targets.length === 0) return;
+
+    enemy._supportCooldownMs = Number.isFinite(params.supportCooldownMs) ? params.supportCooldownMs : 3000;
+    for (const ally of targets) applySupport(ally, enemy, scene, mode, params, now);
+    playAttackAnim(enemy, animSet.attack, () => playLoopAnim(enemy, idleAnim));
+  },
+
   seekAndMeleeBounded: (enemy, player, scene, dt = 0) => {
     enemy._useBoundedMovement = true;
     try {
@@ -1016,6 +1528,42 @@ export const ENEMY_BEHAVIORS = {
     }
   },
 
+  kiteAndFireBounded: (enemy, player, scene, dt = 0) => {
+    enemy._useBoundedMovement = true;
+    try {
+      return ENEMY_BEHAVIORS.kiteAndFire(enemy, player, scene, dt);
+    } finally {
+      enemy._useBoundedMovement = false;
+    }
+  },
+
+  chargeAtPlayerBounded: (enemy, player, scene, dt = 0) => {
+    enemy._useBoundedMovement = true;
+    try {
+      return ENEMY_BEHAVIORS.chargeAtPlayer(enemy, player, scene, dt);
+    } finally {
+      enemy._useBoundedMovement = false;
+    }
+  },
+
+  summonMinionsBounded: (enemy, player, scene, dt = 0) => {
+    enemy._useBoundedMovement = true;
+    try {
+      return ENEMY_BEHAVIORS.summonMinions(enemy, player, scene, dt);
+    } finally {
+      enemy._useBoundedMovement = false;
+    }
+  },
+
+  supportAlliesBounded: (enemy, player, scene, dt = 0) => {
+    enemy._useBoundedMovement = true;
+    try {
+      return ENEMY_BEHAVIORS.supportAllies(enemy, player, scene, dt);
+    } finally {
+      enemy._useBoundedMovement = false;
+    }
+  },
+
   // Flying wave movers intentionally remain unchanged on bounded maps: they are
   // authored as non-nav patterns that can cross the arena independent of flow fields.
 };
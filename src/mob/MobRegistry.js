@@ -12,11 +12,15 @@
  *  • Animation rules
  *  • Physics body shape + offsets
  *  • Base stats (speed / hp / etc.)
- *  • Rewards (XP, drops)
+ *  • Rewards (XP, drops, optional guaranteed `treasure` chest type(s))
  *  • AI behavior key → resolved in ENEMY_BEHAVIORS
+ *  • Optional `aiParams.separation` crowd tuning (false opts out) → CrowdSteering
+ *  • Optional `boss` script (phases + attack patterns) → run by BossController
+ *  • `ui.nameKey` display name (boss health bar, end-of-run kill counts)
  */
 export const MobRegistry = {
   evileye: {
+    ui: { nameKey: 'mob.evileye.name' },
     /** Phaser texture key (set by preload) backing this mob's spritesheet. */
     sheetKey: 'evileye',
     sheet: {
@@ -88,6 +92,7 @@ export const MobRegistry = {
   },
 
   littlescary: {
+    ui: { nameKey: 'mob.littlescary.name' },
     sheetKey: 'littlescary',
     sheet: {
       path: '/assets/sprites/mobs/littlescary.png',
@@ -134,6 +139,7 @@ export const MobRegistry = {
   },
 
   spookybat: {
+    ui: { nameKey: 'mob.spookybat.name' },
     sheetKey: 'spookybat',
     sheet: {
       path: '/assets/sprites/mobs/spookybat.png',
@@ -184,9 +190,14 @@ export const MobRegistry = {
      * Default AI for bats (wave spawners may override dynamically).
      */
     ai: 'flyStraight',
+    aiParams: {
+      // Waves stay loose and drift together instead of bunching.
+      separation: { strength: 0.4, alignment: 0.25 },
+    },
   },
 
   crawlybones: {
+    ui: { nameKey: 'mob.crawlybones.name' },
     sheetKey: 'crawlybones',
     sheet: {
       path: '/assets/sprites/mobs/crawlybones.png',
@@ -238,6 +249,7 @@ export const MobRegistry = {
 
   cocodemon_elite: {
     tier: 'elite',
+    ui: { nameKey: 'mob.cocodemon_elite.name' },
 
     sheetKey: 'cocowalk',
     sheets: {
@@ -330,6 +342,7 @@ export const MobRegistry = {
 
   nightman_elite: {
     tier: 'elite',
+    ui: { nameKey: 'mob.nightman_elite.name' },
 
     sheetKey: 'nightmanwalk',
     sheets: {
@@ -422,6 +435,7 @@ export const MobRegistry = {
 
   audrey1: {
     tier: 'elite',
+    ui: { nameKey: 'mob.audrey1.name' },
 
     sheetKey: 'audrey1walk',
     sheets: {
@@ -541,6 +555,7 @@ export const MobRegistry = {
 
   vlad: {
     tier: 'elite',
+    ui: { nameKey: 'mob.vlad.name' },
 
     sheetKey: 'vampire1walk',
     sheets: {
@@ -648,18 +663,23 @@ export const MobRegistry = {
       death: null
     },
 
-    ai: 'seekAndMelee',
+    // Hangs back and raises crawlybones around itself.
+    ai: 'summonMinions',
     aiParams: {
-      meleeRange: 44,
-      meleeDamage: 30,
-      attackCooldownMs: 1000,
-      windupMs: 140,
-      lungeSpeed: 210,
+      summonMobKey: 'crawlybones',
+      summonCount: 2,
+      maxMinions: 3,
+      summonRadius: 40,
+      summonCooldownMs: 6000,
+      initialSummonDelayMs: 2000,
+      minRange: 180,
+      maxRange: 300,
     },
   },
 
   audrey2: {
     tier: 'elite',
+    ui: { nameKey: 'mob.audrey2.name' },
 
     sheetKey: 'audrey2walk',
     sheets: {
@@ -767,18 +787,26 @@ export const MobRegistry = {
       death: null
     },
 
-    ai: 'seekAndMelee',
+    // Keeps its distance and spits thorns.
+    ai: 'kiteAndFire',
     aiParams: {
-      meleeRange: 44,
-      meleeDamage: 30,
-      attackCooldownMs: 1000,
-      windupMs: 140,
-      lungeSpeed: 210,
+      minRange: 170,
+      maxRange: 270,
+      attackCooldownMs: 2600,
+      initialAttackDelayMs: 900,
+      attackRange: 380,
+      projectileWeaponKey: 'venusrevenge',
+      projectileOverrides: {
+        speed: 220,
+        lifetimeMs: 1800,
+        damage: 10,
+      },
     },
   },
 
   audrey3: {
     tier: 'elite',
+    ui: { nameKey: 'mob.audrey3.name' },
 
     sheetKey: 'audrey3walk',
     sheets: {
@@ -886,18 +914,20 @@ export const MobRegistry = {
       death: null
     },
 
-    ai: 'seekAndMelee',
+    // Trails the horde and heals the most wounded plants and vamps around it.
+    ai: 'supportAllies',
     aiParams: {
-      meleeRange: 44,
-      meleeDamage: 32,
-      attackCooldownMs: 950,
-      windupMs: 140,
-      lungeSpeed: 205,
+      support: 'heal',
+      supportRange: 150,
+      supportCooldownMs: 3500,
+      maxTargets: 3,
+      healPct: 0.15,
     },
   },
 
   barnabas: {
     tier: 'elite',
+    ui: { nameKey: 'mob.barnabas.name' },
 
     sheetKey: 'vampire2walk',
     sheets: {
@@ -1005,18 +1035,21 @@ export const MobRegistry = {
       death: null
     },
 
-    ai: 'seekAndMelee',
+    // Telegraphed wind-up, then a straight-line dash through the hero.
+    ai: 'chargeAtPlayer',
     aiParams: {
-      meleeRange: 44,
-      meleeDamage: 32,
-      attackCooldownMs: 950,
-      windupMs: 140,
-      lungeSpeed: 205,
+      chargeRange: 220,
+      windupMs: 650,
+      chargeDurationMs: 420,
+      recoverMs: 700,
+      chargeSpeed: 460,
+      chargeCooldownMs: 1800,
     },
   },
 
   orlok: {
     tier: 'elite',
+    ui: { nameKey: 'mob.orlok.name' },
 
     sheetKey: 'vampire3walk',
     sheets: {
@@ -1136,6 +1169,7 @@ export const MobRegistry = {
 
   demonknight_boss: {
     tier: 'boss',
+    ui: { nameKey: 'mob.demonknight_boss.name' },
 
     sheetKey: 'demonidle',
     sheets: {
@@ -1237,7 +1271,7 @@ export const MobRegistry = {
       maxSpeed: 240,
     },
 
-    rewards: { xp: 18 },
+    rewards: { xp: 18, treasure: 'treasure_3' },
 
     audio: {
       death: null
@@ -1251,10 +1285,51 @@ export const MobRegistry = {
       windupMs: 140,
       lungeSpeed: 260,
     },
+
+    /**
+     * Scripted fight (BossController): closes in with its regular melee AI,
+     * then mixes in telegraphed charges and slams. Calls bone minions below half HP.
+     */
+    boss: {
+      phases: [
+        { key: 'stalk', sequence: ['chase', 'charge', 'chase', 'slam'] },
+        {
+          key: 'wrath',
+          hpBelow: 0.5,
+          openWith: 'summon',
+          sequence: ['chase', 'slam', 'charge', 'summon'],
+        },
+      ],
+      attacks: {
+        chase: { durationMs: 2400 },
+        charge: {
+          telegraph: { ms: 600, anim: 'attack', tint: 0xffa0a0 },
+          speed: 460,
+          damage: 40,
+          hitRadius: 48,
+          maxDurationMs: 900,
+          recoverMs: 400,
+        },
+        slam: {
+          telegraph: { ms: 800, anim: 'attack' },
+          radius: 110,
+          damage: 45,
+          recoverMs: 350,
+        },
+        summon: {
+          mobKey: 'crawlybones',
+          count: 4,
+          maxActive: 10,
+          cooldownMs: 12000,
+          recoverMs: 300,
+        },
+      },
+    },
   },
 
   bringerofdeath_boss: {
     tier: 'boss',
+    ui: { nameKey: 'mob.bringerofdeath_boss.name' },
 
     sheetKey: 'bodidle',
     sheets: {
@@ -1356,7 +1431,7 @@ export const MobRegistry = {
       maxSpeed: 240,
     },
 
-    rewards: { xp: 14 },
+    rewards: { xp: 14, treasure: 'treasure_3' },
 
     audio: {
       death: null
@@ -1370,10 +1445,42 @@ export const MobRegistry = {
       windupMs: 110,
       lungeSpeed: 250,
     },
+
+    /**
+     * Scripted fight (BossController): blinks next to the hero and slams.
+     * Below half HP it teleports more often and the slam widens.
+     */
+    boss: {
+      phases: [
+        { key: 'reap', sequence: ['chase', 'teleport', 'slam'] },
+        {
+          key: 'harvest',
+          hpBelow: 0.5,
+          sequence: ['teleport', 'slam', 'teleport', 'chase'],
+          attacks: { slam: { radius: 130 } },
+        },
+      ],
+      attacks: {
+        chase: { durationMs: 2000 },
+        teleport: {
+          telegraph: { ms: 500 },
+          destination: 'hero',
+          minDist: 60,
+          maxDist: 110,
+        },
+        slam: {
+          telegraph: { ms: 650, anim: 'attack' },
+          radius: 100,
+          damage: 40,
+          recoverMs: 300,
+        },
+      },
+    },
   },
 
   evilwizard_boss: {
     tier: 'boss',
+    ui: { nameKey: 'mob.evilwizard_boss.name' },
 
     sheetKey: 'evilwizardidle',
     sheets: {
@@ -1482,6 +1589,7 @@ export const MobRegistry = {
 
     rewards: {
       xp: 12,
+      treasure: 'treasure_2',
     },
 
     audio: {
@@ -1512,10 +1620,50 @@ export const MobRegistry = {
       salvo: 1,
       spreadDeg: 0,
     },
+
+    /**
+     * Scripted fight (BossController): orbits and fires as usual, with aimed
+     * fireblast volleys. Below half HP it starts blinking and casting rings.
+     */
+    boss: {
+      phases: [
+        { key: 'orbit', sequence: ['chase', 'barrage'] },
+        {
+          key: 'unbound',
+          hpBelow: 0.5,
+          openWith: 'teleport',
+          sequence: ['teleport', 'ring', 'chase', 'barrage'],
+        },
+      ],
+      attacks: {
+        chase: { durationMs: 3000 },
+        barrage: {
+          telegraph: { ms: 400, anim: 'attack' },
+          shots: 3,
+          intervalMs: 350,
+          recoverMs: 200,
+        },
+        ring: {
+          pattern: 'barrage',
+          telegraph: { ms: 600, anim: 'attack', tint: 0xffb070 },
+          mode: 'ring',
+          ringCount: 8,
+          shots: 3,
+          intervalMs: 500,
+          cooldownMs: 6000,
+          recoverMs: 400,
+        },
+        teleport: {
+          telegraph: { ms: 450 },
+          destination: 'view',
+        },
+      },
+    },
   },
 
   darkwizard_boss: {
     tier: 'boss',
+    ui: { nameKey: 'mob.darkwizard_boss.name' },
 
     sheetKey: 'darkwizardidle',
     sheets: {
@@ -1624,6 +1772,7 @@ export const MobRegistry = {
 
     rewards: {
       xp: 12,
+      treasure: 'treasure_4',
     },
 
     audio: {
@@ -1653,10 +1802,48 @@ export const MobRegistry = {
       salvo: 1,
       spreadDeg: 0
     },
+
+    /**
+     * Scripted fight (BossController): keeps its distance and raises evil eyes,
+     * then starts teleporting around the hero below half HP.
+     */
+    boss: {
+      phases: [
+        { key: 'conjure', sequence: ['chase', 'summon', 'chase', 'barrage'] },
+        {
+          key: 'unravel',
+          hpBelow: 0.5,
+          sequence: ['teleport', 'barrage', 'summon', 'chase'],
+        },
+      ],
+      attacks: {
+        chase: { durationMs: 2500 },
+        summon: {
+          telegraph: { ms: 500, anim: 'attack', tint: 0xc58cff },
+          mobKey: 'evileye',
+          count: 5,
+          maxActive: 15,
+          cooldownMs: 9000,
+        },
+        barrage: {
+          telegraph: { ms: 400, anim: 'attack' },
+          shots: 4,
+          intervalMs: 250,
+          recoverMs: 250,
+        },
+        teleport: {
+          telegraph: { ms: 450 },
+          destination: 'hero',
+          minDist: 200,
+          maxDist: 300,
+        },
+      },
+    },
   },
 
   werewolf_boss: {
     tier: 'boss',
+    ui: { nameKey: 'mob.werewolf_boss.name' },
 
     sheetKey: 'werewalk',
     sheets: {
@@ -1767,6 +1954,40 @@ export const MobRegistry = {
       salvo: 1,
       spreadDeg: 0,
     },
+
+    /**
+     * Scripted fight (BossController). Phase one is the classic
+     * charge → patrol → barrage loop; below 40% HP it frenzies and adds slams.
+     */
+    boss: {
+      phases: [
+        { key: 'hunt', sequence: ['charge', 'patrol', 'barrage'] },
+        {
+          key: 'frenzy',
+          hpBelow: 0.4,
+          openWith: 'slam',
+          sequence: ['charge', 'slam', 'charge', 'barrage'],
+          attacks: { charge: { speed: 820, recoverMs: 180 } },
+        },
+      ],
+      attacks: {
+        charge: {
+          telegraph: { ms: 450, anim: 'attack' },
+          speed: 700,
+          damage: 30,
+          hitRadius: 70,
+          recoverMs: 250,
+        },
+        patrol: { speed: 160, durationMs: 1200 },
+        barrage: { shots: 20, intervalMs: 90 },
+        slam: {
+          telegraph: { ms: 700, anim: 'attack', tint: 0xff8080 },
+          radius: 170,
+          damage: 45,
+          recoverMs: 300,
+        },
+      },
+    },
   }
 };
 
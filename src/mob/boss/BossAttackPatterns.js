@@ -0,0 +1,400 @@
+import { shakeCamera } from '../../ui/AccessibilitySettings.js';
+
+/**
+ * Attack pattern library for the data-driven boss runtime (BossController).
+ *
+ * Bosses never reference these functions directly. A MobRegistry `boss.attacks`
+ * entry names a pattern (`pattern: 'charge'`, defaulting to the attack key) and
+ * supplies tuning; the controller merges that tuning over the pattern's
+ * `defaults` and drives the hooks below:
+ *
+ *  - `telegraph(ctl, atk, s)`              once, when the windup starts (optional)
+ *  - `telegraphUpdate(ctl, atk, s, t)`     every windup frame, `t` in 0..1 (optional)
+ *  - `start(ctl, atk, s)`                  once, when the windup ends
+ *  - `update(ctl, atk, s, dt)`             every frame; return true when finished
+ *  - `stop(ctl, atk, s)`                   once, after finishing or on teardown (optional)
+ *
+ * `s` is a scratch object owned by the current attack, so patterns never leak
+ * state between uses. `ctl.stageElapsedMs` counts from the start of the current
+ * stage (windup or active).
+ */
+export const BOSS_ATTACK_PATTERNS = {
+  /**
+   * Straight-line dash at the hero's (optionally predicted) position.
+   * Direction is fixed at dash start — no homing — so the windup is a fair read.
+   */
+  charge: {
+    defaults: {
+      speed: 700,
+      // Seconds of hero velocity to lead by when the dash starts.
+      leadFactor: 0.25,
+      stopDist: 32,
+      // Dash length is planned from distance, clamped so long charges still cross the arena.
+      minDurationMs: 450,
+      maxDurationMs: 1400,
+      overshootMs: 120,
+      // One hit per dash; set damage to 0 for a pure reposition.
+      hitRadius: 70,
+      damage: 30,
+      shakeMs: 150,
+      shakeIntensity: 0.004,
+    },
+
+    telegraph(ctl, atk, s) {
+      const hero = ctl.hero();
+      const enemy = ctl.enemy;
+      s.target = { x: hero?.x ?? enemy.x, y: hero?.y ?? enemy.y };
+      ctl.faceToward(s.target.x - enemy.x);
+    },
+
+    start(ctl, atk, s) {
+      const hero = ctl.hero();
+      const enemy = ctl.enemy;
+      const target = s.target ?? { x: enemy.x, y: enemy.y };
+
+      // leadFactor is in seconds and velocity in px/s, so multiply directly.
+      if (hero?.body?.velocity) {
+        target.x = hero.x + (hero.body.velocity.x ?? 0) * atk.leadFactor;
+        target.y = hero.y + (hero.body.velocity.y ?? 0) * atk.leadFactor;
+      } else if (hero) {
+        target.x = hero.x;
+        target.y = hero.y;
+      }
+
+      ctl.playAnim('move');
+
+      const dist = ctl.distTo(target.x, target.y);
+      const travelMs = Math.max(0, dist - atk.stopDist) / atk.speed * 1000;
+      s.plannedMs = ctl.clampMs(travelMs + atk.overshootMs, atk.minDurationMs, atk.maxDurationMs);
+
+      const dx = target.x - enemy.x;
+      const dy = target.y - enemy.y;
+      const len = Math.hypot(dx, dy) || 1;
+      s.dir = { x: dx / len, y: dy / len };
+      s.target = target;
+      s.didHit = false;
+
+      ctl.setVelToward(target.x, target.y, atk.speed);
+    },
+
+    update(ctl, atk, s) {
+      const hero = ctl.hero();
+
+      // Reassert dash velocity so friction/collisions don't turn the charge into a weak slide.
+      ctl.setVelocity(s.dir.x * atk.speed, s.dir.y * atk.speed, atk.speed);
+      ctl.faceToward(s.dir.x >= 0 ? 1 : -1);
+
+      if (!s.didHit && hero && atk.damage > 0 && atk.hitRadius > 0
+        && ctl.distTo(hero.x, hero.y) <= atk.hitRadius) {
+        s.didHit = true;
+        ctl.damageHero(atk.damage, atk);
+        ctl.stopMovement();
+        ctl.playAnim('attack');
+        return true;
+      }
+
+      if (ctl.stageElapsedMs >= s.plannedMs) return true;
+      return ctl.distTo(s.target.x, s.target.y) <= atk.stopDist;
+    },
+
+    stop(ctl) {
+      ctl.stopMovement();
+    },
+  },
+
+  /**
+   * Roam between random points in view. Filler that spaces attacks out and
+   * repositions the boss without chasing the hero directly.
+   */
+  patrol: {
+    defaults: {
+      speed: 160,
+      durationMs: 1200,
+      arriveDist: 28,
+      margin: 64,
+    },
+
+    start(ctl, atk, s) {
+      s.target = ctl.pickPointInView(atk.margin);
+      ctl.playAnim('move');
+    },
+
+    update(ctl, atk, s) {
+      if (ctl.stageElapsedMs >= atk.durationMs) return true;
+
+      s.target = s.target ?? ctl.pickPointInView(atk.margin);
+      ctl.setVelToward(s.target.x, s.target.y, atk.speed);
+
+      if (ctl.distTo(s.target.x, s.target.y) <= atk.arriveDist) {
+        s.target = ctl.pickPointInView(atk.margin);
+      }
+      return false;
+    },
+  },
+
+  /**
+   * Hand movement back to the mob's regular MobAI behaviour for a while.
+   * Lets melee bosses keep their bounded-map pathing between scripted moves.
+   */
+  chase: {
+    defaults: {
+      durationMs: 2000,
+    },
+
+    start(ctl) {
+      ctl.playAnim('move');
+    },
+
+    update(ctl, atk, s, dt) {
+      ctl.runBaseBehavior(dt);
+      return ctl.stageElapsedMs >= atk.durationMs;
+    },
+
+    stop(ctl) {
+      ctl.stopMovement();
+    },
+  },
+
+  /**
+   * Fire a timed volley of enemy projectiles.
+   *  - `mode: 'aimed'` shoots every shot at the hero.
+   *  - `mode: 'ring'` shoots `ringCount` projectiles evenly around the boss per
+   *    shot, rotating each volley by `ringStepDeg`.
+   * Uses `weaponKey` (or the mob's `aiParams.projectileWeaponKey`) through the
+   * enemy weapon presets; without one it falls back to plain projectiles.
+   */
+  barrage: {
+    defaults: {
+      shots: 20,
+      intervalMs: 90,
+      mode: 'aimed',
+      ringCount: 12,
+      ringStepDeg: 15,
+      salvo: 1,
+      spreadDeg: 0,
+      weaponKey: null,
+      projectileOverrides: null,
+      // Plain projectile tuning used when no weapon preset resolves.
+      fallbackSpeed: 320,
+      fallbackLifetimeMs: 3500,
+      fallbackDamage: 2,
+    },
+
+    start(ctl, atk, s) {
+      s.shotsRemaining = Math.max(0, Math.floor(atk.shots));
+      s.nextShotAtMs = 0;
+      s.volley = 0;
+      s.weapon = ctl.getRangedWeapon(atk);
+      ctl.stopMovement();
+      ctl.playAnim('attack');
+    },
+
+    update(ctl, atk, s) {
+      const enemy = ctl.enemy;
+      const hero = ctl.hero();
+      const projectiles = ctl.scene?.enemyProjectiles;
+
+      while (s.shotsRemaining > 0 && ctl.stageElapsedMs >= s.nextShotAtMs) {
+        if (hero && projectiles?.fire) {
+          ctl.faceToward(hero.x - enemy.x);
+
+          const baseAngle = Math.atan2(hero.y - enemy.y, hero.x - enemy.x);
+          const angles = atk.mode === 'ring'
+            ? ringAngles(atk.ringCount, baseAngle + s.volley * atk.ringStepDeg * (Math.PI / 180))
+            : [baseAngle];
+
+          angles.forEach((angle) => fireShot(ctl, atk, s, angle));
+        }
+
+        s.volley += 1;
+        s.shotsRemaining -= 1;
+        s.nextShotAtMs += atk.intervalMs;
+      }
+
+      return s.shotsRemaining <= 0;
+    },
+  },
+
+  /**
+   * Spawn minions in a ring around the boss. Respects pool caps plus a
+   * per-attack `maxActive` so repeated summons cannot flood the arena.
+   */
+  summon: {
+    defaults: {
+      mobKey: null,
+      count: 4,
+      radius: 96,
+      maxActive: 12,
+      durationMs: 500,
+    },
+
+    start(ctl, atk) {
+      ctl.stopMovement();
+      ctl.playAnim('attack');
+
+      const pools = ctl.scene?.enemyPools;
+      const pool = atk.mobKey ? pools?.getPool?.(atk.mobKey) : null;
+      if (!pool) return;
+
+      const room = Math.max(0, atk.maxActive - (pools.getActiveCount?.(atk.mobKey) ?? 0));
+      const count = Math.min(Math.max(0, Math.floor(atk.count)), room);
+      const offset = ctl.random() * Math.PI * 2;
+
+      for (let i = 0; i < count; i += 1) {
+        if (!pools.canSpawn?.(atk.mobKey)) break;
+
+        const angle = offset + (i / count) * Math.PI * 2;
+        const point = ctl.resolveOpenPoint(
+          ctl.enemy.x + Math.cos(angle) * atk.radius,
+          ctl.enemy.y + Math.sin(angle) * atk.radius
+        );
+
+        const minion = pool.get(point.x, point.y);
+        if (!minion) break;
+        minion.reset(point.x, point.y, atk.mobKey);
+        minion._summonedBy = ctl.enemy;
+        ctl.scene?.fx?.explode?.(point.x, point.y, 8);
+      }
+    },
+
+    update(ctl, atk) {
+      return ctl.stageElapsedMs >= atk.durationMs;
+    },
+  },
+
+  /**
+   * Ground slam: the windup marks a circle on the floor (around the boss or
+   * the hero's position at windup start), and anything inside on impact is hit.
+   */
+  slam: {
+    defaults: {
+      radius: 140,
+      damage: 40,
+      // 'self' slams around the boss, 'hero' drops the zone where the hero stood.
+      target: 'self',
+      zoneColor: 0xff3b3b,
+      durationMs: 350,
+      shakeMs: 220,
+      shakeIntensity: 0.008,
+    },
+
+    telegraph(ctl, atk, s) {
+      const hero = ctl.hero();
+      const anchor = atk.target === 'hero' && hero ? hero : ctl.enemy;
+      s.center = { x: anchor.x, y: anchor.y };
+      ctl.showZone(s.center.x, s.center.y, atk.radius, atk.zoneColor);
+    },
+
+    telegraphUpdate(ctl, atk, s, t) {
+      ctl.showZone(s.center.x, s.center.y, atk.radius, atk.zoneColor, t);
+    },
+
+    start(ctl, atk, s) {
+      const center = s.center ?? { x: ctl.enemy.x, y: ctl.enemy.y };
+      const hero = ctl.hero();
+
+      ctl.stopMovement();
+      ctl.playAnim('attack');
+      ctl.scene?.fx?.explode?.(center.x, center.y, 18);
+
+      const inside = hero && Math.hypot(hero.x - center.x, hero.y - center.y) <= atk.radius;
+      if (inside && atk.damage > 0) {
+        ctl.damageHero(atk.damage, atk);
+      } else {
+        shakeCamera(ctl.scene?.cameras?.main, atk.shakeMs * 0.5, atk.shakeIntensity * 0.5);
+      }
+    },
+
+    update(ctl, atk) {
+      return ctl.stageElapsedMs >= atk.durationMs;
+    },
+  },
+
+  /**
+   * Fade out during the windup, blink to a point around the hero, fade back in.
+   */
+  teleport: {
+    defaults: {
+      minDist: 160,
+      maxDist: 260,
+      // 'hero' lands in a ring around the hero, 'view' anywhere on screen.
+      destination: 'hero',
+      fadeInMs: 250,
+      minAlpha: 0.1,
+    },
+
+    telegraph(ctl) {
+      ctl.stopMovement();
+    },
+
+    telegraphUpdate(ctl, atk, s, t) {
+      ctl.enemy?.setAlpha?.(1 - (1 - atk.minAlpha) * t);
+    },
+
+    start(ctl, atk) {
+      const enemy = ctl.enemy;
+      const hero = ctl.hero();
+      let point = null;
+
+      if (atk.destination === 'hero' && hero) {
+        const angle = ctl.random() * Math.PI * 2;
+        const dist = atk.minDist + ctl.random() * Math.max(0, atk.maxDist - atk.minDist);
+        point = ctl.resolveOpenPoint(hero.x + Math.cos(angle) * dist, hero.y + Math.sin(angle) * dist);
+      } else {
+        point = ctl.pickPointInView(64);
+      }
+
+      ctl.scene?.fx?.explode?.(enemy.x, enemy.y, 10);
+      enemy.body?.reset?.(point.x, point.y);
+      enemy.setPosition(point.x, point.y);
+      enemy.setAlpha?.(atk.minAlpha);
+      if (hero) ctl.faceToward(hero.x - point.x);
+      ctl.playAnim('idle');
+    },
+
+    update(ctl, atk) {
+      const t = atk.fadeInMs > 0 ? Math.min(1, ctl.stageElapsedMs / atk.fadeInMs) : 1;
+      ctl.enemy?.setAlpha?.(atk.minAlpha + (1 - atk.minAlpha) * t);
+      return t >= 1;
+    },
+
+    stop(ctl) {
+      ctl.enemy?.setAlpha?.(1);
+    },
+  },
+};
+
+/**
+ * Evenly spaced angles for ring volleys.
+ */
+function ringAngles(count, offset) {
+  const n = Math.max(1, Math.floor(count));
+  const step = (Math.PI * 2) / n;
+  return Array.from({ length: n }, (_, i) => offset + i * step);
+}
+
+/**
+ * Fire one projectile along `angle`, preferring the resolved weapon preset.
+ */
+function fireShot(ctl, atk, s, angle) {
+  const enemy = ctl.enemy;
+
+  if (s.weapon) {
+    // The weapon controller aims at points, so project one along the angle.
+    s.weapon.forceFireAt(
+      { x: enemy.x + Math.cos(angle) * 100, y: enemy.y + Math.sin(angle) * 100 },
+      ctl.scene?.time?.now ?? 0
+    );
+    return;
+  }
+
+  ctl.scene.enemyProjectiles.fire({
+    x: enemy.x,
+    y: enemy.y,
+    angle,
+    speed: atk.fallbackSpeed,
+    lifetimeMs: atk.fallbackLifetimeMs,
+    damage: atk.fallbackDamage,
+    rotateToVelocity: true,
+  });
+}
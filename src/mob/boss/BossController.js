@@ -0,0 +1,577 @@
+import { EnemyProjectileWeaponController } from '../../weapons/controllers/enemy/EnemyProjectileWeaponController.js';
+import { getEnemyProjectileConfigFromWeaponKey } from '../../weapons/EnemyProjectilePresets.js';
+import { resolveMobConfig } from '../MobRegistry.js';
+import { getRng } from '../../run/RunRng.js';
+import { shakeCamera } from '../../ui/AccessibilitySettings.js';
+import { BOSS_ATTACK_PATTERNS } from './BossAttackPatterns.js';
+
+/**
+ * Return the `boss` script declared on a MobRegistry entry, or null when the
+ * mob should run its plain MobAI behaviour.
+ */
+export function getBossScript(mobKey) {
+  if (!mobKey) return null;
+  const script = resolveMobConfig(mobKey)?.boss;
+  return Array.isArray(script?.phases) && script.phases.length ? script : null;
+}
+
+/**
+ * BossController
+ *
+ * Generic boss state machine driven entirely by a MobRegistry `boss` block:
+ *
+ *   boss: {
+ *     phases: [
+ *       { key: 'hunt', sequence: ['charge', 'patrol', 'barrage'] },
+ *       { key: 'frenzy', hpBelow: 0.4, openWith: 'slam', pool: [{ attack: 'charge', weight: 2 }, 'slam'],
+ *         attacks: { charge: { speed: 820 } } },
+ *     ],
+ *     attacks: {
+ *       charge: { pattern: 'charge', telegraph: { ms: 450, anim: 'attack', tint: 0xff9a9a }, recoverMs: 250 },
+ *       ...
+ *     },
+ *   }
+ *
+ * Phases advance (never regress) once HP drops to their `hpBelow` fraction.
+ * Each phase either walks its `sequence` in order or rolls from its weighted
+ * `pool`; attacks still on `cooldownMs` are skipped, and if nothing is ready the
+ * boss falls back to its regular MobAI behaviour until something is.
+ *
+ * Every attack runs windup (telegraph) → active → recover. The pattern itself
+ * lives in BossAttackPatterns; this class only sequences them and provides the
+ * movement/targeting helpers the patterns share.
+ *
+ * Events (scene.events):
+ *  - `boss:phase:changed`      { enemy, mobKey, phase, index }
+ *  - `boss:attack:telegraph`   { enemy, mobKey, attack, pattern, durationMs }
+ *  - `boss:attack:started`     { enemy, mobKey, attack, pattern }
+ */
+export class BossController {
+  /**
+   * Bind the boss script to a pooled enemy and queue its opening attack.
+   */
+  constructor(scene, enemy, script = getBossScript(enemy?.mobKey)) {
+    this.scene = scene;
+    this.enemy = enemy;
+    this.mobKey = enemy?.mobKey ?? null;
+
+    this.script = script ?? { phases: [], attacks: {} };
+    this.phases = [...this.script.phases]
+      .map((phase, index) => ({ key: phase.key ?? `phase${index + 1}`, hpBelow: 1, ...phase }))
+      .sort((a, b) => b.hpBelow - a.hpBelow);
+
+    this.phaseIndex = -1;
+    this.stage = null; // 'telegraph' | 'active' | 'recover' | 'idle'
+    this.stageElapsedMs = 0;
+    this.attackKey = null;
+
+    this._elapsedMs = 0;
+    this._attack = null;
+    this._pattern = null;
+    this._scratch = null;
+    this._cursor = 0;
+    this._queued = null;
+    this._readyAtMs = new Map();
+    this._rangedWeapons = new Map();
+    this._zone = null;
+    this._recoverMs = 0;
+    this._isDestroyed = false;
+
+    this._checkPhase();
+    this._nextAttack();
+  }
+
+  /**
+   * Advance phases and the current attack stage each frame while the boss is alive.
+   */
+  update(dt) {
+    if (this._isDestroyed) return;
+    const enemy = this.enemy;
+    if (!enemy?.active) return;
+    if (enemy._isDying) {
+      // Let the death animation play without a half-finished telegraph or fade on top.
+      this._stopAttack();
+      return;
+    }
+
+    // Stuns hold the boss in place without advancing its script.
+    const statusEffects = this.scene?.statusEffects;
+    if (statusEffects?.isStunned?.(enemy)) {
+      this.stopMovement();
+      return;
+    }
+
+    const step = dt || 0;
+    this._elapsedMs += step;
+    this.stageElapsedMs += step;
+
+    this._checkPhase();
+
+    // Same slow handling as EnemyBehaviorSystem: patterns write full-speed
+    // velocities and the status layer scales them afterwards.
+    statusEffects?.restoreBaseVelocity?.(enemy);
+    this._updateStage(step);
+    if (enemy.active) statusEffects?.applyVelocityModifiers?.(enemy);
+  }
+
+  /**
+   * Tear down the controller and release any attack helpers or telegraph visuals.
+   */
+  destroy() {
+    if (this._isDestroyed) return;
+
+    this._stopAttack();
+    this._isDestroyed = true;
+
+    this._rangedWeapons.forEach((weapon) => weapon?.destroy?.());
+    this._rangedWeapons.clear();
+    this._clearZone();
+
+    this.enemy?.setAlpha?.(1);
+    this.stopMovement();
+    this.scene = null;
+    this.enemy = null;
+  }
+
+  /** Currently active phase entry (null before the first update). */
+  getPhase() {
+    return this.phases[this.phaseIndex] ?? null;
+  }
+
+  /** Windup progress (0..1) while an attack is telegraphing, otherwise null. */
+  getTelegraphProgress() {
+    if (this.stage !== 'telegraph' || !this._attack) return null;
+    const windupMs = this._attack.telegraph?.ms ?? 0;
+    return windupMs > 0 ? Math.min(1, this.stageElapsedMs / windupMs) : 1;
+  }
+
+  // ------------------------
+  // STATE MACHINE
+  // ------------------------
+
+  /**
+   * Advance to the deepest phase whose HP threshold has been crossed.
+   */
+  _checkPhase() {
+    const enemy = this.enemy;
+    const maxHp = Number(enemy?.maxHp) || 0;
+    const ratio = maxHp > 0 ? Math.max(0, Number(enemy.hp) || 0) / maxHp : 1;
+
+    let index = this.phaseIndex;
+    while (index + 1 < this.phases.length && ratio <= this.phases[index + 1].hpBelow) {
+      index += 1;
+    }
+    if (index === this.phaseIndex) return;
+
+    this.phaseIndex = index;
+    this._cursor = 0;
+
+    const phase = this.phases[index];
+    // The attack in flight finishes normally; the opener runs right after it.
+    this._queued = phase.openWith ?? null;
+
+    this.scene?.events?.emit?.('boss:phase:changed', {
+      enemy,
+      mobKey: this.mobKey,
+      phase: phase.key,
+      index,
+    });
+  }
+
+  /**
+   * Run the current stage and move on when it completes.
+   */
+  _updateStage(dt) {
+    switch (this.stage) {
+      case 'telegraph': {
+        const windupMs = this._attack.telegraph?.ms ?? 0;
+        const t = windupMs > 0 ? Math.min(1, this.stageElapsedMs / windupMs) : 1;
+        this._applyTelegraphTint();
+        this._pattern.telegraphUpdate?.(this, this._attack, this._scratch, t);
+        if (t >= 1) this._startActive();
+        return;
+      }
+
+      case 'active': {
+        const done = this._pattern.update(this, this._attack, this._scratch, dt);
+        if (!done) return;
+
+        const recoverMs = this._attack.recoverMs ?? 0;
+        this._stopAttack();
+        if (recoverMs > 0) {
+          this._recoverMs = recoverMs;
+          this._enterStage('recover');
+          return;
+        }
+        this._nextAttack();
+        return;
+      }
+
+      case 'recover':
+        if (this.stageElapsedMs >= this._recoverMs) this._nextAttack();
+        return;
+
+      case 'idle':
+        this.runBaseBehavior(dt);
+        this._nextAttack();
+        return;
+
+      default:
+        this._nextAttack();
+    }
+  }
+
+  _enterStage(stage) {
+    this.stage = stage;
+    this.stageElapsedMs = 0;
+  }
+
+  /**
+   * Pick the next ready attack from the active phase and begin its windup.
+   * Falls back to the 'idle' stage when everything is cooling down.
+   */
+  _nextAttack() {
+    const key = this._pickAttack();
+    if (!key) {
+      if (this.stage !== 'idle') this._enterStage('idle');
+      return;
+    }
+    this._beginAttack(key);
+  }
+
+  _isReady(key) {
+    if (!this.script.attacks?.[key]) return false;
+    return (this._readyAtMs.get(key) ?? 0) <= this._elapsedMs;
+  }
+
+  _pickAttack() {
+    const phase = this.getPhase();
+    if (!phase) return null;
+
+    if (this._queued) {
+      const queued = this._queued;
+      this._queued = null;
+      if (this._isReady(queued)) return queued;
+    }
+
+    if (Array.isArray(phase.sequence) && phase.sequence.length) {
+      const len = phase.sequence.length;
+      for (let i = 0; i < len; i += 1) {
+        const key = phase.sequence[(this._cursor + i) % len];
+        if (!this._isReady(key)) continue;
+        this._cursor = (this._cursor + i + 1) % len;
+        return key;
+      }
+      return null;
+    }
+
+    const options = (phase.pool ?? [])
+      .map((entry) => (typeof entry === 'string' ? { attack: entry, weight: 1 } : entry))
+      .filter((entry) => entry?.weight > 0 && this._isReady(entry.attack));
+    const total = options.reduce((sum, entry) => sum + entry.weight, 0);
+    if (total <= 0) return null;
+
+    let roll = this.random() * total;
+    for (const entry of options) {
+      roll -= entry.weight;
+      if (roll < 0) return entry.attack;
+    }
+    return options[options.length - 1].attack;
+  }
+
+  /**
+   * Resolve tuning (pattern defaults → attack entry → phase override) and start the windup.
+   */
+  _beginAttack(key) {
+    const entry = this.script.attacks[key];
+    const patternKey = entry.pattern ?? key;
+    const pattern = BOSS_ATTACK_PATTERNS[patternKey];
+    if (!pattern) {
+      // Unknown pattern: park it on a long cooldown instead of spinning every frame.
+      this._readyAtMs.set(key, Infinity);
+      this._enterStage('idle');
+      return;
+    }
+
+    this.attackKey = key;
+    this._pattern = pattern;
+    this._scratch = {};
+    this._attack = {
+      ...pattern.defaults,
+      ...entry,
+      ...(this.getPhase()?.attacks?.[key] ?? {}),
+    };
+
+    const telegraph = this._attack.telegraph ?? null;
+    this._enterStage('telegraph');
+    if (telegraph?.ms > 0 && !telegraph.keepMoving) this.stopMovement();
+    if (telegraph?.anim) this.playAnim(telegraph.anim);
+
+    pattern.telegraph?.(this, this._attack, this._scratch);
+
+    this.scene?.events?.emit?.('boss:attack:telegraph', {
+      enemy: this.enemy,
+      mobKey: this.mobKey,
+      attack: key,
+      pattern: patternKey,
+      durationMs: telegraph?.ms ?? 0,
+    });
+
+    // Zero-length windups start on the same frame.
+    if (!(telegraph?.ms > 0)) this._startActive();
+  }
+
+  _startActive() {
+    this._clearTelegraphVisuals();
+    this._enterStage('active');
+    this._pattern.start(this, this._attack, this._scratch);
+
+    this.scene?.events?.emit?.('boss:attack:started', {
+      enemy: this.enemy,
+      mobKey: this.mobKey,
+      attack: this.attackKey,
+      pattern: this._attack.pattern ?? this.attackKey,
+    });
+  }
+
+  /**
+   * Finish the current attack: run its stop hook and start its cooldown.
+   */
+  _stopAttack() {
+    if (!this._pattern) return;
+
+    this._clearTelegraphVisuals();
+    this._pattern.stop?.(this, this._attack, this._scratch);
+
+    const cooldownMs = Number(this._attack.cooldownMs) || 0;
+    if (cooldownMs > 0) this._readyAtMs.set(this.attackKey, this._elapsedMs + cooldownMs);
+
+    this._pattern = null;
+    this._attack = null;
+    this._scratch = null;
+    this.attackKey = null;
+  }
+
+  // ------------------------
+  // TELEGRAPH VISUALS
+  // ------------------------
+
+  _applyTelegraphTint() {
+    const tint = this._attack?.telegraph?.tint;
+    if (Number.isFinite(tint)) this.enemy?.setTint?.(tint);
+  }
+
+  _clearTelegraphVisuals() {
+    this._clearZone();
+    if (!Number.isFinite(this._attack?.telegraph?.tint)) return;
+
+    // Hand tint ownership back to the status layer (or clear it outright).
+    const enemy = this.enemy;
+    if (this.scene?.statusEffects?.refreshTint) {
+      this.scene.statusEffects.refreshTint(enemy);
+    } else {
+      enemy?.clearTint?.();
+    }
+  }
+
+  /**
+   * Draw (or redraw) a ground danger zone. `progress` fills the inner disc so
+   * the player can read when the hit lands.
+   */
+  showZone(x, y, radius, color = 0xff3b3b, progress = 0) {
+    if (!this.scene?.add) return;
+    if (!this._zone) {
+      this._zone = this.scene.add.graphics();
+      this._zone.setDepth((this.enemy?.depth ?? 1) - 1);
+    }
+
+    const g = this._zone;
+    g.clear();
+    g.lineStyle(2, color, 0.85);
+    g.strokeCircle(x, y, radius);
+    g.fillStyle(color, 0.12);
+    g.fillCircle(x, y, radius);
+    g.fillStyle(color, 0.25);
+    g.fillCircle(x, y, radius * Math.min(1, Math.max(0, progress)));
+  }
+
+  _clearZone() {
+    this._zone?.destroy?.();
+    this._zone = null;
+  }
+
+  // ------------------------
+  // PATTERN HELPERS
+  // ------------------------
+
+  /** Hero sprite the boss targets. */
+  hero() {
+    return this.scene?.hero?.sprite ?? null;
+  }
+
+  /** Random source for pattern rolls (the run's `ai` stream). */
+  random() {
+    return getRng(this.scene, 'ai')();
+  }
+
+  /** Flip the boss sprite so it faces the movement direction. */
+  faceToward(dx) {
+    this.enemy?.setFlipX?.(dx < 0);
+  }
+
+  /**
+   * Set a raw velocity, lifting the body's speed cap so dashes actually reach
+   * their configured speed even when the mob config clamps maxSpeed lower.
+   */
+  setVelocity(vx, vy, speed) {
+    const body = this.enemy?.body;
+    if (!body) return;
+    body.setMaxSpeed?.(speed);
+    body.setMaxVelocity?.(speed, speed);
+    body.setVelocity?.(vx, vy);
+  }
+
+  /** Move toward a point at `speed`, facing the travel direction. */
+  setVelToward(x, y, speed) {
+    const enemy = this.enemy;
+    if (!enemy?.body) return;
+
+    const dx = x - enemy.x;
+    const dy = y - enemy.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist <= 0) return;
+
+    this.faceToward(dx);
+    this.setVelocity((dx / dist) * speed, (dy / dist) * speed, speed);
+  }
+
+  /** Distance from the boss to a point. */
+  distTo(x, y) {
+    const enemy = this.enemy;
+    if (!enemy) return Infinity;
+    return Math.hypot(x - enemy.x, y - enemy.y);
+  }
+
+  /** Stop the boss body so the next stage begins from a standstill. */
+  stopMovement() {
+    const body = this.enemy?.body;
+    if (!body) return;
+    body.stop?.();
+    body.setVelocity?.(0, 0);
+  }
+
+  /**
+   * Play an animation by role (`idle`, `move`, `attack`, …) from the mob's
+   * animationKeys, or by literal animation key.
+   */
+  playAnim(roleOrKey) {
+    const enemy = this.enemy;
+    const key = enemy?.animationKeys?.[roleOrKey] ?? roleOrKey;
+    if (key && enemy?.anims?.animationManager?.exists?.(key)) {
+      enemy.play(key, true);
+    }
+  }
+
+  /**
+   * Deal scripted damage to the hero, shaking the camera when it lands.
+   */
+  damageHero(amount, { shakeMs = 150, shakeIntensity = 0.004 } = {}) {
+    const tookDamage = this.scene?.hero?.health?.damage?.(amount);
+    if (tookDamage && shakeMs > 0) {
+      shakeCamera(this.scene?.cameras?.main, shakeMs, shakeIntensity);
+    }
+    return Boolean(tookDamage);
+  }
+
+  /**
+   * Run the mob's configured MobAI behaviour for this frame.
+   */
+  runBaseBehavior(dt) {
+    this.scene?.enemyAI?.runBehavior?.(this.enemy, dt);
+  }
+
+  /**
+   * Lazily build (and cache) the projectile weapon an attack fires through.
+   * Returns null when no preset resolves so patterns can use plain projectiles.
+   */
+  getRangedWeapon(atk) {
+    const params = this.enemy?.aiParams ?? resolveMobConfig(this.mobKey)?.aiParams ?? {};
+    const weaponKey = atk.weaponKey ?? params.projectileWeaponKey ?? null;
+    const overrides = atk.projectileOverrides ?? params.projectileOverrides ?? null;
+    if (!weaponKey || !getEnemyProjectileConfigFromWeaponKey(weaponKey, overrides)) return null;
+
+    const cacheKey = `${weaponKey}|${atk.salvo}|${atk.spreadDeg}|${this.attackKey}`;
+    let weapon = this._rangedWeapons.get(cacheKey);
+    if (!weapon) {
+      weapon = new EnemyProjectileWeaponController(this.scene, this.enemy, {
+        weaponKey,
+        overrides,
+        aimMode: 'atTarget',
+        enemyProjectiles: this.scene?.enemyProjectiles,
+        salvo: atk.salvo,
+        spreadDeg: atk.spreadDeg,
+      });
+      this._rangedWeapons.set(cacheKey, weapon);
+    }
+    return weapon;
+  }
+
+  /**
+   * Random point inside the camera view (or a safe bounded-map spawn point).
+   */
+  pickPointInView(margin) {
+    const runtime = this.scene?.mapRuntime;
+    // Bounded maps ask SpawnDirector for a safe point inside world bounds.
+    if (runtime?.isBounded?.()) {
+      const point = this.scene?.spawnDirector?.getSpawnPoint?.({
+        heroSprite: this.hero(),
+        margin,
+        attempts: 16,
+      });
+      if (point) return point;
+    }
+
+    const view = this.scene?.cameras?.main?.worldView;
+    if (!view) {
+      return { x: this.enemy?.x ?? 0, y: this.enemy?.y ?? 0 };
+    }
+
+    const minX = view.x + margin;
+    const maxX = view.x + view.width - margin;
+    const minY = view.y + margin;
+    const maxY = view.y + view.height - margin;
+
+    if (minX >= maxX || minY >= maxY) {
+      return { x: this.enemy?.x ?? view.centerX, y: this.enemy?.y ?? view.centerY };
+    }
+
+    return {
+      x: minX + this.random() * (maxX - minX),
+      y: minY + this.random() * (maxY - minY),
+    };
+  }
+
+  /**
+   * Use a desired point as-is on infinite maps; on bounded maps clamp it into
+   * the world and fall back to a safe point when it lands on a wall.
+   */
+  resolveOpenPoint(x, y) {
+    const runtime = this.scene?.mapRuntime;
+    if (!runtime?.isBounded?.()) return { x, y };
+
+    const clamped = runtime.clampPoint?.({ x, y }) ?? { x, y };
+    const mapQuery = this.scene?.mapQuery;
+    if (!mapQuery?.isWalkableWorldXY || mapQuery.isWalkableWorldXY(clamped.x, clamped.y)) {
+      return clamped;
+    }
+    return this.pickPointInView(64);
+  }
+
+  /** Clamp time values so durations stay within intended limits. */
+  clampMs(value, min, max) {
+    const v = Number.isFinite(value) ? value : 0;
+    const lo = Number.isFinite(min) ? min : 0;
+    const hi = Number.isFinite(max) ? max : lo;
+    return Math.max(lo, Math.min(hi, v));
+  }
+}
@@ -55,6 +55,21 @@ export class Enemy extends Phaser.Physics.Arcade.Sprite {
     this._deathHandled = false;
     this._attackDealt = false;
 
+    // Status effects are owned by StatusEffectSystem; never carry them across pool lives.
+    this._statusEffects = null;
+    this._statusSpeedMult = 1;
+    // CrowdSteering push added last frame (taken back out before the next behaviour).
+    this._crowdPushX = 0;
+    this._crowdPushY = 0;
+    // AiLodScheduler state: unspent frame time and the off-screen flag MobAI reads.
+    this._aiLodDtMs = 0;
+    this._aiOffscreen = false;
+    // Ally shield granted by supportAllies; DamagePipeline drains it before HP.
+    this._shieldHp = 0;
+    this._shieldExpiresAt = null;
+    // Tint kept under status tints (EliteAffixSystem colours elites with it).
+    this._baseTint = null;
+
     // Swap to the correct spritesheet and default animation frame.
     const sheetKey = config.sheetKey ?? mobKey;
     const frame = config.defaultFrame ?? 0;
@@ -64,9 +79,8 @@ export class Enemy extends Phaser.Physics.Arcade.Sprite {
     if (config.origin) {
       this.setOrigin(config.origin.x ?? 0.5, config.origin.y ?? 0.5);
     }
-    if (config.scale !== undefined) {
-      this.setScale(config.scale);
-    }
+    // Always re-applied: split elite copies shrink their sprite for one life.
+    this.setScale(config.scale ?? 1);
 
     // Centralised stats resolver (speed, hp, damage, maxSpeed, etc.)
     const stats = resolveMobStats({
@@ -108,6 +122,9 @@ export class Enemy extends Phaser.Physics.Arcade.Sprite {
       ...(overrides.aiParams ?? {}),
     };
 
+    // Pinned elite affixes (null lets EliteAffixSystem roll on `enemy:spawned`).
+    this.affixOverride = Array.isArray(overrides.affixes) ? overrides.affixes : null;
+
     // Render depth from config so bosses can be layered above FX later.
     const actorBaseDepth = this.scene?.mapRender?.actorBaseDepth ?? 0;
     const depthOffset = config.depth ?? this.depth ?? 2;
@@ -156,6 +173,12 @@ export class Enemy extends Phaser.Physics.Arcade.Sprite {
     this._waveAmplitude = undefined;
     this._waveFrequency = undefined;
     this._theta = undefined;
+    this._strafeDir = undefined;
+    this._charge = null;
+    this._summonCooldownMs = undefined;
+    this._supportCooldownMs = undefined;
+    this._minions = null;
+    this._summonedBy = null;
 
     // Flow-field steering metadata (cleared each spawn)
     this._ffLastX = undefined;
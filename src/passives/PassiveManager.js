@@ -2,6 +2,7 @@ import { CONFIG } from '../config/gameConfig.js';
 import { LEVEL_UP } from '../config/gameConfig.js';
 import { PassiveRegistry, isValidPassive } from './PassiveRegistry.js';
 import { canGrantNextStack } from './passiveStackGate.js';
+import { getRng } from '../run/RunRng.js';
 
 /**
  * Clamp requested stack counts to each passive's max so upgrades stay within limits.
@@ -39,6 +40,8 @@ export class PassiveManager {
     this.loadout = [];
     this.stackCounts = new Map();
     this.aggregate = {};
+    // Effects that hold for the whole run regardless of stacks (meta upgrades).
+    this.baseEffects = {};
   }
 
   /**
@@ -52,6 +55,20 @@ export class PassiveManager {
     this.stackCounts.clear();
     this.loadout = [];
     this.aggregate = {};
+    this.baseEffects = {};
+  }
+
+  /**
+   * Layer permanent effects (same keys as passive `effects`) under the
+   * passive stacks, e.g. meta upgrades resolved at run start.
+   */
+  setBaseEffects(effects = {}) {
+    const next = {};
+    Object.entries(effects ?? {}).forEach(([key, value]) => {
+      if (Number.isFinite(value)) next[key] = value;
+    });
+    this.baseEffects = next;
+    this._recomputeAggregate();
   }
 
   /**
@@ -251,8 +268,7 @@ export class PassiveManager {
 
     if (chance <= 0 || amount <= 0) return;
 
-    const rng = this.scene?.rng ?? Math.random;
-    if (rng() >= chance) return;
+    if (!getRng(this.scene, 'crits').chance(chance)) return;
 
     const healed = this.hero?.health?.heal?.(amount) || false;
 
@@ -270,7 +286,7 @@ export class PassiveManager {
    * Rebuild the aggregate stat map from current stacks and emit changes.
    */
   _recomputeAggregate() {
-    const aggregate = {};
+    const aggregate = { ...this.baseEffects };
     for (const [key, count] of this.stackCounts.entries()) {
       const entry = PassiveRegistry[key];
       if (!entry) continue;
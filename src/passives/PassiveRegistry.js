@@ -6,9 +6,9 @@ export const PassiveRegistry = {
       damagePct: 0.25
     },
     ui: {
-      name: 'Moonfury',
+      nameKey: 'passive.might.name',
       rarity: 'rare',
-      description: 'Increase damage.',
+      descriptionKey: 'passive.might.description',
       icon: {
         atlas: 'passives_atlas',
         frame: 'might.png'
@@ -24,9 +24,9 @@ export const PassiveRegistry = {
       lifeStealAmount: 5
     },
     ui: {
-      name: "Vampire's Kiss",
+      nameKey: 'passive.vampiresKiss.name',
       rarity: 'rare',
-      description: 'Life steal.',
+      descriptionKey: 'passive.vampiresKiss.description',
       icon: {
         atlas: 'passives_atlas',
         frame: 'vampireskiss.png'
@@ -41,9 +41,9 @@ export const PassiveRegistry = {
       projectileSalvoFlat: 2
     },
     ui: {
-      name: 'Multi-Shot',
+      nameKey: 'passive.multiShot.name',
       rarity: 'rare',
-      description: 'All projectiles are a triple shot. Extremely powerful.',
+      descriptionKey: 'passive.multiShot.description',
       icon: {
         atlas: 'passives_atlas',
         frame: 'multishot.png'
@@ -59,9 +59,9 @@ export const PassiveRegistry = {
       moveSpeedPct: 0.10
     },
     ui: {
-      name: 'Blood Wind Treads',
+      nameKey: 'passive.bloodwindtreads.name',
       rarity: 'rare',
-      description: 'Increase move speed.',
+      descriptionKey: 'passive.bloodwindtreads.description',
       icon: {
         atlas: 'passives_atlas',
         frame: 'bloodwindtreads.png'
@@ -77,9 +77,9 @@ export const PassiveRegistry = {
       attackSpeedPct: 0.10
     },
     ui: {
-      name: 'Bloodrush',
+      nameKey: 'passive.bloodrush.name',
       rarity: 'rare',
-      description: 'Increase attack speed for all weapons.',
+      descriptionKey: 'passive.bloodrush.description',
       icon: {
         atlas: 'passives_atlas',
         frame: 'bloodrush.png'
@@ -93,9 +93,9 @@ export const PassiveRegistry = {
       iframeMsBonus: 200
     },
     ui: {
-      name: 'Aegis Shield',
+      nameKey: 'passive.shield.name',
       rarity: 'rare',
-      description: 'Boosts invulnerability frames after taking damage.',
+      descriptionKey: 'passive.shield.description',
       icon: {
         atlas: 'passives_atlas',
         frame: 'shield.png'
@@ -112,9 +112,9 @@ export const PassiveRegistry = {
       xpSnapRadiusPct: 0.15
     },
     ui: {
-      name: "Reaper's Reach",
+      nameKey: 'passive.reapersReach.name',
       rarity: 'rare',
-      description: 'Greatly increases XP pickup range and pull speed.',
+      descriptionKey: 'passive.reapersReach.description',
       icon: {
         atlas: 'passives_atlas',
         frame: 'reapersreach.png'
@@ -2,11 +2,18 @@ import { LevelSystem } from './LevelSystem.js';
 import { XPBar } from '../ui/XPBar.js';
 import { LevelUpModal } from '../ui/LevelUpModal.js';
 import { LEVEL_UP } from '../config/gameConfig.js';
-import { getLevelUpChoices } from './LevelUpRewards.js';
+import { applyRestoreAmount, getLevelUpChoices } from './LevelUpRewards.js';
+
+// Modal actions that are recorded and replayed like reward picks.
+const LEVEL_UP_ACTIONS = ['reroll', 'skip', 'banish'];
 
 /**
  * LevelUpFlow centralises XP progression, modal presentation, and the shared
  * simulation pause while the player chooses upgrades.
+ *
+ * It also owns the per-run reroll / skip / banish charges (hero
+ * `levelUpActions` plus meta reroll charges) and the banished key lists that
+ * LevelUpRewards filters out of later offers.
  */
 export class LevelUpFlow {
   /**
@@ -26,6 +33,17 @@ export class LevelUpFlow {
 
     this._pendingLevelUps = 0;
     this._modalActive = false;
+    this._modalLevel = null;
+    this._modalChoices = null;
+    this._modalRerolls = 0;
+
+    const heroCharges = scene?.heroEntry?.levelUpActions ?? LEVEL_UP.actionCharges ?? {};
+    this.actionCharges = {
+      reroll: (heroCharges.reroll ?? 0) + Math.max(0, Math.floor(scene?.metaEffects?.rerollCharges ?? 0)),
+      skip: heroCharges.skip ?? 0,
+      banish: heroCharges.banish ?? 0
+    };
+    this.banished = { weapon: new Set(), passive: new Set() };
 
     this._onLevelUp = this._onLevelUp.bind(this);
     this._onModalClosed = this._onModalClosed.bind(this);
@@ -48,6 +66,72 @@ export class LevelUpFlow {
     this.levelSystem?.addXP?.(amount);
   }
 
+  /**
+   * Grant whole levels through the normal flow, one level-up pick each
+   * (meta "starting level" upgrade).
+   */
+  grantLevels(count = 1) {
+    const levels = Math.max(0, Math.floor(Number(count) || 0));
+    for (let i = 0; i < levels; i += 1) {
+      const needed = this.levelSystem?.xpToNext ?? 0;
+      if (!(needed > 0)) break;
+      this.levelSystem.addXP(needed);
+    }
+  }
+
+  /**
+   * Banished keys by reward type, in the shape LevelUpRewards expects.
+   */
+  getBanishedKeys() {
+    return {
+      weapon: Array.from(this.banished.weapon),
+      passive: Array.from(this.banished.passive)
+    };
+  }
+
+  /**
+   * Remaining reroll / skip / banish charges for this run.
+   */
+  getActionCharges() {
+    return { ...this.actionCharges };
+  }
+
+  /**
+   * Serializable progression for suspended runs: level, XP, picks still
+   * owed (including an open modal) and the per-run action state.
+   */
+  getState() {
+    return {
+      level: this.levelSystem?.level ?? 1,
+      xp: this.levelSystem?.xp ?? 0,
+      pendingLevelUps: this._pendingLevelUps,
+      actionCharges: this.getActionCharges(),
+      banished: this.getBanishedKeys()
+    };
+  }
+
+  /**
+   * Inverse of getState(). Owed picks reopen the level-up modal without
+   * emitting `level:up` again.
+   */
+  restoreState(state = {}) {
+    this.levelSystem?.reset?.(state.level, state.xp);
+
+    LEVEL_UP_ACTIONS.forEach((action) => {
+      const charges = Number(state.actionCharges?.[action]);
+      if (Number.isFinite(charges)) this.actionCharges[action] = Math.max(0, Math.floor(charges));
+    });
+    ['weapon', 'passive'].forEach((type) => {
+      const keys = state.banished?.[type];
+      this.banished[type] = new Set(Array.isArray(keys) ? keys : []);
+    });
+
+    const pending = Math.max(0, Math.floor(Number(state.pendingLevelUps) || 0));
+    for (let i = 0; i < pending; i += 1) {
+      this._onLevelUp({ level: this.levelSystem?.level ?? 1 });
+    }
+  }
+
   /**
    * Debug helper to force level without opening modal flows.
    */
@@ -100,6 +184,7 @@ export class LevelUpFlow {
    */
   _onModalClosed() {
     this.levelUpModal = null;
+    this._modalChoices = null;
     this._pendingLevelUps = Math.max(0, this._pendingLevelUps - 1);
 
     if (this._pendingLevelUps > 0) {
@@ -116,6 +201,17 @@ export class LevelUpFlow {
    */
   _showModal(level) {
     this._applyPause();
+    this._modalLevel = level;
+    this._modalRerolls = 0;
+    this._openModal();
+  }
+
+  /**
+   * Build the current level's offer (honouring rerolls and banishes) and show it.
+   * Rerolls and banishes call this again on the same level.
+   */
+  _openModal() {
+    const level = this._modalLevel ?? this.levelSystem?.level ?? 1;
     const loadout = this.scene.weaponManager?.getLoadout?.() ?? [];
     const heroEntry = this.scene.heroEntry ?? null;
     const passiveManager = this.scene.passiveManager ?? null;
@@ -129,19 +225,121 @@ export class LevelUpFlow {
       currentLoadout: loadout,
       currentPassives,
       getPassiveStackCount: getStackCount,
-      maxChoices: LEVEL_UP.choicesPerLevel
+      maxChoices: LEVEL_UP.choicesPerLevel,
+      reroll: this._modalRerolls,
+      banished: this.getBanishedKeys()
     });
 
     const choices = [...upgradeChoices];
     choices.push({ type: 'restore', amount: LEVEL_UP.restoreHealthAmount });
 
     this.levelUpModal?.destroy?.();
+    this._modalChoices = choices;
     this.levelUpModal = new LevelUpModal(this.scene, {
       level,
       choices,
+      actions: this.getActionCharges(),
       depthBase: this.scene?.mapRender?.uiBaseDepth ?? 0,
-      onSelect: (choice) => this._handleChoice(choice)
+      onSelect: (choice) => this._handleChoice(choice),
+      onAction: (action, choice) => this.performAction(action, choice)
     });
+
+    this.scene.events?.emit?.('level:modal:opened', { level, choices });
+  }
+
+  /**
+   * Pick a reward on the open modal as if the player had confirmed it.
+   * Matches by type/key/subtype first so a replay survives reordered offers,
+   * then falls back to the recorded card index. Recorded modal actions
+   * (reroll / skip / banish) are routed to performAction.
+   * @returns {boolean} true when a choice was applied
+   */
+  selectChoice({ index, type, key, subtype } = {}) {
+    if (LEVEL_UP_ACTIONS.includes(type)) {
+      return this.performAction(type, { type: subtype, key });
+    }
+
+    const modal = this.levelUpModal;
+    const choices = this._modalChoices ?? [];
+    if (!modal || !choices.length) return false;
+
+    let resolved = choices.findIndex((choice) => choice.type === type
+      && (choice.key ?? null) === (key ?? null)
+      && (choice.subtype ?? null) === (subtype ?? null));
+    if (resolved < 0 && Number.isInteger(index) && index >= 0 && index < choices.length) {
+      resolved = index;
+    }
+    if (resolved < 0) return false;
+
+    return modal.selectChoice(resolved);
+  }
+
+  /**
+   * Spend a charge on the open modal:
+   *  - reroll: same level, next reroll seed
+   *  - banish: drop `choice` (weapon or passive card) from every later offer
+   *    this run, then rebuild the current offer without it
+   *  - skip: take LEVEL_UP.skipReward instead of a card and close the modal
+   *
+   * The action is emitted as `level:choice:selected` (index -1) so RunRecorder
+   * stores it alongside the picks and RunReplay can repeat it.
+   * @returns {boolean} true when the action was applied
+   */
+  performAction(action, choice = null) {
+    if (!this.levelUpModal || !LEVEL_UP_ACTIONS.includes(action)) return false;
+    if ((this.actionCharges[action] ?? 0) <= 0) return false;
+
+    let target = null;
+    if (action === 'banish') {
+      target = (this._modalChoices ?? []).find((c) => c.type === choice?.type
+        && c.key === choice?.key
+        && (c.type === 'weapon' || c.type === 'passive')
+        && c.subtype !== 'evolution');
+      if (!target) return false;
+    }
+
+    this.actionCharges[action] -= 1;
+    this.scene.events?.emit?.('level:choice:selected', {
+      level: this._modalLevel ?? this.levelSystem?.level ?? 1,
+      index: -1,
+      choice: { type: action, key: target?.key ?? null, subtype: target?.type ?? null }
+    });
+
+    if (action === 'skip') {
+      this._applySkipReward();
+      this.levelUpModal.close();
+      return true;
+    }
+
+    if (action === 'banish') {
+      this.banished[target.type]?.add(target.key);
+      this.scene.events?.emit?.('level:banished', { type: target.type, key: target.key });
+    } else {
+      this._modalRerolls += 1;
+    }
+
+    this._openModal();
+    return true;
+  }
+
+  /**
+   * Skip payout: XP toward the next level plus run gold. XP that crosses a
+   * level threshold queues another modal through the usual level:up path.
+   */
+  _applySkipReward() {
+    const reward = LEVEL_UP.skipReward ?? {};
+    const xp = Math.ceil((this.levelSystem?.xpToNext ?? 0) * Math.max(0, Number(reward.xpPctOfNext) || 0));
+    const gold = Math.max(0, Math.floor(Number(reward.gold) || 0));
+
+    this.scene.events?.emit?.('level:reward:selected', { type: 'skip', xp, gold });
+
+    if (gold > 0) {
+      this.scene.runGold = Number(this.scene.runGold ?? 0) + gold;
+      this.scene.events?.emit?.('gold:collected', { amount: gold, total: this.scene.runGold });
+    }
+    if (xp > 0) {
+      this.addXP(xp);
+    }
   }
 
   /**
@@ -150,8 +348,23 @@ export class LevelUpFlow {
   _handleChoice(choice) {
     if (!choice) return;
 
+    this.scene.events?.emit?.('level:choice:selected', {
+      level: this._modalLevel ?? this.levelSystem?.level ?? 1,
+      index: this._modalChoices?.indexOf(choice) ?? -1,
+      choice
+    });
+
     if (choice.type === 'weapon' && choice.key) {
-      if (choice.subtype === 'upgrade') {
+      if (choice.subtype === 'evolution') {
+        const evolved = this.scene.weaponManager?.evolveWeapon?.(choice.from);
+        if (evolved) {
+          this.scene.events?.emit?.('level:reward:selected', {
+            type: 'weapon-evolution',
+            key: choice.key,
+            from: choice.from
+          });
+        }
+      } else if (choice.subtype === 'upgrade') {
         const upgraded = this.scene.weaponManager?.upgradeWeapon?.(choice.key);
         if (upgraded) {
           this.scene.events?.emit?.('level:reward:selected', {
@@ -184,27 +397,7 @@ export class LevelUpFlow {
    * Restore hero health based on the configured amount or percent string.
    */
   _applyRestore(amount) {
-    const health = this.scene.hero?.health ?? this.scene.playerHealth;
-    if (!health?.heal) return;
-
-    if (amount === 'full') {
-      health.heal(health.maxHealth ?? 0);
-      return;
-    }
-
-    if (typeof amount === 'string' && amount.startsWith('percent:')) {
-      const percent = Number.parseFloat(amount.split(':')[1] ?? '0');
-      if (!Number.isNaN(percent) && percent > 0) {
-        const max = health.maxHealth ?? 0;
-        const healAmount = Math.ceil((max * percent) / 100);
-        health.heal(healAmount);
-      }
-      return;
-    }
-
-    if (Number.isFinite(amount) && amount > 0) {
-      health.heal(amount);
-    }
+    applyRestoreAmount(this.scene, amount);
   }
 
   /**
@@ -3,8 +3,14 @@ import { PassiveRegistry, isValidPassive } from '../passives/PassiveRegistry.js'
 import { CONFIG, LEVEL_UP } from '../config/gameConfig.js';
 import { canGrantNextStack } from '../passives/passiveStackGate.js';
 import * as WeaponProgression from '../weapons/WeaponProgression.js';
+import { findReadyEvolutions, isEvolvedWeapon } from '../weapons/WeaponEvolutionRegistry.js';
+import { makeSeededRandom } from '../run/RunRng.js';
+import { uiText } from '../i18n/Localization.js';
 
 const PASSIVE_SEED_OFFSET = 0x9e3779b9;
+// Spreads reroll seeds apart when no RunRng is available (salt collisions with
+// neighbouring levels would otherwise hand back an earlier level's offer).
+const REROLL_SEED_STRIDE = 0x5bd1e995;
 const WEAPON_RARITY_ORDER = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
 
 /**
@@ -29,22 +35,6 @@ function collectProgressionKeys(progression, level) {
   return keys;
 }
 
-/**
- * Creates a deterministic pseudo-random generator from a given numeric seed.
- * This ensures that level-up choices are stable per run.
- */
-function makeSeededRandom(seed) {
-  let state = seed >>> 0;
-
-  return () => {
-    state += 0x6d2b79f5;
-    let t = state;
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
 /**
  * Shuffle an array deterministically using a seeded RNG.
  */
@@ -60,11 +50,20 @@ function deterministicShuffle(array, seed) {
   return result;
 }
 
+/**
+ * Banished keys for one reward type ('weapon' | 'passive') as a Set.
+ * `banished` is LevelUpFlow.getBanishedKeys(): { weapon: [...], passive: [...] }.
+ */
+function toBanishedSet(banished, type) {
+  const keys = banished?.[type];
+  return new Set(Array.isArray(keys) || keys instanceof Set ? keys : []);
+}
+
 /**
  * Get a human-readable name for a registry entry.
  */
 function toDisplayName(entry, key) {
-  const uiName = entry?.ui?.name;
+  const uiName = uiText(entry, 'name');
   return (typeof uiName === 'string' && uiName.trim().length > 0) ? uiName : key;
 }
 
@@ -73,8 +72,10 @@ function toDisplayName(entry, key) {
  * - Must be allowed
  * - Must exist in registry
  * - Must not already be owned
+ * - Must not be an evolved weapon (those only come from evolution recipes)
+ * - Must not be banished for the run
  */
-function normalizeWeaponCandidates(candidates, allowedSet, ownedSet) {
+function normalizeWeaponCandidates(candidates, allowedSet, ownedSet, banishedSet) {
   const unique = new Set();
   const filtered = [];
 
@@ -85,6 +86,8 @@ function normalizeWeaponCandidates(candidates, allowedSet, ownedSet) {
     if (!allowedSet.has(key)) return;
     if (!WeaponRegistry[key]) return;
     if (ownedSet.has(key)) return;
+    if (isEvolvedWeapon(key)) return;
+    if (banishedSet?.has(key)) return;
 
     filtered.push(key);
   });
@@ -95,7 +98,7 @@ function normalizeWeaponCandidates(candidates, allowedSet, ownedSet) {
 /**
  * Filter + dedupe passive candidates while respecting stack caps and allowlists.
  */
-function normalizePassiveCandidates(candidates, allowedSet, ownedCounts) {
+function normalizePassiveCandidates(candidates, allowedSet, ownedCounts, banishedSet) {
   const unique = new Set();
   const filtered = [];
 
@@ -103,6 +106,7 @@ function normalizePassiveCandidates(candidates, allowedSet, ownedCounts) {
     if (unique.has(key)) return;
     if (!allowedSet.has(key)) return;
     if (!PassiveRegistry[key]) return;
+    if (banishedSet?.has(key)) return;
 
     const maxStacks = Math.max(1, PassiveRegistry[key]?.maxStacks ?? 1);
     const owned = ownedCounts.get(key) ?? 0;
@@ -157,12 +161,21 @@ function buildOwnedPassiveCounts(currentPassives, resolver) {
 }
 
 /**
- * Build a deterministic seed from run start time and level.
+ * Build a deterministic seed for a level's offers. Runs with a RunRng derive it
+ * from the run seed (so a seed replays its offers); otherwise from run start time.
+ * `reroll` counts rerolls on the same level; 0 keeps the original offer's seed.
  */
-function buildSeed(scene, level, offset = 0) {
+export function buildSeed(scene, level, offset = 0, reroll = 0) {
+  const rerollIndex = Math.max(0, Math.floor(Number(reroll) || 0));
+
+  if (scene?.rng?.deriveSeed) {
+    const stream = rerollIndex > 0 ? `levelup:reroll:${rerollIndex}` : 'levelup';
+    return scene.rng.deriveSeed(stream, level + offset);
+  }
+
   const base = Number(scene?._runStartedAt ?? 0);
   const levelSeed = Number.isFinite(base) ? base + level : level;
-  return (levelSeed + offset) >>> 0;
+  return (levelSeed + offset + rerollIndex * REROLL_SEED_STRIDE) >>> 0;
 }
 
 /**
@@ -227,7 +240,9 @@ function getWeaponChoicesInternal({
   level,
   currentLoadout = [],
   maxChoices = 3,
-  getWeaponLevel
+  getWeaponLevel,
+  reroll = 0,
+  banished = null
 }) {
   const allowedKeys = Array.isArray(heroEntry?.weapons?.allowed)
     ? heroEntry.weapons.allowed
@@ -255,18 +270,19 @@ function getWeaponChoicesInternal({
     candidates = allowedKeys.slice();
   }
 
-  const newFiltered = normalizeWeaponCandidates(candidates, allowedSet, ownedSet);
+  const banishedSet = toBanishedSet(banished, 'weapon');
+  const newFiltered = normalizeWeaponCandidates(candidates, allowedSet, ownedSet, banishedSet);
   const gatedNew = gateNewWeaponsByRarity(newFiltered);
 
   const upgradeCandidates = [];
   ownedSet.forEach((key) => {
     const lvl = ownedLevels.get(key) ?? CONFIG.WEAPONS.DEFAULT_LEVEL;
-    if (lvl < maxLevel && allowedSet.has(key) && WeaponRegistry[key]) {
+    if (lvl < maxLevel && allowedSet.has(key) && WeaponRegistry[key] && !banishedSet.has(key)) {
       upgradeCandidates.push(key);
     }
   });
 
-  const seedBase = buildSeed(scene, level, 0);
+  const seedBase = buildSeed(scene, level, 0, reroll);
   const shuffledNew = deterministicShuffle(gatedNew, seedBase);
   const shuffledUpgrade = deterministicShuffle(upgradeCandidates, seedBase + 1337);
 
@@ -282,7 +298,7 @@ function getWeaponChoicesInternal({
       key,
       name: toDisplayName(entry, key),
       rarity: entry?.ui?.rarity ?? 'common',
-      description: entry?.ui?.description ?? '',
+      description: uiText(entry, 'description'),
       ui: entry?.ui ?? null
     });
   });
@@ -311,9 +327,44 @@ function getWeaponChoicesInternal({
   return picks;
 }
 
+/**
+ * Build evolution choices for every owned weapon whose recipe is ready
+ * (base at max level + required passive stacks). `key` is the evolved weapon,
+ * `from` the base weapon it replaces.
+ */
+export function getEvolutionChoices({
+  scene,
+  currentLoadout = [],
+  currentPassives = [],
+  getPassiveStackCount
+}) {
+  const ready = findReadyEvolutions({
+    loadout: currentLoadout,
+    getWeaponLevel: (key) => scene?.weaponManager?.getWeaponLevel?.(key) ?? 0,
+    getPassiveStackCount,
+    passives: currentPassives
+  });
+
+  return ready.map((recipe) => {
+    const entry = WeaponRegistry[recipe.into];
+    return {
+      type: 'weapon',
+      subtype: 'evolution',
+      key: recipe.into,
+      from: recipe.base,
+      passive: recipe.passive,
+      name: toDisplayName(entry, recipe.into),
+      rarity: entry?.ui?.rarity ?? 'legendary',
+      description: uiText(entry, 'description'),
+      ui: entry?.ui ?? null
+    };
+  });
+}
+
 /**
  * Build passive reward choices based on hero allowlists and current stacks.
- * Honors the passive cadence gate (interval/start/milestones) via CONFIG.LEVEL_UP.
+ * Honors the passive cadence gate (interval/start/milestones) via CONFIG.LEVEL_UP
+ * unless `ignoreCadence` is set (treasure chests are not tied to level cadence).
  */
 export function getPassiveChoices({
   scene,
@@ -321,10 +372,13 @@ export function getPassiveChoices({
   level,
   currentPassives = [],
   getStackCount,
-  maxChoices = 3
+  maxChoices = 3,
+  ignoreCadence = false,
+  reroll = 0,
+  banished = null
 }) {
   // NEW: passive cadence gate
-  if (!shouldOfferPassives(level)) {
+  if (!ignoreCadence && !shouldOfferPassives(level)) {
     return [];
   }
 
@@ -352,13 +406,13 @@ export function getPassiveChoices({
     candidates = allowedKeys.slice();
   }
 
-  const filtered = normalizePassiveCandidates(candidates, allowedSet, ownedCounts);
+  const filtered = normalizePassiveCandidates(candidates, allowedSet, ownedCounts, toBanishedSet(banished, 'passive'));
   if (!filtered.length) return [];
 
   const stackGateFiltered = filterPassiveCandidatesByStackGate(filtered, ownedCounts, level);
   if (!stackGateFiltered.length) return [];
 
-  const seed = buildSeed(scene, level, PASSIVE_SEED_OFFSET);
+  const seed = buildSeed(scene, level, PASSIVE_SEED_OFFSET, reroll);
   const shuffled = deterministicShuffle(stackGateFiltered, seed);
   const picks = shuffled.slice(0, Math.max(0, maxChoices));
 
@@ -369,7 +423,7 @@ export function getPassiveChoices({
       key,
       name: toDisplayName(entry, key),
       rarity: entry?.ui?.rarity ?? 'common',
-      description: entry?.ui?.description ?? '',
+      description: uiText(entry, 'description'),
       ui: entry?.ui ?? null
     };
   });
@@ -377,15 +431,40 @@ export function getPassiveChoices({
 
 /**
  * Combine weapon and passive choices into a final level-up reward set.
+ * Ready weapon evolutions take the first cards when
+ * CONFIG.WEAPONS.EVOLUTION.offerOnLevelUp is on.
+ *
+ * `reroll` (rerolls used on this level) re-seeds every shuffle and `banished`
+ * ({ weapon, passive } key lists) is removed from the candidate pools, so a
+ * reroll or banish produces the same new offer whenever the run is replayed.
+ */
+export function getLevelUpChoices(options) {
+  const total = Math.max(0, options.maxChoices ?? 3);
+  if (total === 0) return [];
+
+  const evolutions = CONFIG.WEAPONS.EVOLUTION?.offerOnLevelUp
+    ? getEvolutionChoices(options).slice(0, total)
+    : [];
+
+  return [
+    ...evolutions,
+    ...getStandardChoices({ ...options, maxChoices: total - evolutions.length })
+  ];
+}
+
+/**
+ * Mix weapon and passive choices using the level's seeded slot split.
  */
-export function getLevelUpChoices({
+function getStandardChoices({
   scene,
   heroEntry,
   level,
   currentLoadout = [],
   currentPassives = [],
   getPassiveStackCount,
-  maxChoices = 3
+  maxChoices = 3,
+  reroll = 0,
+  banished = null
 }) {
   const total = Math.max(0, maxChoices);
   if (total === 0) return [];
@@ -396,7 +475,9 @@ export function getLevelUpChoices({
     level,
     currentLoadout,
     maxChoices: total,
-    getWeaponLevel: (key) => scene.weaponManager?.getWeaponLevel?.(key)
+    getWeaponLevel: (key) => scene.weaponManager?.getWeaponLevel?.(key),
+    reroll,
+    banished
   });
 
   // NEW: passive choices already include gating, but we also short-circuit here
@@ -408,7 +489,9 @@ export function getLevelUpChoices({
         level,
         currentPassives,
         getStackCount: getPassiveStackCount,
-        maxChoices: total
+        maxChoices: total,
+        reroll,
+        banished
       })
     : [];
 
@@ -436,7 +519,7 @@ export function getLevelUpChoices({
     return allWeaponsOrdered.slice(0, total);
   }
 
-  const rng = makeSeededRandom(buildSeed(scene, level, 0x1234abcd));
+  const rng = makeSeededRandom(buildSeed(scene, level, 0x1234abcd, reroll));
 
   if (total === 1) {
     const roll = rng();
@@ -487,3 +570,81 @@ export function getLevelUpChoices({
 
   return picks.slice(0, total);
 }
+
+/**
+ * Every reward a treasure chest could grant right now, split by kind.
+ *
+ * Uses the same filters as level-up choices (hero allowlists, progression
+ * unlocks, rarity gating for new weapons, max weapon level, passive stack caps
+ * and the stack-level gate) but skips the passive cadence gate and returns
+ * the full pools so TreasureRewards can roll from them one grant at a time.
+ * `evolutions` lists ready weapon evolutions (see getEvolutionChoices).
+ * Keys banished from level-ups stay out of chests too.
+ */
+export function getTreasureCandidates({
+  scene,
+  heroEntry,
+  level,
+  currentLoadout = [],
+  currentPassives = [],
+  getPassiveStackCount,
+  banished = null
+}) {
+  const weaponChoices = getWeaponChoicesInternal({
+    scene,
+    heroEntry,
+    level,
+    currentLoadout,
+    maxChoices: Infinity,
+    getWeaponLevel: (key) => scene.weaponManager?.getWeaponLevel?.(key),
+    banished
+  });
+
+  const passives = getPassiveChoices({
+    scene,
+    heroEntry,
+    level,
+    currentPassives,
+    getStackCount: getPassiveStackCount,
+    maxChoices: Infinity,
+    ignoreCadence: true,
+    banished
+  });
+
+  return {
+    upgrades: weaponChoices.filter((c) => c.subtype === 'upgrade'),
+    newWeapons: weaponChoices.filter((c) => c.subtype !== 'upgrade'),
+    passives,
+    evolutions: getEvolutionChoices({ scene, currentLoadout, currentPassives, getPassiveStackCount })
+  };
+}
+
+/**
+ * Restore hero health based on a configured amount:
+ *  - 'full'        => heal to max
+ *  - 'percent:25'  => heal 25% of max
+ *  - 50            => heal 50 HP
+ */
+export function applyRestoreAmount(scene, amount) {
+  const health = scene?.hero?.health ?? scene?.playerHealth;
+  if (!health?.heal) return;
+
+  if (amount === 'full') {
+    health.heal(health.maxHealth ?? 0);
+    return;
+  }
+
+  if (typeof amount === 'string' && amount.startsWith('percent:')) {
+    const percent = Number.parseFloat(amount.split(':')[1] ?? '0');
+    if (!Number.isNaN(percent) && percent > 0) {
+      const max = health.maxHealth ?? 0;
+      const healAmount = Math.ceil((max * percent) / 100);
+      health.heal(healAmount);
+    }
+    return;
+  }
+
+  if (Number.isFinite(amount) && amount > 0) {
+    health.heal(amount);
+  }
+}
@@ -0,0 +1,126 @@
+import { CONFIG, TREASURE } from '../config/gameConfig.js';
+import { makeSeededRandom } from '../run/RunRng.js';
+import { applyRestoreAmount, buildSeed, getTreasureCandidates } from './LevelUpRewards.js';
+
+const TREASURE_SEED_OFFSET = 0x7f4a7c15;
+
+/**
+ * Pick a reward category by CONFIG weight, skipping empty pools.
+ */
+function pickCategory(pools, rng) {
+  const weights = TREASURE.rewardWeights ?? {};
+  const options = [
+    { pool: pools.upgrades, weight: Number(weights.upgrade ?? 1) },
+    { pool: pools.newWeapons, weight: Number(weights.newWeapon ?? 1) },
+    { pool: pools.passives, weight: Number(weights.passive ?? 1) }
+  ].filter((option) => option.pool.length > 0 && option.weight > 0);
+
+  const total = options.reduce((sum, option) => sum + option.weight, 0);
+  if (total <= 0) return null;
+
+  let roll = rng() * total;
+  for (const option of options) {
+    roll -= option.weight;
+    if (roll < 0) return option.pool;
+  }
+  return options[options.length - 1].pool;
+}
+
+/**
+ * Apply a single rolled reward through the same managers the level-up flow uses.
+ * Returns true when the reward actually landed.
+ */
+function grantReward(scene, reward) {
+  if (reward.type === 'weapon' && reward.subtype === 'evolution') {
+    return Boolean(scene.weaponManager?.evolveWeapon?.(reward.from));
+  }
+
+  if (reward.type === 'weapon') {
+    return reward.subtype === 'upgrade'
+      ? Boolean(scene.weaponManager?.upgradeWeapon?.(reward.key))
+      : Boolean(scene.weaponManager?.addWeapon?.(reward.key));
+  }
+
+  if (reward.type === 'passive') {
+    return Boolean(scene.passiveManager?.addPassive?.(reward.key));
+  }
+
+  return false;
+}
+
+/**
+ * Event type reported on 'treasure:reward:granted' for a granted reward.
+ */
+function rewardEventType(reward) {
+  if (reward.type === 'passive') return 'passive';
+  if (reward.subtype === 'evolution') return 'weapon-evolution';
+  return reward.subtype === 'upgrade' ? 'weapon-upgrade' : 'weapon';
+}
+
+/**
+ * Roll and immediately grant `count` treasure rewards.
+ *
+ * Each grant re-reads the current loadout, so a chest can upgrade the same
+ * weapon twice or pick up a passive stack it just unlocked, while caps and
+ * allowlists stay enforced by LevelUpRewards. If nothing is eligible the
+ * chest falls back to a health restore instead of granting nothing.
+ * A ready weapon evolution always wins over the weighted roll
+ * (CONFIG.WEAPONS.EVOLUTION.grantFromTreasure).
+ *
+ * Rolls are seeded from the run seed, current level and `openIndex` so a
+ * given chest in a given run always yields the same rewards.
+ *
+ * @param {Phaser.Scene} scene
+ * @param {object} [options]
+ * @param {number} [options.count=1] - How many rewards to grant.
+ * @param {number} [options.openIndex=0] - Chests opened so far this run (seed salt).
+ * @param {string} [options.source] - Drop type that produced the rewards (event payload).
+ * @returns {Array<object>} Granted rewards in order (level-up choice shape + `nextLevel` for upgrades).
+ */
+export function rollTreasureRewards(scene, { count = 1, openIndex = 0, source = null } = {}) {
+  if (!scene) return [];
+
+  const total = Math.max(0, Math.floor(Number(count) || 0));
+  const level = Number(scene.levelSystem?.level ?? 1);
+  const rng = makeSeededRandom(buildSeed(scene, level, TREASURE_SEED_OFFSET + openIndex * 7919));
+  const granted = [];
+
+  for (let i = 0; i < total; i += 1) {
+    const passiveManager = scene.passiveManager ?? null;
+    const pools = getTreasureCandidates({
+      scene,
+      heroEntry: scene.heroEntry ?? null,
+      level,
+      currentLoadout: scene.weaponManager?.getLoadout?.() ?? [],
+      currentPassives: passiveManager?.getLoadout?.() ?? [],
+      getPassiveStackCount: passiveManager?.getStackCount?.bind(passiveManager),
+      banished: scene.levelFlow?.getBanishedKeys?.() ?? null
+    });
+
+    let reward = null;
+    if (CONFIG.WEAPONS.EVOLUTION?.grantFromTreasure && pools.evolutions.length) {
+      [reward] = pools.evolutions;
+    } else {
+      const pool = pickCategory(pools, rng);
+      reward = pool ? pool[Math.floor(rng() * pool.length)] : null;
+    }
+
+    if (!reward || !grantReward(scene, reward)) break;
+
+    granted.push(reward);
+    scene.events?.emit?.('treasure:reward:granted', {
+      type: rewardEventType(reward),
+      key: reward.key,
+      source
+    });
+  }
+
+  if (!granted.length) {
+    const restore = { type: 'restore', amount: TREASURE.fallbackRestoreAmount ?? 'full' };
+    applyRestoreAmount(scene, restore.amount);
+    granted.push(restore);
+    scene.events?.emit?.('treasure:reward:granted', { type: 'restore', key: null, source });
+  }
+
+  return granted;
+}
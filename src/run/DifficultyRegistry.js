@@ -0,0 +1,126 @@
+import { CONFIG } from '../config/gameConfig.js';
+import { uiText } from '../i18n/Localization.js';
+
+export const DEFAULT_DIFFICULTY_KEY = 'normal';
+
+/**
+ * DifficultyRegistry
+ *
+ * Named presets the player picks before a run (MapSelectScene). The chosen key
+ * travels to GameScene through `scene.settings.data.difficultyKey` and is
+ * resolved once per run into `scene.difficulty`.
+ *
+ * Every multiplier stacks on top of the global baseline in CONFIG.DIFFICULTY,
+ * so CONFIG stays the "master dial" and presets only describe the relative shift:
+ *  - `playerDamageMult`:  hero weapon damage (WeaponControllerBase)
+ *  - `enemyHealthMult`:   enemy HP on spawn (scene.combatTuning → MobStatsFactory)
+ *  - `enemyDamageMult`:   all damage the hero takes (HealthSystem damage-taken mult)
+ *  - `xpRateMult`:        XP gem payouts (PickupController)
+ *  - `spawnPressureMult`: SpawnDirector pace `pressure` (timeline runs faster/slower)
+ *  - `dropWeightMults`:   per drop-type weight scaling in DropSpawner tables
+ */
+export const DifficultyRegistry = {
+  story: {
+    order: 1,
+    playerDamageMult: 1.25,
+    enemyHealthMult: 0.7,
+    enemyDamageMult: 0.5,
+    xpRateMult: 1.25,
+    spawnPressureMult: 0.85,
+    dropWeightMults: { health_minor: 2, health_major: 2 },
+    ui: {
+      nameKey: 'difficulty.story.name',
+      color: '#9bffb0',
+      blurbKey: 'difficulty.story.blurb'
+    }
+  },
+
+  normal: {
+    order: 2,
+    playerDamageMult: 1,
+    enemyHealthMult: 1,
+    enemyDamageMult: 1,
+    xpRateMult: 1,
+    spawnPressureMult: 1,
+    dropWeightMults: {},
+    ui: {
+      nameKey: 'difficulty.normal.name',
+      color: '#c8d0ff',
+      blurbKey: 'difficulty.normal.blurb'
+    }
+  },
+
+  nightmare: {
+    order: 3,
+    playerDamageMult: 1,
+    enemyHealthMult: 1.4,
+    enemyDamageMult: 1.5,
+    xpRateMult: 0.9,
+    spawnPressureMult: 1.1,
+    dropWeightMults: { health_minor: 0.6, health_major: 0.6 },
+    ui: {
+      nameKey: 'difficulty.nightmare.name',
+      color: '#ffb36b',
+      blurbKey: 'difficulty.nightmare.blurb'
+    }
+  },
+
+  bloodmoon: {
+    order: 4,
+    playerDamageMult: 0.9,
+    enemyHealthMult: 1.9,
+    enemyDamageMult: 2,
+    xpRateMult: 0.8,
+    spawnPressureMult: 1.2,
+    dropWeightMults: { health_minor: 0.35, health_major: 0.35 },
+    ui: {
+      nameKey: 'difficulty.bloodmoon.name',
+      color: '#ff5c7a',
+      blurbKey: 'difficulty.bloodmoon.blurb'
+    }
+  }
+};
+
+/**
+ * Guard helper to confirm a difficulty key exists in the registry.
+ */
+export function isValidDifficulty(key) {
+  if (typeof key !== 'string') return false;
+  return Object.prototype.hasOwnProperty.call(DifficultyRegistry, key);
+}
+
+/**
+ * Ordered list of presets for selection UIs.
+ */
+export function listDifficulties() {
+  return Object.entries(DifficultyRegistry)
+    .map(([key, entry]) => ({ key, ...entry }))
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * Resolve a preset into the final multipliers used by gameplay systems,
+ * folding in the CONFIG.DIFFICULTY baseline. Unknown keys fall back to normal.
+ */
+export function resolveDifficulty(key) {
+  const resolvedKey = isValidDifficulty(key) ? key : DEFAULT_DIFFICULTY_KEY;
+  const preset = DifficultyRegistry[resolvedKey];
+  const base = CONFIG.DIFFICULTY ?? {};
+
+  const mult = (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : 1;
+  };
+
+  return Object.freeze({
+    key: resolvedKey,
+    name: uiText(preset, 'name', resolvedKey),
+    color: preset.ui?.color ?? '#c8d0ff',
+    playerDamageMult: mult(base.playerDamageMult) * mult(preset.playerDamageMult),
+    enemyHealthMult: mult(base.enemyHealthMult) * mult(preset.enemyHealthMult),
+    enemyDamageMult: mult(base.enemyDamageMult) * mult(preset.enemyDamageMult),
+    xpRateMult: mult(base.xpRateMult) * mult(preset.xpRateMult),
+    spawnPressureMult: mult(base.spawnPressureMult) * mult(preset.spawnPressureMult),
+    dropWeightMults: Object.freeze({ ...(preset.dropWeightMults ?? {}) })
+  });
+}
@@ -0,0 +1,168 @@
+import { HISTORY } from '../config/gameConfig.js';
+
+// Key used to store/retrieve finished runs and personal records in localStorage
+const STORAGE_KEY = 'NOTBM:history';
+
+/**
+ * Run fields tracked as personal records per hero/map combo (higher is
+ * better): survival time and kills.
+ */
+export const RECORD_FIELDS = Object.freeze(['durationMs', 'kills']);
+
+/** Endless runs form their own leaderboard and also chase the furthest cycle. */
+export const ENDLESS_RECORD_FIELDS = Object.freeze([...RECORD_FIELDS, 'cycle']);
+
+function recordFields(endless) {
+  return endless ? ENDLESS_RECORD_FIELDS : RECORD_FIELDS;
+}
+
+function count(value) {
+  return Math.max(0, Math.floor(Number(value) || 0));
+}
+
+function key(value) {
+  return typeof value === 'string' && value ? value : null;
+}
+
+/** Records are grouped by the hero/map pair a run was played on, endless runs apart. */
+export function recordComboKey(heroKey, mapKey, endless = false) {
+  return endless ? `${heroKey}|${mapKey}|endless` : `${heroKey}|${mapKey}`;
+}
+
+function normalizeRun(run) {
+  const heroKey = key(run?.heroKey);
+  const mapKey = key(run?.mapKey);
+  if (!heroKey || !mapKey) return null;
+
+  return {
+    endedAt: count(run.endedAt),
+    heroKey,
+    mapKey,
+    difficultyKey: key(run.difficultyKey),
+    seed: key(run.seed),
+    durationMs: count(run.durationMs),
+    outcome: run.outcome === 'win' ? 'win' : 'loss',
+    endless: run.endless === true,
+    cycle: run.endless === true ? count(run.cycle) : 0,
+    level: Math.max(1, count(run.level)),
+    kills: count(run.kills),
+    weapons: (Array.isArray(run.weapons) ? run.weapons : []).map(key).filter(Boolean),
+    passives: (Array.isArray(run.passives) ? run.passives : [])
+      .filter((passive) => key(passive?.key))
+      .map((passive) => ({ key: passive.key, stacks: Math.max(1, count(passive.stacks)) })),
+    weaponDamage: (Array.isArray(run.weaponDamage) ? run.weaponDamage : [])
+      .filter((weapon) => key(weapon?.key))
+      .map((weapon) => ({ key: weapon.key, damage: count(weapon.damage) }))
+      .sort((a, b) => b.damage - a.damage)
+      .slice(0, HISTORY.maxWeaponsPerRun)
+  };
+}
+
+function normalizeRecord(record) {
+  const heroKey = key(record?.heroKey);
+  const mapKey = key(record?.mapKey);
+  if (!heroKey || !mapKey) return null;
+
+  const endless = record.endless === true;
+  const normalized = { heroKey, mapKey, endless };
+  recordFields(endless).forEach((field) => {
+    normalized[field] = count(record[field]);
+    normalized[`${field}At`] = count(record[`${field}At`]);
+  });
+  return normalized;
+}
+
+/**
+ * Shape every stored payload is normalised to: runs newest first (capped at
+ * HISTORY.maxRuns) and one record entry per hero/map combo and mode.
+ */
+function normalize(data) {
+  const runs = (Array.isArray(data?.runs) ? data.runs : [])
+    .map(normalizeRun)
+    .filter(Boolean)
+    .sort((a, b) => b.endedAt - a.endedAt)
+    .slice(0, HISTORY.maxRuns);
+
+  const records = {};
+  Object.values(data?.records ?? {}).forEach((record) => {
+    const normalized = normalizeRecord(record);
+    if (normalized) {
+      records[recordComboKey(normalized.heroKey, normalized.mapKey, normalized.endless)] = normalized;
+    }
+  });
+
+  return { runs, records };
+}
+
+/**
+ * Finished runs and the personal records they set, for the Records scene and
+ * the EndRunMenu "new record" banner. Same storage conventions as MetaStore;
+ * a missing or corrupt save reads as an empty history.
+ */
+export class RunHistory {
+  /**
+   * Load the stored history (never null).
+   */
+  static load() {
+    if (typeof window === 'undefined' || !window.localStorage) return normalize(null);
+
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      return normalize(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+      console.warn('[RunHistory] Failed to parse stored run history', err);
+      return normalize(null);
+    }
+  }
+
+  /**
+   * Persist a history. Storage failures are logged, never thrown.
+   */
+  static save(history) {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(normalize(history)));
+    } catch (err) {
+      console.warn('[RunHistory] Failed to persist run history', err);
+    }
+  }
+
+  /**
+   * Append a finished run (oldest runs roll off past HISTORY.maxRuns) and
+   * update its hero/map records (the endless ones for endless runs).
+   * `newRecords` lists the record fields the run beat; a combo's first run sets
+   * its records without counting as beating them.
+   * @returns {{ run: object|null, newRecords: string[] }}
+   */
+  static record(run) {
+    const entry = normalizeRun({ endedAt: Date.now(), ...run });
+    if (!entry) return { run: null, newRecords: [] };
+
+    const history = RunHistory.load();
+    history.runs.unshift(entry);
+
+    const combo = recordComboKey(entry.heroKey, entry.mapKey, entry.endless);
+    const previous = history.records[combo] ?? null;
+    const next = previous ? { ...previous } : normalizeRecord(entry);
+    const newRecords = [];
+
+    recordFields(entry.endless).forEach((field) => {
+      if (previous && entry[field] <= previous[field]) return;
+      if (previous) newRecords.push(field);
+      next[field] = entry[field];
+      next[`${field}At`] = entry.endedAt;
+    });
+
+    history.records[combo] = next;
+    RunHistory.save(history);
+    return { run: entry, newRecords };
+  }
+
+  /**
+   * Personal records, one per hero/map combo and mode played.
+   */
+  static getRecords() {
+    return Object.values(RunHistory.load().records);
+  }
+}
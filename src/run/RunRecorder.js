@@ -0,0 +1,160 @@
+/**
+ * RunRecorder
+ *
+ * Captures everything needed to reproduce a run: the run seed, hero/map/
+ * difficulty keys, the endless flag, meta upgrade ranks, the hero's resolved move input (keyboard or joystick),
+ * level-up picks (including reroll / skip / banish actions) and pause intervals. The result is plain JSON that RunReplay
+ * feeds back through GameScene.
+ *
+ * The game steps in fixed frames (FixedStepClock), so everything is keyed on
+ * `scene.runFrame` rather than on a clock: move input as change points
+ * `[frame, x, y]` (the frame the vector was applied in) rather than one entry
+ * per frame to keep long runs small, level-up picks as frames since the modal
+ * opened, pauses as the frame they began after and how many frames they held.
+ */
+export const REPLAY_FORMAT = 'notbm-replay';
+export const REPLAY_VERSION = 2;
+
+export class RunRecorder {
+  /**
+   * @param {Phaser.Scene} scene - GameScene (reads rng, heroEntry, mapKey, difficulty)
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.events = scene.events;
+
+    const data = scene.scene?.settings?.data ?? {};
+    this.header = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      seed: scene.rng?.seed ?? null,
+      seedText: scene.rng?.seedText ?? null,
+      heroKey: scene.heroEntry?.key ?? data.heroKey ?? null,
+      mapKey: scene.mapKey ?? data.mapKey ?? null,
+      difficultyKey: scene.difficulty?.key ?? data.difficultyKey ?? null,
+      endless: Boolean(scene.endless ?? data.endless),
+      metaUpgrades: { ...(scene.metaUpgrades ?? {}) }
+    };
+
+    this.moves = [];
+    this.choices = [];
+    this.pauses = [];
+    this.outcome = null;
+
+    this._lastX = 0;
+    this._lastY = 0;
+    this._modalOpenedFrame = null;
+    this._pauseStart = null;
+
+    this._onModalOpened = () => {
+      this._modalOpenedFrame = this._frame();
+    };
+    this._onChoiceSelected = ({ level, index, choice } = {}) => {
+      const frame = this._frame();
+      this.choices.push({
+        level,
+        index,
+        type: choice?.type ?? null,
+        key: choice?.key ?? null,
+        subtype: choice?.subtype ?? null,
+        delayFrames: Math.max(0, frame - (this._modalOpenedFrame ?? frame))
+      });
+      this._modalOpenedFrame = null;
+    };
+    this._onPaused = ({ source } = {}) => {
+      this._pauseStart = { source, atFrame: this._frame() };
+    };
+    this._onResumed = () => {
+      if (!this._pauseStart) return;
+      this.pauses.push({ ...this._pauseStart, frames: this._frame() - this._pauseStart.atFrame });
+      this._pauseStart = null;
+    };
+
+    this.events.on('level:modal:opened', this._onModalOpened);
+    this.events.on('level:choice:selected', this._onChoiceSelected);
+    this.events.on('simulation:paused', this._onPaused);
+    this.events.on('simulation:resumed', this._onResumed);
+  }
+
+  /**
+   * Sample the hero's move input for the frame that just simulated. GameScene
+   * calls this right after stepSimulation.
+   */
+  captureFrame() {
+    const input = this.scene?.hero?.controller?.lastMoveInput;
+    // Full precision: a rounded analog vector would move the hero a hair off the recorded path.
+    const x = Number(input?.x) || 0;
+    const y = Number(input?.y) || 0;
+
+    if (this.moves.length && x === this._lastX && y === this._lastY) return;
+
+    this.moves.push([this._frame(), x, y]);
+    this._lastX = x;
+    this._lastY = y;
+  }
+
+  /** Remember how the run ended so replays can be checked against it. */
+  markEnded(outcome, stats = null) {
+    this.outcome = {
+      result: outcome ?? null,
+      atMs: Math.round(this._runTime()),
+      kills: stats?.kills ?? null,
+      level: this.scene?.levelSystem?.level ?? null
+    };
+  }
+
+  /** Serializable snapshot of the run so far. */
+  toJSON() {
+    return {
+      ...this.header,
+      durationMs: Math.round(this._runTime()),
+      frames: this._frame(),
+      outcome: this.outcome,
+      moves: this.moves.slice(),
+      choices: this.choices.slice(),
+      pauses: this.pauses.slice()
+    };
+  }
+
+  /**
+   * Trigger a browser download of the recording. Safe to call mid-run (bug
+   * reports) or from the end screen.
+   * @returns {boolean} false when downloads are unavailable (e.g. headless)
+   */
+  download(filename) {
+    if (typeof document === 'undefined' || typeof Blob === 'undefined') return false;
+
+    const data = this.toJSON();
+    const name = filename ?? `notbm-replay-${data.seedText ?? 'run'}-${data.durationMs}ms.json`;
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return true;
+  }
+
+  /** Detach listeners; the captured data stays readable. */
+  destroy() {
+    this.events?.off('level:modal:opened', this._onModalOpened);
+    this.events?.off('level:choice:selected', this._onChoiceSelected);
+    this.events?.off('simulation:paused', this._onPaused);
+    this.events?.off('simulation:resumed', this._onResumed);
+    this.events = null;
+    this.scene = null;
+  }
+
+  _runTime() {
+    return this.scene?.getRunElapsedMs?.() ?? 0;
+  }
+
+  _frame() {
+    return this.scene?.runFrame ?? 0;
+  }
+}
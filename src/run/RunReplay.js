@@ -0,0 +1,206 @@
+import Phaser from 'phaser';
+import { t } from '../i18n/Localization.js';
+import { REPLAY_FORMAT, REPLAY_VERSION } from './RunRecorder.js';
+
+/**
+ * Validate and normalise a recording produced by RunRecorder (object or JSON
+ * text). Throws with a player-readable message when the file is unusable.
+ */
+export function parseReplay(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw new Error(t('replay.error.invalidJson'));
+    }
+  }
+
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new Error(t('replay.error.notReplay'));
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(t('replay.error.unsupportedVersion', { version: data.version }));
+  }
+  if (!Number.isFinite(data.seed)) {
+    throw new Error(t('replay.error.noSeed'));
+  }
+
+  return {
+    ...data,
+    moves: Array.isArray(data.moves) ? data.moves : [],
+    choices: Array.isArray(data.choices) ? data.choices : [],
+    pauses: Array.isArray(data.pauses) ? data.pauses : []
+  };
+}
+
+/**
+ * RunReplay
+ *
+ * Plays a RunRecorder recording back inside GameScene. The scene is started
+ * with the recorded seed/hero/map/difficulty; this class then:
+ *  - replaces live input with the recorded move vectors via HeroController's
+ *    move-vector provider (keyboard sources are detached),
+ *  - picks the recorded level-up rewards through LevelUpFlow after the same
+ *    number of frames the player took,
+ *  - re-creates pause-menu pauses and treasure-modal holds for their recorded
+ *    frame counts, since weapon cooldowns and timers read scene time and would
+ *    otherwise drift.
+ *
+ * Everything is keyed on `scene.runFrame` and applied on the scene's
+ * `preupdate`, so recorded input lands at the same point of the same frame
+ * as the player's did.
+ *
+ * Pausing by hand while a replay runs is allowed but shifts those timers, so
+ * the run may diverge from the recording afterwards.
+ */
+export class RunReplay {
+  /**
+   * @param {Phaser.Scene} scene - GameScene
+   * @param {object} recording - output of parseReplay()
+   */
+  constructor(scene, recording) {
+    this.scene = scene;
+    this.events = scene.events;
+    this.recording = recording;
+
+    this._moveIndex = 0;
+    this._moveX = 0;
+    this._moveY = 0;
+    this._choiceIndex = 0;
+    this._menuPauses = recording.pauses.filter((p) => p.source === 'pauseMenu');
+    this._treasurePauses = recording.pauses.filter((p) => p.source === 'treasurePickup');
+    this._menuPauseIndex = 0;
+    this._treasurePauseIndex = 0;
+    this._pending = [];           // [{ dueFrame, run }] keyed on scene.runFrame
+    this._holdingMenuPause = false;
+    this._finished = false;
+
+    const controller = scene.hero?.controller;
+    controller?.setInputSources?.({});
+    controller?.setMoveVectorProvider?.(() => this.getMoveVector());
+
+    this._onPreUpdate = () => this.update();
+    this._onModalOpened = () => this._scheduleChoice();
+    this._onPaused = ({ source } = {}) => {
+      if (source === 'treasurePickup') this._scheduleTreasureClose();
+    };
+    this.events.on(Phaser.Scenes.Events.PRE_UPDATE, this._onPreUpdate);
+    this.events.on('level:modal:opened', this._onModalOpened);
+    this.events.on('simulation:paused', this._onPaused);
+
+    this._createBadge();
+  }
+
+  /** Recorded move vector for the current frame (held until the next change point). */
+  getMoveVector() {
+    const moves = this.recording.moves;
+    const frame = this._frame();
+
+    while (this._moveIndex < moves.length && moves[this._moveIndex][0] <= frame) {
+      const [, x, y] = moves[this._moveIndex];
+      this._moveX = x;
+      this._moveY = y;
+      this._moveIndex += 1;
+    }
+
+    return { x: this._moveX, y: this._moveY };
+  }
+
+  /**
+   * Runs on every preupdate, paused frames included: after the previous frame
+   * and before the scene clock advances, which is where the player's own
+   * keyboard, pointer and pad input landed while recording.
+   */
+  update() {
+    const frame = this._frame();
+    this._runDue(frame);
+
+    const nextMenuPause = this._menuPauses[this._menuPauseIndex];
+    if (nextMenuPause && !this.scene.isSimulationPaused && nextMenuPause.atFrame <= frame) {
+      this._menuPauseIndex += 1;
+      this._holdingMenuPause = true;
+      this.scene._acquireSimulationPause?.('pauseMenu');
+      this._schedule(nextMenuPause.frames, () => {
+        if (!this._holdingMenuPause) return;
+        this._holdingMenuPause = false;
+        this.scene._releaseSimulationPause?.('pauseMenu');
+      });
+      // A menu opened and closed between the same two frames still paused for an instant.
+      this._runDue(frame);
+    }
+
+    if (!this._finished && frame >= (this.recording.frames ?? Infinity)) {
+      this._finished = true;
+      this.badge?.setText(t('replay.ended'));
+    }
+  }
+
+  /** Remove listeners, pending actions and the badge. */
+  destroy() {
+    this.events?.off(Phaser.Scenes.Events.PRE_UPDATE, this._onPreUpdate);
+    this.events?.off('level:modal:opened', this._onModalOpened);
+    this.events?.off('simulation:paused', this._onPaused);
+    this._pending.length = 0;
+    this.badge?.destroy();
+    this.badge = null;
+    this.events = null;
+    this.scene = null;
+  }
+
+  _scheduleChoice() {
+    const record = this.recording.choices[this._choiceIndex];
+    if (!record) return;
+    this._choiceIndex += 1;
+
+    this._schedule(record.delayFrames, () => {
+      const picked = this.scene?.levelFlow?.selectChoice?.(record);
+      if (!picked) {
+        console.warn('[RunReplay] Recorded level-up choice not offered; replay has diverged.', record);
+      }
+    });
+  }
+
+  _scheduleTreasureClose() {
+    const record = this._treasurePauses[this._treasurePauseIndex];
+    if (!record) return;
+    this._treasurePauseIndex += 1;
+
+    this._schedule(record.frames, () => {
+      this.scene?.pickups?.treasureModal?.close?.();
+    });
+  }
+
+  _schedule(delayFrames, run) {
+    this._pending.push({ dueFrame: this._frame() + Math.max(0, Number(delayFrames) || 0), run });
+  }
+
+  _runDue(frame) {
+    // Repeat: an entry may queue another one that is due on this same frame.
+    let due = this._pending.filter((entry) => entry.dueFrame <= frame);
+    while (due.length) {
+      this._pending = this._pending.filter((entry) => entry.dueFrame > frame);
+      due.forEach((entry) => entry.run());
+      due = this._pending.filter((entry) => entry.dueFrame <= frame);
+    }
+  }
+
+  _createBadge() {
+    const depth = (this.scene.mapRender?.uiBaseDepth ?? 0) + 90;
+    const seed = this.recording.seedText;
+    this.badge = this.scene.add.text(this.scene.scale.width / 2, 8, seed ? t('replay.badgeSeed', { seed }) : t('replay.badge'), {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      color: '#ffdc7a',
+      stroke: '#1a0c1f',
+      strokeThickness: 3
+    })
+      .setOrigin(0.5, 0)
+      .setScrollFactor(0)
+      .setDepth(depth);
+  }
+
+  _frame() {
+    return this.scene?.runFrame ?? 0;
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * RunRng
+ *
+ * Per-run seeded randomness. GameScene creates one instance per run and
+ * exposes it as `scene.rng`; gameplay systems pull a named sub-stream instead
+ * of calling Math.random so a run seed reproduces the same spawns, drops and
+ * crits.
+ *
+ * Each stream is an independent generator derived from the run seed and the
+ * stream name, so extra cosmetic rolls (sparks, damage-number jitter) never
+ * shift the spawn or drop sequence.
+ *
+ * Streams in use:
+ *  - `spawn`:    SpawnDirector, spawners, hero spawn point, encounters
+ *  - `drops`:    drop table rolls and drop scatter
+ *  - `crits`:    weapon crits and proc chances (passives, status effects)
+ *  - `combat`:   weapon scatter and cooldown jitter
+ *  - `ai`:       scripted boss pattern rolls
+ *  - `elites`:   elite affix rolls on spawn, reflecting-elite bounces
+ *  - `levelup`:  level-up offers and treasure rewards (seeded per level via `deriveSeed`)
+ *  - `cosmetic`: FX sparks and damage-number jitter
+ */
+export const RUN_RNG_STREAMS = Object.freeze([
+  'spawn',
+  'drops',
+  'crits',
+  'combat',
+  'ai',
+  'elites',
+  'levelup',
+  'cosmetic'
+]);
+
+// Seeds are displayed and entered as base-36 text (up to 7 chars covers uint32).
+const SEED_TEXT_PATTERN = /^[0-9a-z]{1,7}$/i;
+
+/**
+ * Creates a deterministic pseudo-random generator (mulberry32) from a numeric seed.
+ */
+export function makeSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state += 0x6d2b79f5;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * FNV-1a hash of a string, used to salt seeds with stream names.
+ */
+function hashString(text, basis = 0x811c9dc5) {
+  let hash = basis >>> 0;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Fresh seed for runs that were not given one.
+ */
+export function createRandomSeed() {
+  const cryptoApi = typeof globalThis !== 'undefined' ? globalThis.crypto : null;
+  if (cryptoApi?.getRandomValues) {
+    return cryptoApi.getRandomValues(new Uint32Array(1))[0] >>> 0;
+  }
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Parse player-entered seed text. Base-36 text round-trips with `formatSeed`;
+ * anything else (e.g. "bloodmoon2") is hashed so every phrase is a valid seed.
+ * Returns null for empty input.
+ */
+export function parseSeed(text) {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed.length) return null;
+
+  if (SEED_TEXT_PATTERN.test(trimmed)) {
+    const value = Number.parseInt(trimmed, 36);
+    if (Number.isFinite(value) && value <= 0xffffffff) return value >>> 0;
+  }
+  return hashString(trimmed.toLowerCase());
+}
+
+/**
+ * Normalise a seed from scene data: numbers are used as-is, strings parsed.
+ */
+export function normalizeSeed(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value >>> 0;
+  if (typeof value === 'string') return parseSeed(value);
+  return null;
+}
+
+/**
+ * Display form of a seed (uppercase base-36), the same text `parseSeed` accepts.
+ */
+export function formatSeed(seed) {
+  if (!Number.isFinite(seed)) return '';
+  return (seed >>> 0).toString(36).toUpperCase();
+}
+
+/**
+ * Wrap a [0, 1) generator with the range helpers gameplay code needs.
+ * Mirrors the Phaser.Math helpers it replaces so call sites stay readable.
+ */
+function decorateStream(next) {
+  const stream = () => next();
+  stream.float = (min, max) => min + next() * (max - min);
+  stream.between = (min, max) => Math.floor(min + next() * (max - min + 1));
+  stream.pick = (array) => (Array.isArray(array) && array.length
+    ? array[Math.floor(next() * array.length)]
+    : undefined);
+  stream.chance = (probability) => next() < probability;
+  return stream;
+}
+
+// Unseeded fallback so helpers still work outside GameScene (menus, tools).
+const UNSEEDED_STREAM = decorateStream(Math.random);
+
+export class RunRng {
+  /**
+   * @param {number|string} [seed] - Run seed; a random one is rolled when omitted.
+   */
+  constructor(seed) {
+    this.seed = normalizeSeed(seed) ?? createRandomSeed();
+    this._streams = new Map();
+  }
+
+  /** Seed as shown to the player (EndRunMenu, seed entry). */
+  get seedText() {
+    return formatSeed(this.seed);
+  }
+
+  /**
+   * Named sub-stream. Streams are created lazily and live for the whole run.
+   */
+  stream(name = 'default') {
+    let stream = this._streams.get(name);
+    if (!stream) {
+      stream = decorateStream(makeSeededRandom(this.deriveSeed(name)));
+      this._streams.set(name, stream);
+    }
+    return stream;
+  }
+
+  /**
+   * Stable numeric seed for a stream name plus an optional salt. Used by
+   * systems that need a fresh generator per event (e.g. per level-up) so the
+   * outcome does not depend on how many rolls happened before it.
+   */
+  deriveSeed(name, salt = 0) {
+    return (hashString(String(name), this.seed) + (Number(salt) >>> 0)) >>> 0;
+  }
+}
+
+/**
+ * Resolve a scene's named stream, falling back to unseeded Math.random when
+ * the scene has no RunRng (menus, previews).
+ */
+export function getRng(scene, name) {
+  return scene?.rng?.stream?.(name) ?? UNSEEDED_STREAM;
+}
@@ -1,5 +1,8 @@
+// Hits with no source (contact damage, scripted kills) are filed under this key.
+const UNKNOWN_SOURCE = 'unknown';
+
 export class RunStatsTracker {
-  constructor(scene, { events, startTime = null } = {}) {
+  constructor(scene, { events, startTime = null, initialLoadout = [] } = {}) {
     this.scene = scene;
     this.events = events ?? scene?.events ?? null;
 
@@ -9,9 +12,20 @@ export class RunStatsTracker {
     this.kills = 0;
     this.damageDealt = 0;
 
+    // Breakdown (end-of-run panel): per weapon, per passive, per mob
+    this.weapons = new Map();   // weaponKey -> { damage, kills, hits, crits, equippedMs, equippedAt }
+    this.passives = new Map();  // passiveKey -> { healed, procs }
+    this.mobKills = new Map();  // mobKey -> kills
+    this._equip(initialLoadout);
+
     // --- Event handlers (bound once) ---
-    this._onEnemyDied = () => {
+    this._onEnemyDied = (payload = {}) => {
+      // DamagePipeline emits: { mobKey, weaponKey, x, y }
       this.kills = (this.kills | 0) + 1;
+
+      this._weapon(payload?.weaponKey).kills += 1;
+      const mobKey = payload?.mobKey ?? UNKNOWN_SOURCE;
+      this.mobKills.set(mobKey, (this.mobKills.get(mobKey) ?? 0) + 1);
     };
 
     this._onCombatHit = (payload = {}) => {
@@ -21,11 +35,67 @@ export class RunStatsTracker {
 
       // total confirmed damage dealt to enemies
       this.damageDealt += dmg;
+
+      const weapon = this._weapon(payload?.weaponKey);
+      weapon.damage += dmg;
+      weapon.hits += 1;
+      if (payload?.wasCrit) weapon.crits += 1;
+    };
+
+    this._onWeaponsChanged = (loadout) => this._equip(loadout);
+
+    this._onLifesteal = (payload = {}) => {
+      // PassiveManager emits: { source: passiveKey, healed, enemy, mobConfig }
+      const passive = this._passive(payload?.source);
+      passive.healed += Number(payload?.healed) || 0;
+      passive.procs += 1;
     };
 
     // --- Subscriptions ---
     this.events?.on?.('enemy:died', this._onEnemyDied);
     this.events?.on?.('combat:hit', this._onCombatHit);
+    this.events?.on?.('weapons:changed', this._onWeaponsChanged);
+    this.events?.on?.('passive:lifesteal:kill', this._onLifesteal);
+  }
+
+  _weapon(key) {
+    const weaponKey = key ?? UNKNOWN_SOURCE;
+    let entry = this.weapons.get(weaponKey);
+    if (!entry) {
+      entry = { damage: 0, kills: 0, hits: 0, crits: 0, equippedMs: 0, equippedAt: null };
+      this.weapons.set(weaponKey, entry);
+    }
+    return entry;
+  }
+
+  _passive(key) {
+    const passiveKey = key ?? UNKNOWN_SOURCE;
+    let entry = this.passives.get(passiveKey);
+    if (!entry) {
+      entry = { healed: 0, procs: 0 };
+      this.passives.set(passiveKey, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Start the equip clock for weapons entering the loadout and bank it for
+   * weapons leaving it (evolutions swap the base out for the evolved key).
+   */
+  _equip(loadout) {
+    const now = this.getElapsedMs();
+    const equipped = new Set(Array.isArray(loadout) ? loadout : []);
+
+    this.weapons.forEach((entry, key) => {
+      if (entry.equippedAt == null || equipped.has(key)) return;
+      entry.equippedMs += Math.max(0, now - entry.equippedAt);
+      entry.equippedAt = null;
+    });
+
+    equipped.forEach((key) => {
+      const entry = this._weapon(key);
+      if (entry.equippedAt == null) entry.equippedAt = now;
+    });
   }
 
   setStartTime(startTime) {
@@ -33,9 +103,74 @@ export class RunStatsTracker {
   }
 
   reset({ startTime = null } = {}) {
+    const loadout = [...this.weapons].filter(([, entry]) => entry.equippedAt != null).map(([key]) => key);
+
     this.kills = 0;
     this.damageDealt = 0;
+    this.weapons.clear();
+    this.passives.clear();
+    this.mobKills.clear();
     this.startTime = startTime;
+    this._equip(loadout);
+  }
+
+  /**
+   * Serializable counters for suspended runs. Equip clocks are banked into
+   * `equippedMs`; `equipped` marks weapons still in the loadout.
+   */
+  getState(now = null) {
+    const elapsedMs = this.getElapsedMs(now);
+
+    return {
+      kills: this.kills,
+      damageDealt: this.damageDealt,
+      weapons: [...this.weapons].map(([key, entry]) => ({
+        key,
+        damage: entry.damage,
+        kills: entry.kills,
+        hits: entry.hits,
+        crits: entry.crits,
+        equippedMs: entry.equippedMs + (entry.equippedAt != null ? Math.max(0, elapsedMs - entry.equippedAt) : 0),
+        equipped: entry.equippedAt != null
+      })),
+      passives: [...this.passives].map(([key, entry]) => ({ key, ...entry })),
+      mobKills: [...this.mobKills].map(([mobKey, kills]) => ({ mobKey, kills }))
+    };
+  }
+
+  /**
+   * Inverse of getState(). Expects the run clock to be restored already so
+   * equipped weapons resume their clock from now.
+   */
+  restoreState(state = {}, now = null) {
+    const elapsedMs = this.getElapsedMs(now);
+    const num = (value) => Math.max(0, Number(value) || 0);
+
+    this.kills = Math.floor(num(state.kills));
+    this.damageDealt = num(state.damageDealt);
+
+    this.weapons.clear();
+    (Array.isArray(state.weapons) ? state.weapons : []).forEach((weapon) => {
+      if (!weapon?.key) return;
+      this.weapons.set(weapon.key, {
+        damage: num(weapon.damage),
+        kills: Math.floor(num(weapon.kills)),
+        hits: Math.floor(num(weapon.hits)),
+        crits: Math.floor(num(weapon.crits)),
+        equippedMs: num(weapon.equippedMs),
+        equippedAt: weapon.equipped ? elapsedMs : null
+      });
+    });
+
+    this.passives.clear();
+    (Array.isArray(state.passives) ? state.passives : []).forEach((passive) => {
+      if (passive?.key) this.passives.set(passive.key, { healed: num(passive.healed), procs: Math.floor(num(passive.procs)) });
+    });
+
+    this.mobKills.clear();
+    (Array.isArray(state.mobKills) ? state.mobKills : []).forEach((entry) => {
+      if (entry?.mobKey) this.mobKills.set(entry.mobKey, Math.floor(num(entry.kills)));
+    });
   }
 
   getElapsedMs(now = null) {
@@ -51,6 +186,7 @@ export class RunStatsTracker {
   getSnapshot(now = null) {
     const elapsedMs = this.getElapsedMs(now);
     const xpEarned = Math.max(0, Number(this.scene?.playerXP ?? 0) || 0);
+    const goldCollected = Math.max(0, Number(this.scene?.runGold ?? 0) || 0);
 
     return {
       timeSurvivedSeconds: elapsedMs / 1000,
@@ -58,18 +194,57 @@ export class RunStatsTracker {
 
       kills: Math.max(0, this.kills | 0),
       xpEarned,
+      goldCollected,
 
       // New: total damage dealt to enemies (confirmed via combat:hit)
       damageDealt: Math.max(0, Number(this.damageDealt) || 0),
     };
   }
 
+  /**
+   * Per-source breakdown for the end-of-run panel. Weapons are ranked by
+   * damage; `dps` divides by the time each one spent equipped, `share` by the
+   * run's total damage. Mobs are ranked by kills.
+   */
+  getBreakdown(now = null) {
+    const elapsedMs = this.getElapsedMs(now);
+    const total = Math.max(0, Number(this.damageDealt) || 0);
+
+    const weapons = [...this.weapons].map(([key, entry]) => {
+      const equippedMs = entry.equippedMs + (entry.equippedAt != null ? Math.max(0, elapsedMs - entry.equippedAt) : 0);
+      return {
+        key,
+        damage: entry.damage,
+        kills: entry.kills,
+        hits: entry.hits,
+        crits: entry.crits,
+        equippedMs,
+        dps: equippedMs > 0 ? entry.damage / (equippedMs / 1000) : 0,
+        share: total > 0 ? entry.damage / total : 0
+      };
+    })
+      .filter((entry) => entry.damage > 0 || entry.kills > 0 || entry.equippedMs > 0)
+      .sort((a, b) => b.damage - a.damage);
+
+    const passives = [...this.passives].map(([key, entry]) => ({ key, ...entry }))
+      .sort((a, b) => b.healed - a.healed);
+
+    const mobKills = [...this.mobKills].map(([mobKey, kills]) => ({ mobKey, kills }))
+      .sort((a, b) => b.kills - a.kills);
+
+    return { weapons, passives, mobKills };
+  }
+
   destroy() {
     this.events?.off?.('enemy:died', this._onEnemyDied);
     this.events?.off?.('combat:hit', this._onCombatHit);
+    this.events?.off?.('weapons:changed', this._onWeaponsChanged);
+    this.events?.off?.('passive:lifesteal:kill', this._onLifesteal);
 
     this._onEnemyDied = null;
     this._onCombatHit = null;
+    this._onWeaponsChanged = null;
+    this._onLifesteal = null;
 
     this.scene = null;
     this.events = null;
@@ -0,0 +1,79 @@
+import { DifficultyRegistry } from './DifficultyRegistry.js';
+import { HeroRegistry } from '../hero/HeroRegistry.js';
+import { MapRegistry } from '../maps/MapRegistry.js';
+
+// Key used to store/retrieve the suspended run snapshot in localStorage
+const STORAGE_KEY = 'NOTBM:suspendedRun';
+
+// Bump when the snapshot shape changes; older saves are discarded.
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * A snapshot is only resumable when its version matches and the hero and map
+ * it was taken on still exist. Everything else is read defensively by
+ * applyRunSnapshot, so it is passed through as-is.
+ */
+function normalize(data) {
+  if (!data || typeof data !== 'object' || data.version !== SNAPSHOT_VERSION) return null;
+  if (!HeroRegistry[data.heroKey] || !MapRegistry[data.mapKey]) return null;
+
+  return {
+    ...data,
+    difficultyKey: DifficultyRegistry[data.difficultyKey] ? data.difficultyKey : null,
+    savedAt: Math.max(0, Math.floor(Number(data.savedAt) || 0)),
+    elapsedMs: Math.max(0, Number(data.elapsedMs) || 0)
+  };
+}
+
+/**
+ * The one run the player left mid-way (pause → Main Menu, closing or hiding
+ * the tab), offered as "Continue" in MenuScene. Same storage conventions as
+ * MetaStore, except that load() returns null when there is nothing to resume.
+ */
+export class SuspendedRun {
+  /**
+   * Load the suspended run snapshot, or null when there is none (or it can't
+   * be resumed in this build).
+   */
+  static load() {
+    if (typeof window === 'undefined' || !window.localStorage) return null;
+
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      return normalize(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+      console.warn('[SuspendedRun] Failed to parse suspended run', err);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a snapshot, replacing any previous one. Storage failures are
+   * logged, never thrown.
+   */
+  static save(snapshot) {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+
+    const data = normalize({ version: SNAPSHOT_VERSION, savedAt: Date.now(), ...snapshot });
+    if (!data) return;
+
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (err) {
+      console.warn('[SuspendedRun] Failed to persist suspended run', err);
+    }
+  }
+
+  /**
+   * Drop the suspended run (it ended, or a new run replaced it).
+   */
+  static clear() {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+
+    try {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+      console.warn('[SuspendedRun] Failed to clear suspended run', err);
+    }
+  }
+}
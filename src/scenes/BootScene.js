@@ -12,6 +12,7 @@ import { registerWeaponAnimations } from '../weapons/registerWeaponAnimations.js
 import { PassiveRegistry } from '../passives/PassiveRegistry.js';
 import { MapRegistry, listMaps } from '../maps/MapRegistry.js';
 import { buildLoadingUI } from '../ui/BootLoadingUI.js';
+import { t } from '../i18n/Localization.js';
 
 export class BootScene extends Phaser.Scene {
   /** Initialize BootScene state so runtime dependencies are ready. */
@@ -41,6 +42,16 @@ export class BootScene extends Phaser.Scene {
     g.fillCircle(1, 1, 1);
     g.generateTexture('spark', 2, 2);
 
+    // Gold coin drop (meta currency)
+    g.clear();
+    g.fillStyle(0x8a5a12, 1);
+    g.fillCircle(5, 5, 5);
+    g.fillStyle(0xffcc4d, 1);
+    g.fillCircle(5, 5, 4);
+    g.fillStyle(0xfff2b0, 1);
+    g.fillRect(3, 3, 2, 2);
+    g.generateTexture('gold_coin', 10, 10);
+
     g.destroy();
     
     const ui = buildLoadingUI(this);
@@ -63,12 +74,12 @@ export class BootScene extends Phaser.Scene {
 
     const onLoadError = (fileObj) => {
       console.error('[BootScene] Load error:', fileObj?.key, fileObj?.src);
-      ui.setStatus('Load error. Retrying…');
+      ui.setStatus(t('boot.loadError'));
     };
 
     const onComplete = () => {
       ui.setProgress(1);
-      ui.setStatus('Starting…');
+      ui.setStatus(t('boot.starting'));
     };
 
     const onResize = (gameSize) => {
@@ -266,6 +277,7 @@ export class BootScene extends Phaser.Scene {
     const required = [
       'ground',
       'player_glow',
+      'gold_coin',
       'xpgem',
       'largexpgem',
       'minorhealth',
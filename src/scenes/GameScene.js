@@ -14,6 +14,7 @@ import { DropManager } from '../drops/systems/DropManager.js';
 import { DropTables } from '../drops/DropTable.js';
 import { DropSpawner } from '../drops/systems/DropSpawner.js';
 import { EnemyPools } from '../combat/EnemyPools.js';
+import { SpatialHash } from '../core/SpatialHash.js';
 import { SpawnDirector } from '../spawn/SpawnDirector.js';
 import { SpawnRegistry } from '../spawn/SpawnRegistry.js';
 import { DEFAULT_SPAWN_TIMELINE_KEY, SpawnTimeline, SpawnTimelineRegistry } from '../spawn/SpawnTimeline.js';
@@ -25,14 +26,28 @@ import { EnemyBehaviorSystem } from '../combat/EnemyBehaviorSystem.js';
 import { EnemyProjectileSystem } from '../combat/EnemyProjectileSystem.js';
 import { PlayerDerivedStatsApplier } from '../combat/PlayerDerivedStatsApplier.js';
 import { HUDManager } from '../ui/HUDManager.js';
+import { GamepadInput } from '../input/GamepadInput.js';
+import { createActionKeys, MOVE_ACTIONS, onBindingsChanged, removeActionKeys } from '../input/ControlBindings.js';
 import { resolveMobCollisionFlags, resolveMobConfig } from '../mob/MobRegistry.js';
 import { PassiveManager } from '../passives/PassiveManager.js';
 import { PassiveRegistry } from '../passives/PassiveRegistry.js';
 import { DamageNumberSystem } from '../combat/DamageNumberSystem.js';
+import { StatusEffectSystem } from '../status/StatusEffectSystem.js';
+import { EliteAffixSystem } from '../elite/EliteAffixSystem.js';
 import { getOrCreateSoundManager } from '../audio/SoundManager.js';
 import { setupAudioSystem } from '../audio/AudioSystem.js';
 import { CONFIG, DEV_RUN } from '../config/gameConfig.js';
+import { RunRng } from '../run/RunRng.js';
+import { RunRecorder } from '../run/RunRecorder.js';
+import { RunReplay } from '../run/RunReplay.js';
+import { resolveDifficulty } from '../run/DifficultyRegistry.js';
+import { computeRunCurrency, MetaStore } from '../meta/MetaStore.js';
+import { RunHistory } from '../run/RunHistory.js';
+import { SuspendedRun } from '../run/SuspendedRun.js';
+import { AchievementTracker } from '../meta/AchievementTracker.js';
+import { resolveMetaEffects } from '../meta/MetaUpgradeRegistry.js';
 import { WerewolfEncounter } from '../encounters/WerewolfEncounter.js';
+import { EndlessDirector } from '../spawn/EndlessDirector.js';
 import { DEFAULT_MAP_KEY, MapRegistry } from '../maps/MapRegistry.js';
 import { BoundedMapLoader } from '../maps/BoundedMapLoader.js';
 import { BoundedNavGrid } from '../maps/BoundedNavGrid.js';
@@ -45,9 +60,12 @@ import { PauseController } from './game/PauseController.js';
 import { wireGameSceneEvents } from './game/wireEvents.js';
 import { cleanupGameScene } from './game/cleanup.js';
 import { applyDevRun } from './game/applyDevRun.js';
+import { applyRunSnapshot, captureRunSnapshot } from './game/runSnapshot.js';
 import { updateArenaLock } from './game/arenaLock.js';
 import { stepSimulation } from './game/stepSimulation.js';
 import { applyMapRenderOrder, resolveMapRenderConfig } from './game/applyMapRenderOrder.js';
+import { shakeCamera } from '../ui/AccessibilitySettings.js';
+import { t } from '../i18n/Localization.js';
 
 /**
  * Main gameplay scene.
@@ -68,6 +86,7 @@ export class GameScene extends Phaser.Scene {
     this._pauseSources = new Set();
     this.isSimulationPaused = false;
     this._isShuttingDown = false;
+    this.runFrame = 0;
   }
 
   /** Handle create so this system stays coordinated. */
@@ -80,22 +99,76 @@ export class GameScene extends Phaser.Scene {
     // Compose the scene via small focused helpers. Each method sets up a
     // specific slice of responsibility so future changes have a clear home.
     this.pause = new PauseController(this);
+    this._setupRng();
+    this._setupDifficulty();
+    this._setupMeta();
     this._setupWorld();
     this._setupHero();
     applyMapRenderOrder(this);
     this._setupSystems();
+    this._setupEndless();
     this._setupWeapons();
     this._setupHUD();
+    this._setupReplay();
+    this._setupAchievements();
+    this._setupSuspend();
     this._setupAudio();
     this.werewolfEncounter = new WerewolfEncounter(this, {
       mobKey: 'werewolf_boss',
       telegraphSfx: 'sfx.boss.howl',
       deathSfx: null, // add later when you have it
       defaultLeadInMs: 2500,
+      onDefeated: () => this._handleFinaleCleared(),
     });
     this._disposeEvents = wireGameSceneEvents(this);
     this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => cleanupGameScene(this));
+
+    const resume = this.scene?.settings?.data?.resume ?? null;
+    if (resume) {
+      // Suspended run: put it back and hand the player the pause menu (unless a
+      // level-up pick was still open) so it doesn't resume mid-horde.
+      applyRunSnapshot(this, resume);
+      if (!this.levelFlow?._modalActive) this.pause.openMenu();
+      return;
+    }
+
     applyDevRun(this, DEV_RUN);
+
+    // Meta "starting level": queue the extra level-up picks before the run clock starts.
+    this.levelFlow?.grantLevels?.(this.metaEffects?.startingLevels ?? 0);
+  }
+
+  /**
+   * Seed the run's RNG service before any system rolls. A seed passed through
+   * scene data (menu seed entry, retry) replays the same run; otherwise a
+   * random one is rolled and shown on the end screen.
+   */
+  _setupRng() {
+    this.rng = new RunRng(this.scene?.settings?.data?.seed);
+  }
+
+  /**
+   * Resolve the difficulty preset chosen before the run. Enemy HP rides on
+   * `combatTuning` (read by MobStatsFactory on every Enemy.reset); the other
+   * multipliers are read by their owning systems from `scene.difficulty`.
+   */
+  _setupDifficulty() {
+    this.difficulty = resolveDifficulty(this.scene?.settings?.data?.difficultyKey);
+    this.combatTuning = {
+      ...(this.combatTuning ?? {}),
+      hpMult: this.difficulty.enemyHealthMult
+    };
+  }
+
+  /**
+   * Resolve permanent shop upgrades for this run. Replays (and the balance
+   * simulator) pass their own ranks through scene data so a run reproduces
+   * regardless of what the local profile owns today.
+   */
+  _setupMeta() {
+    const ranks = this.scene?.settings?.data?.metaUpgrades ?? MetaStore.getUpgradeRanks();
+    this.metaUpgrades = { ...ranks };
+    this.metaEffects = resolveMetaEffects(this.metaUpgrades);
   }
 
   /** Handle _setupWorld so this system stays coordinated. */
@@ -220,7 +293,7 @@ export class GameScene extends Phaser.Scene {
     const spawnKey = this.mapConfig?.spawns?.heroKey ?? 'player';
     const spawnPoints = this.mapSpawnPoints?.byKey?.[spawnKey] ?? [];
     if (spawnPoints.length) {
-      spawnPoint = Phaser.Utils.Array.GetRandom(spawnPoints);
+      spawnPoint = this.rng.stream('spawn').pick(spawnPoints);
     } else if (this.mapRuntime?.isBounded?.()) {
       const bounds = this.mapRuntime.getWorldBounds?.();
       if (bounds) {
@@ -268,16 +341,28 @@ export class GameScene extends Phaser.Scene {
 
     this.playerDeathController = this.hero.deathController;
 
+    // Difficulty scales every hit the hero takes (contact, melee, projectiles).
+    this.hero.health?.setDamageTakenMult?.(this.difficulty?.enemyDamageMult ?? 1);
+
     // Smooth camera follow keeps the hero centred while still feeling weighty.
     this.cameras.main.startFollow(this.hero.sprite, true, 0.12, 0.12);
     //this.cameras.main.startFollow(this.hero.sprite, true, 1, 1);
 
 
     // Input bindings are still configured here so the controller remains a
-    // reusable system. WASD + arrow keys mirror the previous behaviour.
-    this.cursors = this.input.keyboard.createCursorKeys();
-    this.keys = this.input.keyboard.addKeys('W,A,S,D');
-    this.hero.controller.setInputSources({ cursors: this.cursors, wasd: this.keys });
+    // reusable system. Move keys come from ControlBindings (WASD + arrows by
+    // default) and are rebuilt when the Controls page changes them.
+    const bindMoveKeys = () => {
+      removeActionKeys(this.input.keyboard, this.moveKeys);
+      this.moveKeys = createActionKeys(this.input.keyboard, MOVE_ACTIONS);
+      this.hero.controller.setInputSources({ moveKeys: this.moveKeys });
+    };
+    bindMoveKeys();
+    onBindingsChanged(this, bindMoveKeys);
+
+    // Controller: left stick moves the hero (via the move-vector provider set
+    // in _setupHUD); overlays subscribe to its button events.
+    this.gamepad = new GamepadInput(this);
   }
 
   /** Handle _setupSystems so this system stays coordinated. */
@@ -289,6 +374,10 @@ export class GameScene extends Phaser.Scene {
     this.dropManager = new DropManager(this);
     this.fx = new FXSystem(this);
     this.damageNumbers = new DamageNumberSystem(this, { fontKey: 'pixeloperator', size: 16 });
+    // Broadphase grids over the enemy and drop pools; stepSimulation rebuilds
+    // them each tick and targeting/AoE/pickups/crowd steering query them.
+    this.enemyIndex = new SpatialHash();
+    this.dropIndex = new SpatialHash();
 
     const propColliders = this.props?.getColliderGroup?.() ?? null;
     const enemyGroup = this.enemyPools.getAllGroup();
@@ -360,7 +449,8 @@ export class GameScene extends Phaser.Scene {
 
         const tookDamage = this.hero.health.damage(damage);
         if (tookDamage) {
-          this.cameras.main.shake(120, 0.003);
+          shakeCamera(this.cameras.main, 120, 0.003);
+          this.events.emit('enemy:contact:hit', { enemy, damage });
         }
       }
     );
@@ -397,7 +487,15 @@ export class GameScene extends Phaser.Scene {
     // the pickup pool, and DamagePipeline routes damage events through FX.
     const spawnTimelineKey = this.mapConfig?.spawnTimelineKey ?? DEFAULT_SPAWN_TIMELINE_KEY;
     const resolvedTimeline = SpawnTimelineRegistry[spawnTimelineKey] ?? SpawnTimeline;
-    const spawnConfig = { ...SpawnRegistry, timeline: resolvedTimeline };
+    const basePace = SpawnRegistry.pace ?? {};
+    const spawnConfig = {
+      ...SpawnRegistry,
+      timeline: resolvedTimeline,
+      pace: {
+        ...basePace,
+        pressure: (basePace.pressure ?? 1) * (this.difficulty?.spawnPressureMult ?? 1)
+      }
+    };
     this.spawnDirector = new SpawnDirector(this, this.enemyPools, spawnConfig);
     this.dropSpawner = new DropSpawner(this, this.dropManager, DropTables);
     this.damagePipeline = new DamagePipeline(this, {
@@ -406,7 +504,19 @@ export class GameScene extends Phaser.Scene {
       fxSystem: this.fx
     });
 
+    // Status effects (burn/chill/...) ride on weapon payloads; DoT ticks route
+    // back through the pipeline so kills, drops and stats stay unified.
+    this.statusEffects = new StatusEffectSystem(this, {
+      damagePipeline: this.damagePipeline,
+      events: this.events
+    });
+    this.damagePipeline.setStatusEffects(this.statusEffects);
+
+    // Elite affixes roll on `enemy:spawned`, so this must exist before the first spawn.
+    this.eliteAffixes = new EliteAffixSystem(this, { events: this.events });
+
     this.passiveManager = new PassiveManager(this, { hero: this.hero, events: this.events });
+    this.passiveManager.setBaseEffects(this.metaEffects);
     const passiveAllowed = Array.isArray(this.heroEntry?.passives?.allowed)
       ? this.heroEntry.passives.allowed
       : Object.keys(PassiveRegistry);
@@ -466,7 +576,55 @@ export class GameScene extends Phaser.Scene {
       depthBase: this.mapRender?.uiBaseDepth
     });
 
-    this.hero?.controller?.setMoveVectorProvider(() => this.hud?.getMoveVector?.() ?? { x: 0, y: 0 });
+    // Touch joystick wins while dragged; otherwise the gamepad stick (zero when idle).
+    this.hero?.controller?.setMoveVectorProvider(() => {
+      const touch = this.hud?.getMoveVector?.();
+      if (touch && (touch.x || touch.y)) return touch;
+      return this.gamepad?.getMoveVector?.() ?? { x: 0, y: 0 };
+    });
+  }
+
+  /**
+   * Either play back a recording passed in scene data (MenuScene "Load
+   * Replay") or record this run so it can be downloaded for bug reports.
+   * Must run after the HUD so the replay can take over the move-vector provider.
+   * Resumed runs are not recorded: a recording can't start mid-run.
+   */
+  _setupReplay() {
+    const data = this.scene?.settings?.data ?? {};
+    const recording = data.replay ?? null;
+    this.runReplay = recording ? new RunReplay(this, recording) : null;
+    this.runRecorder = recording || data.resume ? null : new RunRecorder(this);
+  }
+
+  /**
+   * Track achievement progress for this run. Replays re-run a recorded run,
+   * so they never earn progress a second time.
+   */
+  _setupAchievements() {
+    this.achievements = this.runReplay ? null : new AchievementTracker(this, { events: this.events });
+  }
+
+  /**
+   * Let this run be suspended (pause menu, hidden tab) and resumed from the
+   * main menu. Replays are never saved, and starting a new run replaces any
+   * run left suspended.
+   */
+  _setupSuspend() {
+    this.canSuspend = !this.runReplay;
+    if (this.canSuspend && !this.scene?.settings?.data?.resume) SuspendedRun.clear();
+  }
+
+  /**
+   * Save the run to SuspendedRun so MenuScene can offer "Continue".
+   * @returns {boolean} true when a snapshot was written
+   */
+  suspendRun() {
+    if (!this.canSuspend) return false;
+    const snapshot = captureRunSnapshot(this);
+    if (!snapshot) return false;
+    SuspendedRun.save(snapshot);
+    return true;
   }
 
   /** Handle _setupAudio so this system stays coordinated. */
@@ -477,6 +635,25 @@ export class GameScene extends Phaser.Scene {
   }
 
 
+  /**
+   * Endless runs (opted into on MapSelectScene) carry on past the werewolf
+   * finale instead of ending in a win. Must run after _setupSystems so the
+   * director can read the spawn timeline.
+   */
+  _setupEndless() {
+    this.endless = this.scene?.settings?.data?.endless ? new EndlessDirector(this) : null;
+  }
+
+  /** The werewolf is down: endless runs keep going, every other run is won. */
+  _handleFinaleCleared() {
+    if (this.isGameOver) return;
+    if (this.endless) {
+      this.endless.begin();
+      return;
+    }
+    this.endRun('win', { reason: 'bossKilled' });
+  }
+
   /** Handle _handleSpawnControl so this system stays coordinated. */
   _handleSpawnControl(payload) {
     if (payload?.disableWeightedSpawns) {
@@ -504,11 +681,56 @@ export class GameScene extends Phaser.Scene {
         kills: snapshot.kills,
         xpEarned: snapshot.xpEarned,
         damageDealt: snapshot.damageDealt,
+        goldCollected: snapshot.goldCollected,
+        breakdown: this.hud.runStats.getBreakdown(),
       };
     }
 
     const elapsedMs = this.getRunElapsedMs();
-    return { timeSurvived: elapsedMs / 1000 };
+    return { timeSurvived: elapsedMs / 1000, goldCollected: this.runGold ?? 0 };
+  }
+
+  /**
+   * Bank the run's meta currency. Replays never pay out, they only reproduce
+   * a run that already did.
+   */
+  _bankRunCurrency(outcome, stats) {
+    if (this.runReplay) return 0;
+
+    const earned = computeRunCurrency({
+      kills: stats.kills,
+      timeSurvivedSeconds: stats.timeSurvived,
+      gold: stats.goldCollected,
+      outcome
+    });
+    MetaStore.awardCurrency(earned);
+    return earned;
+  }
+
+  /**
+   * Append the finished run to RunHistory and return the personal records it
+   * beat. Replays are not new runs, so they are never recorded.
+   */
+  _recordRunHistory(outcome, stats) {
+    if (this.runReplay) return [];
+
+    const passives = this.passiveManager?.getLoadout?.() ?? [];
+    const { newRecords } = RunHistory.record({
+      heroKey: this.heroEntry?.key,
+      mapKey: this.mapKey,
+      difficultyKey: this.difficulty?.key,
+      seed: stats.seed,
+      durationMs: Math.round((Number(stats.timeSurvived) || 0) * 1000),
+      outcome,
+      endless: Boolean(this.endless),
+      cycle: this.endless?.cycle ?? 0,
+      level: this.levelSystem?.level,
+      kills: stats.kills,
+      weapons: this.weaponManager?.getLoadout?.() ?? [],
+      passives: passives.map((key) => ({ key, stacks: this.passiveManager.getStackCount(key) })),
+      weaponDamage: (stats.breakdown?.weapons ?? []).map(({ key, damage }) => ({ key, damage }))
+    });
+    return newRecords;
   }
 
   /** Handle endRun so this system stays coordinated. */
@@ -529,11 +751,22 @@ export class GameScene extends Phaser.Scene {
     this.isGameOver = true;   // 🔑 freeze the simulation in update()
 
     const baseStats = this._collectRunStats();
-    const stats = { ...baseStats, ...(statsOverride ?? {}) };
+    const stats = {
+      ...baseStats,
+      difficulty: this.difficulty?.name ?? null,
+      seed: this.rng?.seedText ?? null,
+      ...(statsOverride ?? {})
+    };
+    stats.currencyEarned = this._bankRunCurrency(outcome, stats);
+    stats.newRecords = this._recordRunHistory(outcome, stats);
+    if (this.canSuspend) SuspendedRun.clear();
+
+    this.runRecorder?.markEnded?.(outcome, stats);
+    this.events.emit('run:ended', { outcome, reason: reason ?? null, stats });
 
     const isWin = outcome === 'win';
-    const title = isWin ? 'YOU WIN' : 'YOU DIED';
-    const primaryLabel = isWin ? 'Play Again' : 'Retry';
+    const title = t(isWin ? 'endRun.won' : 'endRun.died');
+    const primaryLabel = t(isWin ? 'endRun.playAgain' : 'endRun.retry');
 
     this.endRunMenu = new EndRunMenu(this, {
       stats,
@@ -544,14 +777,16 @@ export class GameScene extends Phaser.Scene {
         this.time.timeScale = 1;
         this.endRunMenu?.destroy();
         this.endRunMenu = null;
-        this.scene.restart();
+        // Same hero/map/seed again, but a fresh run rather than the resumed snapshot.
+        this.scene.restart({ ...this.scene.settings.data, resume: null });
       },
       onMainMenu: () => {
         this.time.timeScale = 1;
         this.endRunMenu?.destroy();
         this.endRunMenu = null;
         this.scene.start('menu');
-      }
+      },
+      onSaveReplay: this.runRecorder ? () => this.runRecorder?.download?.() : null
     });
   }
 
@@ -591,6 +826,9 @@ export class GameScene extends Phaser.Scene {
       return;
     }
 
+    // Frames since create, paused ones included; RunRecorder and RunReplay key input on it.
+    this.runFrame += 1;
+
     updateArenaLock(this);
 
     // 🔑 Shared pause (level-up, pause menu, etc.)
@@ -606,5 +844,6 @@ export class GameScene extends Phaser.Scene {
     }
 
     stepSimulation(this, dt);
+    this.runRecorder?.captureFrame?.();
   }
 }
@@ -1,5 +1,10 @@
 import Phaser from 'phaser';
 import { DEFAULT_HERO_KEY, listHeroes } from '../hero/HeroRegistry.js';
+import { GamepadInput } from '../input/GamepadInput.js';
+import { onActionKeys } from '../input/ControlBindings.js';
+import { actionPrompt, movePrompt, onPromptsChanged } from '../input/InputPrompts.js';
+import { t, uiText } from '../i18n/Localization.js';
+import { AchievementStore } from '../meta/AchievementStore.js';
 
 // --- Layout constants ------------------------------------------------------
 // Card dimensions were tuned against the base 960×540 resolution.  Keeping
@@ -44,17 +49,20 @@ export class HeroSelectScene extends Phaser.Scene {
   init(data) {
     this._transitioning = false;
     this.initialHeroKey = data?.heroKey ?? null;
+    this.runSeed = data?.seed ?? null;
   }
 
   /** Handle create so this system stays coordinated. */
   create() {
     // Pull hero data once.  This stays stable for the lifetime of the scene.
+    // Hidden heroes appear once an achievement reward has revealed them.
     const registeredHeroes = listHeroes();
-    this.heroes = registeredHeroes.filter((hero) => !hero.hidden);
+    const { heroes: revealed } = AchievementStore.getRevealed();
+    this.heroes = registeredHeroes.filter((hero) => !hero.hidden || revealed.has(hero.key));
 
     if (!this.heroes.length) {
       console.warn('[HeroSelectScene] No visible heroes registered; skipping select screen.');
-      this.scene.start('game');
+      this.scene.start('game', { seed: this.runSeed ?? undefined });
       return;
     }
 
@@ -97,7 +105,7 @@ export class HeroSelectScene extends Phaser.Scene {
       .setDepth(1)
       .setBlendMode(Phaser.BlendModes.MULTIPLY);
 
-    this.title = this.add.text(this.scale.width / 2, this.scale.height * 0.18, 'Select Your Hero', {
+    this.title = this.add.text(this.scale.width / 2, this.scale.height * 0.18, t('heroSelect.title'), {
       fontFamily: 'monospace',
       fontSize: '36px',
       color: '#e9e2ff',
@@ -106,13 +114,23 @@ export class HeroSelectScene extends Phaser.Scene {
     }).setOrigin(0.5).setDepth(5);
 
     this.hintText = this.add.text(this.scale.width / 2, this.scale.height - 32,
-      'Arrows / WASD to move · Enter/Space to confirm · Esc to return',
+      '',
       {
         fontFamily: 'monospace',
         fontSize: '16px',
         color: '#c8d0ff'
       }
     ).setOrigin(0.5).setDepth(5);
+    this._refreshHint();
+  }
+
+  /** Hint line in the vocabulary of the device (and bindings) the player is using. */
+  _refreshHint() {
+    this.hintText?.setText(t('heroSelect.hint', {
+      move: movePrompt(),
+      confirm: actionPrompt('confirm'),
+      back: actionPrompt('back')
+    }));
   }
 
   /**
@@ -151,18 +169,25 @@ export class HeroSelectScene extends Phaser.Scene {
     this._handleConfirm = () => this._confirmSelection();
     this._handleBack = () => this._returnToMenu();
 
-    const keyboard = this.input.keyboard;
-    keyboard.on('keydown-LEFT', this._handleLeft);
-    keyboard.on('keydown-A', this._handleLeft);
-    keyboard.on('keydown-RIGHT', this._handleRight);
-    keyboard.on('keydown-D', this._handleRight);
-    keyboard.on('keydown-UP', this._handleUp);
-    keyboard.on('keydown-W', this._handleUp);
-    keyboard.on('keydown-DOWN', this._handleDown);
-    keyboard.on('keydown-S', this._handleDown);
-    keyboard.on('keydown-ENTER', this._handleConfirm);
-    keyboard.on('keydown-SPACE', this._handleConfirm);
-    keyboard.on('keydown-ESC', this._handleBack);
+    // Resolved through ControlBindings so the Controls page applies here too.
+    this._disposeKeys = onActionKeys(this.input.keyboard, {
+      moveLeft: this._handleLeft,
+      moveRight: this._handleRight,
+      moveUp: this._handleUp,
+      moveDown: this._handleDown,
+      confirm: this._handleConfirm,
+      back: this._handleBack
+    });
+
+    this.gamepad = new GamepadInput(this);
+    const pad = this.gamepad;
+    pad.on('left', this._handleLeft);
+    pad.on('right', this._handleRight);
+    pad.on('up', this._handleUp);
+    pad.on('down', this._handleDown);
+    pad.on('confirm', this._handleConfirm);
+    pad.on('back', this._handleBack);
+    onPromptsChanged(this, () => this._refreshHint());
   }
 
   /**
@@ -170,19 +195,11 @@ export class HeroSelectScene extends Phaser.Scene {
    * the scene shuts down to avoid duplicate handlers on restart.
    */
   _unbindInput() {
-    const keyboard = this.input.keyboard;
-    if (!keyboard) return;
-    keyboard.off('keydown-LEFT', this._handleLeft);
-    keyboard.off('keydown-A', this._handleLeft);
-    keyboard.off('keydown-RIGHT', this._handleRight);
-    keyboard.off('keydown-D', this._handleRight);
-    keyboard.off('keydown-UP', this._handleUp);
-    keyboard.off('keydown-W', this._handleUp);
-    keyboard.off('keydown-DOWN', this._handleDown);
-    keyboard.off('keydown-S', this._handleDown);
-    keyboard.off('keydown-ENTER', this._handleConfirm);
-    keyboard.off('keydown-SPACE', this._handleConfirm);
-    keyboard.off('keydown-ESC', this._handleBack);
+    this._disposeKeys?.();
+    this._disposeKeys = null;
+
+    this.gamepad?.destroy();
+    this.gamepad = null;
   }
 
   /**
@@ -198,7 +215,7 @@ export class HeroSelectScene extends Phaser.Scene {
 
     const iconElements = this._buildCardIcon(hero);
 
-    const nameText = this.add.text(0, CARD_HEIGHT / 2 - 10, hero.ui?.name ?? uppercaseFirst(hero.key ?? 'Hero'), {
+    const nameText = this.add.text(0, CARD_HEIGHT / 2 - 10, uiText(hero, 'name', uppercaseFirst(hero.key ?? 'Hero')), {
       fontFamily: 'monospace',
       fontSize: '18px',
       color: '#e9e2ff'
@@ -290,7 +307,7 @@ export class HeroSelectScene extends Phaser.Scene {
     const label = this.add.text(
       0,
       -24,
-      hero.ui?.name ?? uppercaseFirst(hero.key ?? 'Hero'),
+      uiText(hero, 'name', uppercaseFirst(hero.key ?? 'Hero')),
       {
         fontFamily: 'monospace',
         fontSize: '16px',
@@ -414,19 +431,19 @@ export class HeroSelectScene extends Phaser.Scene {
    * straight from the registry so the menu always reflects gameplay tuning.
    */
   _updateDetailPanel(hero) {
-    const displayName = hero.ui?.name ?? uppercaseFirst(hero.key ?? 'Hero');
+    const displayName = uiText(hero, 'name', uppercaseFirst(hero.key ?? 'Hero'));
     this.detailName.setText(displayName);
-    this.detailBlurb.setText(hero.ui?.blurb ?? 'Ready for battle.');
+    this.detailBlurb.setText(uiText(hero, 'blurb', t('heroSelect.defaultBlurb')));
 
     const stats = hero.stats ?? {};
     const statLines = [];
-    if (stats.speed !== undefined) statLines.push(`Speed: ${stats.speed}`);
-    if (stats.maxHealth !== undefined) statLines.push(`Health: ${stats.maxHealth}`);
-    if (stats.maxVelocity !== undefined) statLines.push(`Max Velocity: ${stats.maxVelocity}`);
-    if (stats.iframeMs !== undefined) statLines.push(`Block Speed: ${stats.iframeMs}ms`);
+    if (stats.speed !== undefined) statLines.push(t('heroSelect.stats.speed', { value: stats.speed }));
+    if (stats.maxHealth !== undefined) statLines.push(t('heroSelect.stats.health', { value: stats.maxHealth }));
+    if (stats.maxVelocity !== undefined) statLines.push(t('heroSelect.stats.maxVelocity', { value: stats.maxVelocity }));
+    if (stats.iframeMs !== undefined) statLines.push(t('heroSelect.stats.blockSpeed', { value: stats.iframeMs }));
     const starter = hero.weapons?.starter ?? [];
     const starterLabel = hero.weapons?.starterlabel || (starter.length ? starter.join(', ') : '—');
-    statLines.push(`Starter: ${starterLabel}`);
+    statLines.push(t('heroSelect.stats.starter', { value: starterLabel }));
     this.detailStats.setText(statLines.join('\n'));
 
     const iconConfig = hero?.ui?.icon;
@@ -540,7 +557,7 @@ export class HeroSelectScene extends Phaser.Scene {
 
     // Brief delay lets the guard latch before `scene.start` tears the scene down.
     this.time.delayedCall(150, () => {
-      this.scene.start('map-select', { heroKey: hero.key });
+      this.scene.start('map-select', { heroKey: hero.key, seed: this.runSeed ?? undefined });
     });
   }
 
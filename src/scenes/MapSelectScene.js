@@ -1,5 +1,11 @@
 import Phaser from 'phaser';
 import { DEFAULT_MAP_KEY, listMaps } from '../maps/MapRegistry.js';
+import { DEFAULT_DIFFICULTY_KEY, listDifficulties } from '../run/DifficultyRegistry.js';
+import { GamepadInput } from '../input/GamepadInput.js';
+import { onActionKeys } from '../input/ControlBindings.js';
+import { actionPrompt, movePrompt, onPromptsChanged } from '../input/InputPrompts.js';
+import { t, uiText } from '../i18n/Localization.js';
+import { AchievementStore } from '../meta/AchievementStore.js';
 
 // --- Layout constants ------------------------------------------------------
 const CARD_WIDTH = 170;
@@ -33,6 +39,9 @@ export class MapSelectScene extends Phaser.Scene {
     this.focusIndex = 0;
     this.heroKey = null;
     this.initialMapKey = null;
+    this.difficulties = [];
+    this.difficultyIndex = 0;
+    this.endless = false;
     this._transitioning = false;
   }
 
@@ -44,18 +53,26 @@ export class MapSelectScene extends Phaser.Scene {
     this._transitioning = false;
     this.heroKey = data?.heroKey ?? null;
     this.initialMapKey = data?.mapKey ?? null;
+    this.initialDifficultyKey = data?.difficultyKey ?? null;
+    this.initialEndless = typeof data?.endless === 'boolean' ? data.endless : null;
+    this.runSeed = data?.seed ?? null;
   }
 
   /** Handle create so this system stays coordinated. */
   create() {
+    // Hidden maps appear once an achievement reward has revealed them.
     const registeredMaps = listMaps();
-    this.maps = registeredMaps.filter((mapEntry) => !mapEntry.hidden);
+    const { maps: revealed } = AchievementStore.getRevealed();
+    this.maps = registeredMaps.filter((mapEntry) => !mapEntry.hidden || revealed.has(mapEntry.key));
 
     if (!this.maps.length) {
       console.warn('[MapSelectScene] No visible maps registered; skipping select screen.');
       this.scene.start('game', {
         heroKey: this.heroKey ?? undefined,
         mapKey: DEFAULT_MAP_KEY,
+        difficultyKey: this.initialDifficultyKey ?? this._getLastDifficultyKey() ?? DEFAULT_DIFFICULTY_KEY,
+        endless: this.initialEndless ?? this._getLastEndless(),
+        seed: this.runSeed ?? undefined,
       });
       return;
     }
@@ -66,7 +83,13 @@ export class MapSelectScene extends Phaser.Scene {
     const initialIndex = Math.max(0, this.maps.findIndex(mapEntry => mapEntry.key === desiredKey));
     this.focusIndex = initialIndex >= 0 ? initialIndex : 0;
 
+    this.difficulties = listDifficulties();
+    const desiredDifficulty = this.initialDifficultyKey ?? this._getLastDifficultyKey() ?? DEFAULT_DIFFICULTY_KEY;
+    this.difficultyIndex = Math.max(0, this.difficulties.findIndex(entry => entry.key === desiredDifficulty));
+    this.endless = this.initialEndless ?? this._getLastEndless();
+
     this._buildBackground();
+    this._buildDifficultySelector();
     this._buildLayout();
     this._bindInput();
 
@@ -98,7 +121,7 @@ export class MapSelectScene extends Phaser.Scene {
       .setDepth(1)
       .setBlendMode(Phaser.BlendModes.MULTIPLY);
 
-    this.title = this.add.text(this.scale.width / 2, this.scale.height * 0.18, 'Select a Map', {
+    this.title = this.add.text(this.scale.width / 2, this.scale.height * 0.18, t('mapSelect.title'), {
       fontFamily: 'monospace',
       fontSize: '36px',
       color: '#e9e2ff',
@@ -107,13 +130,110 @@ export class MapSelectScene extends Phaser.Scene {
     }).setOrigin(0.5).setDepth(5);
 
     this.hintText = this.add.text(this.scale.width / 2, this.scale.height - 32,
-      'Arrows / WASD to move · Enter/Space to confirm · Esc to return',
+      '',
       {
         fontFamily: 'monospace',
         fontSize: '16px',
         color: '#c8d0ff'
       }
     ).setOrigin(0.5).setDepth(5);
+    this._refreshHint();
+  }
+
+  /** Hint line in the vocabulary of the device (and bindings) the player is using. */
+  _refreshHint() {
+    const difficulty = `${actionPrompt('difficultyPrev', { all: false })}/${actionPrompt('difficultyNext', { all: false })}`;
+    this.hintText?.setText(t('mapSelect.hint', {
+      move: movePrompt(),
+      difficulty,
+      endless: actionPrompt('toggleEndless', { all: false }),
+      confirm: actionPrompt('confirm'),
+      back: actionPrompt('back')
+    }));
+  }
+
+  /**
+   * Difficulty row under the title: `‹ Normal ›` plus a one-line blurb.
+   * Q/E (or clicking the arrows) cycles presets; the choice rides along to
+   * GameScene as `difficultyKey`.
+   */
+  _buildDifficultySelector() {
+    const y = this.scale.height * 0.18 + 42;
+
+    this.difficultyLabel = this.add.text(this.scale.width / 2, y, '', {
+      fontFamily: 'monospace',
+      fontSize: '20px',
+      color: '#c8d0ff'
+    }).setOrigin(0.5).setDepth(5);
+
+    this.difficultyBlurb = this.add.text(this.scale.width / 2, y + 24, '', {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      color: '#9fb2ff'
+    }).setOrigin(0.5).setDepth(5);
+
+    const makeArrow = (glyph, delta) => this.add.text(0, y, glyph, {
+      fontFamily: 'monospace',
+      fontSize: '22px',
+      color: '#ffc857'
+    }).setOrigin(0.5).setDepth(5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerup', () => this._cycleDifficulty(delta));
+
+    this.difficultyPrev = makeArrow('‹', -1);
+    this.difficultyNext = makeArrow('›', 1);
+
+    // Endless toggle under the blurb (N, or click it).
+    this.endlessLabel = this.add.text(this.scale.width / 2, y + 50, '', {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      color: '#9fb2ff'
+    }).setOrigin(0.5).setDepth(5)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerup', () => this._toggleEndless());
+
+    this._updateDifficultyLabel();
+    this._updateEndlessLabel();
+  }
+
+  /** Flip endless mode: the run carries on past the werewolf finale until the hero dies. */
+  _toggleEndless() {
+    if (this._transitioning) {
+      return;
+    }
+    this.endless = !this.endless;
+    this._updateEndlessLabel();
+  }
+
+  _updateEndlessLabel() {
+    this.endlessLabel
+      ?.setText(t(this.endless ? 'mapSelect.endless.on' : 'mapSelect.endless.off'))
+      .setColor(this.endless ? '#ff759b' : '#9fb2ff');
+  }
+
+  /** Step through presets, wrapping at either end. */
+  _cycleDifficulty(delta) {
+    if (this._transitioning || !this.difficulties.length) {
+      return;
+    }
+    const count = this.difficulties.length;
+    this.difficultyIndex = (this.difficultyIndex + delta + count) % count;
+    this._updateDifficultyLabel();
+  }
+
+  /** Refresh the label/blurb and keep the arrows hugging the label width. */
+  _updateDifficultyLabel() {
+    const entry = this.difficulties[this.difficultyIndex];
+    if (!entry || !this.difficultyLabel) {
+      return;
+    }
+    this.difficultyLabel.setText(t('mapSelect.difficulty', { name: uiText(entry, 'name', uppercaseFirst(entry.key)) }));
+    this.difficultyLabel.setColor(entry.ui?.color ?? '#c8d0ff');
+    this.difficultyBlurb.setText(uiText(entry, 'blurb'));
+
+    const halfWidth = this.difficultyLabel.width / 2;
+    this.difficultyPrev.setPosition(this.difficultyLabel.x - halfWidth - 20, this.difficultyLabel.y);
+    this.difficultyNext.setPosition(this.difficultyLabel.x + halfWidth + 20, this.difficultyLabel.y);
   }
 
   /**
@@ -151,19 +271,35 @@ export class MapSelectScene extends Phaser.Scene {
     this._handleDown = () => this._moveFocusVertical(1);
     this._handleConfirm = () => this._confirmSelection();
     this._handleBack = () => this._returnToHeroSelect();
+    this._handleDifficultyPrev = () => this._cycleDifficulty(-1);
+    this._handleDifficultyNext = () => this._cycleDifficulty(1);
+    this._handleToggleEndless = () => this._toggleEndless();
+
+    // Resolved through ControlBindings so the Controls page applies here too.
+    this._disposeKeys = onActionKeys(this.input.keyboard, {
+      difficultyPrev: this._handleDifficultyPrev,
+      difficultyNext: this._handleDifficultyNext,
+      toggleEndless: this._handleToggleEndless,
+      moveLeft: this._handleLeft,
+      moveRight: this._handleRight,
+      moveUp: this._handleUp,
+      moveDown: this._handleDown,
+      confirm: this._handleConfirm,
+      back: this._handleBack
+    });
 
-    const keyboard = this.input.keyboard;
-    keyboard.on('keydown-LEFT', this._handleLeft);
-    keyboard.on('keydown-A', this._handleLeft);
-    keyboard.on('keydown-RIGHT', this._handleRight);
-    keyboard.on('keydown-D', this._handleRight);
-    keyboard.on('keydown-UP', this._handleUp);
-    keyboard.on('keydown-W', this._handleUp);
-    keyboard.on('keydown-DOWN', this._handleDown);
-    keyboard.on('keydown-S', this._handleDown);
-    keyboard.on('keydown-ENTER', this._handleConfirm);
-    keyboard.on('keydown-SPACE', this._handleConfirm);
-    keyboard.on('keydown-ESC', this._handleBack);
+    this.gamepad = new GamepadInput(this);
+    const pad = this.gamepad;
+    pad.on('left', this._handleLeft);
+    pad.on('right', this._handleRight);
+    pad.on('up', this._handleUp);
+    pad.on('down', this._handleDown);
+    pad.on('confirm', this._handleConfirm);
+    pad.on('back', this._handleBack);
+    pad.on('difficultyPrev', this._handleDifficultyPrev);
+    pad.on('difficultyNext', this._handleDifficultyNext);
+    pad.on('toggleEndless', this._handleToggleEndless);
+    onPromptsChanged(this, () => this._refreshHint());
   }
 
   /**
@@ -171,19 +307,11 @@ export class MapSelectScene extends Phaser.Scene {
    * the scene shuts down to avoid duplicate handlers on restart.
    */
   _unbindInput() {
-    const keyboard = this.input.keyboard;
-    if (!keyboard) return;
-    keyboard.off('keydown-LEFT', this._handleLeft);
-    keyboard.off('keydown-A', this._handleLeft);
-    keyboard.off('keydown-RIGHT', this._handleRight);
-    keyboard.off('keydown-D', this._handleRight);
-    keyboard.off('keydown-UP', this._handleUp);
-    keyboard.off('keydown-W', this._handleUp);
-    keyboard.off('keydown-DOWN', this._handleDown);
-    keyboard.off('keydown-S', this._handleDown);
-    keyboard.off('keydown-ENTER', this._handleConfirm);
-    keyboard.off('keydown-SPACE', this._handleConfirm);
-    keyboard.off('keydown-ESC', this._handleBack);
+    this._disposeKeys?.();
+    this._disposeKeys = null;
+
+    this.gamepad?.destroy();
+    this.gamepad = null;
   }
 
   /**
@@ -359,6 +487,10 @@ export class MapSelectScene extends Phaser.Scene {
     this.detailPanel.setPosition(width * 0.78, height * 0.55 + 4);
     this.title.setPosition(width / 2, height * 0.18);
     this.hintText.setPosition(width / 2, height - 32);
+    this.difficultyLabel?.setPosition(width / 2, height * 0.18 + 42);
+    this.difficultyBlurb?.setPosition(width / 2, height * 0.18 + 66);
+    this.endlessLabel?.setPosition(width / 2, height * 0.18 + 92);
+    this._updateDifficultyLabel();
   }
 
   /**
@@ -386,10 +518,10 @@ export class MapSelectScene extends Phaser.Scene {
   _updateDetailPanel(mapEntry) {
     const displayName = mapEntry.ui?.name ?? uppercaseFirst(mapEntry.key ?? 'Map');
     this.detailName.setText(displayName);
-    this.detailBlurb.setText(mapEntry.ui?.blurb ?? 'Survive the night.');
+    this.detailBlurb.setText(mapEntry.ui?.blurb ?? t('map.defaultBlurb'));
 
-    const typeLabel = mapEntry.ui?.typeLabel ?? (mapEntry.type === 'bounded' ? 'Bounded' : 'Endless');
-    this.detailType.setText(`Type: ${typeLabel}`);
+    const typeLabel = mapEntry.ui?.typeLabel ?? t(mapEntry.type === 'bounded' ? 'map.type.bounded' : 'map.type.endless');
+    this.detailType.setText(t('mapSelect.type', { type: typeLabel }));
 
     const thumbnailKey = mapEntry.ui?.thumbnailKey;
     const frame = thumbnailKey && this.textures.exists(thumbnailKey)
@@ -480,19 +612,25 @@ export class MapSelectScene extends Phaser.Scene {
     }
 
     this._transitioning = true;
+    const difficultyKey = this.difficulties[this.difficultyIndex]?.key ?? DEFAULT_DIFFICULTY_KEY;
 
     if (typeof window !== 'undefined') {
       try {
         window.localStorage?.setItem('NOTBM:lastMap', mapEntry.key);
+        window.localStorage?.setItem('NOTBM:lastDifficulty', difficultyKey);
+        window.localStorage?.setItem('NOTBM:lastEndless', this.endless ? '1' : '0');
       } catch (err) {
-        console.warn('[MapSelectScene] Failed to persist map key:', err);
+        console.warn('[MapSelectScene] Failed to persist map/difficulty/endless choice:', err);
       }
     }
 
     this.time.delayedCall(150, () => {
       this.scene.start('game', {
         heroKey: this.heroKey ?? undefined,
-        mapKey: mapEntry.key
+        mapKey: mapEntry.key,
+        difficultyKey,
+        endless: this.endless,
+        seed: this.runSeed ?? undefined
       });
     });
   }
@@ -505,7 +643,7 @@ export class MapSelectScene extends Phaser.Scene {
       return;
     }
     this._transitioning = true;
-    this.scene.start('hero-select', { heroKey: this.heroKey ?? undefined });
+    this.scene.start('hero-select', { heroKey: this.heroKey ?? undefined, seed: this.runSeed ?? undefined });
   }
 
   /**
@@ -522,4 +660,34 @@ export class MapSelectScene extends Phaser.Scene {
       return null;
     }
   }
+
+  /**
+   * Helper to read the last selected difficulty from localStorage.
+   */
+  _getLastDifficultyKey() {
+    if (typeof window === 'undefined') {
+      return null;
+    }
+    try {
+      return window.localStorage?.getItem('NOTBM:lastDifficulty');
+    } catch (err) {
+      console.warn('[MapSelectScene] Failed to read stored difficulty key:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Helper to read whether endless mode was on for the last run.
+   */
+  _getLastEndless() {
+    if (typeof window === 'undefined') {
+      return false;
+    }
+    try {
+      return window.localStorage?.getItem('NOTBM:lastEndless') === '1';
+    } catch (err) {
+      console.warn('[MapSelectScene] Failed to read stored endless choice:', err);
+      return false;
+    }
+  }
 }
@@ -2,6 +2,18 @@ import Phaser from 'phaser';
 import { getOrCreateSoundManager } from '../audio/SoundManager.js';
 import { AUDIO_MANIFEST } from '../audio/audioManifest.js';
 import { SettingsMenu } from '../ui/SettingsMenu.js';
+import { formatSeed, parseSeed } from '../run/RunRng.js';
+import { parseReplay } from '../run/RunReplay.js';
+import { GamepadInput } from '../input/GamepadInput.js';
+import { ButtonFocus } from '../input/ButtonFocus.js';
+import { actionKeysLabel, isActionKey, onActionKeys, onBindingsChanged } from '../input/ControlBindings.js';
+import { actionPrompt, movePrompt } from '../input/InputPrompts.js';
+import { META } from '../config/gameConfig.js';
+import { formatDate, formatNumber, onLocaleChanged, t, uiText } from '../i18n/Localization.js';
+import { getAchievementTarget, listAchievements } from '../meta/AchievementRegistry.js';
+import { AchievementStore } from '../meta/AchievementStore.js';
+import { achievementRewardText } from '../ui/AchievementToast.js';
+import { SuspendedRun } from '../run/SuspendedRun.js';
 
 export class MenuScene extends Phaser.Scene {
   /** Initialize MenuScene state so runtime dependencies are ready. */
@@ -82,7 +94,7 @@ export class MenuScene extends Phaser.Scene {
 
     // ------- Title -------
     const title = this.add.text(this.scale.width / 2, this.scale.height * 0.25,
-      'NIGHT OF THE\nENDLESS MOON',
+      t('menu.title'),
       {
         fontFamily: 'monospace',
         fontSize: '48px',
@@ -108,12 +120,34 @@ export class MenuScene extends Phaser.Scene {
 
 
     // ------- Buttons -------
-    const btnsY = this.scale.height * 0.6;
-    const spacing = 60;
+    const btnsY = this.scale.height * 0.4;
+    const spacing = 46;
 
     this.activeModal = null;
 
-    const startBtn = this._makeButton(this.scale.width/2, btnsY + 0 * spacing, 'Start', () => {
+    // A suspended run splits the first row: Continue on the left, Start on the right.
+    const suspended = SuspendedRun.load();
+    const startX = suspended ? this.scale.width/2 + 72 : this.scale.width/2;
+    const startW = suspended ? 136 : 280;
+
+    const continueBtn = suspended
+      ? this._makeButton(this.scale.width/2 - 72, btnsY, t('menu.continue'), () => {
+        if (this.activeModal) {
+          return;
+        }
+        this.scene.start('game', {
+          heroKey: suspended.heroKey,
+          mapKey: suspended.mapKey,
+          difficultyKey: suspended.difficultyKey ?? undefined,
+          endless: suspended.endless === true,
+          seed: suspended.seed ?? undefined,
+          metaUpgrades: suspended.metaUpgrades ?? {},
+          resume: suspended
+        });
+      }, 6, 136)
+      : null;
+
+    const startBtn = this._makeButton(startX, btnsY + 0 * spacing, t('menu.start'), () => {
       // Persisted hero key lets us highlight the last selection when returning
       // to the hero-select scene (nice quality-of-life when testing).
       let lastHero = null;
@@ -124,91 +158,329 @@ export class MenuScene extends Phaser.Scene {
           console.warn('[MenuScene] Failed to read last hero from storage:', err);
         }
       }
-      this.scene.start('hero-select', { heroKey: lastHero });
+      this.scene.start('hero-select', { heroKey: lastHero, seed: this.runSeed ?? undefined });
+    }, 6, startW);
+
+    const shopBtn = this._makeButton(this.scale.width/2, btnsY + 1 * spacing, t('metaShop.title'), () => {
+      if (this.activeModal) {
+        return;
+      }
+      this.scene.start('meta-shop');
     }, 6);
 
-    const howBtn = this._makeButton(this.scale.width/2, btnsY + 1 * spacing, 'How to Play', () => {
+    const recordsBtn = this._makeButton(this.scale.width/2, btnsY + 2 * spacing, t('records.title'), () => {
       if (this.activeModal) {
         return;
       }
-      this._openModal('How to Play', [
-        'Controls:',
-        '• Desktop: Move with WASD or Arrow Keys',
-        '• Mobile: Use the on-screen joystick',
-        '• Pause: Press Esc or tap the button in the top-right corner',
-        '',
-        'Combat:',
-        '• Your weapon fires automatically at nearby enemies',
-        '• Positioning and movement are your primary defense',
-        '',
-        'Progression:',
-        '• Collect blue and green shards to gain XP',
-        '• Level up to choose new weapons or powerful passives',
-        '• Build synergies to survive the rising difficulty',
-        '',
-        'Objective:',
-        '• Survive the night',
-        '• Defeat the boss that awaits at dawn'
-      ]);
+      this.scene.start('records');
     }, 6);
 
-    const settingsBtn = this._makeButton(this.scale.width/2, btnsY + 2 * spacing, 'Settings', () => {
+    const achievementsBtn = this._makeButton(this.scale.width/2, btnsY + 3 * spacing, t('achievements.title'), () => {
       if (this.activeModal) {
         return;
       }
-      this._openSettingsModal();
+      this._openAchievementsModal();
     }, 6);
 
-    const aboutBtn = this._makeButton(this.scale.width/2, btnsY + 3 * spacing, 'About', () => {
+    const howBtn = this._makeButton(this.scale.width/2, btnsY + 4 * spacing, t('menu.howTo.title'), () => {
       if (this.activeModal) {
         return;
       }
-      this._openModal('About', [
-        'When the blood moon rises, the dead answer its call.',
-        'Night of the Endless Moon is a dark-fantasy survival game set on a cursed battlefield of graves and ruin.',
-        'Fight through relentless hordes, collect blue shards to grow stronger, and forge a build powerful enough to last until dawn.',
-        'If you survive the night, a final boss awaits.',
-        '',
-        'Assets & Credits:',
-        'Art and audio are sourced from itch.io, OpenGameArt, Mixkit, and Pixabay.',
-        'All assets are CC0 or free-to-use.'
-      ]);
+      this._openModal(t('menu.howTo.title'), t('menu.howTo.body', {
+        move: movePrompt(),
+        pause: actionKeysLabel('pause'),
+        reroll: actionKeysLabel('reroll', { all: false }),
+        skip: actionKeysLabel('skip', { all: false }),
+        banish: actionKeysLabel('banish', { all: false }),
+        currency: t(META.currencyNameKey),
+        shop: t('metaShop.title')
+      }).split('\n'));
     }, 6);
 
-    // Keyboard shortcuts (simulate click)
-    this.input.keyboard.on('keydown-ENTER', () => {
+    const settingsBtn = this._makeButton(this.scale.width/2, btnsY + 5 * spacing, t('pause.settings'), () => {
       if (this.activeModal) {
         return;
       }
-      startBtn.emit('click');
-    });
-    this.input.keyboard.on('keydown-SPACE', () => {
+      this._openSettingsModal();
+    }, 6);
+
+    const aboutBtn = this._makeButton(this.scale.width/2, btnsY + 6 * spacing, t('menu.about.title'), () => {
       if (this.activeModal) {
         return;
       }
-      startBtn.emit('click');
-    });
-    this.input.keyboard.on('keydown-H', () => {
+      this._openModal(t('menu.about.title'), t('menu.about.body').split('\n'));
+    }, 6);
+
+    // ------- Seed -------
+    // Survives returning to the menu (scene instance is reused) but is not
+    // persisted, so a fixed seed never silently carries into a new session.
+    this.runSeed = this.runSeed ?? null;
+    this.seedLabel = this.add.text(16, this.scale.height - 16, '', {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      color: '#c8d0ff'
+    })
+      .setOrigin(0, 1)
+      .setDepth(6)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerover', () => this.seedLabel.setColor('#ffffff'))
+      .on('pointerout', () => this.seedLabel.setColor('#c8d0ff'))
+      .on('pointerup', () => {
+        if (this.activeModal) {
+          return;
+        }
+        this._openSeedModal();
+      });
+    this._refreshSeedLabel();
+
+    // ------- Replay -------
+    const replayLabel = this.add.text(this.scale.width - 16, this.scale.height - 16, '', {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      color: '#c8d0ff'
+    })
+      .setOrigin(1, 1)
+      .setDepth(6)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerover', () => replayLabel.setColor('#ffffff'))
+      .on('pointerout', () => replayLabel.setColor('#c8d0ff'))
+      .on('pointerup', () => {
+        if (this.activeModal) {
+          return;
+        }
+        this._openReplayPicker();
+      });
+    this.replayLabel = replayLabel;
+    this._refreshReplayLabel();
+
+    // Keyboard shortcuts (simulate click); keys come from ControlBindings.
+    const whenIdle = (fn) => () => {
       if (this.activeModal) {
         return;
       }
-      howBtn.emit('click');
+      fn();
+    };
+    onActionKeys(this.input.keyboard, {
+      confirm: whenIdle(() => (continueBtn ?? startBtn).emit('click')),
+      openShop: whenIdle(() => shopBtn.emit('click')),
+      openRecords: whenIdle(() => recordsBtn.emit('click')),
+      openAchievements: whenIdle(() => achievementsBtn.emit('click')),
+      openHowTo: whenIdle(() => howBtn.emit('click')),
+      openAbout: whenIdle(() => aboutBtn.emit('click')),
+      openSeed: whenIdle(() => this._openSeedModal()),
+      loadReplay: whenIdle(() => this._openReplayPicker())
+    });
+    onBindingsChanged(this, () => {
+      this._refreshSeedLabel();
+      this._refreshReplayLabel();
     });
-    this.input.keyboard.on('keydown-A', () => {
+
+    // ------- Gamepad -------
+    this.gamepad = new GamepadInput(this);
+    this.buttonFocus = new ButtonFocus([continueBtn, startBtn, shopBtn, recordsBtn, achievementsBtn, howBtn, settingsBtn, aboutBtn]);
+    this._bindGamepad();
+  }
+
+  /**
+   * Pad navigation: up/down walk the main buttons, confirm presses the focused
+   * one (Continue when a run is suspended, otherwise Start). With a modal open,
+   * confirm/back accept or dismiss it; SettingsMenu handles the pad itself
+   * while it is up.
+   */
+  _bindGamepad() {
+    const pad = this.gamepad;
+    const whenIdle = (fn) => () => {
+      if (!this.activeModal) fn();
+    };
+
+    pad.on('up', whenIdle(() => this.buttonFocus.move(-1)));
+    pad.on('down', whenIdle(() => this.buttonFocus.move(1)));
+    pad.on('confirm', () => {
+      if (this.settingsMenu) {
+        return;
+      }
       if (this.activeModal) {
+        (this.activeModal.confirm ?? this.activeModal.dismiss)();
+        return;
+      }
+      this.buttonFocus.activate();
+    });
+    pad.on('back', () => {
+      if (this.settingsMenu) {
         return;
       }
-      aboutBtn.emit('click');
+      this.activeModal?.dismiss();
     });
   }
 
+  /**
+   * Let the player pick a recording saved from the end screen (or F8 mid-run)
+   * and start GameScene in replay mode with the recorded hero, map, difficulty
+   * and seed.
+   */
+  _openReplayPicker() {
+    if (typeof document === 'undefined') {
+      return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', () => {
+      const file = input.files?.[0];
+      if (!file) {
+        return;
+      }
+      file.text()
+        .then((text) => {
+          const replay = parseReplay(text);
+          this.scene.start('game', {
+            heroKey: replay.heroKey ?? undefined,
+            mapKey: replay.mapKey ?? undefined,
+            difficultyKey: replay.difficultyKey ?? undefined,
+            endless: replay.endless === true,
+            seed: replay.seed,
+            // Recordings from before meta upgrades existed ran with none.
+            metaUpgrades: replay.metaUpgrades ?? {},
+            replay
+          });
+        })
+        .catch((err) => {
+          console.warn('[MenuScene] Failed to load replay:', err);
+          if (!this.activeModal) {
+            this._openModal(t('menu.replay.title'), [err?.message ?? t('menu.replay.error')]);
+          }
+        });
+    }, { once: true });
+    input.click();
+  }
+
+  /** Sync the bottom-left seed indicator with the current run seed. */
+  _refreshSeedLabel() {
+    this.seedLabel?.setText(t('menu.seed.label', {
+      seed: this.runSeed ?? t('menu.seed.random'),
+      key: actionKeysLabel('openSeed', { all: false })
+    }));
+  }
+
+  _refreshReplayLabel() {
+    this.replayLabel?.setText(t('menu.replay.label', { key: actionKeysLabel('loadReplay', { all: false }) }));
+  }
+
+  /**
+   * Seed entry modal. Typed characters build the seed text; Confirm accepts,
+   * Back cancels, an empty seed means a random one is rolled per run.
+   * Touch devices without a keyboard fall back to the browser prompt.
+   */
+  _openSeedModal() {
+    if (!this.sys.game.device.os.desktop && typeof window !== 'undefined' && window.prompt) {
+      const entered = window.prompt(t('menu.seed.prompt'), this.runSeed ?? '');
+      if (entered != null) {
+        this._applySeedText(entered);
+      }
+      return;
+    }
+
+    const D_BACK = 20, D_PANEL = 21, D_TEXT = 22, D_BTN = 23;
+    const MAX_LENGTH = 16;
+
+    const w = Math.min(460, this.scale.width - 80);
+    const h = 240;
+    const x = this.scale.width / 2;
+    const y = this.scale.height / 2;
+
+    let value = this.runSeed ?? '';
+
+    const block = this.add.rectangle(0, 0, this.scale.width, this.scale.height, 0x000000, 0.35)
+      .setOrigin(0).setDepth(D_BACK).setInteractive();
+
+    const panel = this.add.rectangle(x, y, w, h, 0x0e1422, 0.95)
+      .setDepth(D_PANEL)
+      .setStrokeStyle(2, 0x8a143a, 1);
+
+    const head = this.add.text(x, y - h/2 + 30, t('menu.seed.title'), {
+      fontFamily: 'monospace',
+      fontSize: '22px',
+      color: '#ffd6e7'
+    }).setOrigin(0.5).setDepth(D_TEXT);
+
+    const hint = this.add.text(x, y - h/2 + 62, t('menu.seed.hint'), {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      color: '#8f96c8'
+    }).setOrigin(0.5).setDepth(D_TEXT);
+
+    const field = this.add.text(x, y - 6, '', {
+      fontFamily: 'monospace',
+      fontSize: '24px',
+      color: '#e9e2ff'
+    }).setOrigin(0.5).setDepth(D_TEXT);
+
+    const renderField = () => field.setText(value.length ? `${value}_` : t('menu.seed.random'));
+    renderField();
+
+    let confirmBtn, randomBtn;
+    const dismiss = () => {
+      [block, panel, head, hint, field, confirmBtn, randomBtn].forEach(o => o?.destroy());
+      this.input.keyboard.off('keydown', onKey);
+      if (this.activeModal?.dismiss === dismiss) {
+        this.activeModal = null;
+      }
+    };
+
+    const confirm = () => {
+      this._applySeedText(value);
+      dismiss();
+    };
+
+    // Seed characters win over bindings so a letter bound to Confirm/Back can still be typed.
+    const onKey = (event) => {
+      const isSeedChar = event.key?.length === 1 && /[0-9a-z]/i.test(event.key);
+      if (isSeedChar) {
+        if (value.length < MAX_LENGTH) {
+          value += event.key.toUpperCase();
+          renderField();
+        }
+      } else if (event.key === 'Backspace') {
+        value = value.slice(0, -1);
+        renderField();
+      } else if (isActionKey('back', event)) {
+        dismiss();
+      } else if (isActionKey('confirm', event)) {
+        confirm();
+      }
+    };
+
+    confirmBtn = this._makeButton(x - 80, y + h/2 - 36, t('menu.okPrompt', { prompt: actionPrompt('confirm', { all: false }) }), confirm, D_BTN, 150);
+    randomBtn = this._makeButton(x + 80, y + h/2 - 36, t('menu.seed.random'), () => {
+      value = '';
+      confirm();
+    }, D_BTN, 150);
+
+    // Defer so the key that opened the modal is not typed into it
+    this.time.delayedCall(0, () => this.input.keyboard.on('keydown', onKey));
+    block.once('pointerup', () => dismiss());
+
+    this.activeModal = { dismiss, confirm };
+  }
+
+  /**
+   * Store the canonical seed text (null = random) so the menu shows the same
+   * value the EndRunMenu reports for the run.
+   */
+  _applySeedText(text) {
+    const seed = parseSeed(text);
+    this.runSeed = seed == null ? null : formatSeed(seed);
+    this._refreshSeedLabel();
+  }
+
   /**
    * Button as a Container. The CONTAINER is interactive (most reliable).
    * - container.setSize(w,h).setInteractive({ useHandCursor:true })
    * - hover/press styles applied by mutating bg / label / glow
    */
-  _makeButton(x, y, label, onClick, depth=6) {
-    const w = 280, h = 44;
+  _makeButton(x, y, label, onClick, depth=6, w=280) {
+    const h = 44;
 
     const container = this.add.container(x, y).setDepth(depth);
     container.setSize(w, h).setInteractive({ useHandCursor: true });
@@ -254,8 +526,11 @@ export class MenuScene extends Phaser.Scene {
     return container;
   }
 
-  /** Handle _openModal so this system stays coordinated. */
-  _openModal(title, lines) {
+  /**
+   * Text modal with a close button. `buildContent({ x, y, width, depth })`
+   * may add display objects below the body text; they are destroyed with it.
+   */
+  _openModal(title, lines, buildContent = null) {
     // Modal depths
     const D_BACK = 20, D_PANEL = 21, D_TEXT = 22, D_BTN = 23;
 
@@ -285,43 +560,99 @@ export class MenuScene extends Phaser.Scene {
       wordWrap: { width: w - 48 }
     }).setDepth(D_TEXT);
 
+    const content = buildContent?.({ x: body.x, y: body.y + body.height, width: w - 48, depth: D_TEXT }) ?? [];
+
     // Close button (container) above panel/text
     let closeBtn;
     const dismiss = () => {
-      [block, panel, head, body, closeBtn].forEach(o => o?.destroy());
-      this.input.keyboard.off('keydown-ESC', onEsc);
-      this.input.keyboard.off('keydown-ENTER', onEsc);
-      this.input.keyboard.off('keydown-SPACE', onEsc);
+      [block, panel, head, body, ...content, closeBtn].forEach(o => o?.destroy());
+      disposeKeys?.();
       if (this.activeModal?.dismiss === dismiss) {
         this.activeModal = null;
       }
     };
 
     const onEsc = () => dismiss();
+    let disposeKeys = null;
 
-    closeBtn = this._makeButton(x, y + h/2 - 32, 'Close (Esc)', () => dismiss(), D_BTN);
+    closeBtn = this._makeButton(x, y + h/2 - 32, t('menu.closePrompt', { prompt: actionPrompt('back', { all: false }) }), () => dismiss(), D_BTN);
 
-    // One-shot listeners; backdrop also dismisses
-    this.input.keyboard.once('keydown-ESC', onEsc);
-    this.input.keyboard.once('keydown-ENTER', onEsc);
-    this.input.keyboard.once('keydown-SPACE', onEsc);
+    // Back or Confirm closes; backdrop also dismisses
+    disposeKeys = onActionKeys(this.input.keyboard, { back: onEsc, confirm: onEsc });
     block.once('pointerup', onEsc);
 
     this.activeModal = { dismiss };
   }
 
+  /**
+   * Achievements list: name, progress (or unlock date), description and the
+   * hero/map the reward reveals. Earned entries are highlighted.
+   */
+  _openAchievementsModal() {
+    const { progress, unlocked } = AchievementStore.load();
+    const entries = listAchievements();
+    const earned = entries.filter((entry) => unlocked[entry.key]).length;
+    const ROW_HEIGHT = 42;
+
+    this._openModal(t('achievements.title'), [t('achievements.count', { unlocked: earned, total: entries.length })], ({ x, y, width, depth }) => {
+      const objects = [];
+      entries.forEach((entry, index) => {
+        const rowY = y + 12 + index * ROW_HEIGHT;
+        const target = getAchievementTarget(entry);
+        const unlockedAt = unlocked[entry.key];
+
+        const name = this.add.text(x, rowY, `${unlockedAt ? '★' : '☆'} ${uiText(entry, 'name', entry.key)}`, {
+          fontFamily: 'monospace',
+          fontSize: '16px',
+          color: unlockedAt ? '#ffd36b' : '#e9e2ff'
+        }).setDepth(depth);
+
+        const status = unlockedAt
+          ? t('achievements.unlockedOn', { date: formatDate(unlockedAt) })
+          : t('achievements.progress', { value: formatNumber(progress[entry.key] ?? 0), target: formatNumber(target) });
+        const progressText = this.add.text(x + width, rowY + 2, status, {
+          fontFamily: 'monospace',
+          fontSize: '13px',
+          color: unlockedAt ? '#ffd36b' : '#8f96c8'
+        }).setOrigin(1, 0).setDepth(depth);
+
+        const description = [
+          t(entry.ui?.descriptionKey, { target: formatNumber(target), default: '' }),
+          achievementRewardText(entry.reward)
+        ].filter(Boolean).join('  ');
+        const detail = this.add.text(x + 20, rowY + 20, description, {
+          fontFamily: 'monospace',
+          fontSize: '12px',
+          color: '#8f96c8'
+        }).setDepth(depth);
+
+        objects.push(name, progressText, detail);
+      });
+      return objects;
+    });
+  }
+
   /** Handle _openSettingsModal so this system stays coordinated. */
   _openSettingsModal() {
     if (this.settingsMenu) {
       return;
     }
 
+    // The menu labels are built once in create(), so a language switch
+    // rebuilds the scene when the settings panel closes.
+    let localeChanged = false;
+    const disposeLocale = onLocaleChanged(this, () => { localeChanged = true; });
+
     const dismiss = () => {
+      disposeLocale();
       this.settingsMenu?.destroy();
       this.settingsMenu = null;
       if (this.activeModal?.dismiss === dismiss) {
         this.activeModal = null;
       }
+      if (localeChanged) {
+        this.scene.restart();
+      }
     };
 
     this.settingsMenu = new SettingsMenu(this, {
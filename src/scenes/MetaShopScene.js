@@ -0,0 +1,254 @@
+import Phaser from 'phaser';
+import { META } from '../config/gameConfig.js';
+import { MetaStore } from '../meta/MetaStore.js';
+import { getMetaUpgradeCost, listMetaUpgrades } from '../meta/MetaUpgradeRegistry.js';
+import { onActionKeys } from '../input/ControlBindings.js';
+import { GamepadInput } from '../input/GamepadInput.js';
+import { actionPrompt, movePrompt, onPromptsChanged } from '../input/InputPrompts.js';
+import { formatNumber, t, uiText } from '../i18n/Localization.js';
+
+// --- Layout constants ------------------------------------------------------
+// Tuned against the base 960×540 resolution; one row per MetaUpgradeRegistry entry.
+const ROW_WIDTH = 640;
+const ROW_HEIGHT = 62;
+const ROW_SPACING = 72;
+const ROWS_TOP = 158;
+const ICON_SIZE = 40;
+
+const COLOR_IDLE = 0x303850;
+const COLOR_FOCUS = 0xff759b;
+
+/**
+ * Permanent upgrade shop reachable from the main menu. Spends the meta
+ * currency banked at the end of runs (MetaStore) on MetaUpgradeRegistry
+ * ranks, which GameScene applies at the start of every run.
+ *
+ * Controls resolve through ControlBindings: Move Up/Down to browse, Confirm
+ * to buy, Back to return (keyboard or gamepad).
+ */
+export class MetaShopScene extends Phaser.Scene {
+  /** Initialize MetaShopScene state so runtime dependencies are ready. */
+  constructor() {
+    super('meta-shop');
+    this.rows = [];
+    this.focusIndex = 0;
+    this._transitioning = false;
+  }
+
+  /** Reset transient state so re-entering from the menu starts clean. */
+  init() {
+    this._transitioning = false;
+    this.focusIndex = 0;
+    this.rows = [];
+  }
+
+  /** Handle create so this system stays coordinated. */
+  create() {
+    this.upgrades = listMetaUpgrades();
+    this.profile = MetaStore.load();
+
+    this._buildBackground();
+    this.rows = this.upgrades.map((upgrade, index) => this._createRow(upgrade, index));
+    this._bindInput();
+
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => this._unbindInput());
+
+    this._refresh();
+  }
+
+  /** Animated ground + title, currency readout and key hints. */
+  _buildBackground() {
+    this.ground = this.add.tileSprite(0, 0, 4096, 4096, 'ground')
+      .setOrigin(0.5)
+      .setDepth(0)
+      .setScrollFactor(0);
+
+    this.time.addEvent({
+      delay: 16,
+      loop: true,
+      callback: () => {
+        this.ground.tilePositionX += 0.15;
+        this.ground.tilePositionY += 0.10;
+      }
+    });
+
+    this.add.rectangle(0, 0, 4000, 4000, 0x8a143a, 0.10)
+      .setScrollFactor(0)
+      .setDepth(1)
+      .setBlendMode(Phaser.BlendModes.MULTIPLY);
+
+    this.add.text(this.scale.width / 2, 60, t('metaShop.title'), {
+      fontFamily: 'monospace',
+      fontSize: '36px',
+      color: '#e9e2ff',
+      stroke: '#8a143a',
+      strokeThickness: 4
+    }).setOrigin(0.5).setDepth(5);
+
+    this.currencyText = this.add.text(this.scale.width / 2, 106, '', {
+      fontFamily: 'monospace',
+      fontSize: '18px',
+      color: '#ffcc4d'
+    }).setOrigin(0.5).setDepth(5);
+
+    this.hintText = this.add.text(this.scale.width / 2, this.scale.height - 32, '', {
+      fontFamily: 'monospace',
+      fontSize: '16px',
+      color: '#c8d0ff'
+    }).setOrigin(0.5).setDepth(5);
+    this._refreshHint();
+    onPromptsChanged(this, () => this._refreshHint());
+  }
+
+  _refreshHint() {
+    this.hintText?.setText(t('metaShop.hint', {
+      move: movePrompt(),
+      confirm: actionPrompt('confirm'),
+      back: actionPrompt('back')
+    }));
+  }
+
+  /**
+   * One upgrade row: icon, name + description, rank and the price of the next rank.
+   * The container is interactive so hover focuses and click buys.
+   */
+  _createRow(upgrade, index) {
+    const y = ROWS_TOP + index * ROW_SPACING;
+    const container = this.add.container(this.scale.width / 2, y).setDepth(5);
+    container.setSize(ROW_WIDTH, ROW_HEIGHT).setInteractive({ useHandCursor: true });
+
+    const background = this.add.rectangle(0, 0, ROW_WIDTH, ROW_HEIGHT, 0x111522, 0.92)
+      .setStrokeStyle(2, COLOR_IDLE, 1);
+
+    const left = -ROW_WIDTH / 2 + 16;
+    const elements = [background];
+
+    const iconMeta = upgrade.ui?.icon ?? {};
+    const textureKey = iconMeta.atlas || iconMeta.key || null;
+    if (textureKey && this.textures.exists(textureKey)) {
+      const icon = this.add.image(left + ICON_SIZE / 2, 0, textureKey, iconMeta.frame ?? undefined).setOrigin(0.5);
+      icon.setScale(ICON_SIZE / Math.max(icon.width, icon.height, 1));
+      elements.push(icon);
+    }
+
+    const name = this.add.text(left + ICON_SIZE + 14, -12, uiText(upgrade, 'name', upgrade.key), {
+      fontFamily: 'monospace',
+      fontSize: '18px',
+      color: '#e9e2ff'
+    }).setOrigin(0, 0.5);
+
+    const description = this.add.text(left + ICON_SIZE + 14, 12, uiText(upgrade, 'description'), {
+      fontFamily: 'monospace',
+      fontSize: '13px',
+      color: '#8f96c8'
+    }).setOrigin(0, 0.5);
+
+    const rank = this.add.text(ROW_WIDTH / 2 - 150, 0, '', {
+      fontFamily: 'monospace',
+      fontSize: '16px',
+      color: '#c8d0ff'
+    }).setOrigin(0.5);
+
+    const price = this.add.text(ROW_WIDTH / 2 - 16, 0, '', {
+      fontFamily: 'monospace',
+      fontSize: '16px',
+      color: '#ffcc4d'
+    }).setOrigin(1, 0.5);
+
+    elements.push(name, description, rank, price);
+    container.add(elements);
+
+    container.on('pointerover', () => this._setFocus(index));
+    container.on('pointerup', () => {
+      this._setFocus(index);
+      this._purchaseFocused();
+    });
+
+    return { upgrade, container, background, rank, price };
+  }
+
+  _bindInput() {
+    this._handleUp = () => this._setFocus(this.focusIndex - 1);
+    this._handleDown = () => this._setFocus(this.focusIndex + 1);
+    this._handleConfirm = () => this._purchaseFocused();
+    this._handleBack = () => this._returnToMenu();
+
+    this._disposeKeys = onActionKeys(this.input.keyboard, {
+      moveUp: this._handleUp,
+      moveDown: this._handleDown,
+      confirm: this._handleConfirm,
+      back: this._handleBack
+    });
+
+    this.gamepad = new GamepadInput(this);
+    this.gamepad.on('up', this._handleUp);
+    this.gamepad.on('down', this._handleDown);
+    this.gamepad.on('confirm', this._handleConfirm);
+    this.gamepad.on('back', this._handleBack);
+  }
+
+  /** Phaser keeps keyboard listeners across restarts; drop ours on shutdown. */
+  _unbindInput() {
+    this._disposeKeys?.();
+    this._disposeKeys = null;
+
+    this.gamepad?.destroy();
+    this.gamepad = null;
+  }
+
+  _setFocus(index) {
+    if (!this.rows.length) return;
+    const count = this.rows.length;
+    this.focusIndex = ((index % count) + count) % count;
+    this._refresh();
+  }
+
+  /** Buy the next rank of the focused upgrade; a refused purchase flashes the price. */
+  _purchaseFocused() {
+    const row = this.rows[this.focusIndex];
+    if (!row || this._transitioning) return;
+
+    const result = MetaStore.purchase(row.upgrade.key);
+    this.profile = result.profile;
+
+    if (!result.ok) {
+      this.tweens.add({
+        targets: row.price,
+        alpha: 0.2,
+        duration: 80,
+        yoyo: true,
+        repeat: 1
+      });
+    }
+
+    this._refresh();
+  }
+
+  /** Sync currency, ranks, prices and the focus ring with the stored profile. */
+  _refresh() {
+    this.currencyText?.setText(t('metaShop.currency', { currency: t(META.currencyNameKey), value: formatNumber(this.profile.currency) }));
+
+    this.rows.forEach((row, index) => {
+      const { upgrade } = row;
+      const owned = this.profile.upgrades[upgrade.key] ?? 0;
+      const cost = getMetaUpgradeCost(upgrade.key, owned);
+
+      row.rank.setText(t('metaShop.rank', { owned, max: upgrade.maxRank }));
+      if (cost == null) {
+        row.price.setText(t('metaShop.max')).setColor('#9bffb0');
+      } else {
+        row.price.setText(t('metaShop.buy', { cost: formatNumber(cost) })).setColor(this.profile.currency >= cost ? '#ffcc4d' : '#7d6a4a');
+      }
+
+      const focused = index === this.focusIndex;
+      row.background.setStrokeStyle(2, focused ? COLOR_FOCUS : COLOR_IDLE, 1);
+      row.container.setScale(focused ? 1.02 : 1);
+    });
+  }
+
+  _returnToMenu() {
+    if (this._transitioning) return;
+    this._transitioning = true;
+    this.scene.start('menu');
+  }
+}
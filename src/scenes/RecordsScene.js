@@ -0,0 +1,465 @@
+import Phaser from 'phaser';
+import { HeroRegistry } from '../hero/HeroRegistry.js';
+import { MapRegistry } from '../maps/MapRegistry.js';
+import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
+import { PassiveRegistry } from '../passives/PassiveRegistry.js';
+import { resolveDifficulty } from '../run/DifficultyRegistry.js';
+import { RunHistory } from '../run/RunHistory.js';
+import { onActionKeys } from '../input/ControlBindings.js';
+import { GamepadInput } from '../input/GamepadInput.js';
+import { actionPrompt, movePrompt, onPromptsChanged } from '../input/InputPrompts.js';
+import { formatDate, formatNumber, t, uiText } from '../i18n/Localization.js';
+
+// --- Layout constants ------------------------------------------------------
+// Tuned against the base 960×540 resolution: run list on the left, filters and
+// personal bests on the right, details of the focused run under the list.
+const LIST_LEFT = 24;
+const LIST_WIDTH = 580;
+const LIST_TOP = 112;
+const ROW_HEIGHT = 30;
+const VISIBLE_ROWS = 10;
+const NAME_CHARS = 13;
+
+const SIDE_LEFT = 628;
+const SIDE_WIDTH = 308;
+const FILTER_TOP = 96;
+const FILTER_SPACING = 34;
+const BESTS_TOP = 248;
+const BEST_SPACING = 40;
+const MAX_BESTS = 5;
+
+// List column anchors from LIST_LEFT: left edge for names, right edge for numbers.
+const COLUMNS = { date: 8, hero: 108, map: 228, time: 400, level: 450, kills: 515, result: 572 };
+
+const COLOR_IDLE = 0x303850;
+const COLOR_FOCUS = 0xff759b;
+
+/** Sort orders, in the order the Sort filter cycles them. */
+const SORTS = {
+  recent: (a, b) => b.endedAt - a.endedAt,
+  time: (a, b) => b.durationMs - a.durationMs || b.endedAt - a.endedAt,
+  kills: (a, b) => b.kills - a.kills || b.endedAt - a.endedAt
+};
+const SORT_KEYS = Object.keys(SORTS);
+/** Mode filter: every run, standard runs only, or the endless leaderboard. */
+const MODES = [null, 'standard', 'endless'];
+const FILTERS = ['sort', 'mode', 'hero', 'map'];
+
+function formatClock(ms) {
+  const totalSeconds = Math.floor(Math.max(0, Number(ms) || 0) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+function clip(text, chars) {
+  return text.length > chars ? `${text.slice(0, chars - 1)}…` : text;
+}
+
+function heroName(key) {
+  return uiText(HeroRegistry[key], 'name', key);
+}
+
+function mapName(key) {
+  return uiText(MapRegistry[key], 'name', key);
+}
+
+function passiveName(key) {
+  return uiText(PassiveRegistry[key], 'name', key);
+}
+
+function weaponName(key) {
+  const entry = WeaponRegistry[key];
+  return entry ? uiText(entry, 'name', key) : t('endRun.breakdown.other');
+}
+
+/**
+ * Run history and personal records reachable from the main menu. Lists the
+ * runs kept by RunHistory (sortable by date, time or kills and filterable by
+ * mode, hero and map), the best time and most kills per hero/map combo (plus
+ * the furthest cycle on the endless leaderboard), and the loadout and damage
+ * of the focused run.
+ *
+ * Controls resolve through ControlBindings: Move Up/Down walks the filters
+ * and then the runs, Move Left/Right (or Confirm) changes the focused filter,
+ * Back returns to the menu (keyboard or gamepad).
+ */
+export class RecordsScene extends Phaser.Scene {
+  /** Initialize RecordsScene state so runtime dependencies are ready. */
+  constructor() {
+    super('records');
+    this.focusIndex = 0;
+    this.scrollTop = 0;
+    this._transitioning = false;
+  }
+
+  /** Reset transient state so re-entering from the menu starts clean. */
+  init() {
+    this._transitioning = false;
+    this.focusIndex = FILTERS.length;
+    this.scrollTop = 0;
+    this.sortKey = SORT_KEYS[0];
+    this.modeFilter = null;
+    this.heroFilter = null;
+    this.mapFilter = null;
+  }
+
+  /** Handle create so this system stays coordinated. */
+  create() {
+    this.history = RunHistory.load();
+
+    // Only heroes and maps that appear in the history are worth filtering by.
+    const used = (field, registry) => {
+      const keys = new Set(this.history.runs.map((run) => run[field]));
+      const order = Object.keys(registry);
+      return [null, ...[...keys].sort((a, b) => {
+        const ai = order.indexOf(a);
+        const bi = order.indexOf(b);
+        return (ai < 0 ? Infinity : ai) - (bi < 0 ? Infinity : bi);
+      })];
+    };
+    this.heroOptions = used('heroKey', HeroRegistry);
+    this.mapOptions = used('mapKey', MapRegistry);
+
+    this._buildBackground();
+    this._buildList();
+    this._buildSidebar();
+    this._bindInput();
+
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => this._unbindInput());
+
+    this._applyFilters();
+  }
+
+  /** Animated ground + title and key hints (same backdrop as the shop). */
+  _buildBackground() {
+    this.ground = this.add.tileSprite(0, 0, 4096, 4096, 'ground')
+      .setOrigin(0.5)
+      .setDepth(0)
+      .setScrollFactor(0);
+
+    this.time.addEvent({
+      delay: 16,
+      loop: true,
+      callback: () => {
+        this.ground.tilePositionX += 0.15;
+        this.ground.tilePositionY += 0.10;
+      }
+    });
+
+    this.add.rectangle(0, 0, 4000, 4000, 0x8a143a, 0.10)
+      .setScrollFactor(0)
+      .setDepth(1)
+      .setBlendMode(Phaser.BlendModes.MULTIPLY);
+
+    this.add.text(this.scale.width / 2, 44, t('records.title'), {
+      fontFamily: 'monospace',
+      fontSize: '32px',
+      color: '#e9e2ff',
+      stroke: '#8a143a',
+      strokeThickness: 4
+    }).setOrigin(0.5).setDepth(5);
+
+    this.hintText = this.add.text(this.scale.width / 2, this.scale.height - 18, '', {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      color: '#c8d0ff'
+    }).setOrigin(0.5).setDepth(5);
+    this._refreshHint();
+    onPromptsChanged(this, () => this._refreshHint());
+  }
+
+  _refreshHint() {
+    this.hintText?.setText(t('records.hint', {
+      move: movePrompt(),
+      back: actionPrompt('back')
+    }));
+  }
+
+  /** Column headers, a fixed pool of row slots and the focused-run details. */
+  _buildList() {
+    const headerStyle = { fontFamily: 'monospace', fontSize: '12px', color: '#f7cfe3' };
+    const header = {
+      date: t('records.column.date'),
+      hero: t('records.column.hero'),
+      map: t('records.column.map'),
+      time: t('records.column.time'),
+      level: t('records.column.level'),
+      kills: t('records.column.kills'),
+      result: t('records.column.result')
+    };
+    this._addCells(LIST_TOP - 14, headerStyle, header);
+
+    this.rows = Array.from({ length: VISIBLE_ROWS }, (_, slot) => this._createRow(slot));
+
+    this.emptyText = this.add.text(LIST_LEFT + LIST_WIDTH / 2, LIST_TOP + ROW_HEIGHT * 3, t('records.empty'), {
+      fontFamily: 'monospace',
+      fontSize: '16px',
+      color: '#8f96c8',
+      align: 'center',
+      wordWrap: { width: LIST_WIDTH - 40, useAdvancedWrap: true }
+    }).setOrigin(0.5).setDepth(5).setVisible(false);
+
+    this.detailText = this.add.text(LIST_LEFT, LIST_TOP + VISIBLE_ROWS * ROW_HEIGHT + 8, '', {
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      color: '#c8d0ff',
+      lineSpacing: 3,
+      wordWrap: { width: LIST_WIDTH, useAdvancedWrap: true }
+    }).setDepth(5);
+  }
+
+  /** Text cells for one list line; left columns grow right, numeric ones grow left. */
+  _addCells(y, style, values) {
+    const cells = {};
+    Object.entries(COLUMNS).forEach(([column, x]) => {
+      const alignLeft = column === 'date' || column === 'hero' || column === 'map';
+      cells[column] = this.add.text(LIST_LEFT + x, y, values?.[column] ?? '', style)
+        .setOrigin(alignLeft ? 0 : 1, 0.5)
+        .setDepth(6);
+    });
+    return cells;
+  }
+
+  _createRow(slot) {
+    const y = LIST_TOP + slot * ROW_HEIGHT + ROW_HEIGHT / 2;
+    const background = this.add.rectangle(LIST_LEFT + LIST_WIDTH / 2, y, LIST_WIDTH, ROW_HEIGHT - 4, 0x111522, 0.92)
+      .setStrokeStyle(2, COLOR_IDLE, 1)
+      .setDepth(5)
+      .setInteractive({ useHandCursor: true });
+
+    const cells = this._addCells(y, { fontFamily: 'monospace', fontSize: '13px', color: '#e9e2ff' });
+
+    background.on('pointerover', () => {
+      const row = this.rows[slot];
+      if (row.run) this._setFocus(FILTERS.length + row.index);
+    });
+
+    return { background, cells, run: null, index: -1 };
+  }
+
+  /** Filter rows (cycled with left/right) and the personal-bests panel. */
+  _buildSidebar() {
+    this.filterRows = FILTERS.map((filter, index) => {
+      const y = FILTER_TOP + index * FILTER_SPACING;
+      const background = this.add.rectangle(SIDE_LEFT + SIDE_WIDTH / 2, y, SIDE_WIDTH, FILTER_SPACING - 6, 0x111522, 0.92)
+        .setStrokeStyle(2, COLOR_IDLE, 1)
+        .setDepth(5)
+        .setInteractive({ useHandCursor: true });
+
+      const label = this.add.text(SIDE_LEFT + 12, y, t(`records.filter.${filter}`), {
+        fontFamily: 'monospace',
+        fontSize: '14px',
+        color: '#f7cfe3'
+      }).setOrigin(0, 0.5).setDepth(6);
+
+      const value = this.add.text(SIDE_LEFT + SIDE_WIDTH - 12, y, '', {
+        fontFamily: 'monospace',
+        fontSize: '14px',
+        color: '#e9e2ff'
+      }).setOrigin(1, 0.5).setDepth(6);
+
+      background.on('pointerover', () => this._setFocus(index));
+      background.on('pointerup', () => {
+        this._setFocus(index);
+        this._cycleFilter(filter, 1);
+      });
+
+      return { filter, background, label, value };
+    });
+
+    this.add.text(SIDE_LEFT + SIDE_WIDTH / 2, BESTS_TOP, t('records.bests'), {
+      fontFamily: 'monospace',
+      fontSize: '16px',
+      color: '#ff6b81'
+    }).setOrigin(0.5).setDepth(5);
+
+    // One slot per combo shown, plus a trailing "+N more" / empty line.
+    this.bestTexts = Array.from({ length: MAX_BESTS + 1 }, (_, slot) =>
+      this.add.text(SIDE_LEFT + 8, BESTS_TOP + 20 + slot * BEST_SPACING, '', {
+        fontFamily: 'monospace',
+        fontSize: '13px',
+        color: '#e9e2ff',
+        lineSpacing: 2
+      }).setDepth(5));
+  }
+
+  _bindInput() {
+    this._handleUp = () => this._setFocus(this.focusIndex - 1);
+    this._handleDown = () => this._setFocus(this.focusIndex + 1);
+    this._handleLeft = () => this._cycleFocusedFilter(-1);
+    this._handleRight = () => this._cycleFocusedFilter(1);
+    this._handleBack = () => this._returnToMenu();
+    this._handleWheel = (pointer, objects, dx, dy) => {
+      if (dy) this._setFocus(Math.max(FILTERS.length, this.focusIndex + Math.sign(dy)));
+    };
+
+    this._disposeKeys = onActionKeys(this.input.keyboard, {
+      moveUp: this._handleUp,
+      moveDown: this._handleDown,
+      moveLeft: this._handleLeft,
+      moveRight: this._handleRight,
+      confirm: this._handleRight,
+      back: this._handleBack
+    });
+    this.input.on('wheel', this._handleWheel);
+
+    this.gamepad = new GamepadInput(this);
+    this.gamepad.on('up', this._handleUp);
+    this.gamepad.on('down', this._handleDown);
+    this.gamepad.on('left', this._handleLeft);
+    this.gamepad.on('right', this._handleRight);
+    this.gamepad.on('confirm', this._handleRight);
+    this.gamepad.on('back', this._handleBack);
+  }
+
+  /** Phaser keeps keyboard listeners across restarts; drop ours on shutdown. */
+  _unbindInput() {
+    this._disposeKeys?.();
+    this._disposeKeys = null;
+    this.input.off('wheel', this._handleWheel);
+
+    this.gamepad?.destroy();
+    this.gamepad = null;
+  }
+
+  _cycleFocusedFilter(direction) {
+    const filter = FILTERS[this.focusIndex];
+    if (filter) this._cycleFilter(filter, direction);
+  }
+
+  _cycleFilter(filter, direction) {
+    const wrap = (options, current) => {
+      const index = Math.max(0, options.indexOf(current));
+      return options[Phaser.Math.Wrap(index + direction, 0, options.length)];
+    };
+
+    if (filter === 'sort') this.sortKey = wrap(SORT_KEYS, this.sortKey);
+    if (filter === 'mode') this.modeFilter = wrap(MODES, this.modeFilter);
+    if (filter === 'hero') this.heroFilter = wrap(this.heroOptions, this.heroFilter);
+    if (filter === 'map') this.mapFilter = wrap(this.mapOptions, this.mapFilter);
+    this._applyFilters();
+  }
+
+  /** Rebuild the visible run list and personal bests from the filters. */
+  _applyFilters() {
+    const matches = (entry) =>
+      (!this.modeFilter || entry.endless === (this.modeFilter === 'endless')) &&
+      (!this.heroFilter || entry.heroKey === this.heroFilter) &&
+      (!this.mapFilter || entry.mapKey === this.mapFilter);
+
+    this.runs = this.history.runs.filter(matches).sort(SORTS[this.sortKey]);
+    // Endless bests rank by how far they got, then by time.
+    this.records = Object.values(this.history.records)
+      .filter(matches)
+      .sort((a, b) => (b.cycle ?? 0) - (a.cycle ?? 0) || b.durationMs - a.durationMs);
+
+    this.scrollTop = 0;
+    this._setFocus(Math.min(this.focusIndex, FILTERS.length + Math.max(0, this.runs.length - 1)));
+  }
+
+  _setFocus(index) {
+    const count = FILTERS.length + this.runs.length;
+    this.focusIndex = Phaser.Math.Clamp(index, 0, count - 1);
+
+    // Keep the focused run inside the visible window.
+    const runIndex = this.focusIndex - FILTERS.length;
+    if (runIndex >= 0) {
+      if (runIndex < this.scrollTop) this.scrollTop = runIndex;
+      if (runIndex >= this.scrollTop + VISIBLE_ROWS) this.scrollTop = runIndex - VISIBLE_ROWS + 1;
+    }
+    this._refresh();
+  }
+
+  /** Sync filter values, list rows, details and bests with the current state. */
+  _refresh() {
+    const filterValue = {
+      sort: t(`records.sort.${this.sortKey}`),
+      mode: this.modeFilter ? t(`records.mode.${this.modeFilter}`) : t('records.all'),
+      hero: this.heroFilter ? heroName(this.heroFilter) : t('records.all'),
+      map: this.mapFilter ? mapName(this.mapFilter) : t('records.all')
+    };
+    this.filterRows.forEach(({ filter, background, value }, index) => {
+      value.setText(`◂ ${clip(filterValue[filter], 18)} ▸`);
+      background.setStrokeStyle(2, index === this.focusIndex ? COLOR_FOCUS : COLOR_IDLE, 1);
+    });
+
+    this.rows.forEach((row, slot) => {
+      const index = this.scrollTop + slot;
+      const run = this.runs[index] ?? null;
+      row.run = run;
+      row.index = index;
+
+      row.background.setVisible(!!run);
+      Object.values(row.cells).forEach((cell) => cell.setVisible(!!run));
+      if (!run) return;
+
+      const focused = FILTERS.length + index === this.focusIndex;
+      row.background.setStrokeStyle(2, focused ? COLOR_FOCUS : COLOR_IDLE, 1);
+
+      row.cells.date.setText(formatDate(run.endedAt, { dateStyle: 'short' }));
+      row.cells.hero.setText(clip(heroName(run.heroKey), NAME_CHARS));
+      row.cells.map.setText(clip(mapName(run.mapKey), NAME_CHARS));
+      row.cells.time.setText(formatClock(run.durationMs));
+      row.cells.level.setText(formatNumber(run.level));
+      row.cells.kills.setText(formatNumber(run.kills));
+      // Endless runs always end in death, so the cycle reached says more.
+      row.cells.result
+        .setText(run.endless ? t('records.cycle', { cycle: formatNumber(run.cycle) }) : t(`records.outcome.${run.outcome}`))
+        .setColor(run.endless ? '#ffc857' : run.outcome === 'win' ? '#9bffb0' : '#ff6b81');
+    });
+
+    this.emptyText.setVisible(this.runs.length === 0);
+    this.detailText.setText(this._describeRun(this.runs[this.focusIndex - FILTERS.length]));
+
+    const bests = this.records.slice(0, MAX_BESTS).map((record) => {
+      const values = { time: formatClock(record.durationMs), kills: formatNumber(record.kills) };
+      const combo = `${heroName(record.heroKey)} · ${mapName(record.mapKey)}`;
+      return record.endless
+        ? [clip(`${combo} · ${t('records.mode.endless')}`, 34), t('records.bestEndless', { ...values, cycle: formatNumber(record.cycle) })].join('\n')
+        : [clip(combo, 34), t('records.best', values)].join('\n');
+    });
+    if (this.records.length > MAX_BESTS) {
+      bests.push(t('records.more', { count: this.records.length - MAX_BESTS }));
+    } else if (!bests.length) {
+      bests.push(t('records.noBests'));
+    }
+    this.bestTexts.forEach((text, slot) => text.setText(bests[slot] ?? ''));
+  }
+
+  /** Difficulty, seed, loadout and damage lines for the focused run. */
+  _describeRun(run) {
+    if (!run) return '';
+
+    const lines = [t('records.detail.run', {
+      date: formatDate(run.endedAt, { dateStyle: 'medium', timeStyle: 'short' }),
+      difficulty: run.difficultyKey ? resolveDifficulty(run.difficultyKey).name : '—',
+      seed: run.seed ?? '—'
+    })];
+
+    if (run.weapons.length || run.passives.length) {
+      const passives = run.passives.map(({ key, stacks }) => {
+        const name = passiveName(key);
+        return stacks > 1 ? `${name} ×${stacks}` : name;
+      });
+      lines.push(t('records.detail.loadout', {
+        list: [...run.weapons.map(weaponName), ...passives].join(', ')
+      }));
+    }
+
+    if (run.weaponDamage.length) {
+      lines.push(t('records.detail.damage', {
+        list: run.weaponDamage
+          .map(({ key, damage }) => `${weaponName(key)} ${formatNumber(damage)}`)
+          .join(' · ')
+      }));
+    }
+    return lines.join('\n');
+  }
+
+  _returnToMenu() {
+    if (this._transitioning) return;
+    this._transitioning = true;
+    this.scene.start('menu');
+  }
+}
@@ -155,6 +155,9 @@ export class PauseController {
         enemy?.body?.setAcceleration?.(0, 0);
       });
     }
+
+    // Only the first owner announces the pause (RunRecorder logs the interval).
+    scene.events?.emit?.('simulation:paused', { source });
   }
 
   release(source = 'unknown') {
@@ -169,8 +172,9 @@ export class PauseController {
 
     // Add this pause duration to the "excluded from run clock" accumulator.
     const now = scene.time?.now ?? 0;
+    let pausedMs = 0;
     if (scene._pausedAt != null) {
-      const pausedMs = Math.max(0, now - scene._pausedAt);
+      pausedMs = Math.max(0, now - scene._pausedAt);
       scene._totalPausedMs += pausedMs;
       scene._pausedAt = null;
     }
@@ -225,6 +229,8 @@ export class PauseController {
     scene.playerCombatDisabled = false;
     scene._pauseSnapshot = null;
     scene.isSimulationPaused = false;
+
+    scene.events?.emit?.('simulation:resumed', { source: snap.source ?? source, pausedMs });
   }
 
   toggleMenu() {
@@ -251,6 +257,9 @@ export class PauseController {
     // pauseMenu is a "hard pause" mode, so acquire it before constructing UI.
     this.acquire('pauseMenu');
 
+    // Leaving from here (Main Menu, closing the tab) must not lose the run.
+    scene.suspendRun?.();
+
     scene.pauseMenu = new PauseMenu(scene, {
       depthBase: scene.mapRender?.uiBaseDepth ?? 0,
       onResume: () => this.closeMenu(),
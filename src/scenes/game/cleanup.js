@@ -22,6 +22,14 @@ export function cleanupGameScene(scene) {
   scene.levelFlow?.destroy?.();
   scene.pickups?.destroy?.();
   scene.enemyAI?.destroy?.();
+  scene.statusEffects?.destroy?.();
+  scene.statusEffects = null;
+  scene.eliteAffixes?.destroy?.();
+  scene.eliteAffixes = null;
+  scene.enemyIndex?.destroy?.();
+  scene.enemyIndex = null;
+  scene.dropIndex?.destroy?.();
+  scene.dropIndex = null;
 
   // Boss controllers are manually attached to enemies — must be cleaned or they keep updating.
   scene._bossControllers?.forEach?.((controller) => controller.destroy());
@@ -30,6 +38,21 @@ export function cleanupGameScene(scene) {
   // Encounter controller owns timers, FX, and pause logic during finale.
   scene.werewolfEncounter?.destroy?.();
   scene.werewolfEncounter = null;
+  scene.endless?.destroy?.();
+  scene.endless = null;
+
+  scene.gamepad?.destroy?.();
+  scene.gamepad = null;
+
+  // Recorder/replay listen on scene events; the replay also owns a HUD badge.
+  scene.runRecorder?.destroy?.();
+  scene.runRecorder = null;
+  scene.runReplay?.destroy?.();
+  scene.runReplay = null;
+
+  // Flushes any achievement progress the run hasn't written yet.
+  scene.achievements?.destroy?.();
+  scene.achievements = null;
 
   // UI systems often register input + camera listeners — always destroy on shutdown.
   scene.hud?.destroy?.();
@@ -50,4 +73,6 @@ export function cleanupGameScene(scene) {
   scene.hero?.destroy?.();
   scene.weaponManager?.destroy?.();
   scene.passiveManager?.destroy?.();
+  // PickupController is built before the next run's PassiveManager and falls back to this field.
+  scene.passiveManager = null;
 }
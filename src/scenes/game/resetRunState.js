@@ -1,7 +1,18 @@
+import { FixedStepClock } from '../../core/FixedStepClock.js';
+
 export function resetRunState(scene) {
   // Ensure the scene starts in a fully "live" state even after a restart.
   scene.time.timeScale = 1;
 
+  // Start every run on frame 0 so a seed plays out the same whether it is the first
+  // run since launch or the tenth.
+  FixedStepClock.forGame(scene.game)?.restart();
+
+  // Phaser only refreshes the scene clock on the first update, so until then time.now still
+  // holds boot time or the previous run's last frame. Cooldowns and timers set up in create()
+  // read it, so line it up with the frame this run starts on.
+  scene.time.now = scene.game?.loop?.time ?? scene.time.now;
+
   // Player control flags must be reset so input/combat aren't stuck disabled.
   scene.playerInputDisabled = false;
   scene.playerCombatDisabled = false;
@@ -13,9 +24,11 @@ export function resetRunState(scene) {
 
   // Reset run progression + timers.
   scene.playerXP = 0;
+  scene.runGold = 0;
   scene._runStartedAt = null;
   scene._totalPausedMs = 0;
   scene._pausedAt = null;
+  scene.runFrame = 0;
   scene.isGameOver = false;
 
   // Pause system bookkeeping — multiple systems can acquire pause simultaneously.
@@ -26,6 +39,9 @@ export function resetRunState(scene) {
   // Runtime encounter/spawn state that should not persist between runs.
   scene.legionFormations = new Map();
   scene._nextLegionId = 0;
+  scene._bossCooldownByKey = new Map();
+  scene._legionCooldownByMob = new Map();
+  scene._wallCooldownByMob = new Map();
 
   // Lifecycle guards so helpers know this is a fresh scene instance.
   scene._isShuttingDown = false;
@@ -0,0 +1,215 @@
+import { SUSPEND } from '../../config/gameConfig.js';
+import { resolveMobConfig } from '../../mob/MobRegistry.js';
+
+function point(obj) {
+  return { x: Math.round(obj.x), y: Math.round(obj.y) };
+}
+
+/** Live enemies worth bringing back; the encounter boss is restarted separately. */
+function captureEnemies(scene) {
+  const boss = scene.werewolfEncounter?._boss ?? null;
+  const enemies = [];
+
+  scene.enemyPools?.getAllGroup?.()?.children?.iterate?.((enemy) => {
+    if (!enemy?.active || enemy === boss || enemy._isDying || enemy._deathSequenceLock) return;
+    if (enemies.length >= SUSPEND.maxEnemies) return;
+    enemies.push({ mobKey: enemy.mobKey, ...point(enemy), hp: enemy.hp, affixes: enemy._elite?.keys ?? [] });
+  });
+
+  return enemies;
+}
+
+/** Drops still on the ground; treasure chests mid-open have already paid out. */
+function captureDrops(scene) {
+  const drops = [];
+
+  scene.dropManager?.getGroup?.()?.children?.iterate?.((drop) => {
+    if (!drop?.active || drop._pickupLocked || drop.isOpening || drop.opened) return;
+    if (drops.length >= SUSPEND.maxDrops) return;
+    drops.push({ type: drop.type, ...point(drop), value: drop.value });
+  });
+
+  return drops;
+}
+
+/**
+ * Werewolf finale: remember the control payload (and the boss's health once
+ * it is out) so the encounter can be started again on resume. Once the boss
+ * is down (endless runs go on) there is nothing left to restart.
+ */
+function captureEncounter(scene) {
+  const encounter = scene.werewolfEncounter;
+  if (!encounter?._started || encounter._defeated) return null;
+
+  const boss = encounter._boss?.active ? encounter._boss : null;
+  return {
+    control: JSON.parse(JSON.stringify(encounter._control ?? {})),
+    bossHp: boss ? boss.hp : null
+  };
+}
+
+/**
+ * Serialize a live run so it can be resumed later (pause menu, hidden tab).
+ * Returns null when the run can't be suspended right now: it already ended,
+ * the hero is dying, the clock hasn't started or the boss death cinematic is
+ * playing.
+ *
+ * Everything else (props, projectiles, status effects, RNG stream positions)
+ * starts fresh on resume, so a resumed run plays out like the original but not
+ * frame-for-frame.
+ */
+export function captureRunSnapshot(scene) {
+  if (!scene || scene.isGameOver || scene._isShuttingDown || scene._runStartedAt == null) return null;
+  if (scene.hero?.health?.isDead?.()) return null;
+  if (scene.werewolfEncounter?._finishing && !scene.werewolfEncounter._defeated) return null;
+
+  const heroSprite = scene.hero?.sprite;
+  const weaponManager = scene.weaponManager;
+  const passiveManager = scene.passiveManager;
+  if (!heroSprite || !weaponManager) return null;
+
+  return {
+    heroKey: scene.heroEntry?.key ?? scene.hero?.key,
+    mapKey: scene.mapKey,
+    difficultyKey: scene.difficulty?.key ?? null,
+    seed: scene.rng?.seedText ?? null,
+    metaUpgrades: { ...(scene.metaUpgrades ?? {}) },
+    endless: Boolean(scene.endless),
+
+    elapsedMs: scene.getRunElapsedMs(),
+    spawn: scene.spawnDirector?.getState?.() ?? null,
+    progression: scene.levelFlow?.getState?.() ?? null,
+    endlessState: scene.endless?.getState?.() ?? null,
+
+    weapons: weaponManager.getLoadout().map((key) => ({ key, level: weaponManager.getWeaponLevel(key) })),
+    passives: (passiveManager?.getLoadout?.() ?? [])
+      .map((key) => ({ key, stacks: passiveManager.getStackCount(key) })),
+    hero: {
+      ...point(heroSprite),
+      hp: scene.hero.health?.health ?? null,
+      facing: scene.playerFacing ?? null
+    },
+
+    enemies: captureEnemies(scene),
+    drops: captureDrops(scene),
+    encounter: captureEncounter(scene),
+    finale: scene._finale
+      ? { remainingMs: Math.max(0, scene._finale.lockAtMs - (scene.time?.now ?? 0)), arena: scene._finale.arena }
+      : null,
+
+    stats: scene.hud?.runStats?.getState?.() ?? null,
+    playerXP: scene.playerXP ?? 0,
+    runGold: scene.runGold ?? 0
+  };
+}
+
+function restoreLoadout(scene, snapshot) {
+  const weapons = Array.isArray(snapshot.weapons) ? snapshot.weapons : [];
+  if (weapons.length > 0) {
+    scene.weaponManager?.setLoadout?.([]);
+    weapons.forEach(({ key, level } = {}) => {
+      if (!key) return;
+      scene.weaponManager?.grantWeapon?.(key, Number.isFinite(level) ? { level } : {});
+    });
+  }
+
+  // PassiveManager.setLoadout takes stacks as repeated keys.
+  const passives = [];
+  (Array.isArray(snapshot.passives) ? snapshot.passives : []).forEach(({ key, stacks } = {}) => {
+    for (let i = 0; i < Math.max(1, Math.floor(Number(stacks) || 1)); i += 1) passives.push(key);
+  });
+  scene.passiveManager?.setLoadout?.(passives.filter(Boolean));
+}
+
+function restoreHero(scene, hero) {
+  const sprite = scene.hero?.sprite;
+  if (!hero || !sprite) return;
+
+  if (Number.isFinite(hero.x) && Number.isFinite(hero.y)) {
+    sprite.setPosition(hero.x, hero.y);
+    sprite.body?.reset?.(hero.x, hero.y);
+    scene.hero.glow?.setPosition?.(hero.x, hero.y);
+  }
+  if (hero.facing) scene.playerFacing = hero.facing;
+
+  // After passives: max health bonuses have been applied by now.
+  if (Number.isFinite(hero.hp)) scene.hero.health?.setHealth?.(hero.hp);
+}
+
+function restoreEnemies(scene, enemies) {
+  const pools = scene.enemyPools;
+  if (!pools || !Array.isArray(enemies)) return;
+
+  enemies.forEach(({ mobKey, x, y, hp, affixes } = {}) => {
+    if (!mobKey || !resolveMobConfig(mobKey) || !pools.canSpawn(mobKey)) return;
+
+    const enemy = pools.getPool(mobKey)?.get?.(x, y);
+    if (!enemy) return;
+    // Pinned so elites come back with the same affixes instead of re-rolling.
+    enemy.reset(x, y, mobKey, Array.isArray(affixes) ? { affixes } : {});
+    if (hp > 0) enemy.hp = Math.min(enemy.maxHp, hp);
+  });
+}
+
+function restoreDrops(scene, drops) {
+  if (!scene.dropManager || !Array.isArray(drops)) return;
+
+  drops.forEach(({ type, x, y, value } = {}) => {
+    if (!type || !Number.isFinite(x) || !Number.isFinite(y)) return;
+    scene.dropManager.spawn(x, y, type, { ...(value != null ? { value } : {}), spawnImpulse: false });
+  });
+}
+
+/**
+ * Put a captured run back into a freshly created GameScene. Called at the end
+ * of create() in place of the dev-run override and the meta starting-level
+ * grant (both were already applied to the original run).
+ *
+ * Order matters: the run clock first (spawn caps and stat clocks read it),
+ * then endless cycles and spawn state, then loadout, then hero health once
+ * max health reflects the passives.
+ */
+export function applyRunSnapshot(scene, snapshot) {
+  if (!snapshot) return;
+
+  const elapsedMs = Math.max(0, Number(snapshot.elapsedMs) || 0);
+  const now = scene.time?.now ?? 0;
+  scene._runStartedAt = now - elapsedMs;
+  scene._totalPausedMs = 0;
+  scene._pausedAt = null;
+  scene.hud?.setStartTime?.(scene._runStartedAt);
+
+  // Endless cycles first: they re-append the timeline events the spawn state
+  // points at and set the enemy multipliers restored enemies are reset with.
+  if (snapshot.endlessState) scene.endless?.restoreState?.(snapshot.endlessState);
+  if (snapshot.spawn) scene.spawnDirector?.restoreState?.(snapshot.spawn);
+
+  restoreLoadout(scene, snapshot);
+  restoreHero(scene, snapshot.hero);
+  restoreEnemies(scene, snapshot.enemies);
+  restoreDrops(scene, snapshot.drops);
+
+  scene.playerXP = Math.max(0, Number(snapshot.playerXP) || 0);
+  scene.runGold = Math.max(0, Number(snapshot.runGold) || 0);
+  if (snapshot.stats) scene.hud?.runStats?.restoreState?.(snapshot.stats);
+
+  if (snapshot.finale?.arena) {
+    scene._finale = {
+      lockAtMs: now + Math.max(0, Number(snapshot.finale.remainingMs) || 0),
+      arena: snapshot.finale.arena
+    };
+  }
+
+  // Simplified respawn: restart the encounter, skipping the lead-in if the
+  // boss was already out.
+  const encounter = snapshot.encounter;
+  if (encounter?.control) {
+    const resumed = encounter.bossHp > 0
+      ? { ...encounter.control, leadInMs: 0, resumeHp: encounter.bossHp }
+      : encounter.control;
+    scene.werewolfEncounter?.start?.(resumed);
+  }
+
+  // Last: owed level-up picks reopen the modal (and pause the world).
+  if (snapshot.progression) scene.levelFlow?.restoreState?.(snapshot.progression);
+}
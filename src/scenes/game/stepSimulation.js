@@ -1,24 +1,11 @@
-import Phaser from 'phaser';
-
 export function stepSimulation(scene, dt) {
   // Fixed update order: keep this sequence stable so gameplay remains deterministic.
+  // Spatial indexes go first so every query this tick sees the same buckets.
+  scene.enemyIndex?.rebuild?.(scene.enemyGroup);
+  scene.dropIndex?.rebuild?.(scene.dropManager?.getGroup?.());
   scene.hero?.controller?.update?.(dt);
   scene.weaponManager?.update?.(dt);
 
-  // Dev-only hotkeys for quickly poking weapon behavior without going through level-up flow.
-  if (scene.debugWeaponKeys) {
-    if (Phaser.Input.Keyboard.JustDown(scene.debugWeaponKeys.addBolt)) {
-      scene.weaponManager?.addWeapon('bolt');
-    }
-    if (Phaser.Input.Keyboard.JustDown(scene.debugWeaponKeys.removeBolt)) {
-      scene.weaponManager?.removeWeapon('bolt');
-    }
-    if (Phaser.Input.Keyboard.JustDown(scene.debugWeaponKeys.buffBolt)) {
-      // Small cadence buff for rapid testing of fire-rate scaling and SFX spam controls.
-      scene.weaponManager?.setModifiersForWeapon('bolt', [{ type: 'delayMs%', value: -0.1 }]);
-    }
-  }
-
   // Systems are stepped in dependency order: movement/collect → AI/projectiles → spawns → visuals/UI.
   scene.props?.update?.();
   scene.pickups?.update?.(dt);
@@ -48,6 +35,9 @@ export function stepSimulation(scene, dt) {
     }
   }
 
+  // Status effects tick before AI so stuns/slows are current when behaviours run.
+  scene.statusEffects?.update?.(dt);
+  scene.eliteAffixes?.update?.(dt);
   scene.enemyAI?.update?.(dt);
   scene.enemyProjectiles?.update?.(dt);
   scene.spawnDirector?.update?.(dt);
@@ -1,16 +1,8 @@
 import Phaser from 'phaser';
-import { WerewolfBossController } from '../../mob/boss/WerewolfBossController.js';
+import { BossController, getBossScript } from '../../mob/boss/BossController.js';
+import { onActionKeys } from '../../input/ControlBindings.js';
 
 export function wireGameSceneEvents(scene) {
-  // Debug keys are scene-owned so they're easy to delete later without touching core systems.
-  scene.debugWeaponKeys = scene.input.keyboard.addKeys({
-    addBolt: Phaser.Input.Keyboard.KeyCodes.ONE,
-    removeBolt: Phaser.Input.Keyboard.KeyCodes.TWO,
-    buffBolt: Phaser.Input.Keyboard.KeyCodes.THREE
-  });
-  scene.debugMapKeys = scene.input.keyboard.addKeys({
-    toggleMapDebug: Phaser.Input.Keyboard.KeyCodes.B
-  });
 
   // Player death is handled via an event so the death controller can run its full animation first.
   const onPlayerDeathFinished = () => scene.handlePlayerDeathFinished();
@@ -20,12 +12,16 @@ export function wireGameSceneEvents(scene) {
   const onSpawnControl = (payload) => scene._handleSpawnControl(payload);
   scene.events.on('spawn:control', onSpawnControl);
 
-  // Attach per-boss logic at spawn time so pooled enemies stay generic.
+  // Attach scripted boss logic at spawn time so pooled enemies stay generic.
+  // Any MobRegistry entry with a `boss` block gets a BossController.
   const onEnemySpawned = ({ enemy } = {}) => {
-    if (!enemy || enemy.mobKey !== 'werewolf_boss') return;
+    if (!enemy) return;
     if (enemy._bossController) return; // Defensive: pooling can re-emit spawn events.
 
-    const controller = new WerewolfBossController(scene, enemy);
+    const script = getBossScript(enemy.mobKey);
+    if (!script) return;
+
+    const controller = new BossController(scene, enemy, script);
     enemy._bossController = controller;
     scene._bossControllers.add(controller);
   };
@@ -42,7 +38,7 @@ export function wireGameSceneEvents(scene) {
   };
   scene.events.on('enemy:released', onEnemyReleased);
 
-  // Global pause keys (Esc/P) must stop propagation so UI overlays don't double-handle the same press.
+  // Pause keys (Esc/P by default) must stop propagation so UI overlays don't double-handle the same press.
   const onPauseKey = (event) => {
     const toggled = scene.pause?.toggleMenu?.() ?? scene.togglePauseMenu?.();
     if (toggled) {
@@ -51,16 +47,49 @@ export function wireGameSceneEvents(scene) {
     }
   };
 
-  scene.input.keyboard.on('keydown-ESC', onPauseKey);
-  scene.input.keyboard.on('keydown-P', onPauseKey);
+  // Controller Pause (Start) mirrors the keyboard; losing the pad mid-run opens the pause menu
+  // instead of leaving the hero standing in the horde.
+  const onPadPause = () => onPauseKey();
+  const onPadDisconnected = () => {
+    if (!scene.pauseMenu && !scene.isSimulationPaused) onPauseKey();
+  };
+  scene.gamepad?.on('pause', onPadPause);
+  scene.gamepad?.on('disconnected', onPadDisconnected);
+
+  // Hiding or closing the tab suspends the run so MenuScene can offer "Continue" next time.
+  const onGameHidden = () => scene.suspendRun?.();
+  scene.game?.events?.on(Phaser.Core.Events.HIDDEN, onGameHidden);
+
+  // Save Replay (F8 by default) downloads the recording mid-run so a bug can be reported the moment it happens.
+  const onSaveReplayKey = (event) => {
+    if (!scene.runRecorder) return;
+    event?.preventDefault?.();
+    scene.runRecorder.download();
+  };
 
+  // Debug keys share defaults with level-up actions (B = banish, 1-3 = choices),
+  // so they stay inert while the sim is paused behind a modal.
   const onToggleMapDebug = () => {
+    if (scene.isSimulationPaused) return;
     scene.mapDebugOverlay?.toggle?.();
   };
-  const hasMapDebugOverlay = Boolean(scene.mapDebugOverlay);
-  if (hasMapDebugOverlay) {
-    scene.input.keyboard.on('keydown-B', onToggleMapDebug);
-  }
+
+  // Dev-only hotkeys for quickly poking weapon behavior without going through level-up flow.
+  const debugWeapon = (fn) => () => {
+    if (scene.isSimulationPaused || !scene.weaponManager) return;
+    fn(scene.weaponManager);
+  };
+
+  // Run keys resolve through ControlBindings, so the Controls page can move them.
+  const disposeKeys = onActionKeys(scene.input.keyboard, {
+    pause: onPauseKey,
+    saveReplay: onSaveReplayKey,
+    ...(scene.mapDebugOverlay ? { debugMapOverlay: onToggleMapDebug } : {}),
+    debugAddBolt: debugWeapon((manager) => manager.addWeapon('bolt')),
+    debugRemoveBolt: debugWeapon((manager) => manager.removeWeapon('bolt')),
+    // Small cadence buff for rapid testing of fire-rate scaling and SFX spam controls.
+    debugBuffBolt: debugWeapon((manager) => manager.setModifiersForWeapon('bolt', [{ type: 'delayMs%', value: -0.1 }]))
+  });
 
   // Return a disposer so GameScene shutdown can remove listeners in one place.
   return () => {
@@ -68,11 +97,10 @@ export function wireGameSceneEvents(scene) {
     scene.events.off('spawn:control', onSpawnControl);
     scene.events.off('enemy:spawned', onEnemySpawned);
     scene.events.off('enemy:released', onEnemyReleased);
+    scene.game?.events?.off(Phaser.Core.Events.HIDDEN, onGameHidden);
 
-    scene.input.keyboard?.off('keydown-ESC', onPauseKey);
-    scene.input.keyboard?.off('keydown-P', onPauseKey);
-    if (hasMapDebugOverlay) {
-      scene.input.keyboard?.off('keydown-B', onToggleMapDebug);
-    }
+    disposeKeys();
+    scene.gamepad?.off('pause', onPadPause);
+    scene.gamepad?.off('disconnected', onPadDisconnected);
   };
 }
@@ -0,0 +1,164 @@
+import { GameScene } from '../scenes/GameScene.js';
+import { registerWeaponAnimations } from '../weapons/registerWeaponAnimations.js';
+import { registerHeadlessTextures } from './headlessTextures.js';
+import { DEFAULT_SIM_BOT, DEFAULT_SIM_PICKER, SimBotRegistry, SimPickerRegistry } from './SimBots.js';
+
+const MINUTE_MS = 60000;
+
+/**
+ * BalanceSimScene
+ *
+ * GameScene with the player swapped for a scripted bot, for headless balance
+ * runs (see runBalanceSim.js). Every gameplay system — SpawnDirector,
+ * EnemyPools, WeaponManager, DamagePipeline, PassiveManager, LevelUpFlow —
+ * is built by the GameScene setup itself, so registry tweaks land here
+ * exactly as they do in the real game.
+ *
+ * Differences from a played run:
+ *  - placeholder textures stand in for BootScene's art,
+ *  - no HUD, audio, replay recording or end screen,
+ *  - the bot supplies the move vector and answers level-up / treasure
+ *    modals on the next frame,
+ *  - the run ends the moment the hero dies instead of after the death
+ *    animation, or once `maxMinutes` of run time have passed.
+ *
+ * Scene data: the usual GameScene keys plus
+ * `sim: { bot, picker, maxMinutes }`. Results are read from `simResult`
+ * after the scene emits `sim:ended`.
+ */
+export class BalanceSimScene extends GameScene {
+  create() {
+    const sim = this.scene?.settings?.data?.sim ?? {};
+    this.simBot = SimBotRegistry[sim.bot] ?? SimBotRegistry[DEFAULT_SIM_BOT];
+    this.simPicker = SimPickerRegistry[sim.picker] ?? SimPickerRegistry[DEFAULT_SIM_PICKER];
+    this.simMaxMs = Math.max(0, Number(sim.maxMinutes) || 0) * MINUTE_MS;
+    this.simResult = null;
+    this._simBotState = {};
+    this._simPendingPick = null;
+    this._simMetrics = { killsByMinute: [], damageByWeapon: {} };
+
+    // BootScene normally loads these before the menus ever run.
+    registerHeadlessTextures(this);
+    registerWeaponAnimations(this);
+
+    super.create();
+    this._setupSimListeners();
+  }
+
+  /** No HUD: the bot drives the move vector the virtual joystick would. */
+  _setupHUD() {
+    this.hud = null;
+    const controller = this.hero?.controller;
+    controller?.setInputSources?.({});
+    controller?.setMoveVectorProvider?.(() => this.simBot.move(this, this._simBotState));
+  }
+
+  _setupReplay() {
+    this.runReplay = null;
+    this.runRecorder = null;
+  }
+
+  _setupAchievements() {
+    this.achievements = null;
+  }
+
+  _setupSuspend() {
+    this.canSuspend = false;
+  }
+
+  _setupAudio() {}
+
+  _setupSimListeners() {
+    const metrics = this._simMetrics;
+
+    const onEnemyDied = () => {
+      const minute = this._simMinuteIndex(this.getRunElapsedMs());
+      metrics.killsByMinute[minute] = (metrics.killsByMinute[minute] ?? 0) + 1;
+    };
+    const onCombatHit = ({ damage, weaponKey } = {}) => {
+      const amount = Number(damage) || 0;
+      if (amount <= 0) return;
+      const key = weaponKey ?? 'unknown';
+      metrics.damageByWeapon[key] = (metrics.damageByWeapon[key] ?? 0) + amount;
+    };
+    const onEntityDied = ({ entity } = {}) => {
+      if (!entity || entity !== this.hero?.sprite) return;
+      this.endRun('loss', { reason: 'playerDied' });
+    };
+    const onModalOpened = ({ choices } = {}) => {
+      this._simPendingPick = choices ?? null;
+    };
+
+    this.events.on('enemy:died', onEnemyDied);
+    this.events.on('combat:hit', onCombatHit);
+    this.events.on('entity:died', onEntityDied);
+    this.events.on('level:modal:opened', onModalOpened);
+    this.events.once('shutdown', () => {
+      this.events.off('enemy:died', onEnemyDied);
+      this.events.off('combat:hit', onCombatHit);
+      this.events.off('entity:died', onEntityDied);
+      this.events.off('level:modal:opened', onModalOpened);
+    });
+  }
+
+  /** Record the outcome and freeze the world; there is no end screen. */
+  endRun(outcome, { reason } = {}) {
+    if (this.isGameOver) return;
+
+    const elapsedMs = this.getRunElapsedMs();
+    this.levelFlow?.resume?.();
+    this.playerInputDisabled = true;
+    this.playerCombatDisabled = true;
+    this.isGameOver = true;
+    // PlayerDeathController slows time for the death animation; the next seed reuses this scene.
+    this.time.timeScale = 1;
+
+    const metrics = this._simMetrics;
+    const minutes = this._simMinuteIndex(elapsedMs) + 1;
+    const killsByMinute = Array.from({ length: minutes }, (_, i) => metrics.killsByMinute[i] ?? 0);
+
+    this.simResult = {
+      seed: this.rng?.seedText ?? null,
+      heroKey: this.heroEntry?.key ?? null,
+      mapKey: this.mapKey ?? null,
+      difficultyKey: this.difficulty?.key ?? null,
+      outcome,
+      reason: reason ?? null,
+      timeMs: Math.round(elapsedMs),
+      deathAtMs: outcome === 'loss' ? Math.round(elapsedMs) : null,
+      level: this.levelSystem?.level ?? 1,
+      kills: killsByMinute.reduce((sum, count) => sum + count, 0),
+      killsByMinute,
+      damageByWeapon: { ...metrics.damageByWeapon },
+      loadout: this.weaponManager?.getLoadout?.() ?? [],
+      passives: this.passiveManager?.getLoadout?.() ?? []
+    };
+
+    this.events.emit('sim:ended', this.simResult);
+  }
+
+  /** Minute bucket for a run time; the frame that crosses the cap stays in the last minute. */
+  _simMinuteIndex(elapsedMs) {
+    const capped = this.simMaxMs > 0 ? Math.min(elapsedMs, this.simMaxMs - 1) : elapsedMs;
+    return Math.floor(Math.max(0, capped) / MINUTE_MS);
+  }
+
+  update(time, dt) {
+    if (this.isGameOver) return;
+
+    // Answer modals a frame after they open, outside the modal's own callbacks.
+    if (this._simPendingPick && this.levelFlow?.levelUpModal) {
+      const choices = this._simPendingPick;
+      this._simPendingPick = null;
+      const index = this.simPicker.pick(this, choices);
+      this.levelFlow.selectChoice({ index });
+    }
+    this.pickups?.treasureModal?.close?.();
+
+    super.update(time, dt);
+
+    if (this.simMaxMs > 0 && !this.isGameOver && this.getRunElapsedMs() >= this.simMaxMs) {
+      this.endRun('survived', { reason: 'timeLimit' });
+    }
+  }
+}
@@ -0,0 +1,114 @@
+import { getRng } from '../run/RunRng.js';
+
+// Enemies closer than this pull the flee bot's escape vector.
+const THREAT_RADIUS = 260;
+
+/**
+ * Collect the active enemy sprites the bots steer around.
+ */
+function activeEnemies(scene) {
+  const list = [];
+  scene.enemyGroup?.children?.iterate?.((enemy) => {
+    if (enemy?.active) list.push(enemy);
+  });
+  return list;
+}
+
+function normalize(x, y) {
+  const len = Math.hypot(x, y);
+  return len > 1e-6 ? { x: x / len, y: y / len } : { x: 0, y: 0 };
+}
+
+/**
+ * Scripted movement for the headless balance simulator. Each bot returns the
+ * same `{ x, y }` vector HeroController reads from the virtual joystick, so
+ * the hero's speed stats and status slows still apply.
+ *
+ * `move(scene, state)` runs once per simulated frame; `state` is a per-run
+ * scratch object the bot may keep data on.
+ */
+export const SimBotRegistry = {
+  // Walk a wide circle around the spawn point so the horde trails behind.
+  kite: {
+    label: 'Kite in circles',
+    radius: 320,
+    move(scene, state) {
+      const hero = scene.hero?.sprite;
+      if (!hero) return { x: 0, y: 0 };
+
+      state.center ??= { x: hero.x, y: hero.y - this.radius };
+      const dx = hero.x - state.center.x;
+      const dy = hero.y - state.center.y;
+      const dist = Math.hypot(dx, dy) || 1;
+
+      // Tangent keeps orbiting; the radial term pulls back onto the ring.
+      const radial = (this.radius - dist) / this.radius;
+      return normalize(-dy / dist + (dx / dist) * radial, dx / dist + (dy / dist) * radial);
+    }
+  },
+
+  // Move directly away from the nearby pack, drifting when nothing is close.
+  flee: {
+    label: 'Flee nearest enemies',
+    move(scene) {
+      const hero = scene.hero?.sprite;
+      if (!hero) return { x: 0, y: 0 };
+
+      let awayX = 0;
+      let awayY = 0;
+      activeEnemies(scene).forEach((enemy) => {
+        const dx = hero.x - enemy.x;
+        const dy = hero.y - enemy.y;
+        const distSq = dx * dx + dy * dy;
+        if (distSq > THREAT_RADIUS * THREAT_RADIUS || distSq < 1) return;
+        // Inverse-square weighting: the closest enemies dominate.
+        awayX += dx / distSq;
+        awayY += dy / distSq;
+      });
+
+      return (awayX || awayY) ? normalize(awayX, awayY) : { x: 1, y: 0 };
+    }
+  },
+
+  // Stand still; a worst-case baseline for weapons that need the hero to move.
+  idle: {
+    label: 'Stand still',
+    move() {
+      return { x: 0, y: 0 };
+    }
+  }
+};
+
+/**
+ * Level-up pickers: given the modal's choices, return the index to take.
+ */
+export const SimPickerRegistry = {
+  first: {
+    label: 'Always pick the first choice',
+    pick() {
+      return 0;
+    }
+  },
+
+  // Uses its own RNG stream so picking doesn't shift spawn/drop rolls.
+  random: {
+    label: 'Pick a seeded random choice',
+    pick(scene, choices) {
+      return getRng(scene, 'simPicker').between(0, choices.length - 1);
+    }
+  },
+
+  // Prefer new weapons, then weapon upgrades, then the first card.
+  weapons: {
+    label: 'Prefer weapons and weapon upgrades',
+    pick(scene, choices) {
+      const fresh = choices.findIndex((choice) => choice.type === 'weapon' && choice.subtype !== 'upgrade');
+      if (fresh >= 0) return fresh;
+      const upgrade = choices.findIndex((choice) => choice.type === 'weapon');
+      return upgrade >= 0 ? upgrade : 0;
+    }
+  }
+};
+
+export const DEFAULT_SIM_BOT = 'kite';
+export const DEFAULT_SIM_PICKER = 'first';
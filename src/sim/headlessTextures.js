@@ -0,0 +1,190 @@
+import { HERO_ATLAS_KEY, buildHeroSheetKey } from '../hero/HeroAtlasConfig.js';
+import { listHeroes } from '../hero/HeroRegistry.js';
+import { MobRegistry } from '../mob/MobRegistry.js';
+import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
+import { PassiveRegistry } from '../passives/PassiveRegistry.js';
+import { DropRegistry } from '../drops/DropRegistry.js';
+import { PROP_ATLASES } from '../prop/PropRegistry.js';
+import { MapRegistry } from '../maps/MapRegistry.js';
+
+// Art sizes aren't recorded in the registries for plain images; bodies that
+// derive from the frame size fall back to this.
+const DEFAULT_IMAGE_SIZE = 32;
+
+// BootScene bitmap fonts. Glyphless placeholders keep BitmapText constructible.
+const BITMAP_FONT_KEYS = ['damage', 'pixeloperator'];
+
+/**
+ * Register blank stand-ins for every texture, atlas frame and bitmap font that
+ * BootScene would normally load, so GameScene systems can run where there is
+ * no `public/assets` to fetch (Node, headless balance runs).
+ *
+ * Frame sizes and counts are read from the same registry fields the real
+ * loaders and animation registrars use, which keeps spritesheet animations the
+ * same length (death and explosion timings depend on it) and physics bodies
+ * sized from frames close to the real ones.
+ *
+ * Safe to call more than once; existing textures are left alone.
+ */
+export function registerHeadlessTextures(scene) {
+  const textures = scene.textures;
+
+  // Procedural textures BootScene draws with Graphics.
+  addSheet(textures, 'player_glow', 16, 16, 1);
+  addSheet(textures, 'bolt', 12, 2, 1);
+  addSheet(textures, 'spark', 2, 2, 1);
+
+  Object.values(MapRegistry).forEach((map) => {
+    addSheet(textures, map?.ground?.textureKey ?? 'ground', DEFAULT_IMAGE_SIZE, DEFAULT_IMAGE_SIZE, 1);
+  });
+
+  listHeroes().forEach((hero) => {
+    Object.entries(hero.sheets ?? {}).forEach(([sheetName, sheet]) => {
+      const key = sheet?.key ?? buildHeroSheetKey(hero.key, sheetName);
+      addSheet(textures, key, sheet?.frameWidth, sheet?.frameHeight, sheet?.frameCount);
+    });
+  });
+
+  collectMobSheets().forEach(({ key, frameWidth, frameHeight, frameCount }) => {
+    addSheet(textures, key, frameWidth, frameHeight, frameCount);
+  });
+
+  Object.values(WeaponRegistry).forEach((weapon) => {
+    const projectile = weapon?.projectile;
+    if (projectile?.texture) {
+      addSheet(textures, projectile.texture, projectile.frameWidth, projectile.frameHeight, projectile.frameCount);
+    }
+    const explosion = projectile?.explosion;
+    if (explosion?.texture) {
+      addSheet(textures, explosion.texture, explosion.frameWidth, explosion.frameHeight, explosion.frameCount);
+    }
+    [weapon?.fx?.muzzleKey ?? weapon?.fx?.muzzle, weapon?.fx?.impactKey ?? weapon?.fx?.impact]
+      .filter((key) => typeof key === 'string')
+      .forEach((key) => addSheet(textures, key, DEFAULT_IMAGE_SIZE, DEFAULT_IMAGE_SIZE, 1));
+  });
+
+  collectDropSheets().forEach(({ key, frameCount }) => {
+    addSheet(textures, key, DEFAULT_IMAGE_SIZE, DEFAULT_IMAGE_SIZE, frameCount);
+  });
+
+  // Atlases are addressed by frame name (icons, prop decor, hero portraits).
+  const atlasFrames = new Map();
+  const addAtlasFrame = (atlas, frame) => {
+    if (!atlas || typeof frame !== 'string') return;
+    if (!atlasFrames.has(atlas)) atlasFrames.set(atlas, new Set());
+    atlasFrames.get(atlas).add(frame);
+  };
+
+  PROP_ATLASES.forEach(({ key, frames = [] }) => frames.forEach((frame) => addAtlasFrame(key, frame)));
+  [...Object.values(WeaponRegistry), ...Object.values(PassiveRegistry)].forEach((entry) => {
+    addAtlasFrame(entry?.ui?.icon?.atlas, entry?.ui?.icon?.frame);
+    addAtlasFrame(entry?.projectile?.atlas, entry?.projectile?.atlasFrame);
+    addAtlasFrame(entry?.projectile?.explosion?.atlas, entry?.projectile?.explosion?.atlasFrame);
+  });
+  listHeroes().forEach((hero) => {
+    addAtlasFrame(hero.ui?.icon?.key, hero.ui?.icon?.frame);
+    Object.values(hero.sheets ?? {}).forEach((sheet) => addAtlasFrame(HERO_ATLAS_KEY, sheet?.atlasFrame));
+  });
+
+  atlasFrames.forEach((frames, key) => addAtlas(textures, key, frames));
+
+  BITMAP_FONT_KEYS.forEach((key) => addBitmapFont(scene, key));
+}
+
+/**
+ * One entry per mob texture, with enough frames for the highest frame index
+ * any of its animations (or its default frame) references.
+ */
+function collectMobSheets() {
+  const sheets = new Map();
+  const touch = (key, config = {}) => {
+    if (!key) return null;
+    if (!sheets.has(key)) {
+      sheets.set(key, {
+        key,
+        frameWidth: config.frameWidth ?? config.frameConfig?.width ?? config.width,
+        frameHeight: config.frameHeight ?? config.frameConfig?.height ?? config.height,
+        frameCount: 1
+      });
+    }
+    return sheets.get(key);
+  };
+  const need = (entry, frameIndex) => {
+    if (entry && Number.isInteger(frameIndex)) {
+      entry.frameCount = Math.max(entry.frameCount, frameIndex + 1);
+    }
+  };
+
+  Object.values(MobRegistry).forEach((mob) => {
+    if (!mob) return;
+    Object.values(mob.sheets ?? {}).forEach((sheet) => touch(sheet?.key ?? sheet?.sheetKey, sheet));
+    const legacy = touch(mob.sheetKey, mob.sheet ?? {});
+    need(legacy, mob.defaultFrame);
+
+    (mob.animations ?? []).forEach((def) => {
+      // Same resolution order as registerMobAnimations.
+      const sheetKey = def.sheetKey
+        ?? (def.sheet ? mob.sheets?.[def.sheet]?.key : null)
+        ?? mob.sheetKey;
+      const entry = touch(sheetKey);
+      const frames = def.frames ?? { start: 0, end: 0 };
+      if (Array.isArray(frames.frames)) {
+        frames.frames.forEach((frame) => need(entry, frame));
+      } else {
+        need(entry, frames.end ?? frames.start ?? 0);
+      }
+    });
+  });
+
+  return [...sheets.values()];
+}
+
+/** Drop textures sized for every frame their registry rows and animations use. */
+function collectDropSheets() {
+  const sheets = new Map();
+  const need = (key, frameIndex) => {
+    if (!key) return;
+    const count = Number.isInteger(frameIndex) ? frameIndex + 1 : 1;
+    sheets.set(key, Math.max(sheets.get(key) ?? 1, count));
+  };
+
+  Object.values(DropRegistry).forEach((drop) => {
+    need(drop?.texture, drop?.frame);
+    [drop?.idleAnim, drop?.openAnim].forEach((anim) => {
+      (Array.isArray(anim?.frames) ? anim.frames : []).forEach((frame) => need(drop.texture, frame));
+    });
+  });
+
+  return [...sheets.entries()].map(([key, frameCount]) => ({ key, frameCount }));
+}
+
+function addSheet(textures, key, frameWidth, frameHeight, frameCount) {
+  if (!key || textures.exists(key)) return;
+
+  const width = Math.max(1, frameWidth || DEFAULT_IMAGE_SIZE);
+  const height = Math.max(1, frameHeight || DEFAULT_IMAGE_SIZE);
+  const texture = textures.createCanvas(key, width, height);
+  const count = Math.max(1, frameCount || 1);
+  for (let i = 0; i < count; i++) {
+    texture.add(i, 0, 0, 0, width, height);
+  }
+}
+
+function addAtlas(textures, key, frameNames) {
+  if (!key || textures.exists(key)) return;
+
+  const texture = textures.createCanvas(key, DEFAULT_IMAGE_SIZE, DEFAULT_IMAGE_SIZE);
+  frameNames.forEach((name) => texture.add(name, 0, 0, 0, DEFAULT_IMAGE_SIZE, DEFAULT_IMAGE_SIZE));
+}
+
+function addBitmapFont(scene, key) {
+  if (scene.cache.bitmapFont.exists(key)) return;
+
+  addSheet(scene.textures, key, 8, 8, 1);
+  scene.cache.bitmapFont.add(key, {
+    data: { font: key, size: 8, lineHeight: 8, retroFont: false, chars: {} },
+    texture: key,
+    frame: null,
+    fromAtlas: false
+  });
+}
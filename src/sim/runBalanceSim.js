@@ -0,0 +1,222 @@
+import Phaser from 'phaser';
+import { BalanceSimScene } from './BalanceSimScene.js';
+import { DEFAULT_SIM_BOT, DEFAULT_SIM_PICKER, SimBotRegistry, SimPickerRegistry } from './SimBots.js';
+import { HeroRegistry } from '../hero/HeroRegistry.js';
+import { DEFAULT_MAP_KEY, MapRegistry } from '../maps/MapRegistry.js';
+import { DEFAULT_DIFFICULTY_KEY, isValidDifficulty } from '../run/DifficultyRegistry.js';
+import { FIXED_STEP_MS, FixedStepClock } from '../core/FixedStepClock.js';
+
+const SIM_WIDTH = 960;
+const SIM_HEIGHT = 540;
+
+/**
+ * Validate raw CLI options against the registries and fill defaults. Throws
+ * with a message listing the valid keys when something is misspelled.
+ *
+ * Seeds are either an explicit list (`seeds`, same text the menu seed entry
+ * accepts) or `count` consecutive numbers starting at `seedStart`.
+ */
+export function resolveSimOptions({
+  heroKey,
+  mapKey = DEFAULT_MAP_KEY,
+  difficultyKey = DEFAULT_DIFFICULTY_KEY,
+  bot = DEFAULT_SIM_BOT,
+  picker = DEFAULT_SIM_PICKER,
+  seeds = null,
+  count = 10,
+  seedStart = 1,
+  maxMinutes = 15
+} = {}) {
+  const oneOf = (label, value, keys) => {
+    if (!keys.includes(value)) {
+      throw new Error(`Unknown ${label} "${value}". Expected one of: ${keys.join(', ')}`);
+    }
+    return value;
+  };
+
+  // HeroRegistry's DEFAULT_HERO_KEY isn't a registered hero, so default to the first one.
+  const heroKeys = Object.keys(HeroRegistry);
+  const infiniteMaps = Object.keys(MapRegistry).filter((key) => (MapRegistry[key]?.type ?? 'infinite') === 'infinite');
+
+  if (!isValidDifficulty(difficultyKey)) {
+    throw new Error(`Unknown difficulty "${difficultyKey}".`);
+  }
+
+  const minutes = Number(maxMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error('Minutes must be a positive number.');
+  }
+
+  const runCount = Math.max(1, Math.floor(Number(count) || 1));
+  const start = Math.floor(Number(seedStart) || 0);
+
+  return {
+    heroKey: oneOf('hero', heroKey ?? heroKeys[0], heroKeys),
+    mapKey: oneOf('map (infinite maps only)', mapKey, infiniteMaps),
+    difficultyKey,
+    bot: oneOf('bot', bot, Object.keys(SimBotRegistry)),
+    picker: oneOf('picker', picker, Object.keys(SimPickerRegistry)),
+    seeds: seeds?.length ? [...seeds] : Array.from({ length: runCount }, (_, i) => start + i),
+    maxMinutes: minutes
+  };
+}
+
+/**
+ * Run BalanceSimScene once per seed on a single Phaser HEADLESS game and
+ * collect each run's result. Frames are stepped manually as fast as the CPU
+ * allows, so a 15 minute run takes seconds rather than 15 minutes.
+ *
+ * Every seed starts from frame 0 of a FixedStepClock, so a seed's result does
+ * not depend on wall time or on which seeds ran before it.
+ *
+ * Needs a DOM (window/document/canvas) before Phaser is imported;
+ * scripts/balance-sim.mjs provides one under Node.
+ *
+ * @param {object} options
+ * @param {Array<number|string>} options.seeds
+ * @param {string} options.heroKey
+ * @param {string} options.mapKey - infinite maps only (bounded maps need tilemap JSON)
+ * @param {string} [options.difficultyKey]
+ * @param {string} [options.bot] - SimBotRegistry key
+ * @param {string} [options.picker] - SimPickerRegistry key
+ * @param {number} options.maxMinutes - run-time cap per seed
+ * @param {number} [options.stepMs] - simulated frame length
+ * @param {(result: object, index: number) => void} [options.onRun]
+ * @returns {Promise<object[]>} one BalanceSimScene.simResult per seed
+ */
+export async function runBalanceSim({
+  seeds,
+  heroKey,
+  mapKey,
+  difficultyKey,
+  bot,
+  picker,
+  maxMinutes,
+  stepMs = FIXED_STEP_MS,
+  onRun
+}) {
+  const game = await createHeadlessGame();
+  const clock = new FixedStepClock(game, stepMs);
+  const results = [];
+
+  // Upper bound on frames per run, in case the run clock stalls (e.g. a modal never closes).
+  const maxSteps = Math.ceil(((maxMinutes * 60000) / stepMs) * 1.5) + 600;
+
+  try {
+    for (let i = 0; i < seeds.length; i++) {
+      const data = {
+        heroKey,
+        mapKey,
+        difficultyKey,
+        seed: seeds[i],
+        // Baseline balance: no shop upgrades, whatever the local profile owns.
+        metaUpgrades: {},
+        sim: { bot, picker, maxMinutes }
+      };
+
+      clock.restart();
+      if (game.scene.getScene('game')) {
+        game.scene.start('game', data);
+      } else {
+        game.scene.add('game', BalanceSimScene, true, data);
+      }
+
+      let result = null;
+      let steps = 0;
+      while (!result && steps < maxSteps) {
+        clock.step({ render: false });
+        result = game.scene.getScene('game')?.simResult ?? null;
+        steps += 1;
+      }
+
+      if (!result) {
+        throw new Error(`Seed ${seeds[i]} did not finish within ${maxSteps} frames.`);
+      }
+
+      results.push(result);
+      onRun?.(result, i);
+    }
+  } finally {
+    game.destroy(true, true);
+  }
+
+  return results;
+}
+
+function createHeadlessGame() {
+  return new Promise((resolve) => {
+    const game = new Phaser.Game({
+      type: Phaser.HEADLESS,
+      width: SIM_WIDTH,
+      height: SIM_HEIGHT,
+      physics: { default: 'arcade', arcade: { gravity: { y: 0 } } },
+      audio: { noAudio: true },
+      banner: false,
+      autoFocus: false,
+      scene: []
+    });
+
+    game.events.once('ready', () => {
+      // Frames are driven by FixedStepClock; the RAF loop would advance real time.
+      game.loop.stop();
+      resolve(game);
+    });
+  });
+}
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Aggregate per-seed results into the numbers worth comparing between
+ * registry tweaks. Per-minute kills only average the seeds still alive in
+ * that minute so early deaths don't drag later minutes toward zero.
+ */
+export function summarizeSimResults(results) {
+  const runs = results.length;
+  const deaths = results.filter((r) => r.outcome === 'loss');
+  const longest = Math.max(0, ...results.map((r) => r.killsByMinute.length));
+
+  const killsPerMinute = Array.from({ length: longest }, (_, minute) => {
+    const alive = results.filter((r) => minute < r.killsByMinute.length);
+    return {
+      minute: minute + 1,
+      runs: alive.length,
+      meanKills: mean(alive.map((r) => r.killsByMinute[minute]))
+    };
+  });
+
+  const weaponTotals = {};
+  results.forEach((r) => {
+    Object.entries(r.damageByWeapon).forEach(([key, damage]) => {
+      weaponTotals[key] = (weaponTotals[key] ?? 0) + damage;
+    });
+  });
+  const totalDamage = Object.values(weaponTotals).reduce((sum, v) => sum + v, 0);
+  const damageByWeapon = Object.entries(weaponTotals)
+    .map(([key, damage]) => ({
+      key,
+      meanDamage: damage / Math.max(1, runs),
+      share: totalDamage > 0 ? damage / totalDamage : 0
+    }))
+    .sort((a, b) => b.meanDamage - a.meanDamage);
+
+  return {
+    runs,
+    deaths: deaths.length,
+    survived: results.filter((r) => r.outcome !== 'loss').length,
+    meanTimeMs: mean(results.map((r) => r.timeMs)),
+    medianDeathMs: deaths.length ? median(deaths.map((r) => r.deathAtMs)) : null,
+    meanLevel: mean(results.map((r) => r.level)),
+    maxLevel: Math.max(0, ...results.map((r) => r.level)),
+    meanKills: mean(results.map((r) => r.kills)),
+    killsPerMinute,
+    damageByWeapon
+  };
+}
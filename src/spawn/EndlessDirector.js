@@ -0,0 +1,181 @@
+import { ENDLESS } from '../config/gameConfig.js';
+
+/** Authored timeline events that spawn mobs (control events like the finale are skipped). */
+function spawnEvents(timeline) {
+  return (Array.isArray(timeline) ? timeline : [])
+    .filter((evt) => !evt?.control && Array.isArray(evt?.spawns) && evt.spawns.length > 0);
+}
+
+/** One bossSpawn def per boss mob used by the authored timeline, in timeline order. */
+function bossSpawns(events) {
+  const byMob = new Map();
+  events.forEach((evt) => evt.spawns.forEach((spawn) => {
+    if (spawn?.spawner === 'bossSpawn' && spawn.mobKey && !byMob.has(spawn.mobKey)) {
+      byMob.set(spawn.mobKey, spawn);
+    }
+  }));
+  return [...byMob.values()];
+}
+
+/** bossSpawn gates on `appearAt`, so re-time it to the copy's start. */
+function retime(spawn, at) {
+  return spawn?.spawner === 'bossSpawn'
+    ? { ...spawn, entry: { ...(spawn.entry ?? {}), appearAt: at } }
+    : spawn;
+}
+
+/**
+ * EndlessDirector
+ *
+ * Opt-in continuation once the werewolf finale is cleared (`endless: true` in
+ * the GameScene data). Weighted spawns come back on and the run loops through
+ * escalation cycles of ENDLESS.cycleSeconds until the hero dies:
+ *  - enemies spawned during cycle N get `(1 + growth)^N` HP and damage on top
+ *    of the difficulty preset (through scene.combatTuning)
+ *  - SpawnDirector gets ENDLESS.eventsPerCycle copies of the default
+ *    timeline's spawn events, rotating through them cycle by cycle
+ *  - every ENDLESS.bossEveryCycles-th cycle opens with one of the timeline bosses
+ *
+ * Cycles are generated from the cycle number alone (no RNG rolls), so a
+ * suspended run can rebuild the exact same timeline and replays stay in sync.
+ */
+export class EndlessDirector {
+  /**
+   * @param {Phaser.Scene} scene - GameScene (reads spawnDirector, combatTuning and the run clock)
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.cycle = 0;
+    this.startAt = null;
+    this._timer = null;
+
+    this._templates = spawnEvents(scene.spawnDirector?.timeline);
+    this._bosses = bossSpawns(this._templates);
+
+    // Difficulty multipliers the per-cycle growth compounds on.
+    this._baseTuning = {
+      hpMult: scene.combatTuning?.hpMult ?? 1,
+      damageMult: scene.combatTuning?.damageMult ?? 1
+    };
+  }
+
+  /** True once the finale has been cleared and the run went endless. */
+  isActive() {
+    return this.startAt != null;
+  }
+
+  /**
+   * Start the continuation. The first cycle begins after
+   * ENDLESS.startDelaySeconds so the arena gets a moment to clear.
+   */
+  begin() {
+    if (this.isActive()) return;
+    this.startAt = this._runSeconds() + ENDLESS.startDelaySeconds;
+    this._startTimer();
+  }
+
+  /** Serializable progress for suspended runs (run-clock seconds). */
+  getState() {
+    return this.isActive() ? { startAt: this.startAt, cycle: this.cycle } : null;
+  }
+
+  /**
+   * Inverse of getState(). Re-appends every cycle reached so far, so restore
+   * this before SpawnDirector.restoreState() looks its events up by id.
+   */
+  restoreState(state) {
+    const startAt = Number(state?.startAt);
+    if (!Number.isFinite(startAt)) return;
+
+    this.startAt = startAt;
+    const cycle = Math.max(0, Math.floor(Number(state.cycle) || 0));
+    for (let n = 1; n <= cycle; n += 1) this._enterCycle(n);
+    this._startTimer();
+  }
+
+  /** Stop cycling and hand combatTuning back as found (it outlives scene restarts). */
+  destroy() {
+    this._timer?.remove?.(false);
+    this._timer = null;
+    if (this.scene) {
+      this.scene.combatTuning = { ...(this.scene.combatTuning ?? {}), ...this._baseTuning };
+    }
+    this.scene = null;
+  }
+
+  _runSeconds() {
+    return this.scene?.getRunElapsedSeconds?.() ?? 0;
+  }
+
+  _cycleStart(cycle) {
+    return this.startAt + (cycle - 1) * ENDLESS.cycleSeconds;
+  }
+
+  _startTimer() {
+    this._timer?.remove?.(false);
+    this._timer = this.scene?.time?.addEvent?.({
+      delay: 1000,
+      loop: true,
+      callback: () => this._tick()
+    });
+    this._tick();
+  }
+
+  _tick() {
+    if (!this.scene || this.scene.isGameOver) return;
+
+    const now = this._runSeconds();
+    while (now >= this._cycleStart(this.cycle + 1)) {
+      this._enterCycle(this.cycle + 1);
+      this.scene.spawnDirector?.setWeightedEnabled?.(true);
+      this.scene.events?.emit('endless:cycle', { cycle: this.cycle });
+    }
+  }
+
+  _enterCycle(cycle) {
+    this.cycle = cycle;
+
+    this.scene.combatTuning = {
+      ...(this.scene.combatTuning ?? {}),
+      hpMult: this._baseTuning.hpMult * Math.pow(1 + ENDLESS.hpGrowthPerCycle, cycle),
+      damageMult: this._baseTuning.damageMult * Math.pow(1 + ENDLESS.damageGrowthPerCycle, cycle)
+    };
+
+    this.scene.spawnDirector?.appendTimeline?.(this._buildCycle(cycle));
+  }
+
+  /** Timeline events for one cycle, spread evenly across it. */
+  _buildCycle(cycle) {
+    const start = this._cycleStart(cycle);
+    const events = [];
+
+    if (this._bosses.length > 0 && cycle % ENDLESS.bossEveryCycles === 0) {
+      const boss = this._bosses[(cycle / ENDLESS.bossEveryCycles - 1) % this._bosses.length];
+      events.push({
+        id: `endless-${cycle}-boss`,
+        at: start,
+        duration: 4,
+        behavior: 'blend',
+        once: true,
+        spawns: [retime(boss, start)]
+      });
+    }
+
+    if (this._templates.length === 0) return events;
+
+    const count = Math.max(1, ENDLESS.eventsPerCycle);
+    const spacing = ENDLESS.cycleSeconds / count;
+    for (let i = 0; i < count; i += 1) {
+      const template = this._templates[((cycle - 1) * count + i) % this._templates.length];
+      const at = start + i * spacing;
+      events.push({
+        ...template,
+        id: `endless-${cycle}-${i}-${template.id ?? template.__eventId}`,
+        at,
+        once: true,
+        spawns: template.spawns.map((spawn) => retime(spawn, at))
+      });
+    }
+    return events;
+  }
+}
@@ -1,6 +1,7 @@
 import Phaser from 'phaser';
 import { evaluateWeight, weightedPick } from './utils.js';
 import { SpawnerRegistry } from './spawners/index.js';
+import { getRng } from '../run/RunRng.js';
 
 /**
  * SpawnDirector
@@ -387,6 +388,55 @@ export class SpawnDirector {
       this._timelineIndex += 1;
     }
   }
+
+  /**
+   * Serializable timeline progress for suspended runs. Times are in runtime
+   * seconds, so restore only after the run clock has been put back.
+   */
+  getState() {
+    return {
+      timelineIndex: this._timelineIndex,
+      firedEvents: Array.from(this._firedEvents),
+      activeEventId: this._activeEvent ? this._getEventId(this._activeEvent) : null,
+      activeEventEndAt: this._activeEventEndAt,
+      weightedEnabled: this._weightedEnabled
+    };
+  }
+
+  /**
+   * Inverse of getState(). Caps are re-resolved for the restored time so
+   * time-based `max` curves don't hold the run at its opening caps.
+   */
+  restoreState(state = {}) {
+    const index = Math.floor(Number(state.timelineIndex) || 0);
+    this._timelineIndex = Math.max(0, Math.min(this.timeline.length, index));
+    this._firedEvents = new Set(Array.isArray(state.firedEvents) ? state.firedEvents : []);
+    this._activeEvent = state.activeEventId != null
+      ? this.timeline.find((evt) => this._getEventId(evt) === state.activeEventId) ?? null
+      : null;
+    this._activeEventEndAt = this._activeEvent ? Number(state.activeEventEndAt) || 0 : 0;
+    this._weightedEnabled = state.weightedEnabled !== false;
+
+    this._updateDynamicCaps(this._getTimes().tDesign);
+  }
+
+  /**
+   * Queue more scripted events after the authored timeline (endless mode).
+   * Events are expected to start no earlier than the last queued one; they
+   * need unique ids so suspended runs can find them again.
+   */
+  appendTimeline(events = []) {
+    if (!Array.isArray(events) || events.length === 0) return;
+
+    const offset = this.timeline.length;
+    events
+      .slice()
+      .sort((a, b) => (a.at ?? 0) - (b.at ?? 0))
+      .forEach((evt, i) => {
+        this.timeline.push({ ...evt, __eventId: evt?.id ?? `timeline-${offset + i}` });
+      });
+  }
+
   /**
    * Update the delay between spawn checks at runtime.
    */
@@ -553,8 +603,9 @@ export class SpawnDirector {
     };
 
     // Perform spawn attempts (each may spawn multiple mobs depending on spawner)
+    const rng = getRng(this.scene, 'spawn');
     for (let i = 0; i < attempts; i++) {
-      const candidate = weightedPick(candidates);
+      const candidate = weightedPick(candidates, rng);
       if (!candidate) break;
 
       const { mobKey, modeKey, mobEntry, modeEntry } = candidate;
@@ -656,7 +707,7 @@ export class SpawnDirector {
       : null;
 
     if (keyedPoints?.length) {
-      const point = Phaser.Utils.Array.GetRandom(keyedPoints);
+      const point = getRng(this.scene, 'spawn').pick(keyedPoints);
       if (point) {
         return { x: point.x, y: point.y };
       }
@@ -677,6 +728,8 @@ export class SpawnDirector {
     // Bounded maps use world bounds for spawn sampling.
     const bounds = runtime?.getWorldBounds?.();
 
+    const rng = getRng(this.scene, 'spawn');
+
     if (runtime?.isBounded?.() && bounds) {
       // Keep spawns inside bounds and walkable tiles for bounded maps.
       const minX = bounds.left + margin;
@@ -685,8 +738,8 @@ export class SpawnDirector {
       const maxY = bounds.bottom - margin;
 
       for (let i = 0; i < attempts; i += 1) {
-        const x = Phaser.Math.FloatBetween(minX, maxX);
-        const y = Phaser.Math.FloatBetween(minY, maxY);
+        const x = rng.float(minX, maxX);
+        const y = rng.float(minY, maxY);
         const mapQuery = this.scene?.mapQuery;
         if (!mapQuery || mapQuery.isWalkableWorldXY(x, y)) {
           return { x, y };
@@ -701,7 +754,7 @@ export class SpawnDirector {
     }
 
     if (heroSprite && Number.isFinite(radius) && radius > 0) {
-      const angle = Math.random() * Math.PI * 2;
+      const angle = rng() * Math.PI * 2;
       return {
         x: heroSprite.x + Math.cos(angle) * radius,
         y: heroSprite.y + Math.sin(angle) * radius
@@ -735,8 +788,9 @@ export class SpawnDirector {
     const totalWeight = validAreas.reduce((sum, area) => sum + area.width * area.height, 0);
     if (!Number.isFinite(totalWeight) || totalWeight <= 0) return null;
 
+    const rng = getRng(this.scene, 'spawn');
     const pickArea = () => {
-      let roll = Math.random() * totalWeight;
+      let roll = rng() * totalWeight;
       for (const area of validAreas) {
         roll -= area.width * area.height;
         if (roll <= 0) return area;
@@ -748,8 +802,8 @@ export class SpawnDirector {
       const area = pickArea();
       if (!area) return null;
 
-      const x = Phaser.Math.FloatBetween(area.x, area.x + area.width);
-      const y = Phaser.Math.FloatBetween(area.y, area.y + area.height);
+      const x = rng.float(area.x, area.x + area.width);
+      const y = rng.float(area.y, area.y + area.height);
       const mapQuery = this.scene?.mapQuery;
       if (!mapQuery || mapQuery.isWalkableWorldXY(x, y)) {
         return { x, y };
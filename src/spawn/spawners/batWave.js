@@ -1,7 +1,7 @@
-import Phaser from 'phaser';
 import { getBodySpawnBuffer, resolveMobConfig } from '../../mob/MobRegistry.js';
 import { pickOne, resolveAttempt, resolveValue } from '../utils.js';
 import { resolveSpawnKey } from './spawnKey.js';
+import { getRng } from '../../run/RunRng.js';
 
 /**
  * Custom spawner: emits one or more "bat waves" (formation lines) that travel
@@ -18,6 +18,7 @@ import { resolveSpawnKey } from './spawnKey.js';
 export function batWave(ctx, mobKey, t, mobEntry = {}) {
   const { scene, enemyPools, heroSprite, modeKey = null } = ctx ?? {};
   if (!scene) return false;
+  const rng = getRng(scene, 'spawn');
 
   // Acquire the pool for this mob type; if missing, we can't spawn.
   const pool = enemyPools?.getPool?.(mobKey);
@@ -66,7 +67,7 @@ export function batWave(ctx, mobKey, t, mobEntry = {}) {
     const isFlyingAi = ai === 'flyStraight' || ai === 'flySine';
     for (let i = 0; i < totalCount; i += 1) {
       if (!enemyPools?.canSpawn?.(mobKey)) break;
-      const direction = pickOne(directions) ?? 'L2R';
+      const direction = pickOne(directions, rng) ?? 'L2R';
       const velocityX = direction === 'R2L' ? -speed : direction === 'L2R' ? speed : 0;
       const velocityY = direction === 'T2B' ? speed : direction === 'B2T' ? -speed : 0;
 
@@ -129,7 +130,7 @@ export function batWave(ctx, mobKey, t, mobEntry = {}) {
     if (!enemyPools?.canSpawn?.(mobKey)) break;
 
     // Choose an edge travel direction for this group.
-    const direction = pickOne(directions) ?? 'L2R';
+    const direction = pickOne(directions, rng) ?? 'L2R';
 
     // Base spawn anchor + travel velocity for the group,
     // and which axis is perpendicular for stacking the formation.
@@ -144,20 +145,20 @@ export function batWave(ctx, mobKey, t, mobEntry = {}) {
     switch (direction) {
       case 'R2L':
         baseX = view.x + view.width + margin;
-        baseY = Phaser.Math.FloatBetween(view.y - margin * 0.5, view.y + view.height + margin * 0.5);
+        baseY = rng.float(view.y - margin * 0.5, view.y + view.height + margin * 0.5);
         velocityX = -speed;
         velocityY = 0;
         axis = 'vertical';   // stack bats vertically for a horizontal travel line
         break;
       case 'T2B':
-        baseX = Phaser.Math.FloatBetween(view.x - margin * 0.5, view.x + view.width + margin * 0.5);
+        baseX = rng.float(view.x - margin * 0.5, view.x + view.width + margin * 0.5);
         baseY = view.y - margin;
         velocityX = 0;
         velocityY =  speed;
         axis = 'horizontal'; // stack bats horizontally for a vertical travel line
         break;
       case 'B2T':
-        baseX = Phaser.Math.FloatBetween(view.x - margin * 0.5, view.x + view.width + margin * 0.5);
+        baseX = rng.float(view.x - margin * 0.5, view.x + view.width + margin * 0.5);
         baseY = view.y + view.height + margin;
         velocityX = 0;
         velocityY = -speed;
@@ -166,7 +167,7 @@ export function batWave(ctx, mobKey, t, mobEntry = {}) {
       case 'L2R':
       default:
         baseX = view.x - margin;
-        baseY = Phaser.Math.FloatBetween(view.y - margin * 0.5, view.y + view.height + margin * 0.5);
+        baseY = rng.float(view.y - margin * 0.5, view.y + view.height + margin * 0.5);
         velocityX =  speed;
         velocityY = 0;
         axis = 'vertical';
@@ -1,10 +1,7 @@
-import Phaser from 'phaser';
 import { resolveAttempt, resolveValue } from '../utils.js';
 import { resolveMobConfig } from '../../mob/MobRegistry.js';
 import { resolveSpawnKey } from './spawnKey.js';
-
-// Tracks per-scene cooldown timestamps for legion spawns keyed by mob type.
-const lastLegionByScene = new WeakMap();
+import { getRng } from '../../run/RunRng.js';
 
 /**
  * Custom spawner: creates a circular "legion" formation that advances toward
@@ -33,11 +30,9 @@ export function boneLegion(ctx, mobKey, t, mobEntry = {}) {
   const now = scene.time?.now ?? 0;
   const cooldownMs = Number(resolveValue(legionConfig.cooldownMs, t, 45000)) || 45000;
 
-  let byMob = lastLegionByScene.get(scene);
-  if (!byMob) {
-    byMob = new Map();
-    lastLegionByScene.set(scene, byMob);
-  }
+  // Kept on the scene (not a module map) so resetRunState clears it when the scene restarts.
+  scene._legionCooldownByMob = scene._legionCooldownByMob || new Map();
+  const byMob = scene._legionCooldownByMob;
 
   const last = byMob.get(mobKey) ?? -Infinity;
   if (now - last < cooldownMs) return false;
@@ -150,12 +145,13 @@ export function boneLegion(ctx, mobKey, t, mobEntry = {}) {
     ];
   } else {
     // Infinite map behavior: single legion enters from a random camera edge.
-    const side = Math.floor(Math.random() * 4);
+    const rng = getRng(scene, 'spawn');
+    const side = Math.floor(rng() * 4);
     switch (side) {
       case 0: {
         centerPoints = [
           {
-            x: Phaser.Math.Between(view.left + resolvedRadius, view.right - resolvedRadius),
+            x: rng.between(view.left + resolvedRadius, view.right - resolvedRadius),
             y: view.top - resolvedRadius - margin,
           },
         ];
@@ -164,7 +160,7 @@ export function boneLegion(ctx, mobKey, t, mobEntry = {}) {
       case 1: {
         centerPoints = [
           {
-            x: Phaser.Math.Between(view.left + resolvedRadius, view.right - resolvedRadius),
+            x: rng.between(view.left + resolvedRadius, view.right - resolvedRadius),
             y: view.bottom + resolvedRadius + margin,
           },
         ];
@@ -174,7 +170,7 @@ export function boneLegion(ctx, mobKey, t, mobEntry = {}) {
         centerPoints = [
           {
             x: view.left - resolvedRadius - margin,
-            y: Phaser.Math.Between(view.top + resolvedRadius, view.bottom - resolvedRadius),
+            y: rng.between(view.top + resolvedRadius, view.bottom - resolvedRadius),
           },
         ];
         break;
@@ -183,7 +179,7 @@ export function boneLegion(ctx, mobKey, t, mobEntry = {}) {
         centerPoints = [
           {
             x: view.right + resolvedRadius + margin,
-            y: Phaser.Math.Between(view.top + resolvedRadius, view.bottom - resolvedRadius),
+            y: rng.between(view.top + resolvedRadius, view.bottom - resolvedRadius),
           },
         ];
         break;
@@ -1,10 +1,7 @@
 import { resolveAttempt, resolveValue } from '../utils.js';
 import { resolveSpawnKey } from './spawnKey.js';
 import { getBodySpawnBuffer, resolveMobConfig } from '../../mob/MobRegistry.js';
-
-// Tracks per-scene cooldown timestamps for wall spawns keyed by mob type.
-// WeakMap ensures we don't prevent Scene instances from being GC'd.
-const lastWallByScene = new WeakMap();
+import { getRng } from '../../run/RunRng.js';
 
 /**
  * Custom spawner: emits a solid "wall" (full line/row) of mobs just off-screen,
@@ -29,6 +26,7 @@ const lastWallByScene = new WeakMap();
 export function wallLine(ctx, mobKey, t, mobEntry = {}) {
   const { scene, enemyPools, heroSprite, modeKey = null } = ctx ?? {};
   if (!scene) return false;
+  const rng = getRng(scene, 'spawn');
 
   // Acquire pool for mob type; bail if unavailable.
   const pool = enemyPools?.getPool?.(mobKey);
@@ -51,15 +49,12 @@ export function wallLine(ctx, mobKey, t, mobEntry = {}) {
     ? scene.spawnDirector?.getSpawnPoint?.({ heroSprite, attempts: 1, spawnKey })
     : null;
 
-  // Per-scene per-mob cooldown (prevents overly frequent walls).
+  // Per-run per-mob cooldown (prevents overly frequent walls); resetRunState clears it.
   const now = scene.time?.now ?? 0;
   const cooldownMs = Number(resolveValue(wallConfig.cooldownMs, t, 60000)) || 60000;
 
-  let byMob = lastWallByScene.get(scene);
-  if (!byMob) {
-    byMob = new Map();
-    lastWallByScene.set(scene, byMob);
-  }
+  scene._wallCooldownByMob = scene._wallCooldownByMob || new Map();
+  const byMob = scene._wallCooldownByMob;
 
   const last = byMob.get(mobKey) ?? -Infinity;
   if (now - last < cooldownMs) {
@@ -81,7 +76,7 @@ export function wallLine(ctx, mobKey, t, mobEntry = {}) {
   // Orientation can be a single value or an array to randomize each wall.
   const orientationValue = resolveValue(wallConfig.orientation, t, 'vertical');
   const orientationOptions = Array.isArray(orientationValue) ? orientationValue : [orientationValue];
-  const orientation = orientationOptions[Math.floor(Math.random() * orientationOptions.length)] || 'vertical';
+  const orientation = rng.pick(orientationOptions) || 'vertical';
 
   // Formation geometry: spacing along the wall, thickness (# parallel rows), and distance between rows.
   const spacingValue = Number(resolveValue(wallConfig.spacing, t, 22));
@@ -193,8 +188,8 @@ export function wallLine(ctx, mobKey, t, mobEntry = {}) {
     }
   } else {
     fixed = horizontal
-      ? (Math.random() < 0.5 ? (view.top + inset) : (view.bottom - inset))
-      : (Math.random() < 0.5 ? (view.left + inset) : (view.right - inset));
+      ? (rng.chance(0.5) ? (view.top + inset) : (view.bottom - inset))
+      : (rng.chance(0.5) ? (view.left + inset) : (view.right - inset));
   }
 
   buildWall(horizontal, fixed);
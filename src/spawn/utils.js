@@ -32,14 +32,15 @@ export function evaluateWeight(weight, t) {
  *   • `null` if no valid entries are selectable
  *
  * This is the standard "roulette wheel" selection pattern.
+ * `rng` defaults to Math.random; SpawnDirector passes the run's spawn stream.
  */
-export function weightedPick(entries) {
+export function weightedPick(entries, rng = Math.random) {
   // Compute total weight across all entries.
   const total = entries.reduce((sum, entry) => sum + Math.max(0, entry.weight), 0);
   if (total <= 0) return null;
 
   // Random roll within the total weight range.
-  let roll = Math.random() * total;
+  let roll = rng() * total;
 
   // Subtract weights in sequence until selection threshold is passed.
   for (const entry of entries) {
@@ -124,8 +125,8 @@ export function resolveValue(value, t, fallback) {
  *   - A random allowed direction (e.g., L2R / R2L / T2B / B2T)
  *   - Random movement style options
  */
-export function pickOne(options) {
+export function pickOne(options, rng = Math.random) {
   if (!Array.isArray(options) || options.length === 0) return undefined;
-  const index = Math.floor(Math.random() * options.length);
+  const index = Math.floor(rng() * options.length);
   return options[index];
 }
@@ -0,0 +1,149 @@
+/**
+ * StatusEffectRegistry
+ *
+ * Declarative definitions for every status effect a weapon can apply through
+ * its `damage.status` array. StatusEffectSystem reads these entries to decide
+ * how an effect ticks, how it stacks, and how it modifies the enemy.
+ *
+ * Each entry describes:
+ *  - `kind`: what the effect does
+ *      - `'dot'`:           deals `damagePerTick` every `tickMs` (burn, poison, bleed)
+ *      - `'slow'`:          scales enemy velocity by `1 - slowPct` (chill)
+ *      - `'stun'`:          freezes AI + animation for the duration (freeze)
+ *      - `'vulnerability'`: multiplies incoming hit damage by `1 + damageTakenPct`
+ *  - `stacking`: what happens when the effect is re-applied while active
+ *      - `'refresh'`: reset the duration, keep the strongest potency
+ *      - `'stack'`:   add a stack (up to `maxStacks`) and reset the duration;
+ *                     potency (tick damage / slow / vulnerability) scales per stack
+ *      - `'extend'`:  add the new duration on top, capped at `maxDurationMs`
+ *      - `'ignore'`:  keep the current instance untouched
+ *  - `immuneTiers`: mob tiers (MobRegistry `tier`) that shrug the effect off
+ *  - `tint`: sprite tint while active + damage number tint for ticks
+ *  - `priority`: highest active priority wins the sprite tint
+ *
+ * Weapon entries reference effects by key and may override any numeric field:
+ *
+ *   damage: {
+ *     base: 12,
+ *     status: [
+ *       'burn',                                            // registry defaults
+ *       { key: 'chill', chance: 0.35, durationMs: 1500 }   // per-weapon tuning
+ *     ]
+ *   }
+ */
+export const StatusEffectRegistry = {
+  burn: {
+    key: 'burn',
+    kind: 'dot',
+    stacking: 'refresh',
+    chance: 1,
+    durationMs: 3000,
+    tickMs: 500,
+    damagePerTick: 3,
+    maxStacks: 1,
+    tint: 0xff7a2e,
+    priority: 3,
+    audio: { applied: null },
+    ui: { name: 'Burn' }
+  },
+
+  poison: {
+    key: 'poison',
+    kind: 'dot',
+    stacking: 'stack',
+    chance: 1,
+    durationMs: 4000,
+    tickMs: 1000,
+    damagePerTick: 2,
+    maxStacks: 5,
+    tint: 0x7bd94f,
+    priority: 2,
+    audio: { applied: null },
+    ui: { name: 'Poison' }
+  },
+
+  bleed: {
+    key: 'bleed',
+    kind: 'dot',
+    stacking: 'stack',
+    chance: 1,
+    durationMs: 2500,
+    tickMs: 250,
+    damagePerTick: 1,
+    maxStacks: 10,
+    tint: 0xb0112a,
+    priority: 1,
+    audio: { applied: null },
+    ui: { name: 'Bleed' }
+  },
+
+  chill: {
+    key: 'chill',
+    kind: 'slow',
+    stacking: 'refresh',
+    chance: 1,
+    durationMs: 2000,
+    slowPct: 0.4,
+    maxStacks: 1,
+    tint: 0x8fd3ff,
+    priority: 4,
+    audio: { applied: null },
+    ui: { name: 'Chill' }
+  },
+
+  freeze: {
+    key: 'freeze',
+    kind: 'stun',
+    stacking: 'ignore',
+    chance: 1,
+    durationMs: 1000,
+    maxStacks: 1,
+    immuneTiers: ['boss'],
+    tint: 0x4fa8ff,
+    priority: 5,
+    audio: { applied: null },
+    ui: { name: 'Freeze' }
+  },
+
+  vulnerable: {
+    key: 'vulnerable',
+    kind: 'vulnerability',
+    stacking: 'extend',
+    chance: 1,
+    durationMs: 3000,
+    maxDurationMs: 6000,
+    damageTakenPct: 0.25,
+    maxStacks: 1,
+    tint: 0xd08cff,
+    priority: 0,
+    audio: { applied: null },
+    ui: { name: 'Vulnerable' }
+  }
+};
+
+/**
+ * Guard helper to confirm a status key exists in the registry.
+ */
+export function isValidStatusEffect(key) {
+  if (typeof key !== 'string') return false;
+  return Object.prototype.hasOwnProperty.call(StatusEffectRegistry, key);
+}
+
+/**
+ * Merge a weapon-supplied status spec (string key or `{ key, ...overrides }`)
+ * over its registry defaults. Returns null for unknown keys so callers can
+ * skip malformed entries without throwing mid-combat.
+ */
+export function resolveStatusSpec(spec) {
+  const key = typeof spec === 'string' ? spec : spec?.key;
+  if (!isValidStatusEffect(key)) return null;
+
+  const base = StatusEffectRegistry[key];
+  const overrides = typeof spec === 'object' && spec !== null ? spec : {};
+
+  return {
+    ...base,
+    ...overrides,
+    key
+  };
+}
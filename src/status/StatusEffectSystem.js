@@ -0,0 +1,353 @@
+import { getRng } from '../run/RunRng.js';
+import { resolveStatusSpec } from './StatusEffectRegistry.js';
+
+// Never let stacked slows fully pin an enemy; freeze is the only hard stop.
+const MIN_SPEED_MULT = 0.1;
+
+/**
+ * StatusEffectSystem owns every active status effect on pooled enemies.
+ *
+ * Effects are stored on the enemy itself (`enemy._statusEffects`, keyed by
+ * status key) so lookups from the AI loop and DamagePipeline stay O(1), while
+ * the system keeps a set of affected enemies so the per-frame tick only walks
+ * enemies that actually carry effects.
+ *
+ * Timing is driven by the simulation `dt` passed from stepSimulation, so
+ * effects freeze with the shared pause and stay deterministic.
+ *
+ * Events:
+ *  - `status:applied` { enemy, key, stacks, durationMs, sourceKey, refreshed }
+ *  - `status:expired` { enemy, key, reason }  reason: 'elapsed' | 'died' | 'released' | 'cleared'
+ */
+export class StatusEffectSystem {
+  /**
+   * @param {Phaser.Scene} scene - Owning scene (events, rng).
+   * @param {object} [options]
+   * @param {import('../combat/DamagePipeline.js').DamagePipeline} [options.damagePipeline] - Routes DoT ticks.
+   * @param {Phaser.Events.EventEmitter} [options.events] - Shared event bus.
+   */
+  constructor(scene, { damagePipeline, events } = {}) {
+    this.scene = scene;
+    this.damagePipeline = damagePipeline ?? null;
+    this.events = events ?? scene?.events ?? null;
+
+    // Enemies currently carrying at least one effect.
+    this._affected = new Set();
+
+    // Pooled enemies must never carry effects into their next life.
+    this._onEnemyReleased = ({ enemy } = {}) => this.clear(enemy, { reason: 'released' });
+    this.events?.on?.('enemy:released', this._onEnemyReleased);
+  }
+
+  /** Allow late binding once DamagePipeline exists. */
+  setDamagePipeline(damagePipeline) {
+    this.damagePipeline = damagePipeline ?? null;
+  }
+
+  /**
+   * Roll and apply every status spec from a damage payload.
+   * Returns the number of effects that landed.
+   */
+  applyFromPayload(enemy, statusList = [], { sourceKey = null } = {}) {
+    if (!Array.isArray(statusList) || !statusList.length) return 0;
+
+    let applied = 0;
+    for (const spec of statusList) {
+      if (this.apply(enemy, spec, { sourceKey })) applied += 1;
+    }
+    return applied;
+  }
+
+  /**
+   * Apply (or re-apply) a single status effect to an enemy, honouring the
+   * entry's chance, tier immunities and stacking rule.
+   */
+  apply(enemy, spec, { sourceKey = null } = {}) {
+    if (!enemy?.active || enemy._isDying) return false;
+
+    const def = resolveStatusSpec(spec);
+    if (!def) return false;
+
+    if (Array.isArray(def.immuneTiers) && def.immuneTiers.includes(enemy.tier)) return false;
+
+    const chance = Number.isFinite(def.chance) ? def.chance : 1;
+    if (chance < 1) {
+      if (!getRng(this.scene, 'crits').chance(chance)) return false;
+    }
+
+    const durationMs = Math.max(0, Number(def.durationMs) || 0);
+    if (durationMs <= 0) return false;
+
+    const effects = enemy._statusEffects ?? (enemy._statusEffects = new Map());
+    const existing = effects.get(def.key);
+    const maxStacks = Math.max(1, def.maxStacks ?? 1);
+
+    if (existing) {
+      switch (def.stacking) {
+        case 'ignore':
+          return false;
+        case 'stack':
+          existing.stacks = Math.min(maxStacks, existing.stacks + 1);
+          existing.remainingMs = Math.max(existing.remainingMs, durationMs);
+          break;
+        case 'extend': {
+          const cap = Number.isFinite(def.maxDurationMs) ? def.maxDurationMs : Infinity;
+          existing.remainingMs = Math.min(cap, existing.remainingMs + durationMs);
+          break;
+        }
+        case 'refresh':
+        default:
+          existing.remainingMs = Math.max(existing.remainingMs, durationMs);
+          break;
+      }
+
+      // Keep the strongest potency so a weak source never downgrades a strong one.
+      existing.damagePerTick = Math.max(existing.damagePerTick, Number(def.damagePerTick) || 0);
+      existing.slowPct = Math.max(existing.slowPct, Number(def.slowPct) || 0);
+      existing.damageTakenPct = Math.max(existing.damageTakenPct, Number(def.damageTakenPct) || 0);
+      existing.sourceKey = sourceKey ?? existing.sourceKey;
+
+      this._emitApplied(enemy, existing, true);
+      return true;
+    }
+
+    const instance = {
+      key: def.key,
+      def,
+      stacks: 1,
+      remainingMs: durationMs,
+      tickMs: Math.max(50, Number(def.tickMs) || 500),
+      tickAccMs: 0,
+      damagePerTick: Number(def.damagePerTick) || 0,
+      slowPct: Number(def.slowPct) || 0,
+      damageTakenPct: Number(def.damageTakenPct) || 0,
+      sourceKey
+    };
+
+    effects.set(def.key, instance);
+    this._affected.add(enemy);
+
+    if (def.kind === 'stun') {
+      enemy.body?.setVelocity?.(0, 0);
+      enemy.anims?.pause?.();
+    }
+
+    this.refreshTint(enemy);
+    this._emitApplied(enemy, instance, false);
+    return true;
+  }
+
+  /**
+   * Advance every active effect. Called once per simulation step before the
+   * AI loop so stuns/slows are current when behaviours run.
+   */
+  update(dt) {
+    if (!this._affected.size) return;
+    const stepMs = Math.max(0, Number(dt) || 0);
+
+    // Copy so DoT deaths (which release enemies and clear them) can't mutate the set mid-walk.
+    const enemies = Array.from(this._affected);
+    for (const enemy of enemies) {
+      if (!enemy?.active || enemy._isDying) {
+        this.clear(enemy, { reason: 'died' });
+        continue;
+      }
+
+      const effects = enemy._statusEffects;
+      if (!effects?.size) {
+        this._affected.delete(enemy);
+        continue;
+      }
+
+      let tintDirty = false;
+      for (const instance of Array.from(effects.values())) {
+        if (instance.def.kind === 'dot' && instance.damagePerTick > 0) {
+          instance.tickAccMs += stepMs;
+          while (instance.tickAccMs >= instance.tickMs) {
+            instance.tickAccMs -= instance.tickMs;
+            this._applyTick(enemy, instance);
+            if (!enemy.active || enemy._isDying) break;
+          }
+        }
+
+        if (!enemy.active || enemy._isDying) break;
+
+        instance.remainingMs -= stepMs;
+        if (instance.remainingMs <= 0) {
+          this._remove(enemy, instance, 'elapsed');
+          tintDirty = true;
+        }
+      }
+
+      if (!enemy.active || enemy._isDying) {
+        this.clear(enemy, { reason: 'died' });
+        continue;
+      }
+
+      if (!effects.size) this._affected.delete(enemy);
+      if (tintDirty) this.refreshTint(enemy);
+    }
+  }
+
+  /** Whether the enemy currently carries the given status. */
+  has(enemy, key) {
+    return Boolean(enemy?._statusEffects?.has?.(key));
+  }
+
+  /** Read the stack count for a status (0 when absent). */
+  getStacks(enemy, key) {
+    return enemy?._statusEffects?.get?.(key)?.stacks ?? 0;
+  }
+
+  /** True while any stun-kind effect is active. */
+  isStunned(enemy) {
+    const effects = enemy?._statusEffects;
+    if (!effects?.size) return false;
+    for (const instance of effects.values()) {
+      if (instance.def.kind === 'stun') return true;
+    }
+    return false;
+  }
+
+  /** Combined velocity multiplier from slow-kind effects (stacked slows multiply). */
+  getSpeedMultiplier(enemy) {
+    const effects = enemy?._statusEffects;
+    if (!effects?.size) return 1;
+
+    let mult = 1;
+    for (const instance of effects.values()) {
+      if (instance.def.kind !== 'slow') continue;
+      const pct = Math.min(1, Math.max(0, instance.slowPct * instance.stacks));
+      mult *= 1 - pct;
+    }
+    return Math.max(MIN_SPEED_MULT, mult);
+  }
+
+  /** Combined incoming-damage multiplier from vulnerability-kind effects. */
+  getDamageTakenMultiplier(enemy) {
+    const effects = enemy?._statusEffects;
+    if (!effects?.size) return 1;
+
+    let bonus = 0;
+    for (const instance of effects.values()) {
+      if (instance.def.kind !== 'vulnerability') continue;
+      bonus += instance.damageTakenPct * instance.stacks;
+    }
+    return 1 + Math.max(0, bonus);
+  }
+
+  /**
+   * Undo last frame's slow scaling so behaviours that keep their previous
+   * velocity (mid-attack lunges, etc.) don't compound the slow every frame.
+   */
+  restoreBaseVelocity(enemy) {
+    const applied = enemy?._statusSpeedMult;
+    if (!Number.isFinite(applied) || applied === 1) return;
+
+    const vel = enemy.body?.velocity;
+    if (vel) enemy.body.setVelocity(vel.x / applied, vel.y / applied);
+    enemy._statusSpeedMult = 1;
+  }
+
+  /** Scale the velocity the behaviour just produced by the current slow multiplier. */
+  applyVelocityModifiers(enemy) {
+    const mult = this.getSpeedMultiplier(enemy);
+    if (mult === 1) return;
+
+    const vel = enemy.body?.velocity;
+    if (vel) enemy.body.setVelocity(vel.x * mult, vel.y * mult);
+    enemy._statusSpeedMult = mult;
+  }
+
+  /**
+   * Re-apply the highest-priority status tint, else the enemy's base tint
+   * (elite colour), else clear it. DamagePipeline calls this after its hit
+   * flash so the flash doesn't wipe status colours.
+   */
+  refreshTint(enemy) {
+    if (!enemy?.active) return;
+
+    let best = null;
+    for (const instance of enemy._statusEffects?.values?.() ?? []) {
+      const tint = instance.def.tint;
+      if (!Number.isFinite(tint)) continue;
+      if (!best || (instance.def.priority ?? 0) > (best.def.priority ?? 0)) best = instance;
+    }
+
+    if (best) enemy.setTint?.(best.def.tint);
+    else if (Number.isFinite(enemy._baseTint)) enemy.setTint?.(enemy._baseTint);
+    else enemy.clearTint?.();
+  }
+
+  /**
+   * Remove every effect from an enemy (pool release, death, scripted cleanse).
+   */
+  clear(enemy, { reason = 'cleared' } = {}) {
+    if (!enemy) return;
+
+    const effects = enemy._statusEffects;
+    if (effects?.size) {
+      for (const instance of Array.from(effects.values())) {
+        this._remove(enemy, instance, reason);
+      }
+      if (enemy.active && !enemy._isDying) this.refreshTint(enemy);
+    }
+
+    enemy._statusSpeedMult = 1;
+    this._affected.delete(enemy);
+  }
+
+  /** Route a DoT tick through DamagePipeline so kills, drops and stats stay unified. */
+  _applyTick(enemy, instance) {
+    const damage = instance.damagePerTick * instance.stacks;
+    if (damage <= 0) return;
+
+    this.damagePipeline?.applyHit?.(enemy, {
+      damage,
+      crit: false,
+      sourceKey: instance.sourceKey,
+      statusKey: instance.key,
+      isStatusTick: true
+    });
+  }
+
+  /** Delete a single effect and announce its expiry. */
+  _remove(enemy, instance, reason) {
+    const effects = enemy?._statusEffects;
+    if (!effects?.has?.(instance.key)) return;
+    effects.delete(instance.key);
+
+    if (instance.def.kind === 'stun' && !this.isStunned(enemy)) {
+      enemy.anims?.resume?.();
+    }
+
+    this.events?.emit?.('status:expired', { enemy, key: instance.key, reason });
+  }
+
+  /** Shared payload for status:applied. */
+  _emitApplied(enemy, instance, refreshed) {
+    this.events?.emit?.('status:applied', {
+      enemy,
+      key: instance.key,
+      stacks: instance.stacks,
+      durationMs: instance.remainingMs,
+      sourceKey: instance.sourceKey,
+      refreshed
+    });
+  }
+
+  /** Drop listeners and references during scene shutdown. */
+  destroy() {
+    this.events?.off?.('enemy:released', this._onEnemyReleased);
+    this._affected.forEach((enemy) => {
+      if (enemy) {
+        enemy._statusEffects = null;
+        enemy._statusSpeedMult = 1;
+      }
+    });
+    this._affected.clear();
+    this.scene = null;
+    this.damagePipeline = null;
+    this.events = null;
+  }
+}
@@ -0,0 +1,296 @@
+import Phaser from 'phaser';
+import { onActionKeys } from '../input/ControlBindings.js';
+import {
+  AccessibilitySettings,
+  bindUiScale,
+  DAMAGE_NUMBER_MODES,
+  UI_SCALE_MAX,
+  UI_SCALE_MIN
+} from './AccessibilitySettings.js';
+import { t } from '../i18n/Localization.js';
+
+const PANEL_WIDTH = 460;
+const PANEL_HEIGHT = 400;
+const PANEL_DEPTH = 20;
+const ROW_SPACING = 40;
+const STEP_BUTTON_SIZE = 30;
+const FOOTER_BUTTON_WIDTH = 170;
+const FOOTER_BUTTON_HEIGHT = 34;
+const LABEL_COLOR = '#ffe7f5';
+const FOCUS_COLOR = '#ffd36b';
+
+/**
+ * One row per AccessibilitySettings field, labelled by `accessibility.<key>`.
+ * `percent` rows step between min..max, `toggle` rows flip, `cycle` rows walk
+ * `values` (named by `accessibility.<key>Mode.<value>`).
+ */
+const OPTIONS = [
+  { key: 'screenShake', kind: 'percent', step: 0.25, min: 0, max: 1 },
+  { key: 'hitFlashes', kind: 'toggle' },
+  { key: 'overlayPulse', kind: 'percent', step: 0.25, min: 0, max: 1 },
+  { key: 'damageNumbers', kind: 'cycle', values: DAMAGE_NUMBER_MODES },
+  { key: 'highContrast', kind: 'toggle' },
+  { key: 'uiScale', kind: 'percent', step: 0.1, min: UI_SCALE_MIN, max: UI_SCALE_MAX }
+];
+
+/**
+ * Accessibility page opened from SettingsMenu: screen shake, hit flashes,
+ * Blood Moon pulse, damage-number density, high-contrast HUD and UI scale.
+ * Move Up/Down picks a row, Move Left/Right (or −/+) adjusts it, Confirm
+ * flips toggles. Every change saves immediately and applies live.
+ */
+export class AccessibilityPage {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {{ onClose?: Function, depthBase?: number }} [options]
+   */
+  constructor(scene, { onClose, depthBase = 0 } = {}) {
+    this.scene = scene;
+    this.onClose = onClose;
+    this.depthBase = depthBase;
+    this.destroyed = false;
+    this.keyListeners = [];
+    this.padListeners = [];
+    // Rows 0..OPTIONS.length-1 are options; the next two are the footer buttons.
+    this.focusIndex = 0;
+
+    this._build();
+    this._bindInput();
+    this._render();
+  }
+
+  _build() {
+    const { width, height } = this.scene.scale;
+    const baseDepth = Number.isFinite(this.depthBase) ? this.depthBase : 0;
+    const panelDepth = baseDepth + PANEL_DEPTH;
+
+    // Swallows pointer input for the settings panel underneath.
+    this.backdrop = this.scene.add.rectangle(0, 0, width, height, 0x050208, 0.35)
+      .setOrigin(0)
+      .setScrollFactor(0)
+      .setDepth(panelDepth)
+      .setInteractive({ cursor: 'default' });
+
+    this.panel = this.scene.add.container(width * 0.5, height * 0.5)
+      .setDepth(panelDepth + 1)
+      .setScrollFactor(0);
+
+    const panelBg = this.scene.add.rectangle(0, 0, PANEL_WIDTH, PANEL_HEIGHT, 0x0f1424, 0.97)
+      .setOrigin(0.5)
+      .setStrokeStyle(2, 0xff5d88, 0.9)
+      .setInteractive({ cursor: 'default' });
+
+    const title = this.scene.add.text(0, -PANEL_HEIGHT / 2 + 28, t('accessibility.title'), {
+      font: '24px monospace',
+      color: '#ffbed8'
+    }).setOrigin(0.5);
+
+    this.panel.add([panelBg, title]);
+
+    const rowsTop = -PANEL_HEIGHT / 2 + 76;
+    this.rows = OPTIONS.map((option, index) => this._createOptionRow(option, index, rowsTop + index * ROW_SPACING));
+
+    const footerY = PANEL_HEIGHT / 2 - 32;
+    this.footerButtons = [
+      this._createFooterButton(-100, footerY, t('common.resetDefaults'), () => this._resetDefaults()),
+      this._createFooterButton(100, footerY, t('common.back'), () => this.close())
+    ];
+
+    this._disposeUiScale = bindUiScale(this.scene, this.panel, () => ({ width: PANEL_WIDTH, height: PANEL_HEIGHT }));
+  }
+
+  _createOptionRow(option, index, y) {
+    const label = this.scene.add.text(-PANEL_WIDTH / 2 + 28, y, t(`accessibility.${option.key}`), {
+      font: '17px monospace',
+      color: LABEL_COLOR
+    }).setOrigin(0, 0.5);
+
+    const valueX = PANEL_WIDTH / 2 - 100;
+    const value = this.scene.add.text(valueX, y, '', {
+      font: '17px monospace',
+      color: '#e9e2ff'
+    }).setOrigin(0.5);
+
+    const minus = this._createStepButton(valueX - 72, y, '−', () => {
+      this.focusIndex = index;
+      this._adjust(option, -1);
+    });
+    const plus = this._createStepButton(valueX + 72, y, '+', () => {
+      this.focusIndex = index;
+      this._adjust(option, 1);
+    });
+
+    this.panel.add([label, value]);
+    return { option, label, value, minus, plus };
+  }
+
+  _createStepButton(x, y, label, handler) {
+    const bg = this.scene.add.rectangle(x, y, STEP_BUTTON_SIZE, STEP_BUTTON_SIZE, 0x2c112d, 0.94)
+      .setStrokeStyle(2, 0xff759b, 0.92)
+      .setInteractive({ useHandCursor: true });
+    const text = this.scene.add.text(x, y, label, {
+      font: '18px monospace',
+      color: '#ffe9f2'
+    }).setOrigin(0.5);
+
+    bg.on('pointerover', () => bg.setFillStyle(0x3b1a42, 0.98));
+    bg.on('pointerout', () => bg.setFillStyle(0x2c112d, 0.94));
+    bg.on('pointerup', handler);
+
+    this.panel.add([bg, text]);
+    return bg;
+  }
+
+  _createFooterButton(x, y, label, handler) {
+    const bg = this.scene.add.rectangle(x, y, FOOTER_BUTTON_WIDTH, FOOTER_BUTTON_HEIGHT, 0x2c112d, 0.94)
+      .setStrokeStyle(2, 0xff759b, 0.92)
+      .setInteractive({ useHandCursor: true });
+    const text = this.scene.add.text(x, y, label, {
+      font: '16px monospace',
+      color: '#ffe9f2'
+    }).setOrigin(0.5);
+
+    bg.on('pointerover', () => bg.setFillStyle(0x3b1a42, 0.98));
+    bg.on('pointerout', () => this._render());
+    bg.on('pointerup', handler);
+
+    this.panel.add([bg, text]);
+    return { bg, text, handler };
+  }
+
+  _bindInput() {
+    const guard = (fn) => (event) => {
+      if (this.destroyed) return;
+      event?.stopPropagation?.();
+      event?.preventDefault?.();
+      fn();
+    };
+    const handlers = {
+      moveUp: () => this._moveFocus(-1),
+      moveDown: () => this._moveFocus(1),
+      moveLeft: () => this._step(-1),
+      moveRight: () => this._step(1),
+      confirm: () => this._activate(),
+      back: () => this.close()
+    };
+
+    const keyHandlers = {};
+    Object.entries(handlers).forEach(([action, fn]) => { keyHandlers[action] = guard(fn); });
+    this.keyListeners.push(onActionKeys(this.scene.input.keyboard, keyHandlers));
+
+    const pad = this.scene.gamepad;
+    if (!pad) return;
+
+    const padEvents = {
+      up: handlers.moveUp,
+      down: handlers.moveDown,
+      left: handlers.moveLeft,
+      right: handlers.moveRight,
+      confirm: handlers.confirm,
+      back: handlers.back
+    };
+    Object.entries(padEvents).forEach(([evt, fn]) => {
+      const handler = guard(fn);
+      pad.on(evt, handler);
+      this.padListeners.push({ evt, handler });
+    });
+  }
+
+  _moveFocus(delta) {
+    const count = OPTIONS.length + this.footerButtons.length;
+    this.focusIndex = Phaser.Math.Wrap(this.focusIndex + delta, 0, count);
+    this._render();
+  }
+
+  /** Left/right: adjust the focused option, or move between footer buttons. */
+  _step(direction) {
+    const row = this.rows[this.focusIndex];
+    if (row) {
+      this._adjust(row.option, direction);
+      return;
+    }
+    const footer = this.focusIndex - OPTIONS.length;
+    this.focusIndex = OPTIONS.length + Phaser.Math.Clamp(footer + direction, 0, this.footerButtons.length - 1);
+    this._render();
+  }
+
+  _activate() {
+    const row = this.rows[this.focusIndex];
+    if (!row) {
+      this.footerButtons[this.focusIndex - OPTIONS.length]?.handler();
+      return;
+    }
+    // Confirm flips toggles and walks cycles; sliders need left/right.
+    if (row.option.kind !== 'percent') this._adjust(row.option, 1);
+  }
+
+  _adjust(option, direction) {
+    const value = AccessibilitySettings.get()[option.key];
+    let next = value;
+
+    if (option.kind === 'toggle') {
+      next = !value;
+    } else if (option.kind === 'cycle') {
+      const index = option.values.indexOf(value);
+      next = option.values[Phaser.Math.Wrap(index + direction, 0, option.values.length)];
+    } else {
+      next = Phaser.Math.Clamp(value + option.step * direction, option.min, option.max);
+      next = Math.round(next * 100) / 100;
+    }
+
+    if (next !== value) {
+      AccessibilitySettings.update({ [option.key]: next }, this.scene.game);
+    }
+    this._render();
+  }
+
+  _resetDefaults() {
+    AccessibilitySettings.reset(this.scene.game);
+    this._render();
+  }
+
+  _formatValue(option, value) {
+    if (option.kind === 'toggle') return t(value ? 'common.on' : 'common.off');
+    if (option.kind === 'cycle') return t(`accessibility.${option.key}Mode.${value}`, { default: value });
+    return `${Math.round(value * 100)}%`;
+  }
+
+  _render() {
+    if (this.destroyed) return;
+    const settings = AccessibilitySettings.get();
+
+    this.rows.forEach(({ option, label, value }, index) => {
+      label.setColor(index === this.focusIndex ? FOCUS_COLOR : LABEL_COLOR);
+      value.setText(this._formatValue(option, settings[option.key]));
+    });
+
+    this.footerButtons.forEach(({ bg }, index) => {
+      const focused = this.focusIndex === OPTIONS.length + index;
+      bg.setFillStyle(focused ? 0x3b1a42 : 0x2c112d, focused ? 0.98 : 0.94);
+    });
+  }
+
+  /** Leave the page (SettingsMenu shows its panel again). */
+  close() {
+    if (this.destroyed) return;
+    this.onClose?.();
+    this.destroy();
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+
+    this.keyListeners.forEach((dispose) => dispose());
+    this.keyListeners.length = 0;
+
+    const pad = this.scene?.gamepad;
+    this.padListeners.forEach(({ evt, handler }) => pad?.off(evt, handler));
+    this.padListeners.length = 0;
+    this._disposeUiScale?.();
+
+    this.backdrop?.destroy();
+    this.panel?.destroy(true);
+    this.scene = null;
+  }
+}
@@ -0,0 +1,169 @@
+import Phaser from 'phaser';
+
+// Stored next to the audio volumes (NOTBM:audio) as its own key.
+const STORAGE_KEY = 'NOTBM:accessibility';
+
+const SETTINGS_EVENT = 'settings:accessibility:changed';
+
+/** Damage-number density modes, in the order the settings page cycles them. */
+export const DAMAGE_NUMBER_MODES = Object.freeze(['all', 'crits', 'off']);
+
+export const UI_SCALE_MIN = 0.8;
+export const UI_SCALE_MAX = 1.3;
+
+// Modals never grow past this share of the viewport, whatever the UI scale.
+const MODAL_FIT = 0.96;
+
+const DEFAULTS = Object.freeze({
+  screenShake: 1,
+  hitFlashes: true,
+  overlayPulse: 1,
+  damageNumbers: 'all',
+  highContrast: false,
+  uiScale: 1
+});
+
+let cache = null;
+
+function unit(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Phaser.Math.Clamp(number, 0, 1) : fallback;
+}
+
+/** Shape every stored payload is normalised to; unknown fields are dropped. */
+function normalize(data) {
+  const scale = Number(data?.uiScale);
+  return {
+    screenShake: unit(data?.screenShake, DEFAULTS.screenShake),
+    hitFlashes: typeof data?.hitFlashes === 'boolean' ? data.hitFlashes : DEFAULTS.hitFlashes,
+    overlayPulse: unit(data?.overlayPulse, DEFAULTS.overlayPulse),
+    damageNumbers: DAMAGE_NUMBER_MODES.includes(data?.damageNumbers) ? data.damageNumbers : DEFAULTS.damageNumbers,
+    highContrast: typeof data?.highContrast === 'boolean' ? data.highContrast : DEFAULTS.highContrast,
+    // Rounded to the settings page's 10% steps so float drift never accumulates.
+    uiScale: Number.isFinite(scale)
+      ? Math.round(Phaser.Math.Clamp(scale, UI_SCALE_MIN, UI_SCALE_MAX) * 10) / 10
+      : DEFAULTS.uiScale
+  };
+}
+
+function current() {
+  if (!cache) cache = AccessibilitySettings.load();
+  return cache;
+}
+
+/**
+ * Player comfort options: screen-shake intensity, hit-flash suppression,
+ * Blood Moon pulse strength, damage-number density, high-contrast HUD and UI
+ * scale. Same storage conventions as MetaStore; reads are cached because
+ * combat code checks them on every hit, and writes announce
+ * `settings:accessibility:changed` on `game.events`.
+ */
+export class AccessibilitySettings {
+  /** Load the stored options merged over the defaults (never null). */
+  static load() {
+    if (typeof window === 'undefined' || !window.localStorage) return normalize(null);
+
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      return normalize(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+      console.warn('[AccessibilitySettings] Failed to parse stored accessibility options', err);
+      return normalize(null);
+    }
+  }
+
+  /** Current options (a copy). */
+  static get() {
+    return { ...current() };
+  }
+
+  /** Merge `patch` into the stored options, persist and notify listeners. */
+  static update(patch, game = null) {
+    cache = normalize({ ...current(), ...patch });
+
+    if (typeof window !== 'undefined' && window.localStorage) {
+      try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(cache));
+      } catch (err) {
+        console.warn('[AccessibilitySettings] Failed to persist accessibility options', err);
+      }
+    }
+
+    game?.events?.emit?.(SETTINGS_EVENT, AccessibilitySettings.get());
+    return AccessibilitySettings.get();
+  }
+
+  /** Restore every default. */
+  static reset(game = null) {
+    return AccessibilitySettings.update(DEFAULTS, game);
+  }
+}
+
+/**
+ * Whether a damage number should be shown under the current density setting.
+ */
+export function shouldShowDamageNumber({ crit = false } = {}) {
+  const mode = current().damageNumbers;
+  return mode === 'all' || (mode === 'crits' && crit);
+}
+
+/**
+ * Camera shake scaled by the screen-shake setting; a no-op at 0%.
+ */
+export function shakeCamera(camera, duration, intensity) {
+  const strength = current().screenShake;
+  if (!camera || strength <= 0) return;
+  camera.shake(duration, intensity * strength);
+}
+
+/**
+ * White hit flash on `target`, cleared by `restore` after `durationMs`.
+ * Skipped entirely when hit flashes are turned off.
+ */
+export function flashHit(scene, target, durationMs, restore) {
+  if (!current().hitFlashes || !target?.setTintFill) return;
+  target.setTintFill(0xffffff);
+  scene.time.delayedCall(durationMs, restore);
+}
+
+/**
+ * UI scale for a modal of the given size, shrunk if needed so it still fits
+ * the viewport.
+ */
+export function fitUiScale(scene, width, height) {
+  const { uiScale } = current();
+  const viewW = scene?.scale?.width ?? width;
+  const viewH = scene?.scale?.height ?? height;
+  return Math.min(uiScale, (viewW * MODAL_FIT) / width, (viewH * MODAL_FIT) / height);
+}
+
+/**
+ * Scale a modal container by the UI scale now and whenever it changes.
+ * `getSize` returns the panel's unscaled { width, height }. Returns a disposer.
+ */
+export function bindUiScale(scene, container, getSize) {
+  const apply = () => {
+    if (!container?.scene) return;
+    const { width, height } = getSize();
+    container.setScale(fitUiScale(scene, width, height));
+  };
+  apply();
+  return onAccessibilityChanged(scene, apply);
+}
+
+/**
+ * Call `fn` whenever the options are saved until the scene shuts down or the
+ * returned disposer runs.
+ */
+export function onAccessibilityChanged(scene, fn) {
+  const events = scene?.game?.events;
+  if (!events || typeof fn !== 'function') return () => {};
+
+  const dispose = () => {
+    events.off(SETTINGS_EVENT, fn);
+    scene.events?.off?.('shutdown', dispose);
+  };
+  events.on(SETTINGS_EVENT, fn);
+  scene.events?.once?.('shutdown', dispose);
+  return dispose;
+}
@@ -0,0 +1,148 @@
+// src/ui/AchievementToast.js
+import { HeroRegistry } from '../hero/HeroRegistry.js';
+import { MapRegistry } from '../maps/MapRegistry.js';
+import { t, uiText } from '../i18n/Localization.js';
+
+const TOAST_WIDTH = 240;
+const TOAST_PADDING = 10;
+const FADE_MS = 220;
+const HOLD_MS = 3200;
+
+const PALETTE = {
+  bg: 0x1a0c1f,
+  bgAlpha: 0.92,
+  border: 0xffd36b,
+  header: '#ffd36b',
+  name: '#ffe9f2',
+  reward: '#c8d0ff'
+};
+
+const HIGH_CONTRAST_PALETTE = {
+  bg: 0x000000,
+  bgAlpha: 1,
+  border: 0xffffff,
+  header: '#ffe14d',
+  name: '#ffffff',
+  reward: '#ffffff'
+};
+
+/** "Unlocks hero: Wizard" style line for an achievement reward, or ''. */
+export function achievementRewardText(reward) {
+  if (reward?.hero) {
+    return t('achievements.reward.hero', { name: uiText(HeroRegistry[reward.hero], 'name', reward.hero) });
+  }
+  if (reward?.map) {
+    return t('achievements.reward.map', { name: uiText(MapRegistry[reward.map], 'name', reward.map) });
+  }
+  return '';
+}
+
+/**
+ * AchievementToast
+ * In-run "Achievement unlocked" card for `achievement:unlocked` events.
+ *
+ * Notes:
+ *  - Unlocks that land together queue and show one after another.
+ *  - Timing is tween-only (no scene clock), so a toast still plays out while
+ *    the level-up modal or the end screen has the world paused.
+ *  - The container is anchored at its top-right corner; HUDManager positions it.
+ *  - Supports setScale + high-contrast like PlayerHUD.
+ */
+export class AchievementToast {
+  /** Initialize AchievementToast state so runtime dependencies are ready. */
+  constructor(scene, { events, depth = 300 } = {}) {
+    this.scene = scene;
+    this.events = events ?? scene.events;
+    this.palette = PALETTE;
+    this.queue = [];
+    this.tween = null;
+
+    this.container = scene.add.container(0, 0)
+      .setScrollFactor(0)
+      .setDepth(depth)
+      .setAlpha(0);
+
+    this.bg = scene.add.rectangle(0, 0, TOAST_WIDTH, 10, this.palette.bg, this.palette.bgAlpha)
+      .setOrigin(1, 0)
+      .setStrokeStyle(2, this.palette.border, 1);
+    const textX = -TOAST_WIDTH + TOAST_PADDING;
+    this.header = scene.add.text(textX, TOAST_PADDING, '', { font: '12px monospace', color: this.palette.header });
+    this.name = scene.add.text(textX, 0, '', {
+      font: '15px monospace',
+      color: this.palette.name,
+      wordWrap: { width: TOAST_WIDTH - TOAST_PADDING * 2 }
+    });
+    this.reward = scene.add.text(textX, 0, '', {
+      font: '12px monospace',
+      color: this.palette.reward,
+      wordWrap: { width: TOAST_WIDTH - TOAST_PADDING * 2 }
+    });
+    this.container.add([this.bg, this.header, this.name, this.reward]);
+
+    this._onUnlocked = ({ entry } = {}) => {
+      if (!entry) return;
+      this.queue.push(entry);
+      if (!this.tween) this._showNext();
+    };
+    this.events.on('achievement:unlocked', this._onUnlocked);
+  }
+
+  _showNext() {
+    const entry = this.queue.shift();
+    if (!entry || !this.container) {
+      this.tween = null;
+      return;
+    }
+
+    const rewardText = achievementRewardText(entry.reward);
+    this.header.setText(t('achievements.toast'));
+    this.name.setText(uiText(entry, 'name', entry.key)).setY(this.header.y + this.header.height + 2);
+    this.reward.setText(rewardText).setY(this.name.y + this.name.height + 2).setVisible(!!rewardText);
+
+    const bottom = rewardText ? this.reward.y + this.reward.height : this.name.y + this.name.height;
+    this.bg.setSize(TOAST_WIDTH, bottom + TOAST_PADDING);
+
+    this.container.setAlpha(0);
+    this.tween = this.scene.tweens.add({
+      targets: this.container,
+      alpha: 1,
+      duration: FADE_MS,
+      hold: HOLD_MS,
+      yoyo: true,
+      onComplete: () => this._showNext()
+    });
+  }
+
+  /** Anchor the toast's top-right corner at (x, y). */
+  setPosition(x, y) {
+    this.container?.setPosition(x, y);
+  }
+
+  /** Scale the toast (accessibility UI scale). */
+  setScale(scale = 1) {
+    const s = Number.isFinite(scale) ? scale : 1;
+    this.container?.setScale(s);
+  }
+
+  /** Swap between the themed palette and the high-contrast one. */
+  setHighContrast(enabled = false) {
+    this.palette = enabled ? HIGH_CONTRAST_PALETTE : PALETTE;
+    this.bg.setFillStyle(this.palette.bg, this.palette.bgAlpha);
+    this.bg.setStrokeStyle(2, this.palette.border, 1);
+    this.header.setColor(this.palette.header);
+    this.name.setColor(this.palette.name);
+    this.reward.setColor(this.palette.reward);
+  }
+
+  /** Clean up listeners and display objects. */
+  destroy() {
+    this.events.off('achievement:unlocked', this._onUnlocked);
+    this._onUnlocked = null;
+
+    this.tween?.stop();
+    this.tween = null;
+    this.queue = [];
+    this.container?.destroy(true);
+    this.container = null;
+  }
+}
@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { t } from '../i18n/Localization.js';
 
 export const buildLoadingUI = (scene) => {
   const container = scene.add.container(0, 0).setDepth(9999);
@@ -36,7 +37,7 @@ export const buildLoadingUI = (scene) => {
 
   // Status + file: same monospace body styling as modals
   const statusText = scene.add
-    .text(0, 0, 'Preparing assets…', {
+    .text(0, 0, t('boot.preparing'), {
       fontFamily: 'monospace',
       fontSize: '16px',
       color: '#c8d0ff',
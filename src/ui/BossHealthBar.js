@@ -0,0 +1,232 @@
+// src/ui/BossHealthBar.js
+import { resolveMobConfig } from '../mob/MobRegistry.js';
+import { getBossScript } from '../mob/boss/BossController.js';
+import { onLocaleChanged, t, uiText } from '../i18n/Localization.js';
+
+const BAR_WIDTH = 300;
+const BAR_HEIGHT = 12;
+const NAME_HEIGHT = 16;
+const TELEGRAPH_HEIGHT = 3;
+const ROW_GAP = 8;
+const ROW_HEIGHT = NAME_HEIGHT + BAR_HEIGHT + TELEGRAPH_HEIGHT + 2 + ROW_GAP;
+
+const PALETTE = {
+  bg: 0x1a0c1f,
+  bgAlpha: 0.9,
+  border: 0xff5d88,
+  fill: 0xd23a5a,
+  enraged: 0xff2e2e,
+  marker: 0xffe9f2,
+  telegraph: 0xffb347,
+  name: '#ffe9f2',
+  status: '#ffb347'
+};
+
+const HIGH_CONTRAST_PALETTE = {
+  bg: 0x000000,
+  bgAlpha: 1,
+  border: 0xffffff,
+  fill: 0xff3b3b,
+  enraged: 0xff0000,
+  marker: 0xffffff,
+  telegraph: 0xffe14d,
+  name: '#ffffff',
+  status: '#ffe14d'
+};
+
+/**
+ * BossHealthBar
+ * Screen-space stack of health bars, one per live `tier: 'boss'` enemy.
+ *
+ * Each row shows:
+ *  - The mob's `ui.nameKey` name (falls back to the registry key)
+ *  - HP fill with a tick at every `boss.phases[].hpBelow` threshold
+ *  - ENRAGED once the BossController has left its opening phase
+ *  - A windup strip + INCOMING! while an attack is telegraphing
+ *
+ * Notes:
+ *  - Rows appear on `enemy:spawned` and leave on `enemy:released`; the
+ *    controller is looked up every frame, so listener order doesn't matter.
+ *  - The container is anchored at its top-centre; HUDManager positions it.
+ *  - Supports setScale + high-contrast like PlayerHUD.
+ */
+export class BossHealthBar {
+  /** Initialize BossHealthBar state so runtime dependencies are ready. */
+  constructor(scene, { events, depth = 72 } = {}) {
+    this.scene = scene;
+    this.events = events ?? scene.events;
+    this.palette = PALETTE;
+    this.rows = [];
+
+    this.container = scene.add.container(0, 0)
+      .setScrollFactor(0)
+      .setDepth(depth);
+
+    this._onEnemySpawned = ({ enemy } = {}) => this.track(enemy);
+    this._onEnemyReleased = ({ enemy } = {}) => this.untrack(enemy);
+    this._onPhaseChanged = ({ enemy } = {}) => this._pulse(this._findRow(enemy));
+    this._onSceneUpdate = () => this._refresh();
+
+    this.events.on('enemy:spawned', this._onEnemySpawned);
+    this.events.on('enemy:released', this._onEnemyReleased);
+    this.events.on('boss:phase:changed', this._onPhaseChanged);
+    this.scene.events.on('update', this._onSceneUpdate);
+
+    this._disposeLocale = onLocaleChanged(scene, () => this._relabel());
+  }
+
+  /** Start showing a bar for `enemy` if it is a boss-tier mob. */
+  track(enemy) {
+    if (!enemy?.mobKey || this._findRow(enemy)) return;
+    const config = resolveMobConfig(enemy.mobKey);
+    if (config?.tier !== 'boss') return;
+
+    this.rows.push(this._createRow(enemy, config));
+    this._layout();
+    this._refresh();
+  }
+
+  /** Remove the bar for `enemy` (no-op if it has none). */
+  untrack(enemy) {
+    const row = this._findRow(enemy);
+    if (!row) return;
+
+    row.pulse?.stop();
+    row.root.destroy(true);
+    this.rows.splice(this.rows.indexOf(row), 1);
+    this._layout();
+  }
+
+  _findRow(enemy) {
+    return enemy ? this.rows.find((row) => row.enemy === enemy) ?? null : null;
+  }
+
+  _createRow(enemy, config) {
+    const scene = this.scene;
+    const left = -BAR_WIDTH / 2;
+    const barY = NAME_HEIGHT;
+
+    const name = scene.add.text(left, 0, '', { font: '13px monospace', color: this.palette.name });
+    const status = scene.add.text(-left, 0, '', { font: '12px monospace', color: this.palette.status })
+      .setOrigin(1, 0);
+
+    const bg = scene.add.rectangle(left, barY, BAR_WIDTH, BAR_HEIGHT, this.palette.bg, this.palette.bgAlpha)
+      .setOrigin(0)
+      .setStrokeStyle(2, this.palette.border, 0.9);
+    const fill = scene.add.rectangle(left, barY, BAR_WIDTH, BAR_HEIGHT, this.palette.fill, 1)
+      .setOrigin(0);
+
+    // Phase thresholds below 100% become ticks across the bar.
+    const markers = (getBossScript(enemy.mobKey)?.phases ?? [])
+      .map((phase) => Number(phase.hpBelow))
+      .filter((hpBelow) => hpBelow > 0 && hpBelow < 1)
+      .map((hpBelow) => scene.add.rectangle(left + BAR_WIDTH * hpBelow, barY - 2, 2, BAR_HEIGHT + 4, this.palette.marker, 0.9)
+        .setOrigin(0.5, 0));
+
+    const telegraph = scene.add.rectangle(left, barY + BAR_HEIGHT + 2, BAR_WIDTH, TELEGRAPH_HEIGHT, this.palette.telegraph, 1)
+      .setOrigin(0)
+      .setVisible(false);
+
+    const root = scene.add.container(0, 0, [bg, fill, ...markers, telegraph, name, status]);
+    this.container.add(root);
+
+    const row = { enemy, config, root, name, status, bg, fill, markers, telegraph, pulse: null, statusKey: null };
+    this._relabelRow(row);
+    return row;
+  }
+
+  _layout() {
+    this.rows.forEach((row, index) => row.root.setY(index * ROW_HEIGHT));
+  }
+
+  /** Per-frame sync with enemy HP and BossController state. */
+  _refresh() {
+    for (let i = this.rows.length - 1; i >= 0; i -= 1) {
+      const row = this.rows[i];
+      const { enemy } = row;
+      if (!enemy?.active) {
+        this.untrack(enemy);
+        continue;
+      }
+
+      const ratio = enemy.maxHp > 0 ? Math.max(0, Math.min(1, enemy.hp / enemy.maxHp)) : 0;
+      row.fill.setScale(ratio, 1);
+
+      const controller = enemy._bossController;
+      const enraged = (controller?.phaseIndex ?? 0) > 0;
+      const windup = controller?.getTelegraphProgress?.() ?? null;
+
+      row.fill.setFillStyle(enraged ? this.palette.enraged : this.palette.fill, 1);
+      row.bg.setStrokeStyle(2, windup != null ? this.palette.telegraph : this.palette.border, 0.9);
+      row.telegraph.setVisible(windup != null);
+      if (windup != null) row.telegraph.setScale(windup, 1);
+
+      const statusKey = windup != null ? 'hud.boss.telegraph' : enraged ? 'hud.boss.enraged' : null;
+      if (statusKey !== row.statusKey) {
+        row.statusKey = statusKey;
+        row.status.setText(statusKey ? t(statusKey) : '');
+      }
+    }
+  }
+
+  /** Brief status pop when a boss enters a new phase. */
+  _pulse(row) {
+    if (!row) return;
+    row.pulse?.stop();
+    row.status.setScale(1);
+    row.pulse = this.scene.tweens.add({
+      targets: row.status,
+      scale: { from: 1.35, to: 1 },
+      duration: 260,
+      ease: 'Back.Out'
+    });
+  }
+
+  _relabelRow(row) {
+    row.name.setText(uiText(row.config, 'name', row.enemy.mobKey));
+    row.status.setText(row.statusKey ? t(row.statusKey) : '');
+  }
+
+  _relabel() {
+    this.rows.forEach((row) => this._relabelRow(row));
+  }
+
+  /** Anchor the stack's top-centre at (x, y). */
+  setPosition(x, y) {
+    this.container?.setPosition(x, y);
+  }
+
+  /** Scale the whole stack (accessibility UI scale). */
+  setScale(scale = 1) {
+    const s = Number.isFinite(scale) ? scale : 1;
+    this.container?.setScale(s);
+  }
+
+  /** Swap between the themed palette and the high-contrast one. */
+  setHighContrast(enabled = false) {
+    this.palette = enabled ? HIGH_CONTRAST_PALETTE : PALETTE;
+    this.rows.forEach((row) => {
+      row.bg.setFillStyle(this.palette.bg, this.palette.bgAlpha);
+      row.telegraph.setFillStyle(this.palette.telegraph, 1);
+      row.markers.forEach((marker) => marker.setFillStyle(this.palette.marker, 0.9));
+      row.name.setColor(this.palette.name);
+      row.status.setColor(this.palette.status);
+    });
+    this._refresh();
+  }
+
+  /** Clean up listeners and display objects. */
+  destroy() {
+    this.events.off('enemy:spawned', this._onEnemySpawned);
+    this.events.off('enemy:released', this._onEnemyReleased);
+    this.events.off('boss:phase:changed', this._onPhaseChanged);
+    this.scene.events.off('update', this._onSceneUpdate);
+    this._disposeLocale?.();
+    this._disposeLocale = null;
+
+    this.rows.forEach((row) => row.pulse?.stop());
+    this.rows = [];
+    this.container?.destroy(true);
+    this.container = null;
+  }
+}
@@ -0,0 +1,472 @@
+import Phaser from 'phaser';
+import {
+  actionLabel,
+  CONTROL_ACTIONS,
+  ControlBindings,
+  isActionKey,
+  keyLabel,
+  keyNameFromEvent
+} from '../input/ControlBindings.js';
+import { padGlyph } from '../input/InputPrompts.js';
+import { bindUiScale } from './AccessibilitySettings.js';
+import { t } from '../i18n/Localization.js';
+
+const PANEL_WIDTH = 600;
+const PANEL_HEIGHT = 470;
+const PANEL_DEPTH = 20;
+const ROW_HEIGHT = 26;
+const VISIBLE_ROWS = 12;
+const CELL_WIDTH = 92;
+const CELL_HEIGHT = 22;
+const LABEL_X = -PANEL_WIDTH / 2 + 28;
+// Key 1, Key 2, Pad
+const COLUMN_X = [40, 142, 244];
+const FOOTER_BUTTON_WIDTH = 170;
+const FOOTER_BUTTON_HEIGHT = 34;
+
+const CELL_IDLE = 0x1b1330;
+const CELL_FOCUS = 0x3b1a42;
+const CELL_LISTEN = 0x6b2447;
+
+// Clearing a slot is an editing gesture on this page, not a game action.
+const CLEAR_KEYS = [Phaser.Input.Keyboard.KeyCodes.DELETE, Phaser.Input.Keyboard.KeyCodes.BACKSPACE];
+
+/**
+ * Controls page opened from SettingsMenu. Lists every ControlBindings action
+ * with two keyboard slots and one gamepad button, and rebinds them in place:
+ * focus a cell (Move actions / pointer), Confirm, then press the new key or
+ * button. Conflicts inside a shared scope are swapped and reported; Delete
+ * clears a slot; "Reset Defaults" restores everything.
+ *
+ * Changes save immediately to `NOTBM:controls`.
+ */
+export class ControlsPage {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {{ onClose?: Function, depthBase?: number }} [options]
+   */
+  constructor(scene, { onClose, depthBase = 0 } = {}) {
+    this.scene = scene;
+    this.onClose = onClose;
+    this.depthBase = depthBase;
+    this.destroyed = false;
+
+    this.rows = this._buildRowModel();
+    this.focusRow = this.rows.findIndex((row) => row.action);
+    this.focusCol = 0;
+    this.scrollTop = 0;
+    // { row, col, frame } while waiting for a key / pad button.
+    this.listening = null;
+    this.padListeners = [];
+
+    this._build();
+    this._bindInput();
+    this._render();
+  }
+
+  /** Flat list of group headers and action rows in CONTROL_ACTIONS order. */
+  _buildRowModel() {
+    const rows = [];
+    let group = null;
+    Object.entries(CONTROL_ACTIONS).forEach(([action, entry]) => {
+      if (entry.group !== group) {
+        group = entry.group;
+        rows.push({ header: group });
+      }
+      rows.push({ action, entry });
+    });
+    return rows;
+  }
+
+  _build() {
+    const { width, height } = this.scene.scale;
+    const baseDepth = Number.isFinite(this.depthBase) ? this.depthBase : 0;
+    const panelDepth = baseDepth + PANEL_DEPTH;
+
+    // Swallows pointer input for the settings panel underneath; clicking it
+    // cancels a pending rebind.
+    this.backdrop = this.scene.add.rectangle(0, 0, width, height, 0x050208, 0.35)
+      .setOrigin(0)
+      .setScrollFactor(0)
+      .setDepth(panelDepth)
+      .setInteractive({ cursor: 'default' })
+      .on('pointerup', () => this._cancelListening());
+
+    this.panel = this.scene.add.container(width * 0.5, height * 0.5)
+      .setDepth(panelDepth + 1)
+      .setScrollFactor(0);
+
+    const panelBg = this.scene.add.rectangle(0, 0, PANEL_WIDTH, PANEL_HEIGHT, 0x0f1424, 0.97)
+      .setOrigin(0.5)
+      .setStrokeStyle(2, 0xff5d88, 0.9)
+      .setInteractive({ cursor: 'default' });
+    panelBg.on('pointerup', () => this._cancelListening());
+
+    const title = this.scene.add.text(0, -PANEL_HEIGHT / 2 + 26, t('controls.title'), {
+      font: '24px monospace',
+      color: '#ffbed8'
+    }).setOrigin(0.5);
+
+    const headerY = -PANEL_HEIGHT / 2 + 58;
+    const headers = [
+      this.scene.add.text(LABEL_X, headerY, t('controls.column.action'), { font: '14px monospace', color: '#8f96c8' }).setOrigin(0, 0.5),
+      ...['key1', 'key2', 'pad'].map((column, col) =>
+        this.scene.add.text(COLUMN_X[col], headerY, t(`controls.column.${column}`), { font: '14px monospace', color: '#8f96c8' }).setOrigin(0.5))
+    ];
+
+    this.panel.add([panelBg, title, ...headers]);
+    this._disposeUiScale = bindUiScale(this.scene, this.panel, () => ({ width: PANEL_WIDTH, height: PANEL_HEIGHT }));
+
+    const rowsTop = -PANEL_HEIGHT / 2 + 84;
+    this.rowViews = Array.from({ length: VISIBLE_ROWS }, (_, slot) =>
+      this._createRowView(rowsTop + slot * ROW_HEIGHT, slot));
+
+    this.messageText = this.scene.add.text(0, PANEL_HEIGHT / 2 - 66, '', {
+      font: '14px monospace',
+      color: '#ffdc7a',
+      align: 'center'
+    }).setOrigin(0.5);
+    this.panel.add(this.messageText);
+
+    const footerY = PANEL_HEIGHT / 2 - 28;
+    this.footerButtons = [
+      this._createFooterButton(-100, footerY, t('common.resetDefaults'), () => this._resetDefaults()),
+      this._createFooterButton(100, footerY, t('common.back'), () => this.close())
+    ];
+
+    // Mouse wheel scrolls the list.
+    this._onWheel = (pointer, objects, dx, dy) => {
+      if (this.destroyed || !dy) return;
+      this._scrollBy(Math.sign(dy));
+    };
+    this.scene.input.on('wheel', this._onWheel);
+  }
+
+  _createRowView(y, slot) {
+    const label = this.scene.add.text(LABEL_X, y, '', {
+      font: '15px monospace',
+      color: '#ffe7f5'
+    }).setOrigin(0, 0.5);
+
+    const cells = COLUMN_X.map((x, col) => {
+      const bg = this.scene.add.rectangle(x, y, CELL_WIDTH, CELL_HEIGHT, CELL_IDLE, 0.95)
+        .setStrokeStyle(1, 0x5d5a72, 0.9)
+        .setInteractive({ useHandCursor: true });
+      const text = this.scene.add.text(x, y, '', {
+        font: '14px monospace',
+        color: '#e9e2ff'
+      }).setOrigin(0.5);
+
+      bg.on('pointerup', (pointer, localX, localY, event) => {
+        event?.stopPropagation?.();
+        const rowIndex = this.scrollTop + slot;
+        if (!this.rows[rowIndex]?.action) return;
+        this.focusRow = rowIndex;
+        this.focusCol = col;
+        this._startListening();
+      });
+
+      this.panel.add([bg, text]);
+      return { bg, text };
+    });
+
+    this.panel.add(label);
+    return { label, cells };
+  }
+
+  _createFooterButton(x, y, label, handler) {
+    const bg = this.scene.add.rectangle(x, y, FOOTER_BUTTON_WIDTH, FOOTER_BUTTON_HEIGHT, 0x2c112d, 0.94)
+      .setStrokeStyle(2, 0xff759b, 0.92)
+      .setInteractive({ useHandCursor: true });
+    const text = this.scene.add.text(x, y, label, {
+      font: '16px monospace',
+      color: '#ffe9f2'
+    }).setOrigin(0.5);
+
+    bg.on('pointerover', () => bg.setFillStyle(0x3b1a42, 0.98));
+    bg.on('pointerout', () => this._render());
+    bg.on('pointerup', (pointer, localX, localY, event) => {
+      event?.stopPropagation?.();
+      handler();
+    });
+
+    this.panel.add([bg, text]);
+    return { bg, text, handler };
+  }
+
+  _bindInput() {
+    this._onKeyDown = (event) => this._handleKeyDown(event);
+    this.scene.input.keyboard?.on('keydown', this._onKeyDown);
+
+    const pad = this.scene.gamepad;
+    if (!pad) return;
+
+    const listeners = {
+      up: () => this._moveRow(-1),
+      down: () => this._moveRow(1),
+      left: () => this._moveCol(-1),
+      right: () => this._moveCol(1),
+      confirm: () => this._activate(),
+      back: () => this.close(),
+      button: (index) => this._capturePadButton(index)
+    };
+    Object.entries(listeners).forEach(([evt, handler]) => {
+      // While listening only the raw `button` event matters.
+      const guarded = evt === 'button' ? handler : (...args) => {
+        if (!this.destroyed && !this.listening) handler(...args);
+      };
+      pad.on(evt, guarded);
+      this.padListeners.push({ evt, handler: guarded });
+    });
+  }
+
+  _handleKeyDown(event) {
+    if (this.destroyed) return;
+
+    if (this.listening) {
+      event.stopPropagation?.();
+      event.preventDefault?.();
+      this._captureKey(event);
+      return;
+    }
+
+    if (CLEAR_KEYS.includes(event.keyCode)) {
+      this._clearFocused();
+    } else if (isActionKey('moveUp', event)) {
+      this._moveRow(-1);
+    } else if (isActionKey('moveDown', event)) {
+      this._moveRow(1);
+    } else if (isActionKey('moveLeft', event)) {
+      this._moveCol(-1);
+    } else if (isActionKey('moveRight', event)) {
+      this._moveCol(1);
+    } else if (isActionKey('confirm', event)) {
+      this._activate();
+    } else if (isActionKey('back', event)) {
+      this.close();
+    } else {
+      return;
+    }
+
+    event.stopPropagation?.();
+    event.preventDefault?.();
+  }
+
+  /** Rows after the last action are the footer buttons. */
+  _isFooterFocused() {
+    return this.focusRow >= this.rows.length;
+  }
+
+  _moveRow(delta) {
+    let next = this.focusRow;
+    do {
+      next += delta;
+    } while (next >= 0 && next < this.rows.length && !this.rows[next].action);
+
+    if (next < 0) return;
+    if (next >= this.rows.length) {
+      if (!this._isFooterFocused()) this.focusCol = 0;
+      next = this.rows.length;
+    }
+
+    this.focusRow = next;
+    if (!this._isFooterFocused() && this.focusCol > COLUMN_X.length - 1) this.focusCol = 0;
+    this._setMessage('');
+    this._ensureVisible();
+    this._render();
+  }
+
+  _moveCol(delta) {
+    const columns = this._isFooterFocused() ? this.footerButtons.length : COLUMN_X.length;
+    this.focusCol = Phaser.Math.Clamp(this.focusCol + delta, 0, columns - 1);
+    this._render();
+  }
+
+  _activate() {
+    if (this._isFooterFocused()) {
+      this.footerButtons[this.focusCol]?.handler();
+      return;
+    }
+    this._startListening();
+  }
+
+  _scrollBy(delta) {
+    const maxTop = Math.max(0, this.rows.length - VISIBLE_ROWS);
+    this.scrollTop = Phaser.Math.Clamp(this.scrollTop + delta, 0, maxTop);
+    this._render();
+  }
+
+  _ensureVisible() {
+    if (this._isFooterFocused()) {
+      this.scrollTop = Math.max(0, this.rows.length - VISIBLE_ROWS);
+      return;
+    }
+    // Keep the group header above the first action in view when scrolling up.
+    const top = this.rows[this.focusRow - 1]?.header ? this.focusRow - 1 : this.focusRow;
+    if (top < this.scrollTop) this.scrollTop = top;
+    if (this.focusRow >= this.scrollTop + VISIBLE_ROWS) this.scrollTop = this.focusRow - VISIBLE_ROWS + 1;
+  }
+
+  _focusedAction() {
+    return this.rows[this.focusRow]?.action ?? null;
+  }
+
+  _startListening() {
+    const action = this._focusedAction();
+    if (!action) return;
+
+    if (this.focusCol === 2 && CONTROL_ACTIONS[action].padBindable === false) {
+      this._setMessage('Movement on a pad always uses the stick and d-pad.');
+      this._render();
+      return;
+    }
+
+    // The press that started listening must not also be captured.
+    this.listening = { row: this.focusRow, col: this.focusCol, frame: this.scene.game.loop.frame };
+    this._setMessage(this.focusCol === 2
+      ? 'Press a gamepad button… (any key or click to cancel)'
+      : 'Press a key… (any pad button or click to cancel)');
+    this._render();
+  }
+
+  _cancelListening() {
+    if (!this.listening) return;
+    this.listening = null;
+    this._setMessage('');
+    this._render();
+  }
+
+  _captureKey(event) {
+    const { col } = this.listening;
+    if (col === 2) {
+      this._cancelListening();
+      return;
+    }
+
+    const name = keyNameFromEvent(event);
+    if (!name) {
+      this._setMessage(t('controls.message.unbindable'));
+      return;
+    }
+    this._applyRebind({ kind: 'key', slot: col, value: name }, keyLabel(name));
+  }
+
+  _capturePadButton(index) {
+    if (this.destroyed || !this.listening) return;
+    if (this.listening.frame === this.scene.game.loop.frame) return;
+
+    if (this.listening.col !== 2) {
+      this._cancelListening();
+      return;
+    }
+    this._applyRebind({ kind: 'pad', value: index }, padGlyph(index));
+  }
+
+  _applyRebind(change, valueLabel) {
+    const action = this.rows[this.listening.row].action;
+    this.listening = null;
+
+    const result = ControlBindings.rebind(action, change, this.scene.game);
+    if (result.blockedBy) {
+      this._setMessage(t('controls.message.onlyBinding', { binding: valueLabel, action: actionLabel(result.blockedBy) }));
+    } else if (result.swapped?.length) {
+      const names = result.swapped.map((other) => actionLabel(other)).join(t('upgrade.separator'));
+      this._setMessage(t('controls.message.swapped', { binding: valueLabel, actions: names }));
+    } else {
+      this._setMessage(result.ok ? '' : t('controls.message.notAllowed'));
+    }
+    this._render();
+  }
+
+  _clearFocused() {
+    const action = this._focusedAction();
+    if (!action) return;
+
+    const cleared = this.focusCol === 2
+      ? ControlBindings.clear(action, { kind: 'pad' }, this.scene.game)
+      : ControlBindings.clear(action, { kind: 'key', slot: this.focusCol }, this.scene.game);
+    const lastKey = !cleared && this.focusCol !== 2 && ControlBindings.get(action).keys[this.focusCol];
+    this._setMessage(lastKey ? t('controls.message.lastKey') : '');
+    this._render();
+  }
+
+  _resetDefaults() {
+    this._cancelListening();
+    ControlBindings.reset(this.scene.game);
+    this._setMessage(t('controls.message.reset'));
+    this._render();
+  }
+
+  _setMessage(text) {
+    this.messageText?.setText(text);
+  }
+
+  _cellText(action, col) {
+    const binding = ControlBindings.get(action);
+    if (col === 2) {
+      if (CONTROL_ACTIONS[action].padBindable === false) return t('input.stick');
+      return binding.pad == null ? '—' : padGlyph(binding.pad);
+    }
+    return binding.keys[col] ? keyLabel(binding.keys[col]) : '—';
+  }
+
+  _render() {
+    if (this.destroyed) return;
+
+    this.rowViews.forEach(({ label, cells }, slot) => {
+      const rowIndex = this.scrollTop + slot;
+      const row = this.rows[rowIndex];
+
+      if (!row) {
+        label.setText('');
+        cells.forEach(({ bg, text }) => { bg.setVisible(false); text.setVisible(false); });
+        return;
+      }
+
+      if (row.header) {
+        label.setText(t(`controls.group.${row.header}`).toUpperCase()).setColor('#ff9fc0');
+        cells.forEach(({ bg, text }) => { bg.setVisible(false); text.setVisible(false); });
+        return;
+      }
+
+      const focusedRow = rowIndex === this.focusRow;
+      label.setText(actionLabel(row.action)).setColor(focusedRow ? '#ffd36b' : '#ffe7f5');
+      cells.forEach(({ bg, text }, col) => {
+        const focused = focusedRow && col === this.focusCol;
+        const listening = focused && this.listening;
+        bg.setVisible(true)
+          .setFillStyle(listening ? CELL_LISTEN : focused ? CELL_FOCUS : CELL_IDLE, 0.95)
+          .setStrokeStyle(focused ? 2 : 1, focused ? 0xffd36b : 0x5d5a72, 0.9);
+        text.setVisible(true).setText(listening ? '…' : this._cellText(row.action, col));
+      });
+    });
+
+    this.footerButtons.forEach(({ bg }, index) => {
+      const focused = this._isFooterFocused() && this.focusCol === index;
+      bg.setFillStyle(focused ? 0x3b1a42 : 0x2c112d, focused ? 0.98 : 0.94);
+    });
+  }
+
+  /** Leave the page (SettingsMenu shows its panel again). */
+  close() {
+    if (this.destroyed) return;
+    this.onClose?.();
+    this.destroy();
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+
+    this.scene?.input?.keyboard?.off('keydown', this._onKeyDown);
+    this.scene?.input?.off('wheel', this._onWheel);
+    const pad = this.scene?.gamepad;
+    this.padListeners.forEach(({ evt, handler }) => pad?.off(evt, handler));
+    this.padListeners.length = 0;
+    this._disposeUiScale?.();
+
+    this.backdrop?.destroy();
+    this.panel?.destroy(true);
+    this.scene = null;
+  }
+}
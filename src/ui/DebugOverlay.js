@@ -2,7 +2,7 @@ export class DebugOverlay {
   /** Initialize DebugOverlay state so runtime dependencies are ready. */
   constructor(
     scene,
-    { x = 8, y = 8, width = 90, padding = 6, depth = 65 } = {}
+    { x = 8, y = 8, width = 120, padding = 6, depth = 65 } = {}
   ) {
     this.scene = scene;
     this.padding = padding;
@@ -16,7 +16,9 @@ export class DebugOverlay {
     const labelStyle = { font: '10px Arial', color: '#b7c2ff' };
     const valueStyle = { font: '10px Arial', color: '#ffffff' };
 
-    const labels = ['Time', 'Enemies', 'Drops', 'XP'];
+    // Queries/Index: enemy broadphase lookups last tick and both grid rebuilds (ms).
+    // AI LOD: enemies per AI update bucket, nearest first.
+    const labels = ['Time', 'Enemies', 'Drops', 'XP', 'Queries', 'Index', 'AI LOD'];
     const lineHeight = 14;
 
     this.labelTexts = [];
@@ -71,7 +73,7 @@ export class DebugOverlay {
   }
 
   /** Handle setStats so this system stays coordinated. */
-  setStats({ elapsedSeconds = 0, enemies = 0, drops = 0, xp = 0 } = {}) {
+  setStats({ elapsedSeconds = 0, enemies = 0, drops = 0, xp = 0, queries = 0, indexMs = 0, lodBuckets = [] } = {}) {
     if (!this.container) return;
 
     const values = [
@@ -79,6 +81,9 @@ export class DebugOverlay {
       enemies.toString(),
       drops.toString(),
       xp.toString(),
+      queries.toString(),
+      `${indexMs.toFixed(2)}ms`,
+      lodBuckets.length ? lodBuckets.join('/') : '--',
     ];
 
     this.valueTexts.forEach((text, index) => {
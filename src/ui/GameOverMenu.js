@@ -1,3 +1,12 @@
+import { META } from '../config/gameConfig.js';
+import { ButtonFocus } from '../input/ButtonFocus.js';
+import { onActionKeys } from '../input/ControlBindings.js';
+import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
+import { PassiveRegistry } from '../passives/PassiveRegistry.js';
+import { resolveMobConfig } from '../mob/MobRegistry.js';
+import { bindUiScale, fitUiScale } from './AccessibilitySettings.js';
+import { formatNumber, t, uiText } from '../i18n/Localization.js';
+
 // Tunable layout constants that roughly mirror the main menu styling.  The
 // height value acts as a minimum; the panel expands when content requires
 // additional vertical space to keep the buttons from overlapping the stats.
@@ -10,10 +19,23 @@ const PANEL_PADDING = 24;
 const BUTTON_SPACING = 16;
 const MIN_CONTENT_BUTTON_GAP = 12;
 
+// Breakdown column shown beside the stats when the panel is expanded.
+const DETAILS_WIDTH = 500;
+const DETAILS_BUTTON_HEIGHT = 32;
+const DETAILS_ROW_HEIGHT = 24;
+const DETAILS_MAX_WEAPONS = 8;
+const DETAILS_MAX_MOBS = 5;
+const DETAILS_NAME_CHARS = 16;
+// Right edges of the numeric columns, measured from the column's left edge.
+const DETAILS_COLUMNS = { damage: 290, share: 335, dps: 385, kills: 430, crit: 480 };
+
 /**
  * Simple overlay presented after the end-of-run flow wraps.  Blocks all
  * gameplay input, displays the run stats, and exposes callbacks for the
- * supported actions (primary + main menu).
+ * supported actions (primary + main menu, plus an optional replay download).
+ * When the stats carry a RunStatsTracker breakdown, a Breakdown toggle (Run
+ * Breakdown binding) widens the panel with weapons ranked by damage, passive
+ * contributions and the most-slain mobs.
  */
 export class EndRunMenu {
   /**
@@ -27,24 +49,31 @@ export class EndRunMenu {
    *     // or RunStatsTracker snapshot shape:
    *     timeSurvivedSeconds?: number,
    *     timeSurvivedMs?: number,
+   *     difficulty?: string,              // preset display name
+   *     seed?: string,                    // run seed (base-36 text)
+   *     currencyEarned?: number,          // meta currency banked by this run
+   *     breakdown?: object,               // RunStatsTracker.getBreakdown()
+   *     newRecords?: string[],            // RunHistory record fields this run beat
    *   },
    *   title?: string,
    *   subtitle?: string,
    *   primaryLabel?: string,
    *   onPrimary?: Function,
    *   onRetry?: Function,
-   *   onMainMenu?: Function
+   *   onMainMenu?: Function,
+   *   onSaveReplay?: Function          // adds a "Save Replay" button (V) when provided
    * }} [config]
    */
   constructor(scene, {
     stats = {},
-    title = 'YOU DIED',
-    subtitle = 'Night of the Endless Moon',
-    primaryLabel = 'Retry',
+    title = t('endRun.died'),
+    subtitle = t('game.title'),
+    primaryLabel = t('endRun.retry'),
     depthBase = 0,
     onPrimary,
     onRetry,
-    onMainMenu
+    onMainMenu,
+    onSaveReplay
   } = {}) {
     this.scene = scene;
     this.stats = stats ?? {};
@@ -54,8 +83,11 @@ export class EndRunMenu {
     this.depthBase = depthBase;
     this.onPrimary = onPrimary ?? onRetry;
     this.onMainMenu = onMainMenu;
+    this.onSaveReplay = onSaveReplay ?? null;
     this.destroyed = false;
+    this.expanded = false;
     this.keyListeners = [];
+    this.padListeners = [];
 
     this.build();
   }
@@ -108,6 +140,20 @@ export class EndRunMenu {
       align: 'center'
     }).setOrigin(0.5);
 
+    const { breakdown, newRecords } = this._normalizeStats();
+
+    // Personal records beaten by this run (RunHistory), gold and pulsing.
+    const recordBanner = newRecords.length
+      ? this.scene.add.text(0, 0, t('endRun.newRecord', {
+        list: newRecords.map((field) => t(`endRun.record.${field}`, { default: field })).join(' · ')
+      }), {
+        font: '18px monospace',
+        color: '#ffcc4d',
+        align: 'center',
+        wordWrap: { width: PANEL_WIDTH - PANEL_PADDING * 2, useAdvancedWrap: true }
+      }).setOrigin(0.5)
+      : null;
+
     const statsLines = this.composeStats();
     const statsText = this.scene.add.text(0, 0, statsLines.join('\n'), {
       font: '16px monospace',
@@ -121,8 +167,16 @@ export class EndRunMenu {
 
     // Buttons mirror the interactive container approach used in MenuScene so
     // the behaviour feels identical between start and game-over menus.
-    const menuButton = this.createButton('Main Menu', 0, () => this.handleMainMenu());
+    const menuButton = this.createButton(t('common.mainMenu'), 0, () => this.handleMainMenu());
     const primaryButton = this.createButton(this.primaryLabel, 0, () => this.handlePrimary());
+    const replayButton = this.onSaveReplay
+      ? this.createButton(t('endRun.saveReplay'), 0, () => this.handleSaveReplay())
+      : null;
+
+    const detailsButton = breakdown
+      ? this.createButton(t('endRun.showDetails'), 0, () => this.toggleDetails(), { height: DETAILS_BUTTON_HEIGHT, font: '16px monospace' })
+      : null;
+    const details = breakdown ? this.buildDetails(breakdown) : null;
 
     const layoutPanel = () => {
       // Cursor begins at the top inside edge of the panel.  Each text element
@@ -138,15 +192,24 @@ export class EndRunMenu {
 
       placeText(title, 8);
       placeText(subtitle, 12);
+      if (recordBanner) placeText(recordBanner, 10);
       placeText(statsText, 0);
 
+      if (detailsButton) {
+        cursorY += MIN_CONTENT_BUTTON_GAP;
+        detailsButton.setY(cursorY + DETAILS_BUTTON_HEIGHT / 2);
+        cursorY += DETAILS_BUTTON_HEIGHT;
+      }
+
       // Buttons anchor from the panel bottom upward to guarantee a consistent
       // stack regardless of how tall the panel grows.
       const bottomY = (panelHeight / 2) - PANEL_PADDING - (BUTTON_HEIGHT / 2);
       menuButton.setY(bottomY);
       primaryButton.setY(bottomY - (BUTTON_HEIGHT + BUTTON_SPACING));
+      replayButton?.setY(bottomY - 2 * (BUTTON_HEIGHT + BUTTON_SPACING));
 
-      const buttonsTopY = primaryButton.y - (BUTTON_HEIGHT / 2);
+      const topButton = replayButton ?? primaryButton;
+      const buttonsTopY = topButton.y - (BUTTON_HEIGHT / 2);
       return { cursorY, buttonsTopY };
     };
 
@@ -162,7 +225,31 @@ export class EndRunMenu {
       ({ cursorY, buttonsTopY } = layoutPanel());
     }
 
-    this.panel.add([panelBg, title, subtitle, statsText, primaryButton, menuButton]);
+    const column = [title, subtitle, recordBanner, statsText, detailsButton, replayButton, primaryButton, menuButton].filter(Boolean);
+    this.panel.add([panelBg, ...column, details?.container].filter(Boolean));
+
+    // Expanding widens the panel to the right: the stats column slides left
+    // and the background grows to fit whichever column is taller.
+    this._layout = {
+      panelBg,
+      column,
+      details,
+      detailsLabel: detailsButton?.list[1] ?? null,
+      baseHeight: panelHeight,
+      width: PANEL_WIDTH,
+      height: panelHeight,
+      relayout: (nextHeight) => {
+        panelHeight = nextHeight;
+        layoutPanel();
+      }
+    };
+    this._disposeUiScale = bindUiScale(this.scene, this.panel, () => ({ width: this._layout.width, height: this._layout.height }));
+
+    // Pad focus walks the stack top to bottom but starts on the primary action.
+    const focusOrder = [detailsButton, replayButton, primaryButton, menuButton].filter(Boolean);
+    this.focus = new ButtonFocus(focusOrder, {
+      defaultIndex: focusOrder.indexOf(primaryButton)
+    });
 
     // Alpha-only ease-in so the panel feels responsive without meddling with
     // container scale (important for reliable pointer hit testing).
@@ -173,7 +260,18 @@ export class EndRunMenu {
       ease: 'Sine.easeOut'
     });
 
+    if (recordBanner) {
+      this.scene.tweens.add({
+        targets: recordBanner,
+        alpha: { from: 1, to: 0.55 },
+        duration: 600,
+        yoyo: true,
+        repeat: -1
+      });
+    }
+
     this.bindKeys();
+    this.bindGamepad();
   }
 
   /** Normalize stats so EndRunMenu accepts either legacy fields or RunStatsTracker snapshot shape. */
@@ -198,12 +296,23 @@ export class EndRunMenu {
     const kills = Number.isFinite(Number(s.kills)) ? Number(s.kills) : null;
     const xpEarned = Number.isFinite(Number(s.xpEarned)) ? Number(s.xpEarned) : null;
     const damageDealt = Number.isFinite(Number(s.damageDealt)) ? Number(s.damageDealt) : null;
+    const currencyEarned = Number.isFinite(Number(s.currencyEarned)) ? Number(s.currencyEarned) : null;
+
+    const difficulty = typeof s.difficulty === 'string' && s.difficulty ? s.difficulty : null;
+    const seed = typeof s.seed === 'string' && s.seed ? s.seed : null;
+    const breakdown = Array.isArray(s.breakdown?.weapons) ? s.breakdown : null;
+    const newRecords = Array.isArray(s.newRecords) ? s.newRecords : [];
 
     return {
+      difficulty,
+      seed,
+      breakdown,
+      newRecords,
       timeSurvivedSeconds: Math.max(0, timeSurvivedSeconds || 0),
       kills: kills == null ? null : Math.max(0, kills),
       xpEarned: xpEarned == null ? null : Math.max(0, xpEarned),
       damageDealt: damageDealt == null ? null : Math.max(0, damageDealt),
+      currencyEarned: currencyEarned == null ? null : Math.max(0, currencyEarned),
     };
   }
 
@@ -217,48 +326,190 @@ export class EndRunMenu {
     const lines = [];
     const timeSurvived = s.timeSurvivedSeconds;
 
+    if (s.difficulty) {
+      lines.push(t('endRun.stats.difficulty', { value: s.difficulty }));
+    }
+
+    if (s.seed) {
+      lines.push(t('endRun.stats.seed', { value: s.seed }));
+    }
+
     const minutes = Math.floor(timeSurvived / 60);
     const seconds = timeSurvived - minutes * 60;
     const formatted = minutes > 0
-      ? `${minutes}m ${seconds.toFixed(1)}s`
-      : `${seconds.toFixed(1)}s`;
+      ? t('time.minutesSeconds', { minutes, seconds: seconds.toFixed(1) })
+      : t('time.seconds', { seconds: seconds.toFixed(1) });
 
-    lines.push(`Time Survived: ${formatted}`);
+    lines.push(t('endRun.stats.time', { value: formatted }));
 
     if (typeof s.kills === 'number') {
-      lines.push(`Enemies Defeated: ${s.kills}`);
+      lines.push(t('endRun.stats.kills', { value: formatNumber(s.kills) }));
     }
 
     if (typeof s.xpEarned === 'number') {
-      lines.push(`XP Earned: ${s.xpEarned}`);
+      lines.push(t('endRun.stats.xp', { value: formatNumber(Math.round(s.xpEarned)) }));
     }
 
     // Total Damage Dealt
     if (typeof s.damageDealt === 'number') {
-      lines.push(`Damage Dealt: ${Math.round(s.damageDealt)}`);
+      lines.push(t('endRun.stats.damage', { value: formatNumber(Math.round(s.damageDealt)) }));
+    }
+
+    if (typeof s.currencyEarned === 'number') {
+      lines.push(t('endRun.stats.currency', { currency: t(META.currencyNameKey), value: formatNumber(Math.round(s.currencyEarned)) }));
     }
 
     return lines;
   }
 
+  /**
+   * Builds the (initially hidden) breakdown column: weapons ranked by damage
+   * with their loadout icons, then passive contributions and the most-slain
+   * mobs. Coordinates are local to the column's top-left corner.
+   */
+  buildDetails(breakdown) {
+    const scene = this.scene;
+    const container = scene.add.container(0, 0).setVisible(false);
+    const left = PANEL_PADDING;
+    const rowWidth = DETAILS_WIDTH - PANEL_PADDING * 2;
+    let cursorY = PANEL_PADDING;
+
+    const divider = scene.add.rectangle(0, PANEL_PADDING, 1, 1, 0xff759b, 0.35).setOrigin(0);
+    const title = scene.add.text(DETAILS_WIDTH / 2, cursorY, t('endRun.breakdown.title'), {
+      font: '20px monospace',
+      color: '#ff6b81'
+    }).setOrigin(0.5, 0);
+    container.add([divider, title]);
+    cursorY += title.height + 12;
+
+    const headerStyle = { font: '12px monospace', color: '#f7cfe3' };
+    const rowStyle = { font: '13px monospace', color: '#cfd6ff' };
+    const addCells = (y, style, cells) => {
+      container.add([
+        scene.add.text(left + 28, y, cells.name, style).setOrigin(0, 0.5),
+        ...Object.entries(DETAILS_COLUMNS).map(([column, x]) => scene.add.text(x, y, cells[column], style).setOrigin(1, 0.5))
+      ]);
+    };
+
+    const { weapons = [], passives = [], mobKills = [] } = breakdown;
+    if (weapons.length) {
+      addCells(cursorY + 6, headerStyle, {
+        name: t('endRun.breakdown.weapon'),
+        damage: t('endRun.breakdown.damage'),
+        share: '%',
+        dps: t('endRun.breakdown.dps'),
+        kills: t('endRun.breakdown.kills'),
+        crit: t('endRun.breakdown.crit')
+      });
+      cursorY += 18;
+
+      weapons.slice(0, DETAILS_MAX_WEAPONS).forEach((weapon) => {
+        const y = cursorY + DETAILS_ROW_HEIGHT / 2;
+        const entry = WeaponRegistry[weapon.key];
+        const iconMeta = entry?.ui?.icon ?? null;
+
+        // Share-of-damage bar behind the row.
+        container.add(scene.add.rectangle(left, y, rowWidth * weapon.share, DETAILS_ROW_HEIGHT - 4, 0xff5d88, 0.18).setOrigin(0, 0.5));
+        if (iconMeta) {
+          container.add(scene.add.image(left + 10, y, iconMeta.atlas ?? iconMeta.key, iconMeta.frame).setScale(0.55));
+        }
+
+        const name = entry ? uiText(entry, 'name', weapon.key) : t('endRun.breakdown.other');
+        addCells(y, rowStyle, {
+          name: name.length > DETAILS_NAME_CHARS ? `${name.slice(0, DETAILS_NAME_CHARS - 1)}…` : name,
+          damage: formatNumber(Math.round(weapon.damage)),
+          share: `${Math.round(weapon.share * 100)}%`,
+          dps: formatNumber(weapon.dps, { maximumFractionDigits: 1 }),
+          kills: formatNumber(weapon.kills),
+          crit: weapon.hits > 0 ? `${Math.round((weapon.crits / weapon.hits) * 100)}%` : '—'
+        });
+        cursorY += DETAILS_ROW_HEIGHT;
+      });
+    } else {
+      const empty = scene.add.text(DETAILS_WIDTH / 2, cursorY, t('endRun.breakdown.empty'), rowStyle).setOrigin(0.5, 0);
+      container.add(empty);
+      cursorY += empty.height;
+    }
+
+    const addLine = (text, style, gap = 10) => {
+      cursorY += gap;
+      const line = scene.add.text(left, cursorY, text, {
+        ...style,
+        wordWrap: { width: rowWidth, useAdvancedWrap: true }
+      });
+      container.add(line);
+      cursorY += line.height;
+    };
+
+    if (passives.length) {
+      addLine(t('endRun.breakdown.passives'), headerStyle);
+      passives.forEach((passive) => {
+        const name = uiText(PassiveRegistry[passive.key], 'name', passive.key);
+        addLine(t('endRun.breakdown.lifesteal', {
+          name,
+          healed: formatNumber(Math.round(passive.healed)),
+          count: passive.procs
+        }), rowStyle, 4);
+      });
+    }
+
+    if (mobKills.length) {
+      const list = mobKills.slice(0, DETAILS_MAX_MOBS)
+        .map(({ mobKey, kills }) => t('endRun.breakdown.mobKill', {
+          name: uiText(resolveMobConfig(mobKey), 'name', mobKey),
+          count: formatNumber(kills)
+        }))
+        .join(', ');
+      addLine(t('endRun.breakdown.mobKills', { list }), rowStyle);
+    }
+
+    const height = cursorY + PANEL_PADDING;
+    return { container, divider, height };
+  }
+
+  /** Expand or collapse the breakdown column. */
+  toggleDetails() {
+    if (this.destroyed || !this._layout?.details) return;
+    this.expanded = !this.expanded;
+
+    const layout = this._layout;
+    const { panelBg, column, details, detailsLabel } = layout;
+    layout.width = this.expanded ? PANEL_WIDTH + DETAILS_WIDTH : PANEL_WIDTH;
+    layout.height = this.expanded ? Math.max(layout.baseHeight, details.height) : layout.baseHeight;
+
+    panelBg.setSize(layout.width, layout.height);
+    layout.relayout(layout.height);
+
+    const columnX = this.expanded ? -DETAILS_WIDTH / 2 : 0;
+    column.forEach((item) => item.setX(columnX));
+
+    details.container
+      .setPosition((PANEL_WIDTH - DETAILS_WIDTH) / 2, -layout.height / 2)
+      .setVisible(this.expanded);
+    details.divider.setSize(1, layout.height - PANEL_PADDING * 2);
+    detailsLabel?.setText(t(this.expanded ? 'endRun.hideDetails' : 'endRun.showDetails'));
+
+    this.panel.setScale(fitUiScale(this.scene, layout.width, layout.height));
+  }
+
   /**
    * Builds a button container matching the menu scene behaviour.  The
    * container itself is interactive, which keeps pointer coordinates stable if
    * the panel ever animates.
    */
-  createButton(label, y, handler) {
+  createButton(label, y, handler, { height = BUTTON_HEIGHT, font = '20px monospace' } = {}) {
     const container = this.scene.add.container(0, y)
       .setScrollFactor(0)
       .setDepth((this.panelDepth ?? PANEL_DEPTH) + 2)
-      .setSize(BUTTON_WIDTH, BUTTON_HEIGHT)
+      .setSize(BUTTON_WIDTH, height)
       .setInteractive({ useHandCursor: true });
 
-    const bg = this.scene.add.rectangle(0, 0, BUTTON_WIDTH, BUTTON_HEIGHT, 0x2c112d, 0.92)
+    const bg = this.scene.add.rectangle(0, 0, BUTTON_WIDTH, height, 0x2c112d, 0.92)
       .setOrigin(0.5)
       .setStrokeStyle(2, 0xff759b, 0.9);
 
     const text = this.scene.add.text(0, 0, label, {
-      font: '20px monospace',
+      font,
       color: '#ffe9f2'
     }).setOrigin(0.5);
 
@@ -297,7 +548,7 @@ export class EndRunMenu {
 
   /**
    * Mirrors the button callbacks with keyboard shortcuts so the menu is fully
-   * operable via mouse, keyboard, or controller (mapped to key events).
+   * operable via mouse or keyboard; `bindGamepad` covers controllers.
    */
   bindKeys() {
     const keyboard = this.scene.input.keyboard;
@@ -314,14 +565,60 @@ export class EndRunMenu {
       this.handleMainMenu();
     };
 
-    const primaryEvents = ['keydown-R', 'keydown-ENTER', 'keydown-SPACE'];
-    primaryEvents.forEach(evt => {
-      keyboard.on(evt, primaryHandler);
-      this.keyListeners.push({ evt, handler: primaryHandler });
-    });
+    const handlers = {
+      retry: primaryHandler,
+      confirm: primaryHandler,
+      quitToMenu: mainMenuHandler
+    };
 
-    keyboard.on('keydown-M', mainMenuHandler);
-    this.keyListeners.push({ evt: 'keydown-M', handler: mainMenuHandler });
+    if (this.onSaveReplay) {
+      handlers.saveReplay = (event) => {
+        event?.stopPropagation?.();
+        event?.preventDefault?.();
+        this.handleSaveReplay();
+      };
+    }
+
+    if (this._layout?.details) {
+      handlers.runDetails = (event) => {
+        event?.stopPropagation?.();
+        event?.preventDefault?.();
+        this.toggleDetails();
+      };
+    }
+
+    // Keys resolve through ControlBindings (Retry/Confirm, Quit to Menu, Save Replay, Run Breakdown).
+    this.keyListeners.push(onActionKeys(keyboard, handlers));
+  }
+
+  /**
+   * Controller navigation through the scene's GamepadInput: up/down move the
+   * button focus, confirm presses it, the Save Replay binding downloads the
+   * recording and the Run Breakdown binding toggles the breakdown.
+   */
+  bindGamepad() {
+    const pad = this.scene.gamepad;
+    if (!pad) return;
+
+    const guard = (fn) => () => {
+      if (!this.destroyed) fn();
+    };
+    const listeners = {
+      up: guard(() => this.focus.move(-1)),
+      down: guard(() => this.focus.move(1)),
+      confirm: guard(() => this.focus.activate())
+    };
+    if (this.onSaveReplay) {
+      listeners.saveReplay = guard(() => this.handleSaveReplay());
+    }
+    if (this._layout?.details) {
+      listeners.runDetails = guard(() => this.toggleDetails());
+    }
+
+    Object.entries(listeners).forEach(([evt, handler]) => {
+      pad.on(evt, handler);
+      this.padListeners.push({ evt, handler });
+    });
   }
 
   /** Forward the primary action if the overlay is still active. */
@@ -336,6 +633,12 @@ export class EndRunMenu {
     this.onMainMenu?.();
   }
 
+  /** Download the run recording; the overlay stays open. */
+  handleSaveReplay() {
+    if (this.destroyed) return;
+    this.onSaveReplay?.();
+  }
+
   /**
    * Cleans up overlay objects and key listeners.  Safe to call multiple times
    * and automatically invoked by the owning scene during shutdown.
@@ -344,19 +647,20 @@ export class EndRunMenu {
     if (this.destroyed) return;
     this.destroyed = true;
 
-    const keyboard = this.scene?.input?.keyboard;
-    if (keyboard) {
-      this.keyListeners.forEach(({ evt, handler }) => {
-        keyboard.off(evt, handler);
-      });
-    }
+    this.keyListeners.forEach((dispose) => dispose());
     this.keyListeners.length = 0;
 
+    const pad = this.scene?.gamepad;
+    this.padListeners.forEach(({ evt, handler }) => pad?.off(evt, handler));
+    this.padListeners.length = 0;
+    this._disposeUiScale?.();
+
     this.backdrop?.destroy();
     this.panel?.destroy(true);
 
     this.scene = null;
     this.stats = null;
+    this._layout = null;
   }
 }
 
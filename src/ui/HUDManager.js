@@ -5,8 +5,12 @@ import { VirtualJoystick } from './VirtualJoystick.js';
 import { PauseButton } from './PauseButton.js';
 import { DebugOverlay } from './DebugOverlay.js';
 import { PlayerHUD } from './PlayerHUD.js';
+import { BossHealthBar } from './BossHealthBar.js';
+import { AchievementToast } from './AchievementToast.js';
 import { DEV_RUN } from '../config/gameConfig.js';
 import { RunStatsTracker } from '../run/RunStatsTracker.js';
+import { onActionKeys } from '../input/ControlBindings.js';
+import { AccessibilitySettings, onAccessibilityChanged } from './AccessibilitySettings.js';
 
 /** Provide shouldUseTouchUI so callers can reuse shared logic safely. */
 export function shouldUseTouchUI() {
@@ -18,7 +22,7 @@ export function shouldUseTouchUI() {
 }
 
 /**
- * HUDManager owns the on-screen UI for the run (player HUD, loadout bars, debug stats, touch controls).
+ * HUDManager owns the on-screen UI for the run (player HUD, loadout bars, boss bars, achievement toasts, debug stats, touch controls).
  * Run timing is based on the scene clock (`scene.time.now`) and/or a clock helper
  * provided by GameScene via `getRunElapsedMs`.
  */
@@ -46,7 +50,7 @@ export class HUDManager {
     // -----------------------------
     // Run stats tracker (authoritative snapshot for HUD + menus)
     // -----------------------------
-    this.runStats = new RunStatsTracker(scene, { events: this.events, startTime });
+    this.runStats = new RunStatsTracker(scene, { events: this.events, startTime, initialLoadout });
     const uiDepthBase = Number.isFinite(depthBase) ? depthBase : 0;
 
     // -----------------------------
@@ -78,6 +82,16 @@ export class HUDManager {
     this.playerHUD = new PlayerHUD(scene, { depth: uiDepthBase + 70 });
     this.playerHUD.setVisible(true);
 
+    // -----------------------------
+    // Boss bars (appear/disappear with boss-tier enemies on their own)
+    // -----------------------------
+    this.bossBar = new BossHealthBar(scene, { events: this.events, depth: uiDepthBase + 72 });
+
+    // -----------------------------
+    // Achievement toasts (above the end-run screen, which can trigger unlocks)
+    // -----------------------------
+    this.achievementToast = new AchievementToast(scene, { events: this.events, depth: uiDepthBase + 300 });
+
     // -----------------------------
     // Debug overlay (existing, kept separate)
     // -----------------------------
@@ -125,8 +139,7 @@ export class HUDManager {
       this.debugOverlay?.setVisible(this.isDebugVisible);
     };
 
-    this.scene.input?.keyboard?.on('keydown-F3', this._onToggleDebug);
-    this.scene.input?.keyboard?.on('keydown-BACKTICK', this._onToggleDebug);
+    this._disposeDebugKeys = onActionKeys(this.scene.input?.keyboard, { debugHud: this._onToggleDebug });
 
     // -----------------------------
     // Layout helper (run now + on real resizes)
@@ -148,11 +161,11 @@ export class HUDManager {
       const pausePadding = 12;
 
       const loadoutWidth = loadoutSlots > 0
-        ? (loadoutSlots - 1) * (this.loadoutBar?.spacing ?? 40) + iconSize
+        ? (loadoutSlots - 1) * (this.loadoutBar?.spacing ?? 40) * loadoutScale + iconSize
         : iconSize;
 
       const passiveWidth = passiveSlots > 0
-        ? (passiveSlots - 1) * (this.passiveBar?.spacing ?? 40) + 36 * passiveScale
+        ? (passiveSlots - 1) * (this.passiveBar?.spacing ?? 40) * passiveScale + 36 * passiveScale
         : 36 * passiveScale;
 
       const loadoutX = width - padding - loadoutWidth + 2 * loadoutScale;
@@ -167,8 +180,15 @@ export class HUDManager {
       // Top-left overlays
       this.playerHUD?.setPosition(padding, padding);
 
+      // Top-centre, between the PlayerHUD and the touch pause button
+      this.bossBar?.setPosition(width * 0.5, padding);
+
+      // Top-right, under the touch pause button when there is one
+      const toastY = pauseButtonSize > 0 ? pausePadding + pauseButtonSize + padding : padding;
+      this.achievementToast?.setPosition(width - padding, toastY);
+
       // Keep debug separate (slightly lower) so both can coexist when debug is enabled
-      const debugOffsetY = 64; // enough to clear PlayerHUD height
+      const debugOffsetY = 64 * this.uiScale; // enough to clear PlayerHUD height
       this.debugOverlay?.setPosition(padding, padding + debugOffsetY);
 
       if (this.joystick) {
@@ -184,7 +204,13 @@ export class HUDManager {
     };
 
     scene.scale.on('resize', this._onResize);
-    this._onResize({ width: scene.scale.width, height: scene.scale.height });
+
+    // -----------------------------
+    // Accessibility (UI scale + high-contrast HUD), live while settings are open
+    // -----------------------------
+    this.uiScale = 1;
+    this._applyAccessibility();
+    this._disposeAccessibility = onAccessibilityChanged(scene, () => this._applyAccessibility());
 
     // -----------------------------
     // Update cadence control
@@ -192,6 +218,29 @@ export class HUDManager {
     this._nextStatsAt = 0;
   }
 
+  /**
+   * Push the accessibility UI scale and high-contrast option into the HUD
+   * pieces, then re-run the layout.
+   */
+  _applyAccessibility() {
+    if (!this.scene) return;
+    const { uiScale, highContrast } = AccessibilitySettings.get();
+    this.uiScale = uiScale;
+
+    this.loadoutBar?.setScale(uiScale);
+    this.loadoutBar?.setHighContrast(highContrast);
+    this.passiveBar?.setScale(uiScale);
+    this.passiveBar?.setHighContrast(highContrast);
+    this.playerHUD?.setScale(uiScale);
+    this.playerHUD?.setHighContrast(highContrast);
+    this.bossBar?.setScale(uiScale);
+    this.bossBar?.setHighContrast(highContrast);
+    this.achievementToast?.setScale(uiScale);
+    this.achievementToast?.setHighContrast(highContrast);
+
+    this._onResize({ width: this.scene.scale.width, height: this.scene.scale.height });
+  }
+
   /**
    * Called by GameScene when the run actually starts (first frame hero is live).
    */
@@ -230,6 +279,7 @@ export class HUDManager {
       elapsedMs: snapshot.timeSurvivedMs,
       kills: snapshot.kills,
       xp: snapshot.xpEarned,
+      cycle: this.scene.endless?.cycle ?? 0,
     });
 
 
@@ -238,11 +288,16 @@ export class HUDManager {
       const enemyGroup = this.scene.enemyPools?.getAllGroup?.();
       const enemies = enemyGroup?.countActive?.(true) ?? 0;
       const drops = this.scene.dropManager?.getGroup?.()?.countActive?.(true) ?? 0;
+      const enemyIndex = this.scene.enemyIndex?.getStats?.();
+      const dropIndex = this.scene.dropIndex?.getStats?.();
       this.debugOverlay.setStats({
         elapsedSeconds: (snapshot.timeSurvivedMs ?? 0) / 1000,
         enemies,
         drops,
         xp: snapshot.xpEarned ?? 0,
+        queries: enemyIndex?.queries ?? 0,
+        indexMs: (enemyIndex?.rebuildMs ?? 0) + (dropIndex?.rebuildMs ?? 0),
+        lodBuckets: this.scene.enemyAI?.lod?.getBucketSizes?.() ?? [],
       });
     }
   }
@@ -263,8 +318,10 @@ export class HUDManager {
       this._onHybridTouchStart = null;
     }
 
-    this.scene.input?.keyboard?.off('keydown-F3', this._onToggleDebug);
-    this.scene.input?.keyboard?.off('keydown-BACKTICK', this._onToggleDebug);
+    this._disposeDebugKeys?.();
+    this._disposeDebugKeys = null;
+    this._disposeAccessibility?.();
+    this._disposeAccessibility = null;
 
     this.runStats?.destroy?.();
     this.runStats = null;
@@ -272,6 +329,8 @@ export class HUDManager {
     this.loadoutBar?.destroy();
     this.passiveBar?.destroy();
     this.playerHUD?.destroy();
+    this.bossBar?.destroy();
+    this.achievementToast?.destroy();
     this.debugOverlay?.destroy();
     this.joystick?.destroy();
     this.pauseButton?.destroy();
@@ -283,6 +342,8 @@ export class HUDManager {
     this.loadoutBar = null;
     this.passiveBar = null;
     this.playerHUD = null;
+    this.bossBar = null;
+    this.achievementToast = null;
     this.debugOverlay = null;
     this.joystick = null;
     this.pauseButton = null;
@@ -1,4 +1,9 @@
 import Phaser from 'phaser';
+import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
+import { actionLabel, getActionKeyCodes, isActionKey } from '../input/ControlBindings.js';
+import { actionPrompt, onPromptsChanged } from '../input/InputPrompts.js';
+import { bindUiScale } from './AccessibilitySettings.js';
+import { t, uiText } from '../i18n/Localization.js';
 
 // Modal panel dimensions + depth layering
 const PANEL_WIDTH = 680;
@@ -8,33 +13,43 @@ const CARD_WIDTH = 150;
 const CARD_HEIGHT = 260;
 const CARD_SPACING = 18;
 
+// Modal actions in display order; keys and pad buttons come from ControlBindings.
+const ACTIONS = [
+  { action: 'reroll' },
+  { action: 'skip' },
+  { action: 'banish' }
+];
+
+// ControlBindings actions that jump straight to a card.
+const CHOICE_ACTIONS = ['choice1', 'choice2', 'choice3', 'choice4'];
+
+// Every binding the modal reacts to; their keys are captured while it is open.
+const MODAL_ACTIONS = ['confirm', 'moveLeft', 'moveRight', 'moveUp', 'moveDown', ...CHOICE_ACTIONS, ...ACTIONS.map(({ action }) => action)];
+
 export class LevelUpModal {
   /**
    * Displays a blocking "Level Up" modal that pauses gameplay visually and
    * lets the player choose between weapon unlocks or a health restore.
+   *
+   * `actions` holds the remaining reroll / skip / banish charges; using one
+   * calls `onAction(action, focusedChoice)` and leaves closing or rebuilding
+   * the modal to the caller (LevelUpFlow).
    */
-  constructor(scene, { level = 1, choices = null, onSelect, onClose, depthBase = 0 } = {}) {
+  constructor(scene, { level = 1, choices = null, actions = null, onSelect, onAction, onClose, depthBase = 0 } = {}) {
     this.scene = scene;
     this.level = level;
     this.onSelect = onSelect;
+    this.onAction = onAction;
     this.onClose = onClose;
+    this.actions = actions ?? {};
     this._closed = false;
     this.choices = Array.isArray(choices) ? choices.slice() : null;
     this.choiceCards = [];
+    this.actionTexts = [];
+    this.promptText = null;
     this.focusIndex = 0;
 
-    this._capturedKeys = [
-      Phaser.Input.Keyboard.KeyCodes.ENTER,
-      Phaser.Input.Keyboard.KeyCodes.SPACE,
-      Phaser.Input.Keyboard.KeyCodes.LEFT,
-      Phaser.Input.Keyboard.KeyCodes.RIGHT,
-      Phaser.Input.Keyboard.KeyCodes.A,
-      Phaser.Input.Keyboard.KeyCodes.D,
-      Phaser.Input.Keyboard.KeyCodes.UP,
-      Phaser.Input.Keyboard.KeyCodes.DOWN,
-      Phaser.Input.Keyboard.KeyCodes.W,
-      Phaser.Input.Keyboard.KeyCodes.S
-    ];
+    this._capturedKeys = [...new Set(MODAL_ACTIONS.flatMap((action) => getActionKeyCodes(action)))];
 
     const { width, height } = scene.scale;
     const baseDepth = Number.isFinite(depthBase) ? depthBase : 0;
@@ -70,6 +85,9 @@ export class LevelUpModal {
       this.scene.input.keyboard.addCapture(code);
     });
 
+    this._bindGamepad();
+    this._disposePrompts = onPromptsChanged(scene, () => this._refreshPrompts());
+
     if (this.choiceCards.length > 0) {
       this._setFocus(Math.min(this.focusIndex, this.choiceCards.length - 1));
     }
@@ -87,22 +105,23 @@ export class LevelUpModal {
       .setOrigin(0.5)
       .setStrokeStyle(2, 0x6be3ff, 0.9);
 
-    const title = this.scene.add.text(0, -panelHeight / 2 + 32, 'LEVEL UP', {
+    const title = this.scene.add.text(0, -panelHeight / 2 + 32, t('levelUp.title'), {
       font: '28px monospace',
       color: '#6be3ff',
       align: 'center'
     }).setOrigin(0.5);
 
-    const subtitle = this.scene.add.text(0, -panelHeight / 2 + 70, `You reached level ${this.level}`, {
+    const subtitle = this.scene.add.text(0, -panelHeight / 2 + 70, t('levelUp.reached', { level: this.level }), {
       font: '18px monospace',
       color: '#f0f4ff',
       align: 'center'
     }).setOrigin(0.5);
 
     this.container.add([panel, title, subtitle]);
+    this._disposeUiScale = bindUiScale(this.scene, this.container, () => ({ width: PANEL_WIDTH, height: panelHeight }));
 
     if (!hasChoices) {
-      const prompt = this.scene.add.text(0, 28, 'Press Enter to continue', {
+      const prompt = this.scene.add.text(0, 28, t('levelUp.continue'), {
         font: '14px monospace',
         color: '#c4c9f5',
         align: 'center'
@@ -111,15 +130,68 @@ export class LevelUpModal {
       return;
     }
 
-    const prompt = this.scene.add.text(0, panelHeight / 2 - 34, 'Choose a reward (Enter to confirm)', {
+    const hasActions = ACTIONS.some(({ action }) => (this.actions[action] ?? 0) > 0);
+
+    const prompt = this.scene.add.text(0, panelHeight / 2 - (hasActions ? 46 : 34), '', {
       font: '14px monospace',
       color: '#c4c9f5',
       align: 'center'
     }).setOrigin(0.5);
 
     this.container.add(prompt);
+    this.promptText = prompt;
 
     this._buildChoiceGrid();
+
+    if (hasActions) {
+      this._buildActionRow(panelHeight / 2 - 22);
+    }
+
+    this._refreshPrompts();
+  }
+
+  /** Re-label the confirm prompt and action shortcuts for the active input device. */
+  _refreshPrompts() {
+    if (this._closed) return;
+    this.promptText?.setText(t('levelUp.choose', { prompt: actionPrompt('confirm', { all: false }) }));
+    this.actionTexts.forEach(({ text, entry, charges }) => {
+      text.setText(t('levelUp.action', {
+        prompt: actionPrompt(entry.action, { all: false }),
+        action: actionLabel(entry.action),
+        count: charges
+      }));
+    });
+  }
+
+  /**
+   * One clickable label per action with its shortcut and remaining charges;
+   * spent actions stay visible but dimmed.
+   */
+  _buildActionRow(y) {
+    const spacing = 150;
+    const startX = -((ACTIONS.length - 1) * spacing) / 2;
+
+    ACTIONS.forEach((entry, index) => {
+      const { action } = entry;
+      const charges = this.actions[action] ?? 0;
+      const enabled = charges > 0;
+      const text = this.scene.add.text(startX + index * spacing, y, '', {
+        font: '13px monospace',
+        color: enabled ? '#ffdc7a' : '#5d5a72',
+        align: 'center'
+      }).setOrigin(0.5)
+        .setScrollFactor(0);
+
+      if (enabled) {
+        text.setInteractive({ useHandCursor: true });
+        text.on('pointerover', () => text.setColor('#ffffff'));
+        text.on('pointerout', () => text.setColor('#ffdc7a'));
+        text.on('pointerdown', () => this._triggerAction(action));
+      }
+
+      this.container.add(text);
+      this.actionTexts.push({ text, entry, charges });
+    });
   }
 
   /** Handle _buildChoiceGrid so this system stays coordinated. */
@@ -162,14 +234,17 @@ export class LevelUpModal {
 
     const titleText = isItem
       ? (choice.name ?? choice.key)
-      : 'Restore Health';
+      : t('treasure.restoreHealth');
 
-    const rarityLabel = isItem
-      ? `Rarity: ${(choice.rarity ?? 'unknown').toUpperCase()}`
+    let rarityLabel = isItem
+      ? t('levelUp.rarity', { rarity: t(`rarity.${choice.rarity ?? 'unknown'}`).toUpperCase() })
       : this._formatRestoreLabel(choice.amount);
+    if (choice.subtype === 'evolution') {
+      rarityLabel = t('levelUp.evolves', { weapon: uiText(WeaponRegistry[choice.from], 'name', choice.from ?? '').toUpperCase() });
+    }
 
     const descriptionText = isItem
-      ? (choice.description ?? choice.ui?.description ?? '')
+      ? (choice.description ?? uiText(choice, 'description'))
       : '';
 
     // --- Icon (optional) --------------------------------------------------------
@@ -271,58 +346,60 @@ export class LevelUpModal {
   /** Handle _formatRestoreLabel so this system stays coordinated. */
   _formatRestoreLabel(amount) {
     if (amount === 'full') {
-      return 'Fully restore health';
+      return t('levelUp.restoreFull');
     }
     if (typeof amount === 'string' && amount.startsWith('percent:')) {
       const pct = Number.parseFloat(amount.split(':')[1] ?? '0');
       if (!Number.isNaN(pct) && pct > 0) {
-        return `Restore ${pct}% health`;
+        return t('levelUp.restorePercent', { value: pct });
       }
     }
     if (Number.isFinite(amount)) {
-      return `Restore +${amount} HP`;
+      return t('levelUp.restoreFlat', { value: amount });
     }
-    return 'Restore health';
+    return t('levelUp.restoreAny');
   }
 
   /** Handle _handleKeyDown so this system stays coordinated. */
   _handleKeyDown(event) {
     if (this._closed) return;
 
-    const code = event.keyCode;
-
-    const leftCodes = [
-      Phaser.Input.Keyboard.KeyCodes.LEFT,
-      Phaser.Input.Keyboard.KeyCodes.A
-    ];
-    const rightCodes = [
-      Phaser.Input.Keyboard.KeyCodes.RIGHT,
-      Phaser.Input.Keyboard.KeyCodes.D
-    ];
-
-    if (leftCodes.includes(code)) {
+    if (isActionKey('moveLeft', event)) {
       event.stopPropagation();
       this._moveFocus(-1);
       return;
     }
 
-    if (rightCodes.includes(code)) {
+    if (isActionKey('moveRight', event)) {
       event.stopPropagation();
       this._moveFocus(1);
       return;
     }
 
-    if (code === Phaser.Input.Keyboard.KeyCodes.UP || code === Phaser.Input.Keyboard.KeyCodes.W) {
+    // Vertical movement keys are swallowed so they don't reach gameplay.
+    if (isActionKey('moveUp', event) || isActionKey('moveDown', event)) {
       event.stopPropagation();
       return;
     }
 
-    if (code === Phaser.Input.Keyboard.KeyCodes.DOWN || code === Phaser.Input.Keyboard.KeyCodes.S) {
+    const choiceIndex = CHOICE_ACTIONS.findIndex((action) => isActionKey(action, event));
+    if (choiceIndex !== -1) {
       event.stopPropagation();
+      if (choiceIndex < this.choiceCards.length) {
+        this._setFocus(choiceIndex);
+        this._selectFocusedChoice();
+      }
       return;
     }
 
-    if (code === Phaser.Input.Keyboard.KeyCodes.ENTER || code === Phaser.Input.Keyboard.KeyCodes.SPACE) {
+    const actionEntry = ACTIONS.find(({ action }) => isActionKey(action, event));
+    if (actionEntry) {
+      event.stopPropagation();
+      this._triggerAction(actionEntry.action);
+      return;
+    }
+
+    if (isActionKey('confirm', event)) {
       event.stopPropagation();
       if (this.choiceCards.length > 0) {
         this._selectFocusedChoice();
@@ -332,6 +409,39 @@ export class LevelUpModal {
     }
   }
 
+  /** Controller mirror of _handleKeyDown, on the scene's GamepadInput. */
+  _bindGamepad() {
+    const pad = this.scene.gamepad;
+    this._padListeners = [];
+    if (!pad) return;
+
+    const guard = (fn) => () => {
+      if (!this._closed) fn();
+    };
+    this._padListeners = [
+      ['left', guard(() => this._moveFocus(-1))],
+      ['right', guard(() => this._moveFocus(1))],
+      ['confirm', guard(() => {
+        if (this.choiceCards.length > 0) {
+          this._selectFocusedChoice();
+        } else {
+          this.close();
+        }
+      })],
+      ...ACTIONS.map(({ action }) => [action, guard(() => this._triggerAction(action))])
+    ];
+    this._padListeners.forEach(([evt, fn]) => pad.on(evt, fn));
+  }
+
+  /** Detach controller + prompt listeners (shared by close and destroy). */
+  _unbindGamepad() {
+    const pad = this.scene?.gamepad;
+    this._padListeners?.forEach(([evt, fn]) => pad?.off(evt, fn));
+    this._padListeners = [];
+    this._disposePrompts?.();
+    this._disposePrompts = null;
+  }
+
   /** Handle _moveFocus so this system stays coordinated. */
   _moveFocus(delta) {
     if (!this.choiceCards.length) return;
@@ -350,6 +460,36 @@ export class LevelUpModal {
     this.focusIndex = Phaser.Math.Clamp(index, 0, this.choiceCards.length - 1);
   }
 
+  /**
+   * Select a card programmatically (replay playback). Mirrors a confirmed
+   * click so onSelect/close fire in the usual order.
+   */
+  selectChoice(index) {
+    if (this._closed || !this.choiceCards[index]) return false;
+    this._setFocus(index);
+    this._selectFocusedChoice();
+    return true;
+  }
+
+  /**
+   * Hand an action to the owner with the focused card (the banish target).
+   * A refused action (no charges, restore card focused) shakes the panel.
+   */
+  _triggerAction(action) {
+    if (this._closed || (this.actions[action] ?? 0) <= 0) return;
+    const choice = this.choiceCards[this.focusIndex]?.choice ?? null;
+    const applied = typeof this.onAction === 'function' ? this.onAction(action, choice) : false;
+    if (!applied && !this._closed) {
+      this.scene.tweens?.add?.({
+        targets: this.container,
+        x: this.container.x + 6,
+        duration: 40,
+        yoyo: true,
+        repeat: 2
+      });
+    }
+  }
+
   /** Handle _selectFocusedChoice so this system stays coordinated. */
   _selectFocusedChoice() {
     const card = this.choiceCards[this.focusIndex];
@@ -369,6 +509,8 @@ export class LevelUpModal {
     this._closed = true;
 
     this.scene.input.keyboard.off('keydown', this._onKeyDown);
+    this._unbindGamepad();
+    this._disposeUiScale?.();
     this.scene.scale.off('resize', this._onResize);
     this._capturedKeys.forEach((code) => {
       this.scene.input.keyboard.removeCapture(code);
@@ -392,6 +534,8 @@ export class LevelUpModal {
       return;
     }
     this.scene.input.keyboard.off('keydown', this._onKeyDown);
+    this._unbindGamepad();
+    this._disposeUiScale?.();
     this.scene.scale.off('resize', this._onResize);
     this._capturedKeys.forEach((code) => {
       this.scene.input.keyboard.removeCapture(code);
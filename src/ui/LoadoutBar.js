@@ -1,4 +1,7 @@
 import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
+import { findSceneEvolutions } from '../weapons/WeaponEvolutionRegistry.js';
+
+const EVOLVE_COLOR = 0xff8fd8;
 
 /**
  * Simple fixed-position bar that shows the player's current weapon loadout.
@@ -10,6 +13,9 @@ import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
  * - Adds optional per-icon nudges via `ui.icon.offsetX` / `ui.icon.offsetY`.
  * - Right-anchored layout — as weapons are added, existing slots shift left so the newest stays on the right.
  * - NEW: true fixed right anchor — newest slot’s RIGHT EDGE is fixed (respects rightInset), no drift when bar fills.
+ * - Weapons whose evolution recipe is ready get a pulsing outer ring.
+ * - Slot spacing follows `scale`, so the accessibility UI scale grows the whole bar.
+ * - High-contrast mode backs each slot with black and thickens the rarity border.
  */
 export class LoadoutBar {
   /** Initialize LoadoutBar state so runtime dependencies are ready. */
@@ -21,6 +27,7 @@ export class LoadoutBar {
     this.maxSlots = options.maxSlots ?? 10;
     this.spacing = options.spacing ?? 40; // px between slots
     this.scale = options.scale ?? 1;
+    this.highContrast = options.highContrast ?? false;
     this.cooldownColor = options.cooldownColor ?? 0x000000;
     this.cooldownAlpha = options.cooldownAlpha ?? 0.55;
     this.cooldownBlend = options.cooldownBlend ?? Phaser.BlendModes.NORMAL; // or MULTIPLY/ADD
@@ -48,6 +55,7 @@ export class LoadoutBar {
       .setDepth(options.depth ?? 30);
 
     this.icons = [];
+    this._evolveTweens = [];
     this._lastLoadout = []; // Remember last loadout so re-renders (e.g., scale change) preserve contents
     this.slotState = {};
 
@@ -55,6 +63,10 @@ export class LoadoutBar {
     this._onWeaponsChanged = (loadout) => this.render(loadout);
     this.events.on('weapons:changed', this._onWeaponsChanged);
 
+    // Passive stacks can complete an evolution recipe without a loadout change
+    this._onPassivesChanged = () => this.render();
+    this.events.on('passives:changed', this._onPassivesChanged);
+
     // Cooldown tracking for individual slots
     this._onWeaponTriggered = ({ key, delayMs, nextFireAt }) => {
       const slot = this.slotState[key];
@@ -93,16 +105,26 @@ export class LoadoutBar {
     this.render(); // re-render with last known loadout
   }
 
+  /** Toggle the high-contrast slot style. */
+  setHighContrast(enabled) {
+    this.highContrast = !!enabled;
+    this.render();
+  }
+
   /**
    * Render the loadout icons. If no loadout passed, reuse the last one we rendered.
    * @param {string[]} loadout - array of weapon registry keys
    */
   render(loadout = undefined) {
     // Clear old display objects
+    this._evolveTweens.forEach((tween) => tween.stop());
+    this._evolveTweens = [];
     this.icons.forEach((icon) => icon.destroy());
     this.icons = [];
     this.slotState = {};
 
+    const evolvable = new Set(findSceneEvolutions(this.scene).map((recipe) => recipe.base));
+
     const keys = Array.isArray(loadout) ? loadout : this._lastLoadout;
     this._lastLoadout = keys || [];
 
@@ -111,6 +133,7 @@ export class LoadoutBar {
       : [];
 
     const n = shown.length;
+    const spacing = this.spacing * this.scale;
 
     shown.forEach((weaponKey, index) => {
       const entry = WeaponRegistry[weaponKey];
@@ -142,7 +165,7 @@ export class LoadoutBar {
        *   rect spans [-w, 0]
        */
       const slotIndexFromRight = index - (n - 1); // last item => 0, earlier => negative
-      const slotRight = slotIndexFromRight * this.spacing + this.slotOffsetX; // right edge of slot
+      const slotRight = slotIndexFromRight * spacing + this.slotOffsetX; // right edge of slot
       const slotLeft = slotRight - w; // rect origin is left edge
       const slotCenterX = slotLeft + w * 0.5;
       const slotCenterY = 0 + this.slotOffsetY;
@@ -156,10 +179,10 @@ export class LoadoutBar {
 
       // Border rectangle (behind icon)
       const rect = this.scene.add
-        .rectangle(slotLeft, slotCenterY, w, h)
-        .setStrokeStyle(2, color)
+        .rectangle(slotLeft, slotCenterY, w, h, 0x000000, this.highContrast ? 0.85 : 0)
+        .setStrokeStyle(this.highContrast ? 3 : 2, color)
         .setOrigin(0, 0.5)
-        .setAlpha(0.9)
+        .setAlpha(this.highContrast ? 1 : 0.9)
         .setScrollFactor(0)
         .setDepth((icon.depth ?? 0) - 1);
 
@@ -177,6 +200,25 @@ export class LoadoutBar {
       this.container.add(overlay);
       this.icons.push(rect, icon, overlay);
 
+      // Evolution ready: pulsing ring just outside the rarity border
+      if (evolvable.has(weaponKey)) {
+        const pad = 3 * this.scale;
+        const ring = this.scene.add
+          .rectangle(slotLeft - pad, slotCenterY, w + pad * 2, h + pad * 2)
+          .setStrokeStyle(2, EVOLVE_COLOR)
+          .setOrigin(0, 0.5)
+          .setScrollFactor(0);
+        this.container.add(ring);
+        this.icons.push(ring);
+        this._evolveTweens.push(this.scene.tweens.add({
+          targets: ring,
+          alpha: { from: 1, to: 0.25 },
+          duration: 520,
+          yoyo: true,
+          repeat: -1
+        }));
+      }
+
       this.slotState[weaponKey] = {
         overlay,
         delayMs: 0,
@@ -202,8 +244,11 @@ export class LoadoutBar {
   /** Clean up listeners and display objects. */
   destroy() {
     this.events.off('weapons:changed', this._onWeaponsChanged);
+    this.events.off('passives:changed', this._onPassivesChanged);
     this.events.off('weapon:triggered', this._onWeaponTriggered);
     this.scene.events.off('update', this._onSceneUpdate);
+    this._evolveTweens.forEach((tween) => tween.stop());
+    this._evolveTweens = [];
     this.icons.forEach((icon) => icon.destroy());
     this.container?.destroy();
   }
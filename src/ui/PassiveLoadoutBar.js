@@ -10,6 +10,7 @@ import { PassiveRegistry, isValidPassive } from '../passives/PassiveRegistry.js'
  * - Optional global slot offsets (slotOffsetX/slotOffsetY).
  * - Right-anchored layout — as passives are added, existing slots shift left so the newest stays on the right.
  * - NEW: true fixed right anchor — newest slot’s RIGHT EDGE is fixed (respects rightInset), no drift when bar fills.
+ * - Spacing and high-contrast styling follow LoadoutBar.
  */
 export class PassiveLoadoutBar {
   /** Initialize PassiveLoadoutBar state so runtime dependencies are ready. */
@@ -19,6 +20,7 @@ export class PassiveLoadoutBar {
     this.maxSlots = options.maxSlots ?? 10;
     this.spacing = options.spacing ?? 40;
     this.scale = options.scale ?? 1;
+    this.highContrast = options.highContrast ?? false;
     this.depth = options.depth ?? 30;
     this.getStackCount = typeof options.getStackCount === 'function'
       ? options.getStackCount
@@ -63,6 +65,12 @@ export class PassiveLoadoutBar {
     this.render();
   }
 
+  /** Toggle the high-contrast slot style. */
+  setHighContrast(enabled) {
+    this.highContrast = !!enabled;
+    this.render();
+  }
+
   /** Handle render so this system stays coordinated. */
   render(loadout = undefined) {
     // Clear old display objects
@@ -96,7 +104,7 @@ export class PassiveLoadoutBar {
     const baseBorder = 36;
     const w = baseBorder * this.scale;
     const h = baseBorder * this.scale;
-    const spacing = this.spacing; // align with weapons, but allow override
+    const spacing = this.spacing * this.scale; // align with weapons, but allow override
 
     const n = shown.length;
 
@@ -128,11 +136,11 @@ export class PassiveLoadoutBar {
       const slotCenterY = 0 + this.slotOffsetY;
 
       const rect = this.scene.add
-        .rectangle(slotLeft, slotCenterY, w, h)
+        .rectangle(slotLeft, slotCenterY, w, h, 0x000000, this.highContrast ? 0.85 : 0)
         .setOrigin(0, 0.5)
         .setScrollFactor(0)
-        .setStrokeStyle(2, color)
-        .setAlpha(0.9);
+        .setStrokeStyle(this.highContrast ? 3 : 2, color)
+        .setAlpha(this.highContrast ? 1 : 0.9);
 
       // Center the icon within the rect and fit it with padding
       const icon = this.scene.add
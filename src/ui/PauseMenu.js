@@ -1,3 +1,8 @@
+import { ButtonFocus } from '../input/ButtonFocus.js';
+import { onActionKeys } from '../input/ControlBindings.js';
+import { bindUiScale } from './AccessibilitySettings.js';
+import { onLocaleChanged, t } from '../i18n/Localization.js';
+
 const PANEL_WIDTH = 320;
 const PANEL_HEIGHT = 300;
 const PANEL_DEPTH = 240;
@@ -19,6 +24,9 @@ export class PauseMenu {
     this.depthBase = depthBase;
     this.destroyed = false;
     this.keyListeners = [];
+    // Text objects relabelled when the language changes from Settings.
+    this.localized = [];
+    this.padListeners = [];
 
     this.build();
   }
@@ -46,13 +54,13 @@ export class PauseMenu {
       .setOrigin(0.5)
       .setStrokeStyle(2, 0xff5d88, 0.9);
 
-    const title = this.scene.add.text(0, 0, 'PAUSED', {
+    const title = this._localizedText('pause.title', {
       font: '28px monospace',
       color: '#ff6b81',
       align: 'center'
     }).setOrigin(0.5);
 
-    const subtitle = this.scene.add.text(0, 0, 'Night of the Endless Moon', {
+    const subtitle = this._localizedText('game.title', {
       font: '16px monospace',
       color: '#f7cfe3',
       align: 'center'
@@ -73,9 +81,9 @@ export class PauseMenu {
     placeText(subtitle, 16);
 
     // Now place buttons below subtitle
-    const resumeButton = this._createButton('Resume', 0, () => this.handleResume(), panelDepth);
-    const settingsButton = this._createButton('Settings', 0, () => this.handleSettings(), panelDepth);
-    const menuButton = this._createButton('Main Menu', 0, () => this.handleMainMenu(), panelDepth);
+    const resumeButton = this._createButton('pause.resume', 0, () => this.handleResume(), panelDepth);
+    const settingsButton = this._createButton('pause.settings', 0, () => this.handleSettings(), panelDepth);
+    const menuButton = this._createButton('common.mainMenu', 0, () => this.handleMainMenu(), panelDepth);
 
     // First button position
     const buttonTopMargin = 8; // gap between subtitle and first button
@@ -90,6 +98,11 @@ export class PauseMenu {
     menuButton.setY(thirdButtonCenterY);
 
     this.panel.add([panelBg, title, subtitle, resumeButton, settingsButton, menuButton]);
+    this._disposeUiScale = bindUiScale(this.scene, this.panel, () => ({ width: PANEL_WIDTH, height: PANEL_HEIGHT }));
+    this._disposeLocale = onLocaleChanged(this.scene, () => {
+      this.localized.forEach(({ text, key }) => text.setText(t(key)));
+    });
+    this.focus = new ButtonFocus([resumeButton, settingsButton, menuButton]);
 
     this.scene.tweens.add({
       targets: this.panel,
@@ -99,10 +112,18 @@ export class PauseMenu {
     });
 
     this._bindKeys();
+    this._bindGamepad();
+  }
+
+  /** Text object for string-table `key`, kept in sync with the language. */
+  _localizedText(key, style) {
+    const text = this.scene.add.text(0, 0, t(key), style);
+    this.localized.push({ text, key });
+    return text;
   }
 
   /** Handle _createButton so this system stays coordinated. */
-  _createButton(label, y, handler, panelDepth) {
+  _createButton(labelKey, y, handler, panelDepth) {
     const container = this.scene.add.container(0, y)
       .setScrollFactor(0)
       .setDepth(panelDepth + 2)
@@ -113,7 +134,7 @@ export class PauseMenu {
       .setOrigin(0.5)
       .setStrokeStyle(2, 0xff759b, 0.9);
 
-    const text = this.scene.add.text(0, 0, label, {
+    const text = this._localizedText(labelKey, {
       font: '20px monospace',
       color: '#ffe9f2'
     }).setOrigin(0.5);
@@ -158,15 +179,34 @@ export class PauseMenu {
       this.handleMainMenu();
     };
 
-    // Resume: Esc, P, Enter, Space
-    ['keydown-ESC', 'keydown-P', 'keydown-ENTER', 'keydown-SPACE'].forEach((evt) => {
-      keyboard.on(evt, resumeHandler);
-      this.keyListeners.push({ evt, handler: resumeHandler });
-    });
+    // Resume: Pause, Back or Confirm; main menu: Quit to Menu (ControlBindings).
+    this.keyListeners.push(onActionKeys(keyboard, {
+      pause: resumeHandler,
+      back: resumeHandler,
+      confirm: resumeHandler,
+      quitToMenu: mainMenuHandler
+    }));
+  }
 
-    // Main menu: M
-    keyboard.on('keydown-M', mainMenuHandler);
-    this.keyListeners.push({ evt: 'keydown-M', handler: mainMenuHandler });
+  /** Gamepad: up/down walk the buttons, confirm presses, back resumes. */
+  _bindGamepad() {
+    const pad = this.scene.gamepad;
+    if (!pad) return;
+
+    // Settings stacks on top of the pause panel and owns the pad while open.
+    const guard = (fn) => () => {
+      if (!this.destroyed && !this.scene?.settingsMenu) fn();
+    };
+    const listeners = {
+      up: guard(() => this.focus.move(-1)),
+      down: guard(() => this.focus.move(1)),
+      confirm: guard(() => this.focus.activate()),
+      back: guard(() => this.handleResume())
+    };
+    Object.entries(listeners).forEach(([evt, handler]) => {
+      pad.on(evt, handler);
+      this.padListeners.push({ evt, handler });
+    });
   }
 
   /** Handle handleResume so this system stays coordinated. */
@@ -192,14 +232,15 @@ export class PauseMenu {
     if (this.destroyed) return;
     this.destroyed = true;
 
-    const keyboard = this.scene?.input?.keyboard;
-    if (keyboard) {
-      this.keyListeners.forEach(({ evt, handler }) => {
-        keyboard.off(evt, handler);
-      });
-    }
+    this.keyListeners.forEach((dispose) => dispose());
     this.keyListeners.length = 0;
 
+    const pad = this.scene?.gamepad;
+    this.padListeners.forEach(({ evt, handler }) => pad?.off(evt, handler));
+    this.padListeners.length = 0;
+    this._disposeUiScale?.();
+    this._disposeLocale?.();
+
     this.backdrop?.destroy();
     this.panel?.destroy(true);
     this.scene = null;
@@ -1,5 +1,6 @@
 // src/ui/PlayerHUD.js
 import Phaser from 'phaser';
+import { t } from '../i18n/Localization.js';
 
 /**
  * PlayerHUD
@@ -9,10 +10,12 @@ import Phaser from 'phaser';
  *  - Time survived (MM:SS)
  *  - Kills
  *  - XP earned (total)
+ *  - Endless cycle (tag under the panel, endless runs only)
  *
  * Notes:
  *  - Screen-space (scrollFactor 0)
  *  - Responsive: supports setPosition + optional setScale
+ *  - Optional high-contrast palette (solid black panel, white border/text)
  *  - Dumb view: caller pushes data via setStats()
  *  - Styled to match PauseMenu palette (dark plum + pink accents, monospace)
  */
@@ -64,34 +67,43 @@ export class PlayerHUD {
     const row3Y = row2Y + valueYOffset + 18 + rowGap;
 
     // TIME
-    this.timeLabel = scene.add.text(paddingX, row1Y + labelYOffset, 'TIME', this._labelStyle);
+    this.timeLabel = scene.add.text(paddingX, row1Y + labelYOffset, t('hud.time'), this._labelStyle);
     this.timeValue = scene.add.text(width - paddingX, row1Y + valueYOffset, '00:00', this._valueBigStyle)
       .setOrigin(1, 0);
 
     // KILLS
-    this.killsLabel = scene.add.text(paddingX, row2Y + labelYOffset, 'KILLS', this._labelStyle);
+    this.killsLabel = scene.add.text(paddingX, row2Y + labelYOffset, t('hud.kills'), this._labelStyle);
     this.killsValue = scene.add.text(width - paddingX, row2Y + valueYOffset, '0', this._valueStyle)
       .setOrigin(1, 0);
 
     // XP
-    this.xpLabel = scene.add.text(paddingX, row3Y + labelYOffset, 'XP', this._labelStyle);
+    this.xpLabel = scene.add.text(paddingX, row3Y + labelYOffset, t('hud.xp'), this._labelStyle);
     this.xpValue = scene.add.text(width - paddingX, row3Y + valueYOffset, '0', this._valueStyle)
       .setOrigin(1, 0);
 
     // Panel height based on last row
     this.height = (row3Y + valueYOffset + 18 + paddingY);
 
+    // ENDLESS CYCLE tag hangs under the panel; hidden until a cycle starts.
+    this.cycleText = scene.add.text(2, this.height + 6, '', {
+      font: 'bold 12px monospace',
+      color: '#ff759b',
+      stroke: '#1a0c1f',
+      strokeThickness: 3
+    }).setVisible(false);
+
     // ---- Background ----
     // Use Graphics so we can do rounded rect + accent strip easily.
     this.background = scene.add.graphics();
-    this._drawBackground({
+    this._backgroundStyle = {
       cornerRadius,
       topAccentHeight,
       bgColor,
       bgAlpha,
       borderColor,
       borderAlpha
-    });
+    };
+    this._drawBackground(this._backgroundStyle);
 
     // Render order
     this.container.add([
@@ -101,13 +113,14 @@ export class PlayerHUD {
       this.killsLabel,
       this.killsValue,
       this.xpLabel,
-      this.xpValue
+      this.xpValue,
+      this.cycleText
     ]);
 
     this.setPosition(x, y);
 
     // Cache last stats so we can avoid redundant setText spam if you want later
-    this._last = { time: '00:00', kills: '0', xp: '0' };
+    this._last = { time: '00:00', kills: '0', xp: '0', cycle: 0 };
   }
 
   /** Redraw background. */
@@ -173,6 +186,24 @@ export class PlayerHUD {
     this.container?.setScale(s);
   }
 
+  /**
+   * Swap between the themed palette and a high-contrast one (solid black
+   * panel, white border, white/yellow text).
+   */
+  setHighContrast(enabled = false) {
+    if (!this.container) return;
+
+    this._drawBackground(enabled
+      ? { ...this._backgroundStyle, bgColor: 0x000000, bgAlpha: 1, borderColor: 0xffffff, borderAlpha: 1 }
+      : this._backgroundStyle);
+
+    const labelColor = enabled ? '#ffffff' : this._labelStyle.color;
+    const valueColor = enabled ? '#ffe14d' : this._valueStyle.color;
+    [this.timeLabel, this.killsLabel, this.xpLabel].forEach((text) => text?.setColor(labelColor));
+    [this.timeValue, this.killsValue, this.xpValue].forEach((text) => text?.setColor(valueColor));
+    this.cycleText?.setColor(enabled ? '#ffe14d' : '#ff759b');
+  }
+
   /** Handle setVisible so this system stays coordinated. */
   setVisible(isVisible) {
     this.container?.setVisible(!!isVisible);
@@ -184,8 +215,9 @@ export class PlayerHUD {
    *  - elapsedMs OR elapsedSeconds
    *  - kills
    *  - xp (total earned)
+   *  - cycle (endless escalation cycle; 0 hides the tag)
    */
-  setStats({ elapsedMs = null, elapsedSeconds = null, kills = 0, xp = 0 } = {}) {
+  setStats({ elapsedMs = null, elapsedSeconds = null, kills = 0, xp = 0, cycle = 0 } = {}) {
     if (!this.container) return;
 
     let ms = elapsedMs;
@@ -211,6 +243,12 @@ export class PlayerHUD {
       this.xpValue?.setText(xpText);
       this._last.xp = xpText;
     }
+    const cycleValue = Math.max(0, Math.floor(Number(cycle) || 0));
+    if (cycleValue !== this._last.cycle) {
+      this.cycleText?.setText(cycleValue > 0 ? t('hud.endlessCycle', { cycle: cycleValue }) : '');
+      this.cycleText?.setVisible(cycleValue > 0);
+      this._last.cycle = cycleValue;
+    }
   }
 
   /** Handle destroy so this system stays coordinated. */
@@ -222,6 +260,7 @@ export class PlayerHUD {
     this.killsValue?.destroy();
     this.xpLabel?.destroy();
     this.xpValue?.destroy();
+    this.cycleText?.destroy();
     this.container?.destroy();
 
     this.scene = null;
@@ -234,6 +273,7 @@ export class PlayerHUD {
     this.killsValue = null;
     this.xpLabel = null;
     this.xpValue = null;
+    this.cycleText = null;
 
     this._last = null;
   }
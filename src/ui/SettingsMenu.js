@@ -1,11 +1,19 @@
 import Phaser from 'phaser';
+import { onActionKeys } from '../input/ControlBindings.js';
+import { actionPrompt, onPromptsChanged } from '../input/InputPrompts.js';
+import { AccessibilityPage } from './AccessibilityPage.js';
+import { bindUiScale } from './AccessibilitySettings.js';
+import { ControlsPage } from './ControlsPage.js';
+import { getLocale, LOCALES, onLocaleChanged, setLocale, t } from '../i18n/Localization.js';
 
 const PANEL_WIDTH = 360;
-const PANEL_HEIGHT = 200;
+const PANEL_HEIGHT = 350;
 const PANEL_DEPTH = 360;
 const BUTTON_WIDTH = 160;
 const BUTTON_HEIGHT = 42;
 const BUTTON_SPACING = 16;
+const LABEL_COLOR = '#ffe7f5';
+const FOCUS_COLOR = '#ffd36b';
 
 export class SettingsMenu {
   /** Initialize SettingsMenu state so runtime dependencies are ready. */
@@ -16,6 +24,12 @@ export class SettingsMenu {
     this.depthBase = depthBase;
     this.destroyed = false;
     this.keyListeners = [];
+    this.padListeners = [];
+    // Gamepad row focus: 0 = SFX, 1 = Music, 2 = Language, 3 = Controls,
+    // 4 = Accessibility, 5 = Back; null until first move.
+    this.padRow = null;
+    // ControlsPage / AccessibilityPage while one is open over the panel.
+    this.subPage = null;
 
     this.sfxVolume = Phaser.Math.Clamp(this.soundManager?.getBusVolume?.('sfx') ?? 1.0, 0, 1);
     this.musicVolume = Phaser.Math.Clamp(this.soundManager?.getBusVolume?.('music') ?? 1.0, 0, 1);
@@ -51,17 +65,18 @@ export class SettingsMenu {
     // Title (top anchored)
     // ---------------------------
     const titleY = -PANEL_HEIGHT / 2 + 28;
-    const title = this.scene.add.text(0, titleY, 'SETTINGS', {
+    const title = this.scene.add.text(0, titleY, t('settings.title'), {
       font: '24px monospace',
       color: '#ffbed8',
       align: 'center'
     }).setOrigin(0.5);
 
     // ---------------------------
-    // Volume Rows (top anchored)
+    // Volume + Language Rows (top anchored)
     // ---------------------------
     const sfxRowY = -PANEL_HEIGHT / 2 + 72;   // relative-to-top placement
     const musicRowY = sfxRowY + 48;
+    const languageRowY = musicRowY + 48;
 
     const sfxRowParts = this._createVolumeRow({
       y: sfxRowY,
@@ -85,13 +100,45 @@ export class SettingsMenu {
     this.musicLabel = musicLabel;
     this.musicRowParts = musicRowParts;
 
+    const languageRowParts = this._createVolumeRow({
+      y: languageRowY,
+      labelText: this._formatLanguageLabel(),
+      onMinus: () => this._cycleLanguage(-1),
+      onPlus: () => this._cycleLanguage(1),
+      panelDepth
+    });
+    this.languageLabel = languageRowParts.label;
+    this.languageRowParts = languageRowParts;
+
     // ---------------------------
-    // Back button (bottom anchored)
+    // Controls, Accessibility + Back buttons (bottom anchored)
     // ---------------------------
     const backButtonY = PANEL_HEIGHT / 2 - BUTTON_HEIGHT / 2 - BUTTON_SPACING;
+    const accessibilityButtonY = backButtonY - BUTTON_HEIGHT - BUTTON_SPACING / 2;
+    const controlsButtonY = accessibilityButtonY - BUTTON_HEIGHT - BUTTON_SPACING / 2;
+
+    const controlsButton = this._createButton(
+      t('settings.controls'),
+      0,
+      controlsButtonY,
+      () => this._openSubPage(ControlsPage),
+      BUTTON_WIDTH,
+      BUTTON_HEIGHT,
+      panelDepth
+    );
+
+    const accessibilityButton = this._createButton(
+      t('settings.accessibility'),
+      0,
+      accessibilityButtonY,
+      () => this._openSubPage(AccessibilityPage),
+      BUTTON_WIDTH,
+      BUTTON_HEIGHT,
+      panelDepth
+    );
 
     const backButton = this._createButton(
-      'Back (Esc)',
+      this._formatBackLabel(),
       0,
       backButtonY,
       () => this.close(),
@@ -100,7 +147,21 @@ export class SettingsMenu {
       panelDepth
     );
 
-    this.panel.add([panelBg, title, sfxRow, musicRow, backButton]);
+    this.panel.add([
+      panelBg,
+      title,
+      sfxRow,
+      musicRow,
+      languageRowParts.container,
+      controlsButton,
+      accessibilityButton,
+      backButton
+    ]);
+    this.title = title;
+    this.controlsButton = controlsButton;
+    this.accessibilityButton = accessibilityButton;
+    this.backButton = backButton;
+    this.backLabel = backButton.list.find((child) => child.type === 'Text') ?? null;
 
     this.scene.tweens.add({
       targets: this.panel,
@@ -109,9 +170,33 @@ export class SettingsMenu {
       ease: 'Sine.easeOut'
     });
 
-    this.backdrop.once('pointerup', () => this.close());
+    this.backdrop.on('pointerup', () => {
+      if (!this.subPage) this.close();
+    });
+
+    this._disposeUiScale = bindUiScale(this.scene, this.panel, () => ({ width: PANEL_WIDTH, height: PANEL_HEIGHT }));
 
     this._bindKeys();
+    this._bindGamepad();
+    this._disposePrompts = onPromptsChanged(this.scene, () => {
+      if (!this.destroyed) this.backLabel?.setText(this._formatBackLabel());
+    });
+    this._disposeLocale = onLocaleChanged(this.scene, () => this._relabel());
+  }
+
+  /** Re-read every label from the string table after a language switch. */
+  _relabel() {
+    if (this.destroyed) return;
+    const buttonText = (button) => button?.list.find((child) => child.type === 'Text');
+
+    this.title?.setText(t('settings.title'));
+    this.sfxLabel?.setText(this._formatSfxLabel());
+    this.musicLabel?.setText(this._formatMusicLabel());
+    this.languageLabel?.setText(this._formatLanguageLabel());
+    [this.sfxRowParts, this.musicRowParts, this.languageRowParts].forEach((row) => this._layoutVolumeRow(row));
+    buttonText(this.controlsButton)?.setText(t('settings.controls'));
+    buttonText(this.accessibilityButton)?.setText(t('settings.accessibility'));
+    this.backLabel?.setText(this._formatBackLabel());
   }
 
 
@@ -161,7 +246,7 @@ export class SettingsMenu {
 
     const label = this.scene.add.text(0, 0, labelText, {
       font: '18px monospace',
-      color: '#ffe7f5',
+      color: LABEL_COLOR,
       align: 'left'
     }).setOrigin(0.5);
 
@@ -218,14 +303,90 @@ export class SettingsMenu {
     const keyboard = this.scene.input.keyboard;
     if (!keyboard) return;
 
-    const escHandler = (event) => {
+    const backHandler = (event) => {
+      if (this.subPage) return;
       event?.stopPropagation?.();
       event?.preventDefault?.();
       this.close();
     };
 
-    keyboard.on('keydown-ESC', escHandler);
-    this.keyListeners.push({ evt: 'keydown-ESC', handler: escHandler });
+    this.keyListeners.push(onActionKeys(keyboard, { back: backHandler }));
+  }
+
+  /**
+   * Gamepad: up/down pick a row, left/right adjust the focused volume,
+   * confirm opens Controls / Accessibility or closes on Back (or the back
+   * button anywhere). Ignored while a sub-page is open; it binds the pad itself.
+   */
+  _bindGamepad() {
+    const pad = this.scene.gamepad;
+    if (!pad) return;
+
+    const guard = (fn) => () => {
+      if (!this.destroyed && !this.subPage) fn();
+    };
+    const bump = (direction) => {
+      if (this.padRow === 0) this._bumpSfx(0.1 * direction);
+      if (this.padRow === 1) this._bumpMusic(0.1 * direction);
+      if (this.padRow === 2) this._cycleLanguage(direction);
+    };
+    const listeners = {
+      up: guard(() => this._setPadRow(this.padRow == null ? 0 : (this.padRow + 5) % 6)),
+      down: guard(() => this._setPadRow(this.padRow == null ? 0 : (this.padRow + 1) % 6)),
+      left: guard(() => bump(-1)),
+      right: guard(() => bump(1)),
+      confirm: guard(() => {
+        if (this.padRow === 2) this._cycleLanguage(1);
+        if (this.padRow === 3) this._openSubPage(ControlsPage);
+        if (this.padRow === 4) this._openSubPage(AccessibilityPage);
+        if (this.padRow === 5) this.close();
+      }),
+      back: guard(() => this.close())
+    };
+    Object.entries(listeners).forEach(([evt, handler]) => {
+      pad.on(evt, handler);
+      this.padListeners.push({ evt, handler });
+    });
+  }
+
+  /** Highlight the focused row's label (or the Controls / Accessibility / Back button). */
+  _setPadRow(row) {
+    this.padRow = row;
+    this.sfxLabel?.setColor(row === 0 ? FOCUS_COLOR : LABEL_COLOR);
+    this.musicLabel?.setColor(row === 1 ? FOCUS_COLOR : LABEL_COLOR);
+    this.languageLabel?.setColor(row === 2 ? FOCUS_COLOR : LABEL_COLOR);
+    this.controlsButton?.emit(row === 3 ? 'pointerover' : 'pointerout');
+    this.accessibilityButton?.emit(row === 4 ? 'pointerover' : 'pointerout');
+    this.backButton?.emit(row === 5 ? 'pointerover' : 'pointerout');
+  }
+
+  _formatBackLabel() {
+    return t('settings.back', { prompt: actionPrompt('back', { all: false }) });
+  }
+
+  /** Step through LOCALES; the switch relabels every open UI via onLocaleChanged. */
+  _cycleLanguage(direction) {
+    const index = LOCALES.findIndex((locale) => locale.code === getLocale().code);
+    const next = LOCALES[Phaser.Math.Wrap(index + direction, 0, LOCALES.length)];
+    setLocale(next.code, this.scene.game);
+  }
+
+  _formatLanguageLabel() {
+    return t('settings.language', { language: getLocale().name });
+  }
+
+  /** Swap the panel for a sub-page (ControlsPage / AccessibilityPage) until it closes. */
+  _openSubPage(PageClass) {
+    if (this.destroyed || this.subPage) return;
+
+    this.panel.setVisible(false);
+    this.subPage = new PageClass(this.scene, {
+      depthBase: this.depthBase + PANEL_DEPTH + 10,
+      onClose: () => {
+        this.subPage = null;
+        if (!this.destroyed) this.panel.setVisible(true);
+      }
+    });
   }
 
   /** Handle _bumpSfx so this system stays coordinated. */
@@ -241,7 +402,7 @@ export class SettingsMenu {
   /** Handle _formatSfxLabel so this system stays coordinated. */
   _formatSfxLabel() {
     const pct = Math.round(this.sfxVolume * 100);
-    return `SFX Volume: ${pct}%`;
+    return t('settings.sfxVolume', { percent: pct });
   }
 
   /** Handle _bumpMusic so this system stays coordinated. */
@@ -257,7 +418,7 @@ export class SettingsMenu {
   /** Handle _formatMusicLabel so this system stays coordinated. */
   _formatMusicLabel() {
     const pct = Math.round(this.musicVolume * 100);
-    return `Music Volume: ${pct}%`;
+    return t('settings.musicVolume', { percent: pct });
   }
 
   /** Handle close so this system stays coordinated. */
@@ -272,14 +433,22 @@ export class SettingsMenu {
     if (this.destroyed) return;
     this.destroyed = true;
 
-    const keyboard = this.scene?.input?.keyboard;
-    if (keyboard) {
-      this.keyListeners.forEach(({ evt, handler }) => {
-        keyboard.off(evt, handler);
-      });
-    }
+    this.subPage?.destroy();
+    this.subPage = null;
+
+    this.keyListeners.forEach((dispose) => dispose());
     this.keyListeners.length = 0;
 
+    const pad = this.scene?.gamepad;
+    this.padListeners.forEach(({ evt, handler }) => pad?.off(evt, handler));
+    this.padListeners.length = 0;
+    this._disposePrompts?.();
+    this._disposePrompts = null;
+    this._disposeUiScale?.();
+    this._disposeUiScale = null;
+    this._disposeLocale?.();
+    this._disposeLocale = null;
+
     this.backdrop?.destroy();
     this.panel?.destroy(true);
     this.scene = null;
@@ -1,18 +1,35 @@
 import Phaser from 'phaser';
+import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
+import { onActionKeys } from '../input/ControlBindings.js';
+import { t, uiText } from '../i18n/Localization.js';
+import { bindUiScale } from './AccessibilitySettings.js';
 
 const PANEL_WIDTH = 520;
-const PANEL_HEIGHT = 250;
+const PANEL_BASE_HEIGHT = 190;
 const PANEL_DEPTH = 50;
 const BUTTON_WIDTH = 180;
 const BUTTON_HEIGHT = 56;
+const ROW_HEIGHT = 48;
+const ROW_ICON_SIZE = 36;
+const ROW_REVEAL_DELAY_MS = 220;
+const ROW_REVEAL_DURATION_MS = 260;
 
+/**
+ * TreasurePickupModal presents the rewards a chest already granted
+ * (see progression/TreasureRewards.js). Rows pop in one at a time; the first
+ * confirm press skips the reveal, the next one closes the modal.
+ */
 export class TreasurePickupModal {
-  constructor(scene, { onClose, depthBase = 0 } = {}) {
+  constructor(scene, { onClose, rewards = [], depthBase = 0 } = {}) {
     this.scene = scene;
     this.onClose = onClose;
     this._closed = false;
     this._keyListeners = [];
+    this._padListeners = [];
     this._pauseSource = 'treasurePickupModal';
+    this._rows = [];
+    this._revealTweens = [];
+    this._revealing = false;
 
     // ✅ IMPORTANT: actually pause the simulation (what LevelUpFlow does)
     this.scene?._acquireSimulationPause?.(this._pauseSource);
@@ -35,14 +52,18 @@ export class TreasurePickupModal {
       .setDepth(panelDepth + 1)
       .setScrollFactor(0);
 
+    const rewardList = Array.isArray(rewards) ? rewards : [];
+    const panelHeight = PANEL_BASE_HEIGHT + rewardList.length * ROW_HEIGHT;
+    const top = -panelHeight / 2;
+
     const panel = scene.add
-      .rectangle(0, 0, PANEL_WIDTH, PANEL_HEIGHT, 0x1a0c1f, 0.96)
+      .rectangle(0, 0, PANEL_WIDTH, panelHeight, 0x1a0c1f, 0.96)
       .setOrigin(0.5)
       .setScrollFactor(0)
       .setStrokeStyle(2, 0xffd166, 0.95);
 
     const title = scene.add
-      .text(0, -62, 'TREASURE FOUND', {
+      .text(0, top + 36, t('treasure.title'), {
         font: '28px monospace',
         color: '#ffe599',
         align: 'center'
@@ -50,19 +71,21 @@ export class TreasurePickupModal {
       .setOrigin(0.5)
       .setScrollFactor(0);
 
-    const body = scene.add
-      .text(0, -12, 'A mysterious chest has been opened.', {
-        font: '17px monospace',
-        color: '#f4e8ff',
-        align: 'center'
-      })
-      .setOrigin(0.5)
-      .setScrollFactor(0);
+    this.container.add([panel, title]);
+
+    const rowsTop = top + 84;
+    rewardList.forEach((reward, index) => {
+      const row = this._createRewardRow(reward, rowsTop + index * ROW_HEIGHT);
+      this.container.add(row);
+      this._rows.push(row);
+    });
 
     this.okButton = this._createOkButton(panelDepth + 2);
-    this.okButton.setPosition(0, 70);
+    this.okButton.setPosition(0, panelHeight / 2 - 50);
+    this.container.add(this.okButton);
+    this._disposeUiScale = bindUiScale(scene, this.container, () => ({ width: PANEL_WIDTH, height: panelHeight }));
 
-    this.container.add([panel, title, body, this.okButton]);
+    this._playReveal();
 
     this._onResize = (size) => {
       if (!size) return;
@@ -74,6 +97,117 @@ export class TreasurePickupModal {
     this._bindKeys();
   }
 
+  _describeReward(reward) {
+    if (reward?.type === 'restore') {
+      return { title: t('treasure.restoreHealth'), detail: this._formatRestore(reward.amount), color: '#9bffb0' };
+    }
+
+    const name = reward?.name ?? reward?.key ?? '???';
+    if (reward?.type === 'passive') {
+      return { title: name, detail: t('treasure.passive'), color: '#c9a7ff' };
+    }
+    if (reward?.subtype === 'evolution') {
+      const base = uiText(WeaponRegistry[reward.from], 'name', reward.from);
+      return { title: name, detail: t('treasure.evolvedFrom', { weapon: base }), color: '#ff8fd8' };
+    }
+    if (reward?.subtype === 'upgrade') {
+      return { title: name, detail: t('treasure.upgradedTo', { level: reward.nextLevel }), color: '#6be3ff' };
+    }
+    return { title: name, detail: t('treasure.newWeapon'), color: '#ffd166' };
+  }
+
+  _formatRestore(amount) {
+    if (amount === 'full') return t('treasure.fullHeal');
+    if (typeof amount === 'string' && amount.startsWith('percent:')) {
+      return t('treasure.healPercent', { value: amount.split(':')[1] });
+    }
+    return Number.isFinite(amount) ? t('treasure.healFlat', { value: amount }) : '';
+  }
+
+  _createRewardRow(reward, y) {
+    const scene = this.scene;
+    const row = scene.add.container(0, y).setScrollFactor(0);
+    const left = -PANEL_WIDTH / 2 + 40;
+    const { title, detail, color } = this._describeReward(reward);
+
+    // Same icon lookup as LevelUpModal: atlas + frame, or a standalone texture key.
+    const iconMeta = reward?.ui?.icon ?? {};
+    const textureKey = iconMeta.atlas || iconMeta.key || null;
+    if (textureKey && scene.textures?.exists?.(textureKey)) {
+      const icon = scene.add
+        .image(left + ROW_ICON_SIZE / 2, 0, textureKey, iconMeta.frame ?? undefined)
+        .setOrigin(0.5)
+        .setScrollFactor(0);
+      const largest = Math.max(icon.width, icon.height, 1);
+      icon.setScale(ROW_ICON_SIZE / largest);
+      row.add(icon);
+    }
+
+    const name = scene.add
+      .text(left + ROW_ICON_SIZE + 16, 0, title, {
+        font: '18px monospace',
+        color: '#f4e8ff'
+      })
+      .setOrigin(0, 0.5)
+      .setScrollFactor(0);
+
+    const tag = scene.add
+      .text(PANEL_WIDTH / 2 - 36, 0, detail, {
+        font: '14px monospace',
+        color
+      })
+      .setOrigin(1, 0.5)
+      .setScrollFactor(0);
+
+    row.add([name, tag]);
+    return row;
+  }
+
+  /**
+   * Stagger rows in with a small drop + fade, then reveal the OK button.
+   * Runs on scene.tweens, which keep ticking while the simulation is paused.
+   */
+  _playReveal() {
+    const tweens = this.scene?.tweens;
+    if (!tweens || !this._rows.length) return;
+
+    this._revealing = true;
+    this.okButton.setAlpha(0);
+
+    this._rows.forEach((row, index) => {
+      const targetY = row.y;
+      row.revealY = targetY;
+      row.setAlpha(0).setScale(0.85).setY(targetY - 12);
+      this._revealTweens.push(tweens.add({
+        targets: row,
+        alpha: 1,
+        scale: 1,
+        y: targetY,
+        delay: 200 + index * ROW_REVEAL_DELAY_MS,
+        duration: ROW_REVEAL_DURATION_MS,
+        ease: 'Back.easeOut'
+      }));
+    });
+
+    this._revealTweens.push(tweens.add({
+      targets: this.okButton,
+      alpha: 1,
+      delay: 200 + this._rows.length * ROW_REVEAL_DELAY_MS,
+      duration: 180,
+      onComplete: () => { this._revealing = false; }
+    }));
+  }
+
+  /** Stop the reveal and snap rows + button to their final layout. */
+  _finishReveal() {
+    this._revealTweens.forEach((tween) => tween?.remove?.());
+    this._revealTweens.length = 0;
+
+    this._rows.forEach((row) => row.setAlpha(1).setScale(1).setY(row.revealY ?? row.y));
+    this.okButton?.setAlpha(1);
+    this._revealing = false;
+  }
+
   _createOkButton(depth) {
     const root = this.scene.add
       .container(0, 0)
@@ -88,7 +222,7 @@ export class TreasurePickupModal {
       .setStrokeStyle(2, 0xffd166, 0.95);
 
     const label = this.scene.add
-      .text(0, 0, 'OK', {
+      .text(0, 0, t('common.ok'), {
         font: '22px monospace',
         color: '#fff0c2',
         align: 'center'
@@ -107,7 +241,14 @@ export class TreasurePickupModal {
     hit.on('pointerover', () => bg.setFillStyle(0x63307a, 1));
     hit.on('pointerout', reset);
     hit.on('pointerdown', () => bg.setFillStyle(0x351046, 1));
-    hit.on('pointerup', () => { reset(); this.close(); });
+    hit.on('pointerup', () => {
+      reset();
+      if (this._revealing) {
+        this._finishReveal();
+        return;
+      }
+      this.close();
+    });
     hit.on('pointerupoutside', reset);
 
     root.add([bg, label, hit]);
@@ -121,13 +262,23 @@ export class TreasurePickupModal {
     const closeHandler = (event) => {
       event?.stopPropagation?.();
       event?.preventDefault?.();
+      if (this._revealing) {
+        this._finishReveal();
+        return;
+      }
       this.close();
     };
 
-    ['keydown-ENTER', 'keydown-SPACE', 'keydown-ESC'].forEach((evt) => {
-      keyboard.on(evt, closeHandler);
-      this._keyListeners.push({ evt, handler: closeHandler });
-    });
+    this._keyListeners.push(onActionKeys(keyboard, { confirm: closeHandler, back: closeHandler }));
+
+    // Either face button skips the reveal, then collects.
+    const pad = this.scene.gamepad;
+    if (pad) {
+      ['confirm', 'back'].forEach((evt) => {
+        pad.on(evt, closeHandler);
+        this._padListeners.push({ evt, handler: closeHandler });
+      });
+    }
   }
 
   close() {
@@ -143,14 +294,19 @@ export class TreasurePickupModal {
   }
 
   destroy() {
-    const keyboard = this.scene?.input?.keyboard;
-    if (keyboard) {
-      this._keyListeners.forEach(({ evt, handler }) => keyboard.off(evt, handler));
-    }
+    this._keyListeners.forEach((dispose) => dispose());
     this._keyListeners.length = 0;
+    const pad = this.scene?.gamepad;
+    this._padListeners.forEach(({ evt, handler }) => pad?.off(evt, handler));
+    this._padListeners.length = 0;
+    this._disposeUiScale?.();
 
     this.scene?.scale?.off?.('resize', this._onResize);
 
+    this._revealTweens.forEach((tween) => tween?.remove?.());
+    this._revealTweens.length = 0;
+    this._rows.length = 0;
+
     this.okButton?.destroy(true);
     this.container?.destroy(true);
     this.backdrop?.destroy();
@@ -1,6 +1,10 @@
+import { AccessibilitySettings, onAccessibilityChanged } from './AccessibilitySettings.js';
+import { t } from '../i18n/Localization.js';
+
 /**
  * Fixed-position HUD element that displays the player's current level and XP progress.
  * Stays anchored to the top of the screen and updates automatically when XP/level changes.
+ * Follows the accessibility UI scale and high-contrast options.
  */
 export class XPBar {
   /**
@@ -35,7 +39,7 @@ export class XPBar {
       .setOrigin(0, 0.5);
 
     // Level label text displayed above the bar.
-    this.label = scene.add.text(0, -(height / 2) - 6, 'Lv. 1', {
+    this.label = scene.add.text(0, -(height / 2) - 6, t('hud.level', { level: 1 }), {
       font: '16px monospace',
       color: '#dfe9ff',
       align: 'center'
@@ -47,7 +51,7 @@ export class XPBar {
     // Adjust bar position when window is resized.
     this._onResize = (size) => {
       if (!size) return;
-      this.container.setPosition(size.width / 2, 32);
+      this.container.setPosition(size.width / 2, 32 * this.container.scaleY);
       this.background.setSize(this.width, this.height);
       this.fill.setPosition(-innerWidth / 2, 0);
     };
@@ -60,17 +64,36 @@ export class XPBar {
     this.events?.on?.('xp:changed', this._onXPChanged);
     this.events?.on?.('level:changed', this._onLevelChanged);
 
+    this._applyAccessibility();
+    this._disposeAccessibility = onAccessibilityChanged(scene, () => this._applyAccessibility());
+
     // Initialize label and progress to match current game state.
     this._updateLabel(scene.levelSystem?.level ?? 1);
     this._updateFill();
   }
 
+  /**
+   * Scale the bar and swap to a solid, white-outlined frame in high contrast.
+   */
+  _applyAccessibility() {
+    if (!this.container) return;
+    const { uiScale, highContrast } = AccessibilitySettings.get();
+
+    // Push the bar down as it grows so the level label stays on screen.
+    this.container.setScale(uiScale).setY(32 * uiScale);
+    this.background
+      .setFillStyle(0x04030b, highContrast ? 1 : 0.85)
+      .setStrokeStyle(highContrast ? 3 : 2, highContrast ? 0xffffff : 0x6b73a6, highContrast ? 1 : 0.9);
+    this.label.setColor(highContrast ? '#ffffff' : '#dfe9ff')
+      .setStroke('#000000', highContrast ? 4 : 0);
+  }
+
   /**
    * Update displayed level text.
    */
   _updateLabel(level) {
     const lvl = Number(level) || 1;
-    this.label.setText(`Lv. ${lvl}`);
+    this.label.setText(t('hud.level', { level: lvl }));
   }
 
   /**
@@ -91,6 +114,7 @@ export class XPBar {
    * Clean up listeners and destroy display objects.
    */
   destroy() {
+    this._disposeAccessibility?.();
     this.scene.scale.off('resize', this._onResize);
     this.events?.off?.('xp:changed', this._onXPChanged);
     this.events?.off?.('level:changed', this._onLevelChanged);
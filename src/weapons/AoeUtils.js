@@ -1,3 +1,5 @@
+import { TargetingService } from './TargetingService.js';
+
 /** Provide runAoe so callers can reuse shared logic safely. */
 export function runAoe({
   scene,
@@ -58,13 +60,21 @@ export function runAoe({
         sourceKey
       };
 
-  enemyGroup.children?.iterate?.((enemy) => {
-    if (!enemy || !enemy.active || enemy === exclude) return;
+  // Broadphase first; with a target cap the closest enemies take the hits.
+  const candidates = TargetingService.enemiesInRadius(enemyGroup, origin, radius);
+  if (Number.isFinite(maxTargets) && candidates.length > maxTargets) {
+    const distSq = (enemy) => (enemy.x - origin.x) ** 2 + (enemy.y - origin.y) ** 2;
+    candidates.sort((a, b) => distSq(a) - distSq(b));
+  }
+
+  for (let i = 0; i < candidates.length && hitCount < maxTargets; i += 1) {
+    const enemy = candidates[i];
+    if (!enemy.active || enemy === exclude) continue;
 
     const dx = enemy.x - origin.x;
     const dy = enemy.y - origin.y;
     const distSq = dx * dx + dy * dy;
-    if (distSq > radiusSq) return;
+    if (distSq > radiusSq) continue;
 
     const distance = Math.sqrt(distSq);
 
@@ -74,7 +84,7 @@ export function runAoe({
         const normX = dx / distance;
         const normY = dy / distance;
         const dot = normX * facingVec.x + normY * facingVec.y;
-        if (dot < minDot) return;
+        if (dot < minDot) continue;
       }
     }
 
@@ -93,13 +103,8 @@ export function runAoe({
       damagePipeline?.applyHit(enemy, hitPayload);
 
       hitCount += 1;
-      if (hitCount >= maxTargets) {
-        return false; // stop iterating further enemies
-      }
     }
-
-    return undefined;
-  });
+  }
 
   scene?.events?.emit?.('weapons:aoe', {
     key: sourceKey,
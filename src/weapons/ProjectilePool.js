@@ -330,6 +330,11 @@ export class ProjectilePool {
       this.group,
       enemyGroup,
       (projectile, enemy) => {
+        // Reflecting elites can send the shot back at the hero instead of taking it.
+        if (scene.eliteAffixes?.tryReflect?.(enemy, projectile)) {
+          this.release(projectile);
+          return;
+        }
         projectile?._weaponData?.controller?.onProjectileImpact?.(projectile, enemy);
       }
     );
@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { SpatialHash } from '../core/SpatialHash.js';
 
 /**
  * Iterates over all active enemies in a group and executes a callback for each.
@@ -15,6 +16,9 @@ function forEachEnemy(enemyGroup, cb) {
 /**
  * TargetingService provides common enemy-selection utilities.
  * Useful for weapons, skills, homing projectiles, etc.
+ *
+ * Queries go through the group's SpatialHash (see core/SpatialHash.js) once
+ * stepSimulation has built one; until then they scan the group linearly.
  */
 export const TargetingService = {
   /**
@@ -22,11 +26,15 @@ export const TargetingService = {
    * @param {Phaser.Physics.Arcade.Group} enemyGroup - Group of enemies to search.
    * @param {Phaser.Math.Vector2|{x:number,y:number}} origin - Position to test from.
    * @param {number} range - Maximum allowed distance (optional).
+   * @param {(enemy:any) => boolean} [filter] - Optional predicate candidates must pass.
    * @returns {Phaser.GameObjects.Sprite|null} The closest enemy or null if none found.
    */
-  nearestEnemy(enemyGroup, origin, range) {
+  nearestEnemy(enemyGroup, origin, range, filter = null) {
     if (!enemyGroup || !origin) return null;
 
+    const index = SpatialHash.forGroup(enemyGroup);
+    if (index) return index.nearest(origin.x, origin.y, range, filter);
+
     // Convert to squared range for faster comparison
     const maxRange = Number.isFinite(range) ? range : Infinity;
     const maxRangeSq = maxRange * maxRange;
@@ -39,7 +47,7 @@ export const TargetingService = {
       const dy = enemy.y - origin.y;
       const d2 = dx * dx + dy * dy;
       // Check if within range and closer than previous best
-      if (d2 < best && d2 <= maxRangeSq) {
+      if (d2 < best && d2 <= maxRangeSq && (!filter || filter(enemy))) {
         best = d2;
         target = enemy;
       }
@@ -48,6 +56,59 @@ export const TargetingService = {
     return target;
   },
 
+  /**
+   * The `count` closest enemies within range, nearest first.
+   * @param {Phaser.Physics.Arcade.Group} enemyGroup
+   * @param {Phaser.Math.Vector2|{x:number,y:number}} origin
+   * @param {number} count - Maximum number of enemies returned.
+   * @param {number} range - Maximum distance (optional).
+   * @returns {Array<{ enemy: any, distSq: number }>}
+   */
+  nearestEnemies(enemyGroup, origin, count, range) {
+    if (!enemyGroup || !origin || !(count > 0)) return [];
+
+    const index = SpatialHash.forGroup(enemyGroup);
+    if (index) {
+      return index
+        .nearestN(origin.x, origin.y, count, range)
+        .map(({ item, d2 }) => ({ enemy: item, distSq: d2 }));
+    }
+
+    const maxRangeSq = Number.isFinite(range) ? range * range : Infinity;
+    const entries = [];
+    forEachEnemy(enemyGroup, (enemy) => {
+      const dx = enemy.x - origin.x;
+      const dy = enemy.y - origin.y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq <= maxRangeSq) entries.push({ enemy, distSq });
+    });
+    entries.sort((a, b) => a.distSq - b.distSq);
+    return entries.slice(0, count);
+  },
+
+  /**
+   * Every enemy within `radius` of the origin, in no particular order.
+   * @param {Phaser.Physics.Arcade.Group} enemyGroup
+   * @param {Phaser.Math.Vector2|{x:number,y:number}} origin
+   * @param {number} radius
+   * @returns {Array}
+   */
+  enemiesInRadius(enemyGroup, origin, radius) {
+    if (!enemyGroup || !origin) return [];
+
+    const index = SpatialHash.forGroup(enemyGroup);
+    if (index) return index.queryRadius(origin.x, origin.y, radius);
+
+    const radiusSq = radius * radius;
+    const results = [];
+    forEachEnemy(enemyGroup, (enemy) => {
+      const dx = enemy.x - origin.x;
+      const dy = enemy.y - origin.y;
+      if (dx * dx + dy * dy <= radiusSq) results.push(enemy);
+    });
+    return results;
+  },
+
   /**
    * Returns all enemies within a cone in front of an origin point.
    * @param {Phaser.Physics.Arcade.Group} enemyGroup
@@ -63,8 +124,11 @@ export const TargetingService = {
     // Convert half-angle to radians for comparison
     const half = Phaser.Math.DegToRad(Math.max(0, angleDeg ?? 0) / 2);
 
+    const index = SpatialHash.forGroup(enemyGroup);
+    if (index) return index.queryCone(origin.x, origin.y, facing, half, range);
+
     // Direction vector based on facing angle
-    const dir = facing
+    const dir = Number.isFinite(facing)
       ? new Phaser.Math.Vector2(Math.cos(facing), Math.sin(facing)).normalize()
       : null;
 
@@ -79,7 +143,7 @@ export const TargetingService = {
       if (dist > range) return;
 
       // If no direction specified, just include any enemy in range
-      if (!dir) {
+      if (!dir || dist === 0) {
         results.push(enemy);
         return;
       }
@@ -111,6 +175,7 @@ export const TargetingService = {
     if (!enemyGroup || !start || count <= 0) return [];
 
     const visited = new Set();
+    const notVisited = (enemy) => !visited.has(enemy);
     const results = [];
     let current = start;
 
@@ -119,15 +184,13 @@ export const TargetingService = {
       results.push(current);
       visited.add(current);
 
-      // Find next nearest enemy from current
+      // Find next nearest enemy from current that isn't already in the chain
       current = TargetingService.nearestEnemy(
         enemyGroup,
         { x: current.x, y: current.y },
-        radius
+        radius,
+        notVisited
       );
-
-      // Stop chain if next target was already included (prevents loops)
-      if (visited.has(current)) break;
     }
 
     return results;
@@ -0,0 +1,80 @@
+import { CONFIG } from '../config/gameConfig.js';
+import { WeaponRegistry } from './WeaponRegistry.js';
+
+/**
+ * Weapon evolution recipes, keyed by base weapon.
+ *
+ * A base weapon at CONFIG.WEAPONS.MAX_LEVEL plus `stacks` of the `passive`
+ * can evolve into `into`, an evolved WeaponRegistry entry (see
+ * defineEvolvedWeapon). The passive is kept; the base weapon is replaced.
+ *
+ * Evolutions are offered on the first level-up card and granted as the first
+ * treasure reward while ready (CONFIG.WEAPONS.EVOLUTION toggles each path).
+ */
+export const WeaponEvolutionRegistry = {
+  sword: { into: 'moonblade', passive: 'might', stacks: 1 },
+  cleaver: { into: 'bloodreaver', passive: 'vampiresKiss', stacks: 1 },
+  hammer: { into: 'earthbreaker', passive: 'shield', stacks: 1 },
+  girlsword: { into: 'crimsonwaltz', passive: 'bloodrush', stacks: 1 },
+  spear: { into: 'galespear', passive: 'bloodwindtreads', stacks: 1 },
+  staff: { into: 'astralstaff', passive: 'reapersReach', stacks: 1 }
+};
+
+/** Recipe for a base weapon, or null when it has none (or points at a missing entry). */
+export function getEvolutionRecipe(baseKey) {
+  const recipe = WeaponEvolutionRegistry[baseKey];
+  if (!recipe || !WeaponRegistry[recipe.into]) return null;
+  return { base: baseKey, stacks: 1, ...recipe };
+}
+
+/** Base weapon an evolved weapon comes from, or null for regular weapons. */
+export function getEvolutionBase(weaponKey) {
+  return WeaponRegistry[weaponKey]?.evolvedFrom ?? null;
+}
+
+export function isEvolvedWeapon(weaponKey) {
+  return Boolean(getEvolutionBase(weaponKey));
+}
+
+/**
+ * Recipes whose requirements the current loadout meets, in loadout order.
+ *
+ * @param {object} options
+ * @param {string[]} options.loadout - equipped weapon keys
+ * @param {(key: string) => number} options.getWeaponLevel
+ * @param {(key: string) => number} [options.getPassiveStackCount]
+ * @param {string[]} [options.passives] - passive loadout (one entry per stack), used when no resolver is given
+ * @returns {Array<{base: string, into: string, passive: string, stacks: number}>}
+ */
+export function findReadyEvolutions({ loadout = [], getWeaponLevel, getPassiveStackCount, passives = [] } = {}) {
+  const maxLevel = CONFIG.WEAPONS.MAX_LEVEL ?? 5;
+  const owned = new Set(loadout);
+  const stacksOf = (key) => {
+    const resolved = getPassiveStackCount?.(key);
+    if (Number.isFinite(resolved)) return resolved;
+    return passives.filter((passive) => passive === key).length;
+  };
+
+  return loadout
+    .map((key) => getEvolutionRecipe(key))
+    .filter((recipe) => recipe
+      && !owned.has(recipe.into)
+      && (getWeaponLevel?.(recipe.base) ?? 0) >= maxLevel
+      && stacksOf(recipe.passive) >= recipe.stacks);
+}
+
+/**
+ * Ready evolutions for a running GameScene (reads its weapon and passive managers).
+ */
+export function findSceneEvolutions(scene) {
+  const weaponManager = scene?.weaponManager;
+  const passiveManager = scene?.passiveManager;
+  if (!weaponManager) return [];
+
+  return findReadyEvolutions({
+    loadout: weaponManager.getLoadout?.() ?? [],
+    getWeaponLevel: (key) => weaponManager.getWeaponLevel?.(key) ?? 0,
+    getPassiveStackCount: passiveManager?.getStackCount?.bind(passiveManager),
+    passives: passiveManager?.getLoadout?.() ?? []
+  });
+}
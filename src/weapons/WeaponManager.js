@@ -3,6 +3,7 @@ import { WeaponRegistry } from './WeaponRegistry.js';
 import { TargetingCoordinator } from './TargetingCoordinator.js';
 import { CONFIG } from '../config/gameConfig.js';
 import * as WeaponProgression from './WeaponProgression.js';
+import { getEvolutionBase, getEvolutionRecipe } from './WeaponEvolutionRegistry.js';
 
 /**
  * Manages all weapons equipped by an entity (typically the player/hero).
@@ -124,7 +125,8 @@ export class WeaponManager {
       return false;
     }
     if (this._whitelist instanceof Set) {
-      return this._whitelist.has(key);
+      // Evolved weapons follow their base weapon's allowance.
+      return this._whitelist.has(key) || this._whitelist.has(getEvolutionBase(key));
     }
     return true;
   }
@@ -361,6 +363,43 @@ export class WeaponManager {
     return true;
   }
 
+  /**
+   * Evolve a max-level base weapon into its recipe's evolved weapon. The
+   * evolved weapon takes the base's slot, level and custom modifiers; any
+   * scoped fire audio of the base is ended by removeWeapon. Requirements
+   * (level + passive stacks) are checked by the caller via
+   * findReadyEvolutions, which knows about passives.
+   */
+  evolveWeapon(baseKey) {
+    const inst = this.weapons.get(baseKey);
+    const recipe = getEvolutionRecipe(baseKey);
+    if (!inst || !recipe || this.weapons.has(recipe.into)) return false;
+
+    const order = this.getLoadout();
+    const level = inst.level ?? CONFIG.WEAPONS.DEFAULT_LEVEL;
+    const replaced = this.replaceWeapon(baseKey, recipe.into, {
+      level,
+      modifiers: inst.modifiers ?? []
+    });
+    if (!replaced) return false;
+
+    // replaceWeapon appends; put the evolved weapon back in the base's slot.
+    const slot = order.indexOf(baseKey);
+    const reordered = new Map();
+    order.forEach((key, index) => {
+      const slotKey = index === slot ? recipe.into : key;
+      if (this.weapons.has(slotKey)) reordered.set(slotKey, this.weapons.get(slotKey));
+    });
+    this.weapons.forEach((instance, key) => {
+      if (!reordered.has(key)) reordered.set(key, instance);
+    });
+    this.weapons = reordered;
+
+    this.events?.emit('weapons:evolved', { from: baseKey, key: recipe.into, level });
+    this.events?.emit('weapons:changed', this.getLoadout());
+    return true;
+  }
+
   /**
    * Apply a global modifier to ALL weapons (e.g., player leveled up, power rune).
    */
@@ -1,4 +1,5 @@
 import { CONFIG } from '../config/gameConfig.js';
+import { t } from '../i18n/Localization.js';
 
 /** Provide deepMerge so callers can reuse shared logic safely. */
 function deepMerge(target, source) {
@@ -122,22 +123,27 @@ function getPath(obj, path, fallback) {
   return current;
 }
 
-/** Provide describeDelta so callers can reuse shared logic safely. */
-function describeDelta(changes, label, prevVal, nextVal, { type = 'add', unit = '' } = {}) {
+/**
+ * Push one "+N% stat" / "+N unit stat" line. `stat` and `unit` are keys under
+ * `upgrade.stat` / `upgrade.unit` in the string table.
+ */
+function describeDelta(changes, stat, prevVal, nextVal, { type = 'add', unit = '' } = {}) {
   if (!Number.isFinite(prevVal)) prevVal = type === 'mult' ? 1 : 0; // eslint-disable-line no-param-reassign
   if (!Number.isFinite(nextVal)) nextVal = type === 'mult' ? 1 : 0; // eslint-disable-line no-param-reassign
   const delta = nextVal - prevVal;
   if (Math.abs(delta) < Number.EPSILON) return;
 
+  const label = t(`upgrade.stat.${stat}`);
   let text = '';
   if (type === 'mult') {
     const pct = Math.round(delta * 100);
     if (pct === 0) return;
-    text = `${pct > 0 ? '+' : ''}${pct}% ${label}`;
+    text = t('upgrade.percent', { value: `${pct > 0 ? '+' : ''}${pct}`, stat: label });
   } else {
     const rounded = Number.isInteger(delta) ? delta : Math.round(delta * 100) / 100;
     if (rounded === 0) return;
-    text = `${rounded > 0 ? '+' : ''}${rounded}${unit ? ` ${unit}` : ''} ${label}`;
+    const value = `${rounded > 0 ? '+' : ''}${rounded}${unit ? ` ${t(`upgrade.unit.${unit}`)}` : ''}`;
+    text = t('upgrade.flat', { value, stat: label });
   }
 
   if (text) changes.push(text.trim());
@@ -152,31 +158,31 @@ export function describeLevelUpgrade(entry, currentLevel, nextLevel) {
   describeDelta(changes, 'damage', getPath(specCurrent, 'damage.baseMult', 1), getPath(specNext, 'damage.baseMult', 1), { type: 'mult' });
   describeDelta(changes, 'damage', getPath(specCurrent, 'damage.baseAdd', 0), getPath(specNext, 'damage.baseAdd', 0));
 
-  describeDelta(changes, 'attack delay', getPath(specCurrent, 'cadence.delayMsMult', 1), getPath(specNext, 'cadence.delayMsMult', 1), { type: 'mult' });
-  describeDelta(changes, 'attack delay (ms)', getPath(specCurrent, 'cadence.delayMsAdd', 0), getPath(specNext, 'cadence.delayMsAdd', 0));
+  describeDelta(changes, 'attackDelay', getPath(specCurrent, 'cadence.delayMsMult', 1), getPath(specNext, 'cadence.delayMsMult', 1), { type: 'mult' });
+  describeDelta(changes, 'attackDelayMs', getPath(specCurrent, 'cadence.delayMsAdd', 0), getPath(specNext, 'cadence.delayMsAdd', 0));
 
-  describeDelta(changes, 'projectile speed', getPath(specCurrent, 'projectile.speedMult', 1), getPath(specNext, 'projectile.speedMult', 1), { type: 'mult' });
-  describeDelta(changes, 'projectile speed', getPath(specCurrent, 'projectile.speedAdd', 0), getPath(specNext, 'projectile.speedAdd', 0));
+  describeDelta(changes, 'projectileSpeed', getPath(specCurrent, 'projectile.speedMult', 1), getPath(specNext, 'projectile.speedMult', 1), { type: 'mult' });
+  describeDelta(changes, 'projectileSpeed', getPath(specCurrent, 'projectile.speedAdd', 0), getPath(specNext, 'projectile.speedAdd', 0));
   describeDelta(changes, 'pierce', getPath(specCurrent, 'projectile.pierceAdd', 0), getPath(specNext, 'projectile.pierceAdd', 0));
-  describeDelta(changes, 'projectile lifetime', getPath(specCurrent, 'projectile.lifetimeMsMult', 1), getPath(specNext, 'projectile.lifetimeMsMult', 1), { type: 'mult' });
-  describeDelta(changes, 'projectile lifetime (ms)', getPath(specCurrent, 'projectile.lifetimeMsAdd', 0), getPath(specNext, 'projectile.lifetimeMsAdd', 0));
+  describeDelta(changes, 'projectileLifetime', getPath(specCurrent, 'projectile.lifetimeMsMult', 1), getPath(specNext, 'projectile.lifetimeMsMult', 1), { type: 'mult' });
+  describeDelta(changes, 'projectileLifetimeMs', getPath(specCurrent, 'projectile.lifetimeMsAdd', 0), getPath(specNext, 'projectile.lifetimeMsAdd', 0));
   describeDelta(changes, 'range', getPath(specCurrent, 'projectile.maxDistanceAdd', 0), getPath(specNext, 'projectile.maxDistanceAdd', 0), { unit: 'px' });
 
-  describeDelta(changes, 'AOE radius', getPath(specCurrent, 'aoe.radiusAdd', 0), getPath(specNext, 'aoe.radiusAdd', 0), { unit: 'px' });
-  describeDelta(changes, 'AOE damage', getPath(specCurrent, 'aoe.damageMultMult', 1), getPath(specNext, 'aoe.damageMultMult', 1), { type: 'mult' });
+  describeDelta(changes, 'aoeRadius', getPath(specCurrent, 'aoe.radiusAdd', 0), getPath(specNext, 'aoe.radiusAdd', 0), { unit: 'px' });
+  describeDelta(changes, 'aoeDamage', getPath(specCurrent, 'aoe.damageMultMult', 1), getPath(specNext, 'aoe.damageMultMult', 1), { type: 'mult' });
 
-  describeDelta(changes, 'cluster count', getPath(specCurrent, 'cluster.countAdd', 0), getPath(specNext, 'cluster.countAdd', 0));
-  describeDelta(changes, 'cluster spread', getPath(specCurrent, 'cluster.spreadRadiusAdd', 0), getPath(specNext, 'cluster.spreadRadiusAdd', 0), { unit: 'px' });
+  describeDelta(changes, 'clusterCount', getPath(specCurrent, 'cluster.countAdd', 0), getPath(specNext, 'cluster.countAdd', 0));
+  describeDelta(changes, 'clusterSpread', getPath(specCurrent, 'cluster.spreadRadiusAdd', 0), getPath(specNext, 'cluster.spreadRadiusAdd', 0), { unit: 'px' });
 
-  describeDelta(changes, 'max hops', getPath(specCurrent, 'chain.maxHopsAdd', 0), getPath(specNext, 'chain.maxHopsAdd', 0));
-  describeDelta(changes, 'hop radius', getPath(specCurrent, 'chain.hopRadiusAdd', 0), getPath(specNext, 'chain.hopRadiusAdd', 0), { unit: 'px' });
-  describeDelta(changes, 'hop falloff', getPath(specCurrent, 'chain.falloffPerHopAdd', 0), getPath(specNext, 'chain.falloffPerHopAdd', 0));
+  describeDelta(changes, 'maxHops', getPath(specCurrent, 'chain.maxHopsAdd', 0), getPath(specNext, 'chain.maxHopsAdd', 0));
+  describeDelta(changes, 'hopRadius', getPath(specCurrent, 'chain.hopRadiusAdd', 0), getPath(specNext, 'chain.hopRadiusAdd', 0), { unit: 'px' });
+  describeDelta(changes, 'hopFalloff', getPath(specCurrent, 'chain.falloffPerHopAdd', 0), getPath(specNext, 'chain.falloffPerHopAdd', 0));
 
-  describeDelta(changes, 'burst count', getPath(specCurrent, 'burst.countAdd', 0), getPath(specNext, 'burst.countAdd', 0));
-  describeDelta(changes, 'burst spread', getPath(specCurrent, 'burst.spreadDegAdd', 0), getPath(specNext, 'burst.spreadDegAdd', 0), { unit: 'deg' });
+  describeDelta(changes, 'burstCount', getPath(specCurrent, 'burst.countAdd', 0), getPath(specNext, 'burst.countAdd', 0));
+  describeDelta(changes, 'burstSpread', getPath(specCurrent, 'burst.spreadDegAdd', 0), getPath(specNext, 'burst.spreadDegAdd', 0), { unit: 'deg' });
 
-  describeDelta(changes, 'cross stride', getPath(specCurrent, 'cross.stepPxPerFrameAdd', 0), getPath(specNext, 'cross.stepPxPerFrameAdd', 0), { unit: 'px/frame' });
+  describeDelta(changes, 'crossStride', getPath(specCurrent, 'cross.stepPxPerFrameAdd', 0), getPath(specNext, 'cross.stepPxPerFrameAdd', 0), { unit: 'pxPerFrame' });
 
-  if (!changes.length) return 'No additional bonuses';
-  return changes.join(', ');
+  if (!changes.length) return t('upgrade.none');
+  return changes.join(t('upgrade.separator'));
 }
@@ -1,3 +1,5 @@
+import { deepClone } from '../core/clone.js';
+
 /**
  * WeaponRegistry holds the base configuration for each weapon type.
  * Entries here define the *default* stats and visuals for a weapon
@@ -75,7 +77,7 @@ export const WeaponRegistry = {
     // UI metadata (used in inventory/loadout screens)
     ui: {
       icon: { key: 'bolt' },   // Icon used in loadout and HUD
-      name: 'Arc Bolt',        // Display name
+      nameKey: 'weapon.bolt.name',  // Display name
       rarity: 'common'         // Used for loot tables, drop coloring, etc.
     },
 
@@ -211,9 +213,9 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'daggericon.png'
       },
-      name: 'Death Pact',
+      nameKey: 'weapon.daggerthrow.name',
       rarity: 'rare',
-      description: 'Hurls a piercing dagger in the direction you\'re facing, slicing through multiple foes.'
+      descriptionKey: 'weapon.daggerthrow.description'
     },
 
     levelCurve: 'linear_1_5',
@@ -334,9 +336,9 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'spearthrowicon.png'
       },
-      name: 'Spear of Gaia',
+      nameKey: 'weapon.spearthrow.name',
       rarity: 'rare',
-      description: 'Hurls a spinning spear in the direction you\'re facing, slicing through multiple foes.'
+      descriptionKey: 'weapon.spearthrow.description'
     },
 
     levelCurve: 'linear_1_5',
@@ -454,9 +456,9 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'ak47icon.png'
       },
-      name: 'AK47',
+      nameKey: 'weapon.ak47.name',
       rarity: 'rare',
-      description: 'Full auto destruction. Armor Piercing.'
+      descriptionKey: 'weapon.ak47.description'
     },
 
     levelCurve: 'linear_1_5',
@@ -568,8 +570,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'holyhammericon.png'
       },
-      name: 'Holy Hammer',
-      description: 'Hurls a blessed hammer that ricochets among nearby foes.',
+      nameKey: 'weapon.holyhammer.name',
+      descriptionKey: 'weapon.holyhammer.description',
       rarity: 'legendary'
     },
 
@@ -698,8 +700,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'venusrevengeicon.png'
       },
-      name: 'Venus\u2019s Revenge',
-      description: 'Unleash a legendary burst of piercing daggers in all directions.',
+      nameKey: 'weapon.venusrevenge.name',
+      descriptionKey: 'weapon.venusrevenge.description',
       rarity: 'rare'
     },
 
@@ -828,8 +830,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'whirlwindicon.png'
       },
-      name: 'Whirlwind',
-      description: 'Unleash a legendary burst of axe\u2019s in all directions.',
+      nameKey: 'weapon.whirlwind.name',
+      descriptionKey: 'weapon.whirlwind.description',
       rarity: 'rare'
     },
 
@@ -958,8 +960,8 @@ export const WeaponRegistry = {
         frame: 'swordicon.png',
         offsetX: 1.5
       },
-      name: 'Sword',
-      description: 'Cold, hard, steel.',
+      nameKey: 'weapon.sword.name',
+      descriptionKey: 'weapon.sword.description',
       rarity: 'common'
     },
 
@@ -1099,8 +1101,8 @@ export const WeaponRegistry = {
         frame: 'spearicon.png',
         offsetX: 1.5
       },
-      name: 'Spear',
-      description: 'Slash through foes.',
+      nameKey: 'weapon.spear.name',
+      descriptionKey: 'weapon.spear.description',
       rarity: 'common'
     },
 
@@ -1231,8 +1233,8 @@ export const WeaponRegistry = {
         frame: 'girlswordicon.png',
         offsetX: 1.5
       },
-      name: 'Crimson Slash',
-      description: 'Burning precision',
+      nameKey: 'weapon.girlsword.name',
+      descriptionKey: 'weapon.girlsword.description',
       rarity: 'common'
     },
 
@@ -1363,8 +1365,8 @@ export const WeaponRegistry = {
         frame: 'hammericon.png',
         offsetX: 1.5
       },
-      name: 'Hammer Swing',
-      description: 'Bash things.',
+      nameKey: 'weapon.hammer.name',
+      descriptionKey: 'weapon.hammer.description',
       rarity: 'common'
     },
 
@@ -1495,8 +1497,8 @@ export const WeaponRegistry = {
         frame: 'cleavericon.png',
         offsetX: 1.5
       },
-      name: 'Nordic Cleaver',
-      description: 'Cleave through enemies.',
+      nameKey: 'weapon.cleaver.name',
+      descriptionKey: 'weapon.cleaver.description',
       rarity: 'common'
     },
 
@@ -1646,8 +1648,8 @@ export const WeaponRegistry = {
         frame: 'stafficon.png',
         offsetX: 1.5
       },
-      name: 'Arcane Swipe',
-      description: 'Old mans cane.',
+      nameKey: 'weapon.staff.name',
+      descriptionKey: 'weapon.staff.description',
       rarity: 'common'
     },
 
@@ -1773,8 +1775,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'bowicon.png'
       },
-      name: 'Bow',
-      description: 'Fires at closest enemy.',
+      nameKey: 'weapon.bow.name',
+      descriptionKey: 'weapon.bow.description',
       rarity: 'rare'
     },
 
@@ -1901,8 +1903,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'xbowicon.png'
       },
-      name: 'Xbow',
-      description: 'Fires at closest enemy. Devastating piercing.',
+      nameKey: 'weapon.xbow.name',
+      descriptionKey: 'weapon.xbow.description',
       rarity: 'rare'
     },
 
@@ -2025,8 +2027,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'deathrayicon.png'
       },
-      name: 'Death Ray',
-      description: 'Auto target. Massive laser beam. Devasating.',
+      nameKey: 'weapon.deathray.name',
+      descriptionKey: 'weapon.deathray.description',
       rarity: 'legendary'
     },
 
@@ -2149,8 +2151,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'ragnarokicon.png'
       },
-      name: 'Ragnarok',
-      description: 'The storm of Ragnarok takes hold.',
+      nameKey: 'weapon.ragnarok.name',
+      descriptionKey: 'weapon.ragnarok.description',
       rarity: 'legendary'
     },
 
@@ -2283,8 +2285,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'bazookaicon.png'
       },
-      name: 'Bazooka',
-      description: 'Fires directional rocket. Triggers clustered explosions.',
+      nameKey: 'weapon.bazooka.name',
+      descriptionKey: 'weapon.bazooka.description',
       rarity: 'rare'
     },
 
@@ -2404,7 +2406,7 @@ export const WeaponRegistry = {
     damage: {
       base: 12,
       crit: { chance: 0.08, mult: 1.6 },
-      status: []
+      status: [{ key: 'chill', chance: 0.5, durationMs: 1800 }] // Frost arrows slow what they hit
     },
 
     aoe: {
@@ -2421,8 +2423,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'icebowicon.png'
       },
-      name: 'Ice Bow',
-      description: 'Fires directional rocket. Triggers clustered explosions.',
+      nameKey: 'weapon.icebow.name',
+      descriptionKey: 'weapon.icebow.description',
       rarity: 'rare'
     },
 
@@ -2542,7 +2544,7 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'clusterbombicon.png'
       },
-      name: 'Cluster Bomb',
+      nameKey: 'weapon.icebowexplosion.name',
       rarity: 'epic'
     },
 
@@ -2697,8 +2699,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'fireblasticon.png'
       },
-      name: 'Fire Blast',
-      description: 'Massive fire blast. Triggers burning ember.',
+      nameKey: 'weapon.fireblast.name',
+      descriptionKey: 'weapon.fireblast.description',
       rarity: 'rare'
     },
 
@@ -2818,7 +2820,7 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'clusterbombicon.png'
       },
-      name: 'Cluster Bomb',
+      nameKey: 'weapon.fireblastexplosion.name',
       rarity: 'epic'
     },
 
@@ -2948,8 +2950,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'fireblasticon.png'
       },
-      name: 'Purple Nado',
-      description: 'Purple Tornado with Shock Blast',
+      nameKey: 'weapon.purplenado.name',
+      descriptionKey: 'weapon.purplenado.description',
       rarity: 'epic'
     },
 
@@ -3062,7 +3064,7 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'clusterbombicon.png'
       },
-      name: 'Cluster Bomb',
+      nameKey: 'weapon.purpleshock.name',
       rarity: 'epic'
     },
 
@@ -3195,8 +3197,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'clusterpotionicon.png'
       },
-      name: 'Fire Bomb',
-      description: 'Throw a devastating fire bomb that causes a clustered explosion on impact.',
+      nameKey: 'weapon.clusterpotion.name',
+      descriptionKey: 'weapon.clusterpotion.description',
       rarity: 'legendary'
     },
 
@@ -3326,8 +3328,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'magicpotionicon.png'
       },
-      name: 'Magic Potion',
-      description: 'Lob a volatile potion that explodes on impact, splashing nearby foes.',
+      nameKey: 'weapon.magicpotion.name',
+      descriptionKey: 'weapon.magicpotion.description',
       rarity: 'rare'
     },
 
@@ -3457,7 +3459,7 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'magicpotionexplosion.png'
       },
-      name: 'Magic Potion Explosion',
+      nameKey: 'weapon.magicpotionexplosion.name',
       rarity: 'epic'
     },
 
@@ -3576,8 +3578,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'vikingaxeicon.png'
       },
-      name: 'Viking Axe',
-      description: 'Lob devastating axe at foes. High radius and devasating piercing.',
+      nameKey: 'weapon.vikingaxe.name',
+      descriptionKey: 'weapon.vikingaxe.description',
       rarity: 'rare'
     },
 
@@ -3705,8 +3707,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'vikinghammericon.png'
       },
-      name: 'Thor\u2019s Hammer',
-      description: 'Lob devastating hammer at foes. High radius and devasating piercing.',
+      nameKey: 'weapon.vikinghammer.name',
+      descriptionKey: 'weapon.vikinghammer.description',
       rarity: 'rare'
     },
 
@@ -3821,8 +3823,8 @@ export const WeaponRegistry = {
 
     ui: {
       icon: { key: 'shuriken', frame: 0 },
-      name: 'Shuriken',
-      description: 'Circular pattern around player. Max pierce.',
+      nameKey: 'weapon.shuriken.name',
+      descriptionKey: 'weapon.shuriken.description',
       rarity: 'rare'
     },
 
@@ -3950,8 +3952,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'flamethrowericon.png'
       },
-      name: 'Flamethrower',
-      description: 'Torch the earth around you.',
+      nameKey: 'weapon.flamethrower.name',
+      descriptionKey: 'weapon.flamethrower.description',
       rarity: 'rare'
     },
 
@@ -4079,8 +4081,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'windsummonicon.png'
       },
-      name: 'Summon Wind',
-      description: 'Goddess of Wind brings forth a protective tornado.',
+      nameKey: 'weapon.windsummon.name',
+      descriptionKey: 'weapon.windsummon.description',
       rarity: 'rare'
     },
 
@@ -4205,9 +4207,9 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'piercingstaricon.png'
       },
-      name: 'Piercing Star',
+      nameKey: 'weapon.piercingstar.name',
       rarity: 'rare',
-      description: 'Hurls a spinning star that slices through rows of foes.'
+      descriptionKey: 'weapon.piercingstar.description'
     },
 
     levelCurve: 'linear_1_5',
@@ -4306,7 +4308,7 @@ export const WeaponRegistry = {
     damage: {
       base: 12,
       crit: { chance: 0.08, mult: 1.6 },
-      status: []
+      status: [{ key: 'burn', chance: 0.6 }] // Ignites targets (registry burn tick/duration)
     },
 
     fx: {
@@ -4319,8 +4321,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'fireballicon.png'
       },
-      name: 'Fireball',
-      description: 'Cast directional fireball with AOE explosion on impact.',
+      nameKey: 'weapon.fireball.name',
+      descriptionKey: 'weapon.fireball.description',
       rarity: 'rare'
     },
 
@@ -4438,8 +4440,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'lightningicon.png'
       },
-      name: 'Thor\u2019s Lightning',
-      description: 'Rain forth devastating lightning on closest enemy. Splash damage on impact.',
+      nameKey: 'weapon.lightning.name',
+      descriptionKey: 'weapon.lightning.description',
       rarity: 'epic'
     },
 
@@ -4560,8 +4562,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'smiteicon.png'
       },
-      name: 'Smite',
-      description: 'Call down a holy strike that crushes a wide area.',
+      nameKey: 'weapon.smite.name',
+      descriptionKey: 'weapon.smite.description',
       rarity: 'epic'
     },
 
@@ -4682,8 +4684,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'vanquishicon.png'
       },
-      name: 'Vanquish',
-      description: 'Dark magic which pulls foes into the underworld.',
+      nameKey: 'weapon.vanquish.name',
+      descriptionKey: 'weapon.vanquish.description',
       rarity: 'rare'
     },
 
@@ -4804,8 +4806,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'auvicon.png'
       },
-      name: 'UAV',
-      description: 'Call in UAV to drop bomb.',
+      nameKey: 'weapon.uavstrike.name',
+      descriptionKey: 'weapon.uavstrike.description',
       rarity: 'epic'
     },
 
@@ -4926,8 +4928,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'deathskissicon.png'
       },
-      name: 'Deaths Kiss',
-      description: 'Devasating strike with AOE.',
+      nameKey: 'weapon.deathskiss.name',
+      descriptionKey: 'weapon.deathskiss.description',
       rarity: 'epic'
     },
 
@@ -5044,8 +5046,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'chainlightningicon.png'
       },
-      name: 'Chain Lightning',
-      description: 'Devastating lightning which chains to multiple foes.',
+      nameKey: 'weapon.chainlightning.name',
+      descriptionKey: 'weapon.chainlightning.description',
       rarity: 'epic'
     },
 
@@ -5167,7 +5169,7 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'clusterbombicon.png'
       },
-      name: 'Cluster Bomb',
+      nameKey: 'weapon.clusterbomb.name',
       rarity: 'epic'
     },
 
@@ -5290,7 +5292,7 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'greenfireicon.png'
       },
-      name: 'Sekhmet\u2019s Revenge',
+      nameKey: 'weapon.greenfire.name',
       rarity: 'legendary'
     },
 
@@ -5413,8 +5415,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'sparkcrossicon.png'
       },
-      name: 'Spark Cross',
-      description: 'Cast a criss cross of magical explosions.',
+      nameKey: 'weapon.sparkcross.name',
+      descriptionKey: 'weapon.sparkcross.description',
       rarity: 'rare'
     },
 
@@ -5554,8 +5556,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'spearcrossicon.png'
       },
-      name: 'Orb of Set',
-      description: 'Close quarter annhilation.',
+      nameKey: 'weapon.spearcross.name',
+      descriptionKey: 'weapon.spearcross.description',
       rarity: 'epic'
     },
 
@@ -5678,8 +5680,8 @@ export const WeaponRegistry = {
         atlas: 'weaponicons_atlas',
         frame: 'lifeerasericon.png'
       },
-      name: 'Life Eraser',
-      description: 'Auto target. Erases all in its path.',
+      nameKey: 'weapon.lifeeraser.name',
+      descriptionKey: 'weapon.lifeeraser.description',
       rarity: 'legendary'
     },
 
@@ -5727,3 +5729,93 @@ export const WeaponRegistry = {
     }
   },
 };
+
+/**
+ * Build an evolved weapon from its base entry. The clone keeps the base's
+ * art, audio (including scoped fire) and level progression, so an evolved
+ * weapon picked up at max level keeps every level bonus; `overrides` are
+ * deep-merged on top. Recipes live in WeaponEvolutionRegistry.js.
+ */
+function defineEvolvedWeapon(baseKey, key, overrides) {
+  const merge = (target, source) => {
+    Object.entries(source).forEach(([field, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        target[field] = merge(target[field] && typeof target[field] === 'object' ? target[field] : {}, value);
+      } else {
+        target[field] = value;
+      }
+    });
+    return target;
+  };
+
+  return merge(deepClone(WeaponRegistry[baseKey]), { ...overrides, key, evolvedFrom: baseKey });
+}
+
+// --- Evolved weapons -------------------------------------------------------
+// Never offered as new weapons; only reachable through an evolution recipe.
+
+WeaponRegistry.moonblade = defineEvolvedWeapon('sword', 'moonblade', {
+  cadence: { delayMs: 700 },
+  damage: { base: 16, crit: { chance: 0.15 } },
+  aoe: { radius: 104 },
+  ui: {
+    nameKey: 'weapon.moonblade.name',
+    rarity: 'legendary',
+    descriptionKey: 'weapon.moonblade.description'
+  }
+});
+
+WeaponRegistry.bloodreaver = defineEvolvedWeapon('cleaver', 'bloodreaver', {
+  cadence: { delayMs: 720 },
+  damage: { base: 15, crit: { chance: 0.1, mult: 2 } },
+  aoe: { radius: 100 },
+  ui: {
+    nameKey: 'weapon.bloodreaver.name',
+    rarity: 'legendary',
+    descriptionKey: 'weapon.bloodreaver.description'
+  }
+});
+
+WeaponRegistry.earthbreaker = defineEvolvedWeapon('hammer', 'earthbreaker', {
+  cadence: { delayMs: 760 },
+  damage: { base: 18 },
+  aoe: { radius: 116 },
+  ui: {
+    nameKey: 'weapon.earthbreaker.name',
+    rarity: 'legendary',
+    descriptionKey: 'weapon.earthbreaker.description'
+  }
+});
+
+WeaponRegistry.crimsonwaltz = defineEvolvedWeapon('girlsword', 'crimsonwaltz', {
+  cadence: { delayMs: 560 },
+  damage: { base: 14 },
+  aoe: { radius: 96 },
+  ui: {
+    nameKey: 'weapon.crimsonwaltz.name',
+    rarity: 'legendary',
+    descriptionKey: 'weapon.crimsonwaltz.description'
+  }
+});
+
+WeaponRegistry.galespear = defineEvolvedWeapon('spear', 'galespear', {
+  cadence: { delayMs: 680 },
+  damage: { base: 15 },
+  aoe: { radius: 108 },
+  ui: {
+    nameKey: 'weapon.galespear.name',
+    rarity: 'legendary',
+    descriptionKey: 'weapon.galespear.description'
+  }
+});
+
+WeaponRegistry.astralstaff = defineEvolvedWeapon('staff', 'astralstaff', {
+  cadence: { delayMs: 680 },
+  damage: { base: 15, crit: { chance: 0.12 } },
+  aoe: { radius: 110 },
+  ui: {
+    nameKey: 'weapon.astralstaff.name',
+    rarity: 'legendary',
+    descriptionKey: 'weapon.astralstaff.description'
+  }
+});
@@ -1,6 +1,7 @@
 import Phaser from 'phaser';
 import { CONFIG } from '../config/gameConfig.js';
 import { DEFAULT_DROP_TYPE } from '../drops/DropRegistry.js';
+import { flashHit } from '../ui/AccessibilitySettings.js';
 
 export class WeaponSystem {
   /** Initialize WeaponSystem state so runtime dependencies are ready. */
@@ -53,8 +54,7 @@ export class WeaponSystem {
     enemy.hp -= dmg;
 
     // Quick hit flash
-    enemy.setTintFill(0xffffff);
-    this.scene.time.delayedCall(40, () => enemy.clearTint());
+    flashHit(this.scene, enemy, 40, () => enemy.clearTint());
 
     // Death: spawn FX + XP, then release to pool
     if (enemy.hp <= 0) {
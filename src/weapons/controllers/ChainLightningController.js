@@ -124,29 +124,15 @@ export class ChainLightningController extends WeaponControllerBase {
       path.push(current);
       if (!allowRepeat) visited.add(current);
 
-      const r2 = hopRadius * hopRadius;
-      const candidates = [];
-
-      // 1) Snapshot all eligible enemies with their distance^2 to current
-      this.enemyGroup?.children?.iterate?.((enemy) => {
-        if (!enemy || !enemy.active) return;
-        if (enemy === current) return;
-        if (!allowRepeat && visited.has(enemy)) return;
-
-        const dx = enemy.x - current.x;
-        const dy = enemy.y - current.y;
-        const d2 = dx * dx + dy * dy;
-        if (d2 > r2) return; // outside hop radius
-
-        candidates.push({ enemy, d2 });
-      });
-
-      // 2) Sort strictly by distance^2 (deterministic)
-      if (candidates.length === 0) break;
-      candidates.sort((a, b) => a.d2 - b.d2);
-
-      // 3) Pick the closest; optional tiny epsilon tie-break is inherent in sort order
-      const next = candidates[0].enemy;
+      // Closest enemy within hop radius that isn't this link (or, unless
+      // repeats are allowed, an earlier one); ties resolve in index order.
+      const from = current;
+      const next = TargetSelect.nearest(
+        this.enemyGroup,
+        from,
+        hopRadius,
+        (enemy) => enemy !== from && (allowRepeat || !visited.has(enemy))
+      );
       if (!next) break;
 
       current = next;
@@ -82,25 +82,15 @@ export class ChainThrowController extends WeaponControllerBase {
       path.push(current);
       if (!allowRepeat) visited.add(current);
 
-      const hopRadiusSq = hopRadius * hopRadius;
-      const candidates = [];
-
-      this.enemyGroup?.children?.iterate?.((enemy) => {
-        if (!enemy || !enemy.active) return;
-        if (enemy === current) return;
-        if (!allowRepeat && visited.has(enemy)) return;
-
-        const dx = enemy.x - current.x;
-        const dy = enemy.y - current.y;
-        const d2 = dx * dx + dy * dy;
-        if (d2 > hopRadiusSq) return;
-
-        candidates.push({ enemy, d2 });
-      });
-
-      if (!candidates.length) break;
-      candidates.sort((a, b) => a.d2 - b.d2);
-      current = candidates[0].enemy;
+      const from = current;
+      const next = TargetSelect.nearest(
+        this.enemyGroup,
+        from,
+        hopRadius,
+        (enemy) => enemy !== from && (allowRepeat || !visited.has(enemy))
+      );
+      if (!next) break;
+      current = next;
     }
 
     return path;
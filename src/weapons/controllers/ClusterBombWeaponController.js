@@ -1,10 +1,10 @@
-import Phaser from 'phaser';
 import { WeaponControllerBase } from './WeaponControllerBase.js';
 import * as Cooldown from '../core/Cooldown.js';
 import * as AnimSafe from '../core/AnimSafe.js';
 import * as AoeTiming from '../core/AoeTiming.js';
 import * as TargetSelect from '../targeting/TargetSelect.js';
 import { runAoe } from '../AoeUtils.js';
+import { getRng } from '../../run/RunRng.js';
 
 /**
  * ClusterBombWeaponController
@@ -98,10 +98,11 @@ export class ClusterBombWeaponController extends WeaponControllerBase {
     };
 
     // Spawn each bomb, scattered around the patch center
+    const rng = getRng(this.scene, 'combat');
     for (let i = 0; i < count; i += 1) {
       // Random offset inside the spread radius
-      const bombAngle = Phaser.Math.FloatBetween(0, Math.PI * 2);
-      const dist = Phaser.Math.FloatBetween(0, spread);
+      const bombAngle = rng.float(0, Math.PI * 2);
+      const dist = rng.float(0, spread);
       const x = patch.x + Math.cos(bombAngle) * dist;
       const y = patch.y + Math.sin(bombAngle) * dist;
       const delay = i * stagger;
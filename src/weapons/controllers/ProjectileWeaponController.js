@@ -272,25 +272,13 @@ export class ProjectileWeaponController extends WeaponControllerBase {
 
     // Advanced mode: scoring model to avoid overkill
     const config = this.targetingCoordinator.getConfig?.() ?? {};
-    const rangeSq = Number.isFinite(range) && range > 0 ? range * range : Infinity;
-    const entries = [];
-
-    // Collect eligible enemies
-    this.enemyGroup?.children?.iterate?.((enemy) => {
-      if (!enemy || !enemy.active) return;
-      const dx = enemy.x - origin.x;
-      const dy = enemy.y - origin.y;
-      const distSq = dx * dx + dy * dy;
-      if (distSq > rangeSq) return;
-      entries.push({ enemy, distSq });
-    });
+    const candidateCount = Math.max(1, config.candidateCount ?? 6);
+    const maxRange = Number.isFinite(range) && range > 0 ? range : Infinity;
 
+    // Nearest candidates first, straight from the broadphase
+    const entries = TargetSelect.nearestN(this.enemyGroup, origin, candidateCount, maxRange);
     if (entries.length === 0) return null;
 
-    // Sort by nearest first
-    entries.sort((a, b) => a.distSq - b.distSq);
-
-    const candidateCount = Math.max(1, config.candidateCount ?? 6);
     const etaTolerance = config.etaToleranceMs ?? 120;
     const overkillTolerance = config.overkillTolerance ?? 0;
     const overkillWeight = config.overkillPenaltyWeight ?? 40;
@@ -301,7 +289,7 @@ export class ProjectileWeaponController extends WeaponControllerBase {
     let best = null;
 
     // Score each candidate based on predicted HP at impact time
-    for (let i = 0; i < entries.length && i < candidateCount; i += 1) {
+    for (let i = 0; i < entries.length; i += 1) {
       const { enemy, distSq } = entries[i];
       const distance = Math.sqrt(distSq);
       const etaMs = speed > 1 ? (distance / speed) * 1000 : 0;
@@ -3,6 +3,7 @@ import { CONFIG } from '../../config/gameConfig.js';
 import { computeEffective } from '../core/Config.js';
 import * as Cooldown from '../core/Cooldown.js';
 import * as DamagePayload from '../core/DamagePayload.js';
+import { getRng } from '../../run/RunRng.js';
 
 /**
  * Base class for all weapon controllers.
@@ -119,7 +120,8 @@ export class WeaponControllerBase {
       damage = result?.damage ?? damage;
     }
 
-    const diffMult = CONFIG.DIFFICULTY?.playerDamageMult ?? 1;
+    // scene.difficulty already folds in CONFIG.DIFFICULTY; fall back for scenes without a preset.
+    const diffMult = this.scene?.difficulty?.playerDamageMult ?? CONFIG.DIFFICULTY?.playerDamageMult ?? 1;
     return damage * diffMult;
   }
 
@@ -135,7 +137,7 @@ export class WeaponControllerBase {
     const critMult = Math.max(1, Number(cfgDamage?.crit?.mult ?? 1.5) || 1.5);
 
     // Roll crit once per "attack instance" (per strike, per projectile fired, etc.)
-    const isCrit = critChance > 0 ? (Math.random() < critChance) : false;
+    const isCrit = critChance > 0 ? getRng(this.scene, 'crits').chance(critChance) : false;
 
     // Apply crit multiplier to the already-computed base damage
     const finalDamage = isCrit ? (baseDamage * critMult) : baseDamage;
@@ -163,7 +165,7 @@ export class WeaponControllerBase {
    * Compute first fire timestamp using cooldown jitter/spread rules.
    */
   _scheduleInitial(now, delayMs) {
-    return Cooldown.scheduleInitial(now, delayMs);
+    return Cooldown.scheduleInitial(now, delayMs, getRng(this.scene, 'combat'));
   }
 
   /**
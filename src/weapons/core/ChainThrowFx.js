@@ -47,6 +47,7 @@ export function playChainThrowFx(
   const sprite = scene.add.image(startX, startY, textureKey).setDepth(depth).setOrigin(0.5, 0.5);
 
   const tweens = [];
+  let hopEvent = null;
 
   // Use a small non-zero delay so Phaser doesn't think this is an infinite loop.
   const rotationEvent = scene.time.addEvent({
@@ -69,6 +70,8 @@ export function playChainThrowFx(
     tweens.length = 0;
 
     rotationEvent?.remove?.();
+    hopEvent?.remove?.();
+    hopEvent = null;
 
     if (sprite && sprite.scene) {
       sprite.destroy();
@@ -100,17 +103,23 @@ export function playChainThrowFx(
       targets: sprite,
       x: toX,
       y: toY,
-      duration: perHopDurationMs,
-      onComplete: () => {
-        if (finished) return;
-        if (typeof onHopHit === 'function') {
-          onHopHit(target, index);
-        }
-        startHopFrom(index + 1);
-      }
+      duration: perHopDurationMs
     });
 
     tweens.push(tween);
+
+    // Tweens run on wall-clock time, so the hit itself waits on the scene clock;
+    // that keeps damage timing identical for the same seed and pauses with the run.
+    hopEvent = scene.time.delayedCall(perHopDurationMs, () => {
+      hopEvent = null;
+      if (finished) return;
+      tween?.stop?.();
+      sprite.setPosition(toX, toY);
+      if (typeof onHopHit === 'function') {
+        onHopHit(target, index);
+      }
+      startHopFrom(index + 1);
+    });
   };
 
   if (!originPos) {
@@ -1,6 +1,11 @@
 import { TargetingService } from '../TargetingService.js';
 
 /** Provide nearest so callers can reuse shared logic safely. */
-export function nearest(enemyGroup, origin, range) {
-  return TargetingService.nearestEnemy(enemyGroup, origin, range);
+export function nearest(enemyGroup, origin, range, filter) {
+  return TargetingService.nearestEnemy(enemyGroup, origin, range, filter);
+}
+
+/** Provide nearestN so scoring passes only look at the closest candidates. */
+export function nearestN(enemyGroup, origin, count, range) {
+  return TargetingService.nearestEnemies(enemyGroup, origin, count, range);
 }
@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { AccessibilitySettings } from '../ui/AccessibilitySettings.js';
 
 /**
  * BloodMoonOverlay owns the screen-space multiply rectangle that gives the game
@@ -26,7 +27,10 @@ export class BloodMoonOverlay {
     this.elapsed += dt;
 
     // Slow sine wave oscillates alpha between ~0 and ~0.16 for a gentle flicker.
-    const pulse = (Math.sin(this.elapsed * 0.0015) + 1) * 0.08;
+    // The accessibility pulse strength flattens the wave toward its midpoint,
+    // so at 0% the wash holds a steady 0.08.
+    const strength = AccessibilitySettings.get().overlayPulse;
+    const pulse = 0.08 + Math.sin(this.elapsed * 0.0015) * 0.08 * strength;
     this.overlay.setAlpha(pulse);
   }
 